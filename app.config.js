@@ -74,6 +74,21 @@ export default {
           recordAudioAndroid: true
         }
       ],
+      [
+        "expo-image-picker",
+        {
+          photosPermission: "NoText accède à votre galerie uniquement lorsque vous choisissez d'importer une photo ou une vidéo à envoyer dans une conversation.",
+          // Capture goes through expo-camera, keep its permission texts
+          cameraPermission: false,
+          microphonePermission: false
+        }
+      ],
+      [
+        "expo-local-authentication",
+        {
+          faceIDPermission: "NoText utilise Face ID uniquement pour déverrouiller l'application lorsque le verrouillage est activé dans les paramètres."
+        }
+      ],
       [
         "expo-splash-screen",
         {
@@ -110,6 +125,8 @@ export default {
         {
           ios: {
             useFrameworks: "static",
+            // ML Kit face detection (@react-native-ml-kit/face-detection) needs iOS 15.5
+            deploymentTarget: "15.5",
             extraPods: [
               {
                 name: "FirebaseCoreInternal",
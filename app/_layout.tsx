@@ -12,6 +12,7 @@ import 'react-native-reanimated';
 
 import { useColorScheme } from '../hooks/useColorScheme';
 import AppStatusBarComponent from '../components/AppStatusBar';
+import { AppLockGate } from '../components/AppLockGate';
 import { AuthProvider } from '../context/AuthContext';
 import { SafeAreaProvider } from 'react-native-safe-area-context';
 import { Config } from '../constants/Config';
@@ -42,7 +43,7 @@ export default function RootLayout() {
       Promise.resolve().then(async () => {
         try {
           // Import only what we need
-          const { apiManager } = await import('../services/apiManager');
+          const { localDatabase } = await import('../data/localDatabase');
           
           // Log startup performance (only in development)
           const startTime = performance.now();
@@ -51,8 +52,8 @@ export default function RootLayout() {
             console.log('🚀 Initializing app services...');
           }
           
-          // Wait for apiManager to restore cache
-          await apiManager._restoreCacheFromStorage();
+          // Open the offline store so screens can render from disk right away
+          await localDatabase.open();
           
           // Pre-warm frequently accessed caches in background (only in development)
           if (Config.ENABLE_DEBUG_LOGS) {
@@ -168,44 +169,46 @@ export default function RootLayout() {
         
       <AuthProvider>
         <ThemeProvider value={colorScheme === 'dark' ? DarkTheme : DefaultTheme}>
-          <Stack screenOptions={{ 
-            headerShown: false,
-            animation: 'slide_from_right',
-            animationDuration: 200, // Reduced for faster navigation
-            gestureEnabled: true
-          }}>
-            <Stack.Screen name="index" />
-            <Stack.Screen name="auth" />
-            <Stack.Screen name="home" />
-            <Stack.Screen 
-              name="chat" 
-              options={{ 
-                presentation: 'fullScreenModal',
-                gestureEnabled: true,
-                animation: 'slide_from_bottom',
-                animationDuration: 250, // Smooth vertical slide
-                gestureDirection: 'vertical'
-              }} 
-            />
-            <Stack.Screen 
-              name="camera" 
-              options={{ 
-                presentation: 'fullScreenModal',
-                gestureEnabled: true,
-                animation: 'slide_from_bottom',
-                animationDuration: 200 // Faster camera transition
-              }} 
-            />
-            <Stack.Screen 
-              name="settings" 
-              options={{ 
-                presentation: 'card',
-                gestureEnabled: true,
-                animation: 'slide_from_right',
-                animationDuration: 150
-              }} 
-            />
-          </Stack>
+          <AppLockGate>
+            <Stack screenOptions={{ 
+              headerShown: false,
+              animation: 'slide_from_right',
+              animationDuration: 200, // Reduced for faster navigation
+              gestureEnabled: true
+            }}>
+              <Stack.Screen name="index" />
+              <Stack.Screen name="auth" />
+              <Stack.Screen name="home" />
+              <Stack.Screen 
+                name="chat" 
+                options={{ 
+                  presentation: 'fullScreenModal',
+                  gestureEnabled: true,
+                  animation: 'slide_from_bottom',
+                  animationDuration: 250, // Smooth vertical slide
+                  gestureDirection: 'vertical'
+                }} 
+              />
+              <Stack.Screen 
+                name="camera" 
+                options={{ 
+                  presentation: 'fullScreenModal',
+                  gestureEnabled: true,
+                  animation: 'slide_from_bottom',
+                  animationDuration: 200 // Faster camera transition
+                }} 
+              />
+              <Stack.Screen 
+                name="settings" 
+                options={{ 
+                  presentation: 'card',
+                  gestureEnabled: true,
+                  animation: 'slide_from_right',
+                  animationDuration: 150
+                }} 
+              />
+            </Stack>
+          </AppLockGate>
           <AppStatusBarComponent style="light" backgroundColor="rgba(0, 0, 0, 0.0)" />
         </ThemeProvider>
       </AuthProvider>
@@ -0,0 +1,3 @@
+import AppLockSettingsScreen from '../screens/AppLockSettingsScreen'
+
+export default AppLockSettingsScreen
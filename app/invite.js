@@ -0,0 +1,3 @@
+import InviteAcceptScreen from '../screens/InviteAcceptScreen'
+
+export default InviteAcceptScreen
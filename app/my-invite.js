@@ -0,0 +1,3 @@
+import MyInviteScreen from '../screens/MyInviteScreen'
+
+export default MyInviteScreen
@@ -0,0 +1,88 @@
+import { Ionicons } from '@expo/vector-icons'
+import * as Haptics from 'expo-haptics'
+import { router } from 'expo-router'
+import {
+    ScrollView,
+    StatusBar,
+    StyleSheet,
+    Text,
+    TouchableOpacity,
+    View
+} from 'react-native'
+import NotificationSettings from '../components/NotificationSettings'
+import { Colors, Spacing, Typography } from '../constants/Design'
+import { getSafeAreaTop } from '../utils/responsive'
+
+const NotificationsScreen = () => {
+  const handleGoBack = () => {
+    Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Light)
+    router.back()
+  }
+
+  return (
+    <View style={styles.container}>
+      <StatusBar barStyle="light-content" />
+
+      {/* Header */}
+      <View style={styles.header}>
+        <TouchableOpacity
+          style={styles.backButton}
+          onPress={handleGoBack}
+        >
+          <Ionicons name="arrow-back" size={24} color={Colors.white} />
+        </TouchableOpacity>
+        <Text style={styles.title}>Notifications</Text>
+        <View style={styles.placeholder} />
+      </View>
+
+      {/* Content */}
+      <ScrollView
+        style={styles.content}
+        contentContainerStyle={styles.scrollContent}
+        showsVerticalScrollIndicator={false}
+      >
+        <NotificationSettings />
+      </ScrollView>
+    </View>
+  )
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: Colors.black,
+  },
+
+  // Header
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingTop: getSafeAreaTop(),
+    paddingHorizontal: Spacing.screen,
+    paddingBottom: Spacing.lg,
+    borderBottomWidth: 1,
+    borderBottomColor: Colors.gray800,
+  },
+  backButton: {
+    padding: Spacing.xs,
+  },
+  title: {
+    fontSize: Typography.xl,
+    fontWeight: Typography.light,
+    color: Colors.white,
+  },
+  placeholder: {
+    width: 40,
+  },
+
+  // Content
+  content: {
+    flex: 1,
+  },
+  scrollContent: {
+    paddingBottom: Spacing.xxl,
+  },
+})
+
+export default NotificationsScreen
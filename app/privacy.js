@@ -1,23 +1,88 @@
 import { Ionicons } from '@expo/vector-icons'
 import * as Haptics from 'expo-haptics'
 import { router } from 'expo-router'
+import { useEffect, useState } from 'react'
 import {
+    Alert,
     ScrollView,
     StatusBar,
     StyleSheet,
+    Switch,
     Text,
     TouchableOpacity,
     View
 } from 'react-native'
 import { BorderRadius, Colors, Spacing, Typography } from '../constants/Design'
+import { useAuthContext } from '../context/AuthContext'
+import { presenceService } from '../services/presenceService'
+import { getDiscoverability, setDiscoverability } from '../services/userService'
 import { getSafeAreaTop } from '../utils/responsive'
 
+const DISCOVERABILITY_OPTIONS = [
+  {
+    mode: 'prefix',
+    icon: 'search',
+    title: 'Tout le monde',
+    description: 'Vous apparaissez dans les résultats dès les premières lettres de votre pseudo.'
+  },
+  {
+    mode: 'exact',
+    icon: 'at',
+    title: 'Pseudo exact',
+    description: 'Seules les personnes qui tapent votre pseudo complet peuvent vous trouver.'
+  },
+  {
+    mode: 'invite',
+    icon: 'link',
+    title: 'Sur invitation',
+    description: 'Vous n\'apparaissez plus dans la recherche : on ne peut vous écrire que via votre lien d\'invitation.'
+  }
+]
+
 const PrivacyScreen = () => {
+  const { user: currentUser } = useAuthContext()
+  const [hidePresence, setHidePresence] = useState(() => presenceService.isHidden())
+  const [discoverability, setDiscoverabilityState] = useState(null)
+
+  useEffect(() => {
+    if (!currentUser?.id) return
+
+    getDiscoverability(currentUser.id)
+      .then(setDiscoverabilityState)
+      .catch(error => console.warn('⚠️ [PRIVACY] Could not load discoverability:', error?.message))
+  }, [currentUser?.id])
+
   const handleGoBack = () => {
     Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Light)
     router.back()
   }
 
+  const handleHidePresenceToggle = async (hidden) => {
+    setHidePresence(hidden)
+    try {
+      await presenceService.setHidden(hidden)
+    } catch (error) {
+      console.error('❌ [PRIVACY] Failed to update presence setting:', error)
+      setHidePresence(!hidden)
+      Alert.alert('Erreur', 'Impossible de modifier ce réglage. Réessayez plus tard.')
+    }
+  }
+
+  const handleDiscoverabilityChange = async (mode) => {
+    if (mode === discoverability) return
+
+    const previous = discoverability
+    Haptics.selectionAsync()
+    setDiscoverabilityState(mode)
+    try {
+      await setDiscoverability(mode)
+    } catch (error) {
+      console.error('❌ [PRIVACY] Failed to update discoverability:', error)
+      setDiscoverabilityState(previous)
+      Alert.alert('Erreur', 'Impossible de modifier ce réglage. Réessayez plus tard.')
+    }
+  }
+
   return (
     <View style={styles.container}>
       <StatusBar barStyle="light-content" />
@@ -62,6 +127,62 @@ const PrivacyScreen = () => {
           </Text>
         </View>
 
+        {/* Presence */}
+        <View style={styles.settingsSection}>
+          <Text style={styles.sectionTitle}>Présence</Text>
+
+          <View style={styles.settingItem}>
+            <View style={styles.settingItemLeft}>
+              <View style={styles.settingIcon}>
+                <Ionicons name="radio-button-on" size={20} color={Colors.online} />
+              </View>
+              <View style={styles.settingContent}>
+                <Text style={styles.settingTitle}>Masquer ma présence</Text>
+                <Text style={styles.settingDescription}>
+                  Vos contacts ne voient plus quand vous êtes en ligne, votre dernière activité ni quand vous les filmez. En contrepartie, vous ne voyez plus les leurs.
+                </Text>
+              </View>
+            </View>
+            <Switch
+              value={hidePresence}
+              onValueChange={handleHidePresenceToggle}
+              trackColor={{ false: Colors.gray600, true: Colors.accent }}
+              thumbColor={Colors.white}
+            />
+          </View>
+        </View>
+
+        {/* Discoverability */}
+        <View style={styles.settingsSection}>
+          <Text style={styles.sectionTitle}>Qui peut me trouver</Text>
+
+          {DISCOVERABILITY_OPTIONS.map(option => (
+            <TouchableOpacity
+              key={option.mode}
+              style={styles.settingItem}
+              onPress={() => handleDiscoverabilityChange(option.mode)}
+              disabled={!discoverability}
+              accessibilityRole="radio"
+              accessibilityState={{ checked: discoverability === option.mode }}
+            >
+              <View style={styles.settingItemLeft}>
+                <View style={styles.settingIcon}>
+                  <Ionicons name={option.icon} size={20} color={Colors.white} />
+                </View>
+                <View style={styles.settingContent}>
+                  <Text style={styles.settingTitle}>{option.title}</Text>
+                  <Text style={styles.settingDescription}>{option.description}</Text>
+                </View>
+              </View>
+              <Ionicons
+                name={discoverability === option.mode ? 'checkmark-circle' : 'ellipse-outline'}
+                size={22}
+                color={discoverability === option.mode ? Colors.accent : Colors.gray600}
+              />
+            </TouchableOpacity>
+          ))}
+        </View>
+
         {/* Data Security */}
         <View style={styles.securitySection}>
           <Text style={styles.sectionTitle}>Sécurité et données</Text>
@@ -3,20 +3,25 @@ import * as Haptics from 'expo-haptics'
 import { router } from 'expo-router'
 import { useEffect, useState, useCallback } from 'react'
 import {
+    Alert,
     StatusBar,
     StyleSheet,
     Text,
     TouchableOpacity,
     View
 } from 'react-native'
+import RecoveryCodeModal from '../components/RecoveryCodeModal'
 import { BorderRadius, Colors, Spacing, Typography } from '../constants/Design'
 import { useAuthContext } from '../context/AuthContext'
+import { RobustDeviceAuthService } from '../services/robustDeviceAuthService'
 import { getSafeAreaTop } from '../utils/responsive'
 
 const ProfileScreen = () => {
   const { user: contextUser } = useAuthContext()
   const [user, setUser] = useState(null)
   const [isLoading, setIsLoading] = useState(true)
+  const [recoveryCode, setRecoveryCode] = useState(null) // Shown once right after generation
+  const [isGeneratingCode, setIsGeneratingCode] = useState(false)
 
   const loadUserProfile = useCallback(async () => {
     try {
@@ -38,6 +43,31 @@ const ProfileScreen = () => {
     router.back()
   }
 
+  const generateRecoveryCode = async () => {
+    setIsGeneratingCode(true)
+    try {
+      const code = await RobustDeviceAuthService.regenerateRecoveryCode()
+      setRecoveryCode(code)
+    } catch (error) {
+      console.error('❌ [PROFILE] Failed to generate recovery code:', error)
+      Alert.alert('Erreur', 'Impossible de générer un nouveau code. Veuillez réessayer.')
+    } finally {
+      setIsGeneratingCode(false)
+    }
+  }
+
+  const handleRegenerateRecoveryCode = () => {
+    Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Light)
+    Alert.alert(
+      'Nouveau code de récupération',
+      'Votre code actuel ne fonctionnera plus. Continuer ?',
+      [
+        { text: 'Annuler', style: 'cancel' },
+        { text: 'Générer', onPress: generateRecoveryCode }
+      ]
+    )
+  }
+
   if (isLoading) {
     return (
       <View style={styles.container}>
@@ -95,8 +125,33 @@ const ProfileScreen = () => {
               </Text>
             </View>
           </View>
+
+          {/* Account Recovery */}
+          <View style={styles.infoSection}>
+            <Text style={styles.infoTitle}>Changement de téléphone</Text>
+            <Text style={styles.infoDescription}>
+              Votre code de récupération permet de retrouver ce compte sur un autre téléphone.
+              Générez-en un nouveau si vous l&apos;avez perdu.
+            </Text>
+            <TouchableOpacity
+              style={[styles.actionButton, isGeneratingCode && styles.actionButtonDisabled]}
+              onPress={handleRegenerateRecoveryCode}
+              disabled={isGeneratingCode}
+            >
+              <Ionicons name="key-outline" size={18} color={Colors.white} />
+              <Text style={styles.actionButtonText}>
+                {isGeneratingCode ? 'Génération...' : 'Nouveau code de récupération'}
+              </Text>
+            </TouchableOpacity>
+          </View>
         </View>
       </View>
+
+      <RecoveryCodeModal
+        visible={!!recoveryCode}
+        code={recoveryCode}
+        onClose={() => setRecoveryCode(null)}
+      />
     </View>
   )
 }
@@ -221,6 +276,31 @@ const styles = StyleSheet.create({
     color: Colors.white,
     fontWeight: Typography.light,
   },
+  infoDescription: {
+    fontSize: Typography.sm,
+    color: Colors.gray400,
+    lineHeight: 20,
+    marginBottom: Spacing.md,
+  },
+  actionButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    gap: Spacing.sm,
+    backgroundColor: Colors.gray800,
+    borderRadius: BorderRadius.md,
+    paddingVertical: Spacing.md,
+    borderWidth: 1,
+    borderColor: Colors.gray700,
+  },
+  actionButtonDisabled: {
+    opacity: 0.6,
+  },
+  actionButtonText: {
+    fontSize: Typography.base,
+    fontWeight: Typography.medium,
+    color: Colors.white,
+  },
 })
 
 export default ProfileScreen
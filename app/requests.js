@@ -0,0 +1,3 @@
+import MessageRequestsScreen from '../screens/MessageRequestsScreen'
+
+export default MessageRequestsScreen
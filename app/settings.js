@@ -1,7 +1,7 @@
 import { Ionicons } from '@expo/vector-icons'
 import Constants from 'expo-constants'
 import { router } from 'expo-router'
-import { useState, useEffect } from 'react'
+import { useState, useEffect, useCallback, useRef } from 'react'
 import {
     Alert,
     Linking,
@@ -9,6 +9,7 @@ import {
     ScrollView,
     StatusBar,
     StyleSheet,
+    Switch,
     Text,
     TouchableOpacity,
     View
@@ -19,14 +20,40 @@ import { getSafeAreaTop } from '../utils/responsive'
 import ReportUserModal from '../components/ReportUserModal'
 import ReportEmailService from '../services/reportEmailService'
 import { blockService } from '../services/blockService'
+import { groupService } from '../services/groupService'
+import { CACHE_BUDGET_OPTIONS, mediaCacheService } from '../services/mediaCacheService'
+import { unifiedMediaService } from '../services/unifiedMediaService'
+import { findUserByUserId } from '../services/userService'
+import { getAnonymiseDefault, saveAnonymiseDefault } from '../utils/secureStore'
+
+const formatBytes = (bytes) => {
+  if (bytes >= 1024 * 1024 * 1024) return `${String(Math.round(bytes / (1024 * 1024 * 1024) * 10) / 10).replace('.', ',')} Go`
+  if (bytes >= 1024 * 1024) return `${Math.round(bytes / (1024 * 1024))} Mo`
+  return `${Math.max(1, Math.round(bytes / 1024))} Ko`
+}
 
 const SettingsScreen = () => {
   const [showDeleteModal, setShowDeleteModal] = useState(false)
   const [isDeleting, setIsDeleting] = useState(false)
   const [showReportModal, setShowReportModal] = useState(false)
   const [blockedUsersCount, setBlockedUsersCount] = useState(0)
+  const [anonymiseByDefault, setAnonymiseByDefault] = useState(false)
+  const [storageUsage, setStorageUsage] = useState(null)
+  const [conversationNames, setConversationNames] = useState({})
+  const knownNames = useRef({})
   const { deleteAccount, user: currentUser } = useAuthContext()
 
+  // Load camera preferences
+  useEffect(() => {
+    if (!currentUser?.id) return
+    getAnonymiseDefault(currentUser.id).then(setAnonymiseByDefault)
+  }, [currentUser?.id])
+
+  const handleAnonymiseToggle = (enabled) => {
+    setAnonymiseByDefault(enabled)
+    if (currentUser?.id) saveAnonymiseDefault(currentUser.id, enabled)
+  }
+
   // Load blocked users count
   useEffect(() => {
     const loadBlockedCount = async () => {
@@ -45,6 +72,52 @@ const SettingsScreen = () => {
     return unsubscribe
   }, [])
 
+  // Load media cache usage per conversation
+  const loadStorageUsage = useCallback(async () => {
+    const usage = await mediaCacheService.getUsage()
+    setStorageUsage(usage)
+
+    await groupService.initialize()
+    const ids = usage.conversations.map(c => c.conversationId).filter(id => id && !knownNames.current[id])
+    if (ids.length === 0) return
+
+    const entries = await Promise.all(ids.map(async (id) => {
+      const group = groupService.getGroup(id)
+      if (group) return [id, group.name]
+      const user = await findUserByUserId(id)
+      return [id, user?.pseudo || 'Conversation supprimée']
+    }))
+    knownNames.current = { ...knownNames.current, ...Object.fromEntries(entries) }
+    setConversationNames(knownNames.current)
+  }, [])
+
+  useEffect(() => {
+    loadStorageUsage()
+    return mediaCacheService.addListener(loadStorageUsage)
+  }, [loadStorageUsage])
+
+  const handleClearConversationMedia = (conversationId, name) => {
+    Alert.alert(
+      'Vider le cache',
+      `Les médias de ${name} enregistrés sur ce téléphone seront supprimés. Ils seront téléchargés à nouveau si vous les rouvrez.`,
+      [
+        { text: 'Annuler', style: 'cancel' },
+        { text: 'Vider', style: 'destructive', onPress: () => mediaCacheService.clearConversation(conversationId) }
+      ]
+    )
+  }
+
+  const handleClearAllMedia = () => {
+    Alert.alert(
+      'Vider tout le cache',
+      'Tous les médias enregistrés sur ce téléphone seront supprimés.',
+      [
+        { text: 'Annuler', style: 'cancel' },
+        { text: 'Vider', style: 'destructive', onPress: () => unifiedMediaService.clearDiskCache() }
+      ]
+    )
+  }
+
   const handleGoBack = () => {
     router.back()
   }
@@ -142,6 +215,28 @@ const SettingsScreen = () => {
             <Ionicons name="chevron-forward" size={20} color={Colors.gray500} />
           </TouchableOpacity>
 
+          <TouchableOpacity 
+            style={styles.settingItem}
+            onPress={() => router.push('/my-invite')}
+          >
+            <View style={styles.settingItemLeft}>
+              <Ionicons name="qr-code-outline" size={20} color={Colors.white} />
+              <Text style={styles.settingItemText}>Mon lien d&apos;invitation</Text>
+            </View>
+            <Ionicons name="chevron-forward" size={20} color={Colors.gray500} />
+          </TouchableOpacity>
+
+          <TouchableOpacity 
+            style={styles.settingItem}
+            onPress={() => router.push('/notifications')}
+          >
+            <View style={styles.settingItemLeft}>
+              <Ionicons name="notifications-outline" size={20} color={Colors.white} />
+              <Text style={styles.settingItemText}>Notifications</Text>
+            </View>
+            <Ionicons name="chevron-forward" size={20} color={Colors.gray500} />
+          </TouchableOpacity>
+
           <TouchableOpacity 
             style={styles.settingItem}
             onPress={() => router.push('/privacy')}
@@ -153,6 +248,17 @@ const SettingsScreen = () => {
             <Ionicons name="chevron-forward" size={20} color={Colors.gray500} />
           </TouchableOpacity>
 
+          <TouchableOpacity
+            style={styles.settingItem}
+            onPress={() => router.push('/app-lock')}
+          >
+            <View style={styles.settingItemLeft}>
+              <Ionicons name="lock-closed-outline" size={20} color={Colors.white} />
+              <Text style={styles.settingItemText}>Verrouillage</Text>
+            </View>
+            <Ionicons name="chevron-forward" size={20} color={Colors.gray500} />
+          </TouchableOpacity>
+
           <TouchableOpacity 
             style={styles.settingItem}
             onPress={() => {
@@ -175,6 +281,94 @@ const SettingsScreen = () => {
           </TouchableOpacity>
         </View>
 
+        {/* Camera Section */}
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Caméra</Text>
+
+          <View style={styles.settingItem}>
+            <View style={styles.settingItemLeft}>
+              <Ionicons name="person-remove-outline" size={20} color={Colors.white} />
+              <Text style={styles.settingItemText}>Flouter les visages par défaut</Text>
+            </View>
+            <Switch
+              value={anonymiseByDefault}
+              onValueChange={handleAnonymiseToggle}
+              trackColor={{ false: Colors.gray600, true: Colors.accent }}
+              thumbColor={Colors.white}
+            />
+          </View>
+        </View>
+
+        {/* Storage Section */}
+        <View style={styles.section}>
+          <Text style={styles.sectionTitle}>Stockage</Text>
+
+          <View style={styles.settingItem}>
+            <View style={styles.settingItemLeft}>
+              <Ionicons name="server-outline" size={20} color={Colors.white} />
+              <Text style={styles.settingItemText}>Médias en cache</Text>
+            </View>
+            <Text style={styles.versionText}>
+              {storageUsage ? `${formatBytes(storageUsage.totalBytes)} / ${formatBytes(storageUsage.budget)}` : '…'}
+            </Text>
+          </View>
+
+          {storageUsage?.conversations.map(({ conversationId, bytes, files }) => {
+            const name = conversationId
+              ? conversationNames[conversationId] || '…'
+              : 'Autres médias'
+            return (
+              <View key={conversationId || 'other'} style={styles.settingItem}>
+                <View style={styles.storageItemInfo}>
+                  <Text style={styles.storageItemName} numberOfLines={1}>{name}</Text>
+                  <Text style={styles.storageItemSize}>
+                    {formatBytes(bytes)} · {files} fichier{files > 1 ? 's' : ''}
+                  </Text>
+                </View>
+                <TouchableOpacity
+                  style={styles.storageClearButton}
+                  onPress={() => handleClearConversationMedia(conversationId, name)}
+                >
+                  <Text style={styles.storageClearText}>Vider</Text>
+                </TouchableOpacity>
+              </View>
+            )
+          })}
+
+          <Text style={styles.storageLabel}>Taille maximale</Text>
+          <View style={styles.budgetOptions}>
+            {CACHE_BUDGET_OPTIONS.map(budget => {
+              const selected = storageUsage?.budget === budget
+              return (
+                <TouchableOpacity
+                  key={budget}
+                  style={[styles.budgetOption, selected && styles.budgetOptionSelected]}
+                  onPress={() => mediaCacheService.setBudget(budget)}
+                >
+                  <Text style={[styles.budgetOptionText, selected && styles.budgetOptionTextSelected]}>
+                    {formatBytes(budget)}
+                  </Text>
+                </TouchableOpacity>
+              )
+            })}
+          </View>
+          <Text style={styles.storageHint}>
+            Les médias sont chiffrés sur ce téléphone. Les moins récemment consultés sont supprimés au-delà de cette taille.
+          </Text>
+
+          {storageUsage?.files > 0 && (
+            <TouchableOpacity
+              style={styles.settingItem}
+              onPress={handleClearAllMedia}
+            >
+              <View style={styles.settingItemLeft}>
+                <Ionicons name="trash-outline" size={20} color={Colors.fire} />
+                <Text style={styles.settingItemText}>Vider tout le cache</Text>
+              </View>
+            </TouchableOpacity>
+          )}
+        </View>
+
         {/* Legal Section */}
         <View style={styles.section}>
           <Text style={styles.sectionTitle}>Légal</Text>
@@ -399,6 +593,75 @@ const styles = StyleSheet.create({
     fontWeight: Typography.light,
     color: Colors.gray400,
   },
+
+  // Storage
+  storageItemInfo: {
+    flex: 1,
+    marginRight: Spacing.md,
+  },
+  storageItemName: {
+    fontSize: Typography.base,
+    fontWeight: Typography.light,
+    color: Colors.white,
+  },
+  storageItemSize: {
+    fontSize: Typography.sm,
+    fontWeight: Typography.light,
+    color: Colors.gray400,
+    marginTop: 2,
+  },
+  storageClearButton: {
+    paddingVertical: Spacing.xs,
+    paddingHorizontal: Spacing.md,
+    backgroundColor: Colors.gray800,
+    borderRadius: BorderRadius.full,
+  },
+  storageClearText: {
+    fontSize: Typography.sm,
+    fontWeight: Typography.medium,
+    color: Colors.white,
+  },
+  storageLabel: {
+    fontSize: Typography.sm,
+    fontWeight: Typography.light,
+    color: Colors.gray400,
+    marginTop: Spacing.md,
+    marginBottom: Spacing.sm,
+  },
+  budgetOptions: {
+    flexDirection: 'row',
+    gap: Spacing.sm,
+  },
+  budgetOption: {
+    flex: 1,
+    alignItems: 'center',
+    paddingVertical: Spacing.sm,
+    backgroundColor: Colors.gray900,
+    borderRadius: BorderRadius.full,
+    borderWidth: 1,
+    borderColor: Colors.gray800,
+  },
+  budgetOptionSelected: {
+    backgroundColor: Colors.white,
+    borderColor: Colors.white,
+  },
+  budgetOptionText: {
+    fontSize: Typography.sm,
+    fontWeight: Typography.light,
+    color: Colors.white,
+  },
+  budgetOptionTextSelected: {
+    color: Colors.black,
+    fontWeight: Typography.medium,
+  },
+  storageHint: {
+    fontSize: Typography.xs,
+    fontWeight: Typography.light,
+    color: Colors.gray500,
+    marginTop: Spacing.sm,
+    marginBottom: Spacing.md,
+    lineHeight: 16,
+  },
   
   // Danger Section
   dangerSection: {
@@ -0,0 +1,143 @@
+import React, { useEffect, useRef, useState } from 'react'
+import { AppState, Modal, Platform, View, StyleSheet } from 'react-native'
+import * as ScreenCapture from 'expo-screen-capture'
+import { router } from 'expo-router'
+import { Colors } from '../constants/Design'
+import { useAuthContext } from '../context/AuthContext'
+import { appLockService } from '../services/appLockService'
+import AppLockScreen from '../screens/AppLockScreen'
+import DecoyHomeScreen from '../screens/DecoyHomeScreen'
+
+// Pause and resume run one after the other, even when the decoy is left right away
+let accountServicesTransition = Promise.resolve()
+
+// Stop the real account's realtime, presence and notifications for the decoy
+const pauseAccountServices = () => {
+  accountServicesTransition = accountServicesTransition.then(async () => {
+    try {
+      const { realtimeCacheManager } = await import('../services/realtimeCacheManager')
+      const { productionRealtimeService } = await import('../services/productionRealtimeService')
+      const { notificationManager } = await import('../services/notificationManager')
+      realtimeCacheManager.cleanup()
+      productionRealtimeService.cleanup()
+      await notificationManager.cleanup()
+      console.log('🔒 [APP_LOCK] Account services paused for the decoy')
+    } catch (error) {
+      console.error('❌ [APP_LOCK] Failed to pause account services:', error)
+    }
+  })
+}
+
+const resumeAccountServices = (user) => {
+  accountServicesTransition = accountServicesTransition.then(async () => {
+    try {
+      const { realtimeCacheManager } = await import('../services/realtimeCacheManager')
+      const { notificationManager } = await import('../services/notificationManager')
+      await realtimeCacheManager.initialize(user.id)
+      await notificationManager.initialize(user)
+      console.log('🔓 [APP_LOCK] Account services resumed')
+    } catch (error) {
+      console.error('❌ [APP_LOCK] Failed to resume account services:', error)
+    }
+  })
+}
+
+/**
+ * Covers the app with the lock screen while appLockService is locked. The
+ * navigation stack stays mounted underneath so unlocking returns to the same
+ * screen; a Modal is used so the cover also sits above the chat and camera
+ * full screen modals. After the decoy PIN the real stack is unmounted and the
+ * account's realtime and notifications are paused until the next unlock, so
+ * nothing of it runs behind the empty decoy account.
+ * With the lock on, the app is also hidden while in background so the app
+ * switcher snapshot does not show it (blurred natively on iOS, which snapshots
+ * as soon as the app becomes inactive).
+ */
+export const AppLockGate = ({ children }) => {
+  const { user, logout } = useAuthContext()
+  const [lockState, setLockState] = useState(appLockService.getState())
+  const [isBackground, setIsBackground] = useState(false)
+  const lockEnabled = lockState.settings.enabled
+  const isDecoy = lockState.isDecoy
+  const userRef = useRef(user)
+  userRef.current = user
+  const userId = user?.id
+
+  useEffect(() => {
+    const unsubscribe = appLockService.addListener(setLockState)
+    appLockService.init()
+    return unsubscribe
+  }, [])
+
+  useEffect(() => {
+    if (!lockEnabled) return undefined
+
+    const subscription = AppState.addEventListener('change', (nextAppState) => {
+      setIsBackground(nextAppState === 'background')
+    })
+    if (Platform.OS === 'ios') {
+      ScreenCapture.enableAppSwitcherProtectionAsync(1).catch(error => {
+        console.warn('⚠️ [APP_LOCK] App switcher protection unavailable:', error)
+      })
+    }
+
+    return () => {
+      subscription.remove()
+      setIsBackground(false)
+      if (Platform.OS === 'ios') ScreenCapture.disableAppSwitcherProtectionAsync().catch(() => {})
+    }
+  }, [lockEnabled])
+
+  useEffect(() => {
+    if (!isDecoy || !userId) return undefined
+
+    pauseAccountServices()
+    return () => {
+      if (userRef.current?.id === userId) resumeAccountServices(userRef.current)
+    }
+  }, [isDecoy, userId])
+
+  const handleWipe = async () => {
+    try {
+      await logout()
+    } catch (error) {
+      console.error('❌ [APP_LOCK] Logout before wipe failed:', error)
+    }
+    await appLockService.wipe()
+    router.replace('/auth')
+  }
+
+  const overlay = !lockState.isLoaded
+    ? <View style={styles.loading} /> // Nothing visible before the settings are known
+    : lockState.isLocked
+      ? <AppLockScreen onWipe={handleWipe} />
+      : isDecoy
+        ? <DecoyHomeScreen />
+        : isBackground
+          ? <View style={styles.loading} /> // App switcher snapshot
+          : null
+
+  return (
+    <>
+      {!isDecoy && children}
+      <Modal
+        visible={!!overlay}
+        animationType="none"
+        presentationStyle="fullScreen"
+        statusBarTranslucent
+        onRequestClose={() => {}} // Android back button must not dismiss the lock
+      >
+        {overlay}
+      </Modal>
+    </>
+  )
+}
+
+const styles = StyleSheet.create({
+  loading: {
+    flex: 1,
+    backgroundColor: Colors.black,
+  },
+})
+
+export default AppLockGate
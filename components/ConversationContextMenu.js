@@ -1,4 +1,4 @@
-import React, { useEffect, useRef } from 'react'
+import React, { useEffect, useRef, useState } from 'react'
 import {
   View,
   Text,
@@ -12,6 +12,20 @@ import { Colors, Spacing, Typography } from '../constants/Design'
 
 const { width: screenWidth } = Dimensions.get('window')
 
+const HOUR_MS = 60 * 60 * 1000
+const MUTE_OPTIONS = [
+  { label: '1 heure', duration: HOUR_MS },
+  { label: '8 heures', duration: 8 * HOUR_MS },
+  { label: 'Toujours', duration: null }
+]
+
+// mutedUntil: undefined when not muted, null when muted until unmuted
+const formatMutedUntil = (mutedUntil) => {
+  if (mutedUntil === null) return 'Notifications coupées'
+  const time = new Date(mutedUntil).toLocaleTimeString('fr-FR', { hour: '2-digit', minute: '2-digit' })
+  return `Coupées jusqu'à ${time}`
+}
+
 export default function ConversationContextMenu({
   visible,
   position,
@@ -19,10 +33,19 @@ export default function ConversationContextMenu({
   onClose,
   onReport,
   onBlock,
-  onDelete
+  onDelete,
+  mutedUntil,
+  onMute,
+  onUnmute
 }) {
   const fadeAnim = useRef(new Animated.Value(0)).current
   const scaleAnim = useRef(new Animated.Value(0.8)).current
+  const [showMuteOptions, setShowMuteOptions] = useState(false)
+  const isMuted = mutedUntil !== undefined
+
+  useEffect(() => {
+    if (!visible) setShowMuteOptions(false)
+  }, [visible])
 
   useEffect(() => {
     if (visible) {
@@ -71,9 +94,19 @@ export default function ConversationContextMenu({
     onDelete()
   }
 
+  const handleMute = (duration) => {
+    onClose()
+    onMute(duration)
+  }
+
+  const handleUnmute = () => {
+    onClose()
+    onUnmute()
+  }
+
   // Calculate menu position - always below the conversation item
   const menuWidth = 200
-  const menuHeight = 180 // Increased height for 3 options
+  const menuHeight = 230 // Height for 4 options
   
   // Center horizontally, but keep within screen bounds
   let leftPosition = position.x - menuWidth / 2
@@ -118,6 +151,37 @@ export default function ConversationContextMenu({
             {user?.pseudo || 'Utilisateur'}
           </Text>
           
+          {isMuted ? (
+            <TouchableOpacity style={styles.menuItem} onPress={handleUnmute}>
+              <Ionicons name="notifications-outline" size={18} color={Colors.white} />
+              <View style={styles.menuItemContent}>
+                <Text style={styles.menuItemText}>Réactiver</Text>
+                <Text style={styles.menuItemHint}>{formatMutedUntil(mutedUntil)}</Text>
+              </View>
+            </TouchableOpacity>
+          ) : showMuteOptions ? (
+            <View style={styles.muteOptions}>
+              {MUTE_OPTIONS.map(option => (
+                <TouchableOpacity
+                  key={option.label}
+                  style={styles.muteOption}
+                  onPress={() => handleMute(option.duration)}
+                >
+                  <Text style={styles.muteOptionText}>{option.label}</Text>
+                </TouchableOpacity>
+              ))}
+            </View>
+          ) : (
+            <TouchableOpacity style={styles.menuItem} onPress={() => setShowMuteOptions(true)}>
+              <Ionicons name="notifications-off-outline" size={18} color={Colors.white} />
+              <Text style={styles.menuItemText}>
+                Mettre en sourdine
+              </Text>
+            </TouchableOpacity>
+          )}
+
+          <View style={styles.divider} />
+          
           <TouchableOpacity style={styles.menuItem} onPress={handleReport}>
             <Ionicons name="flag-outline" size={18} color={Colors.fire} />
             <Text style={[styles.menuItemText, { color: Colors.fire }]}>
@@ -212,6 +276,32 @@ const styles = StyleSheet.create({
     marginLeft: Spacing.sm,
     flex: 1,
   },
+  menuItemContent: {
+    flex: 1,
+  },
+  menuItemHint: {
+    fontSize: Typography.xs,
+    color: Colors.gray400,
+    marginLeft: Spacing.sm,
+  },
+  muteOptions: {
+    flexDirection: 'row',
+    paddingHorizontal: Spacing.sm,
+    paddingVertical: Spacing.xs,
+  },
+  muteOption: {
+    flex: 1,
+    alignItems: 'center',
+    justifyContent: 'center',
+    minHeight: 36,
+    marginHorizontal: 2,
+    borderRadius: 8,
+    backgroundColor: Colors.gray700,
+  },
+  muteOptionText: {
+    fontSize: Typography.sm,
+    color: Colors.white,
+  },
   divider: {
     height: 1,
     backgroundColor: Colors.gray700,
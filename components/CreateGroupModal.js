@@ -0,0 +1,368 @@
+import React, { useState } from 'react'
+import {
+  Modal,
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  ScrollView,
+  Alert,
+  KeyboardAvoidingView,
+  Platform
+} from 'react-native'
+import { Ionicons } from '@expo/vector-icons'
+import { Colors } from '../constants/Design'
+import { apiManager } from '../services/apiManager'
+import { groupService, isGroupMembersRefusedError } from '../services/groupService'
+
+const MAX_MEMBERS = 31 // Other members, the creator makes 32
+
+export default function CreateGroupModal({
+  visible,
+  onClose,
+  onCreated,
+  currentUser = null,
+  blockedUsers = []
+}) {
+  const [name, setName] = useState('')
+  const [searchQuery, setSearchQuery] = useState('')
+  const [searchResults, setSearchResults] = useState([])
+  const [selectedMembers, setSelectedMembers] = useState([])
+  const [isSearching, setIsSearching] = useState(false)
+  const [isCreating, setIsCreating] = useState(false)
+  const searchTimeoutRef = React.useRef(null)
+
+  // Reset form when modal closes
+  React.useEffect(() => {
+    if (!visible) {
+      setName('')
+      setSearchQuery('')
+      setSearchResults([])
+      setSelectedMembers([])
+    }
+  }, [visible])
+
+  // Cleanup timeout on unmount
+  React.useEffect(() => {
+    return () => {
+      if (searchTimeoutRef.current) {
+        clearTimeout(searchTimeoutRef.current)
+      }
+    }
+  }, [])
+
+  const searchUsers = async (query) => {
+    setIsSearching(true)
+    try {
+      const results = await apiManager.searchUsers(query)
+
+      // Can't add yourself or someone you blocked
+      const filtered = results.filter(user =>
+        user.id !== currentUser?.id && !blockedUsers.includes(String(user.id))
+      )
+      setSearchResults(filtered.slice(0, 10))
+    } catch (error) {
+      console.error('❌ [GROUPS] User search error:', error)
+      setSearchResults([])
+    } finally {
+      setIsSearching(false)
+    }
+  }
+
+  // Handle search input change with debouncing (same as HomeScreen)
+  const handleSearchChange = (text) => {
+    const trimmedText = text.trim()
+    setSearchQuery(text)
+
+    if (searchTimeoutRef.current) {
+      clearTimeout(searchTimeoutRef.current)
+    }
+
+    if (trimmedText.length < 2) {
+      setSearchResults([])
+      return
+    }
+
+    searchTimeoutRef.current = setTimeout(() => {
+      searchUsers(trimmedText)
+    }, 300)
+  }
+
+  const toggleMember = (user) => {
+    setSelectedMembers(prev => {
+      if (prev.some(m => m.id === user.id)) {
+        return prev.filter(m => m.id !== user.id)
+      }
+      if (prev.length >= MAX_MEMBERS) {
+        Alert.alert('Groupe complet', `Un groupe peut contenir jusqu'à ${MAX_MEMBERS + 1} membres.`)
+        return prev
+      }
+      return [...prev, { id: user.id, pseudo: user.pseudo }]
+    })
+  }
+
+  const canCreate = name.trim().length > 0 && selectedMembers.length > 0 && !isCreating
+
+  const handleCreate = async () => {
+    if (!canCreate) return
+
+    setIsCreating(true)
+    try {
+      const group = await groupService.createGroup(name, selectedMembers.map(m => m.id))
+
+      // Members who never accepted messages from the creator are not added
+      const left = selectedMembers.filter(m => !group.members?.some(member => member.id === m.id))
+      if (left.length > 0) {
+        Alert.alert(
+          'Membres non ajoutés',
+          `${left.map(m => m.pseudo).join(', ')} n'${left.length > 1 ? 'ont' : 'a'} pas encore accepté vos messages.`
+        )
+      }
+
+      onCreated?.(group)
+    } catch (error) {
+      console.error('❌ [GROUPS] Failed to create group:', error)
+      if (isGroupMembersRefusedError(error)) {
+        Alert.alert('Groupe non créé', 'Ces personnes doivent d\'abord accepter vos messages avant de rejoindre un groupe.')
+      } else {
+        Alert.alert('Erreur', 'Impossible de créer le groupe. Veuillez réessayer.')
+      }
+    } finally {
+      setIsCreating(false)
+    }
+  }
+
+  return (
+    <Modal
+      visible={visible}
+      animationType="slide"
+      presentationStyle="pageSheet"
+      onRequestClose={onClose}
+    >
+      <KeyboardAvoidingView
+        style={{ flex: 1 }}
+        behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+      >
+        <View style={styles.container}>
+          {/* Header */}
+          <View style={styles.header}>
+            <TouchableOpacity onPress={onClose} style={styles.closeButton}>
+              <Text style={styles.closeButtonText}>Annuler</Text>
+            </TouchableOpacity>
+            <Text style={styles.title}>Nouveau groupe</Text>
+            <TouchableOpacity
+              onPress={handleCreate}
+              style={[styles.submitButton, !canCreate && styles.submitButtonDisabled]}
+              disabled={!canCreate}
+            >
+              <Text style={[styles.submitButtonText, !canCreate && styles.submitButtonTextDisabled]}>
+                {isCreating ? 'Création...' : 'Créer'}
+              </Text>
+            </TouchableOpacity>
+          </View>
+
+          <ScrollView style={styles.content} showsVerticalScrollIndicator={false} keyboardShouldPersistTaps="handled">
+            {/* Group name */}
+            <View style={styles.section}>
+              <Text style={styles.sectionTitle}>Nom du groupe</Text>
+              <TextInput
+                style={styles.input}
+                placeholder="Nom du groupe..."
+                value={name}
+                onChangeText={setName}
+                maxLength={50}
+              />
+            </View>
+
+            {/* Selected members */}
+            {selectedMembers.length > 0 && (
+              <View style={styles.section}>
+                <Text style={styles.sectionTitle}>Membres ({selectedMembers.length})</Text>
+                <View style={styles.chips}>
+                  {selectedMembers.map(member => (
+                    <TouchableOpacity
+                      key={member.id}
+                      style={styles.chip}
+                      onPress={() => toggleMember(member)}
+                    >
+                      <Text style={styles.chipText}>{member.pseudo}</Text>
+                      <Ionicons name="close" size={14} color={Colors.white} />
+                    </TouchableOpacity>
+                  ))}
+                </View>
+              </View>
+            )}
+
+            {/* Member search */}
+            <View style={styles.section}>
+              <Text style={styles.sectionTitle}>Ajouter des membres</Text>
+              <TextInput
+                style={styles.input}
+                placeholder="Rechercher un pseudo..."
+                value={searchQuery}
+                onChangeText={handleSearchChange}
+                autoCapitalize="none"
+              />
+              {isSearching && (
+                <Text style={styles.searchingText}>Recherche en cours...</Text>
+              )}
+              {searchResults.length > 0 && (
+                <View style={styles.searchResults}>
+                  {searchResults.map((user) => {
+                    const isSelected = selectedMembers.some(m => m.id === user.id)
+                    return (
+                      <TouchableOpacity
+                        key={user.id}
+                        style={styles.searchResultItem}
+                        onPress={() => toggleMember(user)}
+                      >
+                        <View style={styles.searchResultMain}>
+                          <Text style={styles.searchResultPseudo}>{user.pseudo}</Text>
+                          {user.age && user.sexe && (
+                            <Text style={styles.searchResultInfo}>{user.age} ans • {user.sexe}</Text>
+                          )}
+                        </View>
+                        <Ionicons
+                          name={isSelected ? 'checkmark-circle' : 'add-circle-outline'}
+                          size={22}
+                          color={isSelected ? Colors.accent : Colors.gray500}
+                        />
+                      </TouchableOpacity>
+                    )
+                  })}
+                </View>
+              )}
+            </View>
+          </ScrollView>
+        </View>
+      </KeyboardAvoidingView>
+    </Modal>
+  )
+}
+
+const styles = {
+  container: {
+    flex: 1,
+    backgroundColor: Colors.white,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingHorizontal: 20,
+    paddingVertical: 15,
+    borderBottomWidth: 1,
+    borderBottomColor: Colors.gray300,
+    backgroundColor: Colors.white,
+  },
+  closeButton: {
+    padding: 5,
+  },
+  closeButtonText: {
+    color: Colors.accent,
+    fontSize: 16,
+    fontWeight: '500',
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: Colors.black,
+    flex: 1,
+    textAlign: 'center',
+    marginHorizontal: 20,
+  },
+  submitButton: {
+    backgroundColor: Colors.accent,
+    paddingHorizontal: 15,
+    paddingVertical: 8,
+    borderRadius: 20,
+  },
+  submitButtonDisabled: {
+    backgroundColor: Colors.gray300,
+  },
+  submitButtonText: {
+    color: Colors.white,
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  submitButtonTextDisabled: {
+    color: Colors.gray500,
+  },
+  content: {
+    flex: 1,
+    paddingHorizontal: 20,
+  },
+  section: {
+    marginVertical: 20,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: Colors.black,
+    marginBottom: 8,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: Colors.gray300,
+    borderRadius: 10,
+    paddingHorizontal: 15,
+    paddingVertical: 12,
+    fontSize: 16,
+    backgroundColor: Colors.white,
+  },
+  chips: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+  },
+  chip: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: Colors.accent,
+    borderRadius: 16,
+    paddingHorizontal: 12,
+    paddingVertical: 6,
+    marginRight: 8,
+    marginBottom: 8,
+  },
+  chipText: {
+    color: Colors.white,
+    fontSize: 14,
+    fontWeight: '500',
+    marginRight: 4,
+  },
+  searchingText: {
+    fontSize: 14,
+    color: Colors.gray500,
+    fontStyle: 'italic',
+    textAlign: 'center',
+    marginTop: 10,
+  },
+  searchResults: {
+    marginTop: 10,
+    borderWidth: 1,
+    borderColor: Colors.gray300,
+    borderRadius: 10,
+    backgroundColor: Colors.white,
+  },
+  searchResultItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 15,
+    borderBottomWidth: 1,
+    borderBottomColor: Colors.gray200,
+    backgroundColor: Colors.white,
+  },
+  searchResultMain: {
+    flex: 1,
+  },
+  searchResultPseudo: {
+    fontSize: 16,
+    fontWeight: '600',
+    color: Colors.black,
+    marginBottom: 2,
+  },
+  searchResultInfo: {
+    fontSize: 14,
+    color: Colors.gray500,
+  },
+}
@@ -0,0 +1,615 @@
+import React, { forwardRef, useCallback, useEffect, useImperativeHandle, useMemo, useRef, useState } from 'react'
+import {
+  KeyboardAvoidingView,
+  Modal,
+  Platform,
+  StyleSheet,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  View
+} from 'react-native'
+import { Gesture, GestureDetector } from 'react-native-gesture-handler'
+import { Ionicons } from '@expo/vector-icons'
+import * as FileSystem from 'expo-file-system/legacy'
+import * as Haptics from 'expo-haptics'
+import * as ImageManipulator from 'expo-image-manipulator'
+import MediaOverlay from './MediaOverlay'
+import { BorderRadius, Colors, Spacing, Typography } from '../constants/Design'
+import { detectFaceRegions, isFaceDetectionAvailable } from '../utils/faceDetection'
+import {
+  BLUR_STROKE_WIDTH,
+  DRAW_COLORS,
+  DRAW_STROKE_WIDTH,
+  STICKER_EMOJIS,
+  REGION_SIZE,
+  STICKER_SIZE,
+  TEXT_SIZE,
+  appendStrokePoint,
+  createOverlay
+} from '../utils/mediaOverlay'
+
+const FLATTEN_WIDTH = 1440 // Output width of an edited photo, optimizeImageForUpload takes it from there
+const FLATTEN_TIMEOUT_MS = 10000
+const BLUR_SOURCE_WIDTH = 24 // Stretched back to full screen, this tiny copy is what blurs
+
+const isBlurItem = (item) => item.type === 'blur' || item.type === 'blurRegion'
+
+// Tiny copy of a photo drawn under blur strokes
+const createBlurSource = async (uri, mirrored = false) => {
+  const result = await ImageManipulator.manipulateAsync(
+    uri,
+    [
+      ...(mirrored ? [{ flip: ImageManipulator.FlipType.Horizontal }] : []),
+      { resize: { width: BLUR_SOURCE_WIDTH } }
+    ],
+    { compress: 0.8, format: ImageManipulator.SaveFormat.JPEG, base64: false }
+  )
+  return result.uri
+}
+
+// Invisible touch area over a sticker or text, drags it around
+const DraggableItem = ({ item, index, frame, onMove }) => {
+  const itemRef = useRef(item)
+  itemRef.current = item
+  const originRef = useRef(null)
+
+  const gesture = useMemo(() => Gesture.Pan()
+    .runOnJS(true)
+    .onStart(() => {
+      originRef.current = { x: itemRef.current.x, y: itemRef.current.y }
+    })
+    .onUpdate((event) => {
+      if (!originRef.current) return
+      onMove(
+        index,
+        Math.min(1, Math.max(0, originRef.current.x + event.translationX / frame.width)),
+        Math.min(1, Math.max(0, originRef.current.y + event.translationY / frame.height))
+      )
+    }), [index, frame, onMove])
+
+  const fontSize = item.size * frame.width
+  const boxHeight = fontSize * 1.3
+  const boxWidth = item.type === 'text' ? Math.max(boxHeight, item.text.length * fontSize * 0.6) : boxHeight
+
+  return (
+    <GestureDetector gesture={gesture}>
+      <View
+        style={[
+          styles.dragHandle,
+          {
+            left: item.x * frame.width - boxWidth / 2,
+            top: item.y * frame.height - boxHeight / 2,
+            width: boxWidth,
+            height: boxHeight
+          }
+        ]}
+      />
+    </GestureDetector>
+  )
+}
+
+/**
+ * Editing layer of the capture preview: freehand drawing, blur brush, emoji stickers and text
+ * Items are kept by the parent (`items` / `onItemsChange`, a state setter); photos are flattened
+ * into a JPEG with `ref.flatten(uri)`, videos send the items as their overlay track.
+ * With `anonymise` on (photos), detected faces get blur regions and a tap adds or removes one;
+ * `onDetectingChange` tells the parent while the faces are not known yet, it must not send then.
+ */
+const MediaEditor = forwardRef(({
+  items,
+  onItemsChange,
+  mediaUri,
+  mediaType,
+  mirrored = false, // Preview shown mirrored (front camera photo)
+  anonymise = false,
+  onAnonymiseChange,
+  onDetectingChange
+}, ref) => {
+  const [frame, setFrame] = useState(null)
+  const [tool, setTool] = useState(null) // 'draw' | 'blur' | null
+  const [color, setColor] = useState(DRAW_COLORS[0])
+  const [pendingItem, setPendingItem] = useState(null)
+  const [previewBlurSource, setPreviewBlurSource] = useState(null)
+  const [showStickers, setShowStickers] = useState(false)
+  const [textDraft, setTextDraft] = useState(null) // Text being typed, null when the input is closed
+  const [flattenJob, setFlattenJob] = useState(null) // { uri, blurSourceUri } while a photo is flattened
+  const [isDetecting, setIsDetecting] = useState(false)
+  const [detectedUri, setDetectedUri] = useState(null) // Photo whose faces were looked for
+
+  const pendingRef = useRef(null)
+  const svgRef = useRef(null)
+  const flattenRequestRef = useRef(null)
+  const flattenLoadsRef = useRef(0)
+
+  const overlay = useMemo(() => createOverlay(items), [items])
+  const isDrawing = tool === 'draw' || tool === 'blur'
+  const canAnonymise = mediaType === 'photo'
+  const regions = items.filter(item => item.type === 'blurRegion')
+  // Until detection settles the faces have no blur region yet
+  const detectionPending = anonymise && canAnonymise && (isDetecting || detectedUri !== mediaUri)
+
+  // Blur strokes preview on photos through a tiny copy of the preview image
+  useEffect(() => {
+    const needsBlur = tool === 'blur' || anonymise || items.some(isBlurItem)
+    if (mediaType !== 'photo' || !mediaUri || previewBlurSource || !needsBlur) return
+    let cancelled = false
+    createBlurSource(mediaUri, mirrored)
+      .then(uri => { if (!cancelled) setPreviewBlurSource(uri) })
+      .catch(error => console.warn('⚠️ [EDITOR] Blur preview unavailable:', error))
+    return () => { cancelled = true }
+  }, [mediaType, mediaUri, mirrored, previewBlurSource, items, tool, anonymise])
+
+  // Anonymise on: blur every detected face; off: drop all regions, manual ones included
+  useEffect(() => {
+    if (!anonymise || !canAnonymise || !mediaUri || !frame) {
+      if (!anonymise) onItemsChange(prev => (prev.some(item => item.type === 'blurRegion')
+        ? prev.filter(item => item.type !== 'blurRegion')
+        : prev))
+      return
+    }
+    let cancelled = false
+    setIsDetecting(true)
+    detectFaceRegions(mediaUri, frame, { mirrored })
+      .then(faces => {
+        if (cancelled) return
+        onItemsChange(prev => [...prev.filter(item => !(item.type === 'blurRegion' && item.auto)), ...faces])
+      })
+      .catch(error => console.warn('⚠️ [EDITOR] Face detection failed:', error))
+      .finally(() => {
+        if (cancelled) return
+        setIsDetecting(false)
+        setDetectedUri(mediaUri)
+      })
+    return () => { cancelled = true }
+  }, [anonymise, canAnonymise, mediaUri, frame, mirrored, onItemsChange])
+
+  useEffect(() => {
+    onDetectingChange?.(detectionPending)
+  }, [detectionPending, onDetectingChange])
+
+  // New capture: drop the previous blur copy
+  useEffect(() => {
+    setPreviewBlurSource(null)
+  }, [mediaUri])
+
+  const handleLayout = useCallback((event) => {
+    const { width, height } = event.nativeEvent.layout
+    setFrame(prev => (prev?.width === width && prev?.height === height) ? prev : { width, height })
+  }, [])
+
+  const drawGesture = useMemo(() => Gesture.Pan()
+    .runOnJS(true)
+    .minDistance(0)
+    .enabled(isDrawing && !!frame)
+    .onBegin((event) => {
+      pendingRef.current = {
+        type: tool === 'blur' ? 'blur' : 'stroke',
+        ...(tool === 'draw' && { color }),
+        width: tool === 'blur' ? BLUR_STROKE_WIDTH : DRAW_STROKE_WIDTH,
+        points: appendStrokePoint([], event.x / frame.width, event.y / frame.height)
+      }
+      setPendingItem(pendingRef.current)
+    })
+    .onUpdate((event) => {
+      const pending = pendingRef.current
+      if (!pending) return
+      const points = appendStrokePoint(pending.points, event.x / frame.width, event.y / frame.height)
+      if (points === pending.points) return
+      pendingRef.current = { ...pending, points }
+      setPendingItem(pendingRef.current)
+    })
+    .onFinalize(() => {
+      const pending = pendingRef.current
+      pendingRef.current = null
+      setPendingItem(null)
+      if (pending) onItemsChange(prev => [...prev, pending])
+    }), [isDrawing, frame, tool, color, onItemsChange])
+
+  // Anonymise: a tap removes the region under it or blurs a new one
+  const regionGesture = useMemo(() => Gesture.Tap()
+    .runOnJS(true)
+    .enabled(anonymise && canAnonymise && !isDrawing && !!frame)
+    .onEnd((event) => {
+      const x = event.x / frame.width
+      const y = event.y / frame.height
+      Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Light)
+      onItemsChange(prev => {
+        const hitIndex = prev.findLastIndex(item => item.type === 'blurRegion' &&
+          ((x - item.x) / (item.w / 2)) ** 2 + ((y - item.y) / (item.h / 2)) ** 2 <= 1)
+        if (hitIndex >= 0) return prev.filter((_, i) => i !== hitIndex)
+        return [...prev, {
+          type: 'blurRegion',
+          x,
+          y,
+          w: REGION_SIZE,
+          h: REGION_SIZE * 1.3 * frame.width / frame.height // Face shaped oval
+        }]
+      })
+    }), [anonymise, canAnonymise, isDrawing, frame, onItemsChange])
+
+  const canvasGesture = useMemo(() => Gesture.Race(drawGesture, regionGesture), [drawGesture, regionGesture])
+
+  const moveItem = useCallback((index, x, y) => {
+    onItemsChange(prev => prev.map((item, i) => (i === index ? { ...item, x, y } : item)))
+  }, [onItemsChange])
+
+  const selectTool = useCallback((nextTool) => {
+    Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Light)
+    setTool(prev => (prev === nextTool ? null : nextTool))
+  }, [])
+
+  const undo = useCallback(() => {
+    Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Light)
+    onItemsChange(prev => prev.slice(0, -1))
+  }, [onItemsChange])
+
+  const addSticker = useCallback((emoji) => {
+    setShowStickers(false)
+    onItemsChange(prev => [...prev, { type: 'sticker', emoji, x: 0.5, y: 0.4, size: STICKER_SIZE }])
+  }, [onItemsChange])
+
+  const commitText = useCallback(() => {
+    const text = textDraft?.trim()
+    setTextDraft(null)
+    if (!text) return
+    onItemsChange(prev => [...prev, { type: 'text', text, color, x: 0.5, y: 0.3, size: TEXT_SIZE }])
+  }, [textDraft, color, onItemsChange])
+
+  const finishFlatten = useCallback((error, uri) => {
+    const request = flattenRequestRef.current
+    flattenRequestRef.current = null
+    setFlattenJob(null)
+    if (!request) return
+    clearTimeout(request.timeout)
+    if (error) request.reject(error)
+    else request.resolve(uri)
+  }, [])
+
+  // Snapshot the photo and its overlay once every image of the composition is loaded
+  const handleFlattenLoad = useCallback(() => {
+    flattenLoadsRef.current -= 1
+    if (flattenLoadsRef.current > 0 || !frame) return
+
+    // Let the native view draw the loaded images before reading it back
+    setTimeout(() => {
+      if (!svgRef.current) {
+        finishFlatten(new Error('Overlay view not mounted'))
+        return
+      }
+      const outputSize = {
+        width: FLATTEN_WIDTH,
+        height: Math.round(FLATTEN_WIDTH * frame.height / frame.width)
+      }
+      svgRef.current.toDataURL(async (base64) => {
+        const pngUri = `${FileSystem.cacheDirectory}overlay_${Date.now()}.png`
+        try {
+          await FileSystem.writeAsStringAsync(pngUri, base64, { encoding: FileSystem.EncodingType.Base64 })
+          const result = await ImageManipulator.manipulateAsync(
+            pngUri,
+            [],
+            { compress: 0.92, format: ImageManipulator.SaveFormat.JPEG, base64: false }
+          )
+          console.log('🎨 [EDITOR] Overlay flattened into the photo')
+          finishFlatten(null, result.uri)
+        } catch (error) {
+          finishFlatten(error)
+        } finally {
+          FileSystem.deleteAsync(pngUri, { idempotent: true }).catch(() => {})
+        }
+      }, outputSize)
+    }, 50)
+  }, [frame, finishFlatten])
+
+  useImperativeHandle(ref, () => ({
+    // Resolves with a JPEG of the photo as shown in the preview, edits included
+    flatten: async (photoUri) => {
+      const hasBlur = items.some(isBlurItem)
+      const blurSourceUri = hasBlur ? await createBlurSource(photoUri) : null
+      setTool(null)
+      return new Promise((resolve, reject) => {
+        const timeout = setTimeout(() => finishFlatten(new Error('Overlay rendering timed out')), FLATTEN_TIMEOUT_MS)
+        flattenRequestRef.current = { resolve, reject, timeout }
+        flattenLoadsRef.current = hasBlur ? 2 : 1
+        setFlattenJob({ uri: photoUri, blurSourceUri })
+      })
+    }
+  }), [items, finishFlatten])
+
+  return (
+    <View style={StyleSheet.absoluteFill} pointerEvents="box-none" onLayout={handleLayout}>
+      <GestureDetector gesture={canvasGesture}>
+        <View style={StyleSheet.absoluteFill} pointerEvents={isDrawing || (anonymise && canAnonymise) ? 'auto' : 'none'}>
+          <MediaOverlay
+            overlay={overlay}
+            pendingItem={pendingItem}
+            blurSourceUri={mediaType === 'photo' ? previewBlurSource : null}
+          />
+          {/* Outline of the anonymised regions, editing only */}
+          {frame && regions.map((region, index) => (
+            <View
+              key={index}
+              pointerEvents="none"
+              style={[
+                styles.regionOutline,
+                {
+                  left: (region.x - region.w / 2) * frame.width,
+                  top: (region.y - region.h / 2) * frame.height,
+                  width: region.w * frame.width,
+                  height: region.h * frame.height,
+                  borderRadius: region.w * frame.width / 2
+                }
+              ]}
+            />
+          ))}
+        </View>
+      </GestureDetector>
+
+      {anonymise && canAnonymise && (
+        <View style={styles.anonymiseHint} pointerEvents="none">
+          <Text style={styles.anonymiseHintText}>
+            {detectionPending
+              ? 'Recherche des visages...'
+              : isFaceDetectionAvailable()
+                ? 'Touchez pour ajouter ou retirer une zone floutée'
+                : 'Détection indisponible : touchez les visages pour les flouter'}
+          </Text>
+        </View>
+      )}
+
+      {/* Stickers and text can be moved when no brush is active */}
+      {!isDrawing && frame && items.map((item, index) => (
+        (item.type === 'sticker' || item.type === 'text') && (
+          <DraggableItem key={index} item={item} index={index} frame={frame} onMove={moveItem} />
+        )
+      ))}
+
+      {/* Same composition with the photo itself, read back into the JPEG */}
+      {flattenJob && (
+        <MediaOverlay
+          ref={svgRef}
+          overlay={overlay}
+          backgroundUri={flattenJob.uri}
+          blurSourceUri={flattenJob.blurSourceUri}
+          onBackgroundLoad={handleFlattenLoad}
+          onBlurSourceLoad={handleFlattenLoad}
+        />
+      )}
+
+      {/* Tools */}
+      <View style={styles.toolbar}>
+        {canAnonymise && (
+          <TouchableOpacity
+            style={[styles.toolButton, anonymise && styles.toolButtonActive]}
+            onPress={() => {
+              Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Light)
+              setTool(null)
+              onAnonymiseChange?.(!anonymise)
+            }}
+          >
+            <Ionicons name={anonymise ? 'person-remove' : 'person-remove-outline'} size={20} color={Colors.white} />
+          </TouchableOpacity>
+        )}
+        <TouchableOpacity
+          style={[styles.toolButton, tool === 'draw' && styles.toolButtonActive]}
+          onPress={() => selectTool('draw')}
+        >
+          <Ionicons name="brush" size={20} color={tool === 'draw' ? color : Colors.white} />
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={[styles.toolButton, tool === 'blur' && styles.toolButtonActive]}
+          onPress={() => selectTool('blur')}
+        >
+          <Ionicons name="eye-off" size={20} color={Colors.white} />
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={styles.toolButton}
+          onPress={() => {
+            setTool(null)
+            setShowStickers(true)
+          }}
+        >
+          <Ionicons name="happy" size={20} color={Colors.white} />
+        </TouchableOpacity>
+        <TouchableOpacity
+          style={styles.toolButton}
+          onPress={() => {
+            setTool(null)
+            setTextDraft('')
+          }}
+        >
+          <Ionicons name="text" size={20} color={Colors.white} />
+        </TouchableOpacity>
+        {items.length > 0 && (
+          <TouchableOpacity style={styles.toolButton} onPress={undo}>
+            <Ionicons name="arrow-undo" size={20} color={Colors.white} />
+          </TouchableOpacity>
+        )}
+
+        {tool === 'draw' && (
+          <View style={styles.colorColumn}>
+            {DRAW_COLORS.map(drawColor => (
+              <TouchableOpacity
+                key={drawColor}
+                style={[
+                  styles.colorDot,
+                  { backgroundColor: drawColor },
+                  drawColor === color && styles.colorDotSelected
+                ]}
+                onPress={() => setColor(drawColor)}
+              />
+            ))}
+          </View>
+        )}
+      </View>
+
+      {/* Sticker picker */}
+      <Modal
+        visible={showStickers}
+        transparent
+        animationType="fade"
+        onRequestClose={() => setShowStickers(false)}
+      >
+        <TouchableOpacity style={styles.backdrop} activeOpacity={1} onPress={() => setShowStickers(false)}>
+          <View style={styles.stickerSheet}>
+            {STICKER_EMOJIS.map(emoji => (
+              <TouchableOpacity key={emoji} style={styles.stickerButton} onPress={() => addSticker(emoji)}>
+                <Text style={styles.stickerEmoji}>{emoji}</Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+        </TouchableOpacity>
+      </Modal>
+
+      {/* Text input */}
+      <Modal
+        visible={textDraft !== null}
+        transparent
+        animationType="fade"
+        onRequestClose={() => setTextDraft(null)}
+      >
+        <KeyboardAvoidingView
+          style={styles.textBackdrop}
+          behavior={Platform.OS === 'ios' ? 'padding' : undefined}
+        >
+          <TextInput
+            style={[styles.textInput, { color }]}
+            value={textDraft || ''}
+            onChangeText={setTextDraft}
+            placeholder="Votre texte"
+            placeholderTextColor={Colors.gray400}
+            autoFocus
+            maxLength={60}
+            returnKeyType="done"
+            onSubmitEditing={commitText}
+          />
+          <View style={styles.textActions}>
+            <TouchableOpacity onPress={() => setTextDraft(null)}>
+              <Text style={styles.textActionCancel}>Annuler</Text>
+            </TouchableOpacity>
+            <TouchableOpacity onPress={commitText}>
+              <Text style={styles.textActionDone}>OK</Text>
+            </TouchableOpacity>
+          </View>
+        </KeyboardAvoidingView>
+      </Modal>
+    </View>
+  )
+})
+
+MediaEditor.displayName = 'MediaEditor'
+
+const styles = StyleSheet.create({
+  dragHandle: {
+    position: 'absolute',
+  },
+  regionOutline: {
+    position: 'absolute',
+    borderWidth: 2,
+    borderStyle: 'dashed',
+    borderColor: 'rgba(255, 255, 255, 0.8)',
+  },
+  anonymiseHint: {
+    position: 'absolute',
+    top: 150,
+    alignSelf: 'center',
+    paddingHorizontal: Spacing.md,
+    paddingVertical: Spacing.xs,
+    borderRadius: BorderRadius.full,
+    backgroundColor: 'rgba(0, 0, 0, 0.7)',
+  },
+  anonymiseHintText: {
+    color: Colors.white,
+    fontSize: Typography.xs,
+  },
+  toolbar: {
+    position: 'absolute',
+    top: 170,
+    right: Spacing.lg,
+    alignItems: 'center',
+    gap: Spacing.sm,
+  },
+  toolButton: {
+    width: 44,
+    height: 44,
+    borderRadius: 22,
+    backgroundColor: 'rgba(0, 0, 0, 0.7)',
+    justifyContent: 'center',
+    alignItems: 'center',
+    borderWidth: 2,
+    borderColor: 'rgba(255, 255, 255, 0.3)',
+  },
+  toolButtonActive: {
+    borderColor: Colors.white,
+  },
+  colorColumn: {
+    marginTop: Spacing.xs,
+    gap: Spacing.sm,
+    alignItems: 'center',
+  },
+  colorDot: {
+    width: 24,
+    height: 24,
+    borderRadius: 12,
+    borderWidth: 2,
+    borderColor: 'rgba(255, 255, 255, 0.5)',
+  },
+  colorDotSelected: {
+    borderColor: Colors.white,
+    transform: [{ scale: 1.2 }],
+  },
+  backdrop: {
+    flex: 1,
+    justifyContent: 'flex-end',
+    backgroundColor: 'rgba(0, 0, 0, 0.4)',
+  },
+  stickerSheet: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    justifyContent: 'center',
+    marginHorizontal: Spacing.lg,
+    marginBottom: 120,
+    paddingVertical: Spacing.sm,
+    backgroundColor: Colors.gray800,
+    borderRadius: 28,
+    borderWidth: 1,
+    borderColor: Colors.gray700,
+  },
+  stickerButton: {
+    width: 56,
+    height: 56,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  stickerEmoji: {
+    fontSize: 34,
+  },
+  textBackdrop: {
+    flex: 1,
+    justifyContent: 'center',
+    paddingHorizontal: Spacing.lg,
+    backgroundColor: 'rgba(0, 0, 0, 0.6)',
+  },
+  textInput: {
+    fontSize: Typography.xxl,
+    fontWeight: Typography.bold,
+    textAlign: 'center',
+    paddingVertical: Spacing.md,
+  },
+  textActions: {
+    flexDirection: 'row',
+    justifyContent: 'space-between',
+    marginTop: Spacing.lg,
+  },
+  textActionCancel: {
+    color: Colors.gray400,
+    fontSize: Typography.base,
+  },
+  textActionDone: {
+    color: Colors.white,
+    fontSize: Typography.base,
+    fontWeight: Typography.semiBold,
+  },
+})
+
+export default MediaEditor
@@ -0,0 +1,164 @@
+import React, { forwardRef, useCallback, useMemo, useState } from 'react'
+import { View, StyleSheet } from 'react-native'
+import Svg, { Defs, Ellipse, Image as SvgImage, Mask, Path, Text as SvgText } from 'react-native-svg'
+import { strokeToPath } from '../utils/mediaOverlay'
+
+// Without a low-resolution copy of the media (videos), blur strokes hide what is under them
+const BLUR_FALLBACK_COLOR = 'rgba(60, 60, 60, 0.97)'
+
+/**
+ * Draws a media overlay (drawings, stickers, text, blur) over the full-screen media frame
+ * - `blurSourceUri`: tiny copy of the photo, stretched under the blur strokes and regions to blur them
+ * - `backgroundUri`: draws the photo itself too, so the Svg (ref) can be snapshotted with toDataURL
+ */
+const MediaOverlay = forwardRef(({
+  overlay,
+  pendingItem = null, // Stroke being drawn, not committed yet
+  backgroundUri = null,
+  blurSourceUri = null,
+  onBackgroundLoad,
+  onBlurSourceLoad,
+  style
+}, ref) => {
+  const [size, setSize] = useState(null)
+
+  const items = useMemo(() => {
+    const committed = overlay?.items || []
+    return pendingItem ? [...committed, pendingItem] : committed
+  }, [overlay, pendingItem])
+
+  const handleLayout = useCallback((event) => {
+    const { width, height } = event.nativeEvent.layout
+    setSize(prev => (prev?.width === width && prev?.height === height) ? prev : { width, height })
+  }, [])
+
+  // Blur brush strokes and anonymised regions (faces) share the blurred copy
+  const blurItems = blurSourceUri ? items.filter(item => item.type === 'blur' || item.type === 'blurRegion') : []
+
+  const renderBlurShape = (item, index, fill) => {
+    const { width, height } = size
+    if (item.type === 'blurRegion') {
+      return (
+        <Ellipse
+          key={index}
+          cx={item.x * width}
+          cy={item.y * height}
+          rx={item.w * width / 2}
+          ry={item.h * height / 2}
+          fill={fill}
+        />
+      )
+    }
+    return (
+      <Path
+        key={index}
+        d={strokeToPath(item.points, width, height)}
+        stroke={fill}
+        strokeWidth={item.width * width}
+        strokeLinecap="round"
+        strokeLinejoin="round"
+        fill="none"
+      />
+    )
+  }
+
+  const renderItem = (item, index) => {
+    const { width, height } = size
+    switch (item.type) {
+      case 'stroke':
+        return (
+          <Path
+            key={index}
+            d={strokeToPath(item.points, width, height)}
+            stroke={item.color}
+            strokeWidth={item.width * width}
+            strokeLinecap="round"
+            strokeLinejoin="round"
+            fill="none"
+          />
+        )
+      case 'blur':
+      case 'blurRegion':
+        // With a blurred copy these are drawn through the mask below
+        return blurSourceUri ? null : renderBlurShape(item, index, BLUR_FALLBACK_COLOR)
+      case 'sticker':
+        return (
+          <SvgText
+            key={index}
+            x={item.x * width}
+            y={item.y * height}
+            fontSize={item.size * width}
+            textAnchor="middle"
+            alignmentBaseline="central"
+          >
+            {item.emoji}
+          </SvgText>
+        )
+      case 'text':
+        return (
+          <SvgText
+            key={index}
+            x={item.x * width}
+            y={item.y * height}
+            fontSize={item.size * width}
+            fontWeight="bold"
+            fill={item.color}
+            stroke="rgba(0, 0, 0, 0.5)"
+            strokeWidth={1}
+            textAnchor="middle"
+            alignmentBaseline="central"
+          >
+            {item.text}
+          </SvgText>
+        )
+      default:
+        return null
+    }
+  }
+
+  return (
+    <View style={[StyleSheet.absoluteFill, style]} pointerEvents="none" onLayout={handleLayout}>
+      {size && (
+        <Svg ref={ref} width={size.width} height={size.height}>
+          {backgroundUri && (
+            <SvgImage
+              href={{ uri: backgroundUri }}
+              x={0}
+              y={0}
+              width={size.width}
+              height={size.height}
+              preserveAspectRatio="xMidYMid slice"
+              onLoad={onBackgroundLoad}
+            />
+          )}
+
+          {blurItems.length > 0 && (
+            <>
+              <Defs>
+                <Mask id="blurMask" x={0} y={0} width={size.width} height={size.height} maskUnits="userSpaceOnUse">
+                  {blurItems.map((item, index) => renderBlurShape(item, index, '#FFFFFF'))}
+                </Mask>
+              </Defs>
+              <SvgImage
+                href={{ uri: blurSourceUri }}
+                x={0}
+                y={0}
+                width={size.width}
+                height={size.height}
+                preserveAspectRatio="xMidYMid slice"
+                mask="url(#blurMask)"
+                onLoad={onBlurSourceLoad}
+              />
+            </>
+          )}
+
+          {items.map(renderItem)}
+        </Svg>
+      )}
+    </View>
+  )
+})
+
+MediaOverlay.displayName = 'MediaOverlay'
+
+export default MediaOverlay
@@ -0,0 +1,31 @@
+import React from 'react'
+import { Ionicons } from '@expo/vector-icons'
+import { Colors } from '../constants/Design'
+
+const STATE_ICONS = {
+  sent: { name: 'checkmark', color: Colors.gray300, label: 'Envoyé' },
+  delivered: { name: 'checkmark-done', color: Colors.white, label: 'Distribué' },
+  opened: { name: 'eye', color: Colors.accent, label: 'Ouvert' },
+  expired: { name: 'flame', color: Colors.gray400, label: 'Expiré' }
+}
+
+/**
+ * Icon of a sent message's state: ✓ sent, ✓✓ delivered, eye opened, flame expired
+ * `color` overrides the state color (e.g. white on a colored badge)
+ */
+const MessageStateIcon = ({ state, size = 16, color, style }) => {
+  const icon = STATE_ICONS[state]
+  if (!icon) return null
+
+  return (
+    <Ionicons
+      name={icon.name}
+      size={size}
+      color={color || icon.color}
+      style={style}
+      accessibilityLabel={icon.label}
+    />
+  )
+}
+
+export default MessageStateIcon
@@ -1,9 +1,10 @@
 /**
  * Notification Settings Component
- * Allows users to manage their push notification preferences
+ * Allows users to manage their push notification preferences, stored on the
+ * server (notification_preferences) so the push Edge Function can apply them
  */
 
-import React, { useEffect, useState } from 'react'
+import React, { useCallback, useEffect, useState } from 'react'
 import {
   Alert,
   StyleSheet,
@@ -14,32 +15,35 @@ import {
 } from 'react-native'
 import { Ionicons } from '@expo/vector-icons'
 import { Colors, Typography, Spacing, BorderRadius } from '../constants/Design'
+import { useAuthContext } from '../context/AuthContext'
 import { notificationIntegration } from '../services/notificationIntegration'
+import { DEFAULT_NOTIFICATION_PREFERENCES, notificationPreferencesService } from '../services/notificationPreferencesService'
 import { pushNotificationService } from '../services/pushNotificationService'
+import { getDeviceTimezone } from '../utils/timeUtils'
+
+const QUIET_HOURS_STEP_MINUTES = 30
+
+// Move an HH:MM time by a number of minutes, wrapping around midnight
+const shiftTime = (time, minutes) => {
+  const [hours, mins] = time.split(':').map(Number)
+  const total = (hours * 60 + mins + minutes + 24 * 60) % (24 * 60)
+  return `${String(Math.floor(total / 60)).padStart(2, '0')}:${String(total % 60).padStart(2, '0')}`
+}
 
 const NotificationSettings = () => {
-  const [settings, setSettings] = useState({
-    messages: true,
-    sounds: true,
-    vibration: true,
-    badges: true
-  })
+  const { user: currentUser } = useAuthContext()
+  const [settings, setSettings] = useState(DEFAULT_NOTIFICATION_PREFERENCES)
   const [permissionStatus, setPermissionStatus] = useState('undetermined')
   const [pushToken, setPushToken] = useState(null)
   const [loading, setLoading] = useState(true)
 
-  useEffect(() => {
-    loadSettings()
-  }, [])
-
-  const loadSettings = async () => {
+  const loadSettings = useCallback(async () => {
     try {
       setLoading(true)
       
-      // Load current settings
-      const currentSettings = notificationIntegration.getNotificationSettings()
-      if (currentSettings) {
-        setSettings(currentSettings)
+      // Load current settings from the server
+      if (currentUser?.id) {
+        setSettings(await notificationPreferencesService.load(currentUser.id))
       }
 
       // Check permission status
@@ -55,18 +59,23 @@ const NotificationSettings = () => {
     } finally {
       setLoading(false)
     }
-  }
+  }, [currentUser?.id])
+
+  useEffect(() => {
+    loadSettings()
+  }, [loadSettings])
 
   const updateSetting = async (key, value) => {
+    const previousSettings = settings
     try {
-      const newSettings = { ...settings, [key]: value }
-      setSettings(newSettings)
+      setSettings({ ...settings, [key]: value })
       
-      await notificationIntegration.updateNotificationSettings(newSettings)
+      await notificationIntegration.updateNotificationSettings({ [key]: value })
       console.log(`📱 [NOTIF_SETTINGS] Updated ${key} to ${value}`)
       
     } catch (error) {
       console.error('❌ [NOTIF_SETTINGS] Error updating setting:', error)
+      setSettings(previousSettings)
       Alert.alert('Erreur', 'Impossible de mettre à jour les paramètres')
     }
   }
@@ -103,7 +112,7 @@ const NotificationSettings = () => {
   const SettingRow = ({ title, description, value, onValueChange, icon }) => (
     <View style={styles.settingRow}>
       <View style={styles.settingLeft}>
-        <Ionicons name={icon} size={24} color={Colors.text} style={styles.settingIcon} />
+        <Ionicons name={icon} size={24} color={Colors.white} style={styles.settingIcon} />
         <View style={styles.settingText}>
           <Text style={styles.settingTitle}>{title}</Text>
           {description && <Text style={styles.settingDescription}>{description}</Text>}
@@ -112,21 +121,44 @@ const NotificationSettings = () => {
       <Switch
         value={value}
         onValueChange={onValueChange}
-        trackColor={{ false: Colors.border, true: Colors.accent }}
-        thumbColor={value ? Colors.white : Colors.textSecondary}
+        trackColor={{ false: Colors.gray600, true: Colors.accent }}
+        thumbColor={value ? Colors.white : Colors.gray400}
       />
     </View>
   )
 
+  const TimeRow = ({ title, value, onChange }) => (
+    <View style={styles.timeRow}>
+      <Text style={styles.settingTitle}>{title}</Text>
+      <View style={styles.timeStepper}>
+        <TouchableOpacity
+          onPress={() => onChange(shiftTime(value, -QUIET_HOURS_STEP_MINUTES))}
+          style={styles.stepperButton}
+          accessibilityLabel={`${title} plus tôt`}
+        >
+          <Ionicons name="chevron-back" size={20} color={Colors.white} />
+        </TouchableOpacity>
+        <Text style={styles.timeValue}>{value}</Text>
+        <TouchableOpacity
+          onPress={() => onChange(shiftTime(value, QUIET_HOURS_STEP_MINUTES))}
+          style={styles.stepperButton}
+          accessibilityLabel={`${title} plus tard`}
+        >
+          <Ionicons name="chevron-forward" size={20} color={Colors.white} />
+        </TouchableOpacity>
+      </View>
+    </View>
+  )
+
   const StatusRow = ({ title, status, onPress, icon, showButton = false }) => (
     <View style={styles.statusRow}>
       <View style={styles.settingLeft}>
-        <Ionicons name={icon} size={24} color={Colors.text} style={styles.settingIcon} />
+        <Ionicons name={icon} size={24} color={Colors.white} style={styles.settingIcon} />
         <View style={styles.settingText}>
           <Text style={styles.settingTitle}>{title}</Text>
           <Text style={[
             styles.statusText,
-            { color: status === 'granted' ? Colors.success : Colors.error }
+            { color: status === 'granted' ? Colors.online : Colors.fire }
           ]}>
             {getStatusText(status)}
           </Text>
@@ -171,7 +203,7 @@ const NotificationSettings = () => {
 
       {pushToken && (
         <View style={styles.infoRow}>
-          <Ionicons name="checkmark-circle" size={24} color={Colors.success} style={styles.settingIcon} />
+          <Ionicons name="checkmark-circle" size={24} color={Colors.online} style={styles.settingIcon} />
           <Text style={styles.infoText}>Appareil enregistré pour les notifications</Text>
         </View>
       )}
@@ -212,6 +244,61 @@ const NotificationSettings = () => {
             icon="radio-button-on-outline"
           />
 
+          <Text style={styles.sectionTitle}>Heures calmes</Text>
+
+          <SettingRow
+            title="Heures calmes"
+            description={`Les notifications arrivent sans son ni vibration sur cette plage (fuseau ${getDeviceTimezone()})`}
+            value={settings.quietHoursEnabled}
+            onValueChange={(value) => updateSetting('quietHoursEnabled', value)}
+            icon="moon-outline"
+          />
+
+          {settings.quietHoursEnabled && (
+            <>
+              <TimeRow
+                title="Début"
+                value={settings.quietHoursStart}
+                onChange={(value) => updateSetting('quietHoursStart', value)}
+              />
+              <TimeRow
+                title="Fin"
+                value={settings.quietHoursEnd}
+                onChange={(value) => updateSetting('quietHoursEnd', value)}
+              />
+            </>
+          )}
+
+          <Text style={styles.sectionTitle}>Contenu</Text>
+
+          <SettingRow
+            title="Masquer les aperçus NSFW"
+            description="Les médias sensibles sont annoncés sans légende ni aperçu"
+            value={settings.muteNsfwPreviews}
+            onValueChange={(value) => updateSetting('muteNsfwPreviews', value)}
+            icon="eye-off-outline"
+          />
+
+          <Text style={styles.sectionTitle}>Discrétion</Text>
+
+          <SettingRow
+            title="Mode discret"
+            description="« Nouvelle activité » s'affiche à la place du pseudo et du type de média"
+            value={settings.discreetMode}
+            onValueChange={(value) => updateSetting('discreetMode', value)}
+            icon="shield-outline"
+          />
+
+          {settings.discreetMode && (
+            <SettingRow
+              title="Masquer le badge"
+              description="Aucun nombre sur l'icône de l'application"
+              value={settings.discreetHideBadge}
+              onValueChange={(value) => updateSetting('discreetHideBadge', value)}
+              icon="ellipse-outline"
+            />
+          )}
+
           <TouchableOpacity onPress={sendTestNotification} style={styles.testButton}>
             <Ionicons name="send-outline" size={20} color={Colors.white} />
             <Text style={styles.testButtonText}>Envoyer une notification de test</Text>
@@ -221,7 +308,7 @@ const NotificationSettings = () => {
 
       {permissionStatus === 'denied' && (
         <View style={styles.deniedContainer}>
-          <Ionicons name="alert-circle-outline" size={48} color={Colors.error} />
+          <Ionicons name="alert-circle-outline" size={48} color={Colors.fire} />
           <Text style={styles.deniedTitle}>Notifications désactivées</Text>
           <Text style={styles.deniedText}>
             Les notifications sont désactivées pour cette application. 
@@ -236,11 +323,12 @@ const NotificationSettings = () => {
 const styles = StyleSheet.create({
   container: {
     flex: 1,
-    backgroundColor: Colors.background,
+    backgroundColor: Colors.black,
   },
   sectionTitle: {
-    ...Typography.h3,
-    color: Colors.text,
+    fontSize: Typography.lg,
+    fontWeight: Typography.semiBold,
+    color: Colors.white,
     marginHorizontal: Spacing.lg,
     marginTop: Spacing.xl,
     marginBottom: Spacing.md,
@@ -251,10 +339,10 @@ const styles = StyleSheet.create({
     justifyContent: 'space-between',
     paddingHorizontal: Spacing.lg,
     paddingVertical: Spacing.md,
-    backgroundColor: Colors.surface,
+    backgroundColor: Colors.gray900,
     marginHorizontal: Spacing.lg,
     marginBottom: Spacing.sm,
-    borderRadius: BorderRadius.md,
+    borderRadius: BorderRadius.base,
   },
   statusRow: {
     flexDirection: 'row',
@@ -262,10 +350,10 @@ const styles = StyleSheet.create({
     justifyContent: 'space-between',
     paddingHorizontal: Spacing.lg,
     paddingVertical: Spacing.md,
-    backgroundColor: Colors.surface,
+    backgroundColor: Colors.gray900,
     marginHorizontal: Spacing.lg,
     marginBottom: Spacing.sm,
-    borderRadius: BorderRadius.md,
+    borderRadius: BorderRadius.base,
   },
   settingLeft: {
     flexDirection: 'row',
@@ -279,17 +367,42 @@ const styles = StyleSheet.create({
     flex: 1,
   },
   settingTitle: {
-    ...Typography.body,
-    color: Colors.text,
+    fontSize: Typography.base,
+    color: Colors.white,
     fontWeight: '600',
   },
   settingDescription: {
-    ...Typography.caption,
-    color: Colors.textSecondary,
+    fontSize: Typography.sm,
+    color: Colors.gray400,
     marginTop: 2,
   },
+  timeRow: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingHorizontal: Spacing.lg,
+    paddingVertical: Spacing.sm,
+    backgroundColor: Colors.gray900,
+    marginHorizontal: Spacing.lg,
+    marginBottom: Spacing.sm,
+    borderRadius: BorderRadius.base,
+  },
+  timeStepper: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  stepperButton: {
+    padding: Spacing.sm,
+  },
+  timeValue: {
+    fontSize: Typography.base,
+    fontWeight: Typography.semiBold,
+    color: Colors.white,
+    minWidth: 56,
+    textAlign: 'center',
+  },
   statusText: {
-    ...Typography.caption,
+    fontSize: Typography.sm,
     fontWeight: '600',
     marginTop: 2,
   },
@@ -300,7 +413,7 @@ const styles = StyleSheet.create({
     borderRadius: BorderRadius.sm,
   },
   actionButtonText: {
-    ...Typography.caption,
+    fontSize: Typography.sm,
     color: Colors.white,
     fontWeight: '600',
   },
@@ -309,14 +422,14 @@ const styles = StyleSheet.create({
     alignItems: 'center',
     paddingHorizontal: Spacing.lg,
     paddingVertical: Spacing.md,
-    backgroundColor: Colors.surface,
+    backgroundColor: Colors.gray900,
     marginHorizontal: Spacing.lg,
     marginBottom: Spacing.sm,
-    borderRadius: BorderRadius.md,
+    borderRadius: BorderRadius.base,
   },
   infoText: {
-    ...Typography.body,
-    color: Colors.success,
+    fontSize: Typography.base,
+    color: Colors.online,
     fontWeight: '500',
   },
   testButton: {
@@ -327,11 +440,11 @@ const styles = StyleSheet.create({
     marginHorizontal: Spacing.lg,
     marginTop: Spacing.lg,
     paddingVertical: Spacing.md,
-    borderRadius: BorderRadius.md,
+    borderRadius: BorderRadius.base,
     gap: Spacing.sm,
   },
   testButtonText: {
-    ...Typography.body,
+    fontSize: Typography.base,
     color: Colors.white,
     fontWeight: '600',
   },
@@ -341,24 +454,25 @@ const styles = StyleSheet.create({
     paddingVertical: Spacing.xl,
     marginHorizontal: Spacing.lg,
     marginTop: Spacing.xl,
-    backgroundColor: Colors.surface,
-    borderRadius: BorderRadius.md,
+    backgroundColor: Colors.gray900,
+    borderRadius: BorderRadius.base,
   },
   deniedTitle: {
-    ...Typography.h3,
-    color: Colors.error,
+    fontSize: Typography.lg,
+    fontWeight: Typography.semiBold,
+    color: Colors.fire,
     marginTop: Spacing.md,
     marginBottom: Spacing.sm,
   },
   deniedText: {
-    ...Typography.body,
-    color: Colors.textSecondary,
+    fontSize: Typography.base,
+    color: Colors.gray400,
     textAlign: 'center',
     lineHeight: 20,
   },
   loadingText: {
-    ...Typography.body,
-    color: Colors.textSecondary,
+    fontSize: Typography.base,
+    color: Colors.gray400,
     textAlign: 'center',
     marginTop: Spacing.xl,
   },
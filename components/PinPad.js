@@ -0,0 +1,180 @@
+import React, { useEffect, useState } from 'react'
+import { View, Text, TouchableOpacity, StyleSheet } from 'react-native'
+import { Ionicons } from '@expo/vector-icons'
+import * as Haptics from 'expo-haptics'
+import { Colors, Spacing, Typography, BorderRadius } from '../constants/Design'
+
+const KEYS = ['1', '2', '3', '4', '5', '6', '7', '8', '9', 'extra', '0', 'delete']
+
+/**
+ * PIN entry with dots and a numeric keypad
+ * Calls onComplete with the PIN once `length` digits are typed, then clears.
+ * `resetKey` clears the dots from the parent, e.g. after a wrong PIN.
+ */
+export const PinPad = ({
+  title,
+  subtitle,
+  error,
+  length = 4,
+  onComplete,
+  extraKey = null, // { icon, label, onPress } shown left of 0
+  resetKey,
+  disabled = false
+}) => {
+  const [pin, setPin] = useState('')
+
+  useEffect(() => {
+    setPin('')
+  }, [resetKey])
+
+  const handleDigit = (digit) => {
+    if (disabled || pin.length >= length) return
+    Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Light)
+
+    const nextPin = pin + digit
+    setPin(nextPin)
+    if (nextPin.length === length) {
+      // Let the last dot render before the parent reacts
+      setTimeout(() => {
+        setPin('')
+        onComplete(nextPin)
+      }, 100)
+    }
+  }
+
+  const handleDelete = () => {
+    if (disabled) return
+    setPin(pin.slice(0, -1))
+  }
+
+  const renderKey = (key) => {
+    if (key === 'extra') {
+      return extraKey ? (
+        <TouchableOpacity
+          key={key}
+          style={styles.key}
+          onPress={extraKey.onPress}
+          disabled={disabled}
+          accessibilityLabel={extraKey.label}
+        >
+          <Ionicons name={extraKey.icon} size={28} color={Colors.white} />
+        </TouchableOpacity>
+      ) : (
+        <View key={key} style={styles.key} />
+      )
+    }
+
+    if (key === 'delete') {
+      return (
+        <TouchableOpacity
+          key={key}
+          style={styles.key}
+          onPress={handleDelete}
+          disabled={disabled || pin.length === 0}
+          accessibilityLabel="Effacer"
+        >
+          <Ionicons name="backspace-outline" size={26} color={pin.length ? Colors.white : Colors.gray700} />
+        </TouchableOpacity>
+      )
+    }
+
+    return (
+      <TouchableOpacity
+        key={key}
+        style={[styles.key, styles.digitKey]}
+        onPress={() => handleDigit(key)}
+        disabled={disabled}
+      >
+        <Text style={styles.digitText}>{key}</Text>
+      </TouchableOpacity>
+    )
+  }
+
+  return (
+    <View style={styles.container}>
+      {title && <Text style={styles.title}>{title}</Text>}
+      {subtitle && <Text style={styles.subtitle}>{subtitle}</Text>}
+
+      <View style={styles.dots}>
+        {Array.from({ length }, (_, index) => (
+          <View key={index} style={[styles.dot, index < pin.length && styles.dotFilled]} />
+        ))}
+      </View>
+
+      <Text style={styles.error}>{error || ' '}</Text>
+
+      <View style={styles.keypad}>
+        {KEYS.map(renderKey)}
+      </View>
+    </View>
+  )
+}
+
+const styles = StyleSheet.create({
+  container: {
+    alignItems: 'center',
+  },
+  title: {
+    fontSize: Typography.xl,
+    fontWeight: Typography.light,
+    color: Colors.white,
+    textAlign: 'center',
+  },
+  subtitle: {
+    fontSize: Typography.sm,
+    color: Colors.gray400,
+    textAlign: 'center',
+    marginTop: Spacing.sm,
+    paddingHorizontal: Spacing.xl,
+  },
+  dots: {
+    flexDirection: 'row',
+    marginTop: Spacing.xl,
+  },
+  dot: {
+    width: 14,
+    height: 14,
+    borderRadius: BorderRadius.full,
+    borderWidth: 1,
+    borderColor: Colors.gray400,
+    marginHorizontal: Spacing.sm,
+  },
+  dotFilled: {
+    backgroundColor: Colors.white,
+    borderColor: Colors.white,
+  },
+  error: {
+    fontSize: Typography.sm,
+    color: Colors.fire,
+    textAlign: 'center',
+    marginTop: Spacing.md,
+    minHeight: 20,
+  },
+  keypad: {
+    flexDirection: 'row',
+    flexWrap: 'wrap',
+    justifyContent: 'center',
+    width: 264,
+    marginTop: Spacing.lg,
+  },
+  key: {
+    width: 72,
+    height: 72,
+    margin: Spacing.sm,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  digitKey: {
+    borderRadius: BorderRadius.full,
+    backgroundColor: Colors.gray900,
+    borderWidth: 1,
+    borderColor: Colors.gray800,
+  },
+  digitText: {
+    fontSize: Typography.xxl,
+    fontWeight: Typography.light,
+    color: Colors.white,
+  },
+})
+
+export default PinPad
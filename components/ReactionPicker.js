@@ -0,0 +1,90 @@
+import React from 'react'
+import {
+  Modal,
+  View,
+  Text,
+  TouchableOpacity,
+  StyleSheet
+} from 'react-native'
+import { Colors, Spacing, Typography } from '../constants/Design'
+import { REACTION_EMOJIS } from '../services/reactionService'
+
+// Emoji row shown on long-press of a received photo/video
+export default function ReactionPicker({ visible, currentEmoji, onSelect, onClose }) {
+  return (
+    <Modal
+      visible={visible}
+      transparent
+      animationType="fade"
+      onRequestClose={onClose}
+    >
+      <TouchableOpacity style={styles.backdrop} activeOpacity={1} onPress={onClose}>
+        <View style={styles.picker}>
+          <View style={styles.emojiRow}>
+            {REACTION_EMOJIS.map(emoji => (
+              <TouchableOpacity
+                key={emoji}
+                style={[styles.emojiButton, emoji === currentEmoji && styles.emojiButtonSelected]}
+                onPress={() => onSelect(emoji)}
+              >
+                <Text style={styles.emoji}>{emoji}</Text>
+              </TouchableOpacity>
+            ))}
+          </View>
+
+          {currentEmoji && (
+            <TouchableOpacity style={styles.removeButton} onPress={() => onSelect(null)}>
+              <Text style={styles.removeButtonText}>Retirer ma réaction</Text>
+            </TouchableOpacity>
+          )}
+        </View>
+      </TouchableOpacity>
+    </Modal>
+  )
+}
+
+const styles = StyleSheet.create({
+  backdrop: {
+    flex: 1,
+    justifyContent: 'flex-end',
+    backgroundColor: 'rgba(0, 0, 0, 0.4)',
+  },
+  picker: {
+    marginHorizontal: Spacing.lg,
+    marginBottom: 120,
+    backgroundColor: Colors.gray800,
+    borderRadius: 28,
+    borderWidth: 1,
+    borderColor: Colors.gray700,
+    paddingVertical: Spacing.sm,
+    paddingHorizontal: Spacing.xs,
+  },
+  emojiRow: {
+    flexDirection: 'row',
+    justifyContent: 'space-around',
+  },
+  emojiButton: {
+    width: 40,
+    height: 40,
+    borderRadius: 20,
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  emojiButtonSelected: {
+    backgroundColor: Colors.gray700,
+  },
+  emoji: {
+    fontSize: 26,
+  },
+  removeButton: {
+    alignItems: 'center',
+    paddingTop: Spacing.sm,
+    marginTop: Spacing.xs,
+    borderTopWidth: 1,
+    borderTopColor: Colors.gray700,
+  },
+  removeButtonText: {
+    color: Colors.gray400,
+    fontSize: Typography.sm,
+  },
+})
@@ -0,0 +1,309 @@
+import React, { useEffect, useMemo, useState } from 'react'
+import {
+  Modal,
+  View,
+  Text,
+  TextInput,
+  TouchableOpacity,
+  ScrollView,
+  Alert,
+  KeyboardAvoidingView,
+  Platform
+} from 'react-native'
+import { Ionicons } from '@expo/vector-icons'
+import { Colors } from '../constants/Design'
+import { useSimpleConversations } from '../hooks/useSimpleConversations'
+import { apiManager } from '../services/apiManager'
+import { blockService } from '../services/blockService'
+
+const MAX_RECIPIENTS = 20
+
+/**
+ * Recipient picker shown from the camera preview.
+ * Lists recent conversations (groups included) and lets the user search for
+ * anyone else. Selected entries are `otherUser`-shaped objects ({ id, pseudo, isGroup? }).
+ */
+export default function RecipientPickerModal({
+  visible,
+  onClose,
+  onConfirm,
+  currentUser = null,
+  initialRecipients = []
+}) {
+  const { conversations } = useSimpleConversations(currentUser?.id)
+  const [selected, setSelected] = useState(initialRecipients)
+  const [searchQuery, setSearchQuery] = useState('')
+  const [searchResults, setSearchResults] = useState([])
+  const [isSearching, setIsSearching] = useState(false)
+  const [blockedUsers, setBlockedUsers] = useState([])
+  const searchTimeoutRef = React.useRef(null)
+
+  useEffect(() => {
+    if (visible) setSelected(initialRecipients)
+  }, [visible, initialRecipients])
+
+  useEffect(() => {
+    blockService.getBlockedUsers()
+      .then(setBlockedUsers)
+      .catch(() => setBlockedUsers([]))
+  }, [])
+
+  // Cleanup timeout on unmount
+  useEffect(() => {
+    return () => {
+      if (searchTimeoutRef.current) {
+        clearTimeout(searchTimeoutRef.current)
+      }
+    }
+  }, [])
+
+  const recentRecipients = useMemo(() => (conversations || [])
+    .map(c => c.otherUser)
+    .filter(u => u?.id && u.id !== currentUser?.id && !blockedUsers.includes(String(u.id))),
+  [conversations, currentUser?.id, blockedUsers])
+
+  const searchUsers = async (query) => {
+    setIsSearching(true)
+    try {
+      const results = await apiManager.searchUsers(query)
+      const filtered = results.filter(user =>
+        user.id !== currentUser?.id && !blockedUsers.includes(String(user.id))
+      )
+      setSearchResults(filtered.slice(0, 10).map(u => ({ id: u.id, pseudo: u.pseudo })))
+    } catch (error) {
+      console.error('❌ [RECIPIENTS] User search error:', error)
+      setSearchResults([])
+    } finally {
+      setIsSearching(false)
+    }
+  }
+
+  // Handle search input change with debouncing (same as HomeScreen)
+  const handleSearchChange = (text) => {
+    const trimmedText = text.trim()
+    setSearchQuery(text)
+
+    if (searchTimeoutRef.current) {
+      clearTimeout(searchTimeoutRef.current)
+    }
+
+    if (trimmedText.length < 2) {
+      setSearchResults([])
+      return
+    }
+
+    searchTimeoutRef.current = setTimeout(() => {
+      searchUsers(trimmedText)
+    }, 300)
+  }
+
+  const isSelected = (recipient) => selected.some(r => r.id === recipient.id)
+
+  const toggleRecipient = (recipient) => {
+    setSelected(prev => {
+      if (prev.some(r => r.id === recipient.id)) {
+        return prev.filter(r => r.id !== recipient.id)
+      }
+      if (prev.length >= MAX_RECIPIENTS) {
+        Alert.alert('Limite atteinte', `Vous pouvez envoyer à ${MAX_RECIPIENTS} destinataires maximum.`)
+        return prev
+      }
+      return [...prev, recipient]
+    })
+  }
+
+  const renderRecipient = (recipient) => (
+    <TouchableOpacity
+      key={recipient.id}
+      style={styles.row}
+      onPress={() => toggleRecipient(recipient)}
+    >
+      <Ionicons
+        name={recipient.isGroup ? 'people' : 'person'}
+        size={18}
+        color={Colors.gray500}
+        style={styles.rowIcon}
+      />
+      <Text style={styles.rowPseudo}>{recipient.pseudo}</Text>
+      <Ionicons
+        name={isSelected(recipient) ? 'checkmark-circle' : 'ellipse-outline'}
+        size={22}
+        color={isSelected(recipient) ? Colors.accent : Colors.gray500}
+      />
+    </TouchableOpacity>
+  )
+
+  const canConfirm = selected.length > 0
+
+  return (
+    <Modal
+      visible={visible}
+      animationType="slide"
+      presentationStyle="pageSheet"
+      onRequestClose={onClose}
+    >
+      <KeyboardAvoidingView
+        style={{ flex: 1 }}
+        behavior={Platform.OS === 'ios' ? 'padding' : 'height'}
+      >
+        <View style={styles.container}>
+          {/* Header */}
+          <View style={styles.header}>
+            <TouchableOpacity onPress={onClose} style={styles.closeButton}>
+              <Text style={styles.closeButtonText}>Annuler</Text>
+            </TouchableOpacity>
+            <Text style={styles.title}>Envoyer à</Text>
+            <TouchableOpacity
+              onPress={() => onConfirm?.(selected)}
+              style={[styles.submitButton, !canConfirm && styles.submitButtonDisabled]}
+              disabled={!canConfirm}
+            >
+              <Text style={[styles.submitButtonText, !canConfirm && styles.submitButtonTextDisabled]}>
+                {selected.length > 1 ? `OK (${selected.length})` : 'OK'}
+              </Text>
+            </TouchableOpacity>
+          </View>
+
+          <ScrollView style={styles.content} showsVerticalScrollIndicator={false} keyboardShouldPersistTaps="handled">
+            {/* Search */}
+            <View style={styles.section}>
+              <TextInput
+                style={styles.input}
+                placeholder="Rechercher un pseudo..."
+                value={searchQuery}
+                onChangeText={handleSearchChange}
+                autoCapitalize="none"
+              />
+              {isSearching && (
+                <Text style={styles.searchingText}>Recherche en cours...</Text>
+              )}
+              {searchResults.length > 0 && (
+                <View style={styles.list}>
+                  {searchResults.map(renderRecipient)}
+                </View>
+              )}
+            </View>
+
+            {/* Recent conversations */}
+            <View style={styles.section}>
+              <Text style={styles.sectionTitle}>Récents</Text>
+              {recentRecipients.length > 0 ? (
+                <View style={styles.list}>
+                  {recentRecipients.map(renderRecipient)}
+                </View>
+              ) : (
+                <Text style={styles.emptyText}>Aucune conversation récente</Text>
+              )}
+            </View>
+          </ScrollView>
+        </View>
+      </KeyboardAvoidingView>
+    </Modal>
+  )
+}
+
+const styles = {
+  container: {
+    flex: 1,
+    backgroundColor: Colors.white,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingHorizontal: 20,
+    paddingVertical: 15,
+    borderBottomWidth: 1,
+    borderBottomColor: Colors.gray300,
+    backgroundColor: Colors.white,
+  },
+  closeButton: {
+    padding: 5,
+  },
+  closeButtonText: {
+    color: Colors.accent,
+    fontSize: 16,
+    fontWeight: '500',
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: Colors.black,
+    flex: 1,
+    textAlign: 'center',
+    marginHorizontal: 20,
+  },
+  submitButton: {
+    backgroundColor: Colors.accent,
+    paddingHorizontal: 15,
+    paddingVertical: 8,
+    borderRadius: 20,
+  },
+  submitButtonDisabled: {
+    backgroundColor: Colors.gray300,
+  },
+  submitButtonText: {
+    color: Colors.white,
+    fontSize: 16,
+    fontWeight: '600',
+  },
+  submitButtonTextDisabled: {
+    color: Colors.gray500,
+  },
+  content: {
+    flex: 1,
+    paddingHorizontal: 20,
+  },
+  section: {
+    marginVertical: 20,
+  },
+  sectionTitle: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: Colors.black,
+    marginBottom: 8,
+  },
+  input: {
+    borderWidth: 1,
+    borderColor: Colors.gray300,
+    borderRadius: 10,
+    paddingHorizontal: 15,
+    paddingVertical: 12,
+    fontSize: 16,
+    backgroundColor: Colors.white,
+  },
+  searchingText: {
+    fontSize: 14,
+    color: Colors.gray500,
+    fontStyle: 'italic',
+    textAlign: 'center',
+    marginTop: 10,
+  },
+  list: {
+    marginTop: 10,
+    borderWidth: 1,
+    borderColor: Colors.gray300,
+    borderRadius: 10,
+    backgroundColor: Colors.white,
+  },
+  row: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 15,
+    borderBottomWidth: 1,
+    borderBottomColor: Colors.gray200,
+  },
+  rowIcon: {
+    marginRight: 10,
+  },
+  rowPseudo: {
+    flex: 1,
+    fontSize: 16,
+    fontWeight: '600',
+    color: Colors.black,
+  },
+  emptyText: {
+    fontSize: 14,
+    color: Colors.gray500,
+  },
+}
@@ -0,0 +1,146 @@
+import React from 'react'
+import {
+  Modal,
+  View,
+  Text,
+  TouchableOpacity,
+  Share
+} from 'react-native'
+import { Ionicons } from '@expo/vector-icons'
+import { Colors } from '../constants/Design'
+
+// Shows a recovery code once: it is not stored in clear anywhere, server or device
+export default function RecoveryCodeModal({ visible, code, onClose }) {
+  const handleShare = async () => {
+    try {
+      await Share.share({ message: `Mon code de récupération NoText : ${code}` })
+    } catch (error) {
+      console.error('❌ [RECOVERY] Share failed:', error)
+    }
+  }
+
+  return (
+    <Modal
+      visible={visible}
+      animationType="slide"
+      presentationStyle="pageSheet"
+      onRequestClose={onClose}
+    >
+      <View style={styles.container}>
+        {/* Header */}
+        <View style={styles.header}>
+          <Text style={styles.title}>Code de récupération</Text>
+        </View>
+
+        <View style={styles.content}>
+          <Ionicons name="key-outline" size={40} color={Colors.accent} style={styles.icon} />
+
+          <Text style={styles.description}>
+            Ce code vous permet de retrouver votre compte sur un nouveau téléphone.
+            Notez-le et gardez-le en lieu sûr : il ne sera plus jamais affiché.
+          </Text>
+
+          <View style={styles.codeContainer}>
+            <Text style={styles.code} selectable>{code}</Text>
+          </View>
+
+          <TouchableOpacity style={styles.shareButton} onPress={handleShare}>
+            <Ionicons name="share-outline" size={18} color={Colors.accent} />
+            <Text style={styles.shareButtonText}>Enregistrer ailleurs</Text>
+          </TouchableOpacity>
+
+          <Text style={styles.warning}>
+            Il ne peut servir qu&apos;une fois. Après une récupération, un nouveau code vous sera donné.
+          </Text>
+        </View>
+
+        <TouchableOpacity style={styles.doneButton} onPress={onClose}>
+          <Text style={styles.doneButtonText}>J&apos;ai noté mon code</Text>
+        </TouchableOpacity>
+      </View>
+    </Modal>
+  )
+}
+
+const styles = {
+  container: {
+    flex: 1,
+    backgroundColor: Colors.white,
+  },
+  header: {
+    alignItems: 'center',
+    paddingHorizontal: 20,
+    paddingVertical: 15,
+    borderBottomWidth: 1,
+    borderBottomColor: Colors.gray300,
+    backgroundColor: Colors.white,
+  },
+  title: {
+    fontSize: 18,
+    fontWeight: '600',
+    color: Colors.black,
+  },
+  content: {
+    flex: 1,
+    alignItems: 'center',
+    paddingHorizontal: 20,
+    paddingTop: 30,
+  },
+  icon: {
+    marginBottom: 20,
+  },
+  description: {
+    fontSize: 16,
+    color: Colors.gray600,
+    textAlign: 'center',
+    lineHeight: 22,
+    marginBottom: 25,
+  },
+  codeContainer: {
+    borderWidth: 1,
+    borderColor: Colors.gray300,
+    borderRadius: 10,
+    paddingHorizontal: 20,
+    paddingVertical: 18,
+    backgroundColor: Colors.gray100,
+    marginBottom: 15,
+  },
+  code: {
+    fontSize: 22,
+    fontWeight: '700',
+    letterSpacing: 2,
+    color: Colors.black,
+    textAlign: 'center',
+  },
+  shareButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    padding: 10,
+    marginBottom: 20,
+  },
+  shareButtonText: {
+    color: Colors.accent,
+    fontSize: 16,
+    fontWeight: '500',
+    marginLeft: 6,
+  },
+  warning: {
+    fontSize: 14,
+    color: Colors.gray500,
+    textAlign: 'center',
+    lineHeight: 20,
+  },
+  doneButton: {
+    backgroundColor: Colors.accent,
+    marginHorizontal: 20,
+    marginBottom: 40,
+    paddingVertical: 15,
+    borderRadius: 25,
+    alignItems: 'center',
+  },
+  doneButtonText: {
+    color: Colors.white,
+    fontSize: 16,
+    fontWeight: '600',
+  },
+}
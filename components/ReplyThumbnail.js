@@ -0,0 +1,88 @@
+import React from 'react'
+import { View, TouchableOpacity, StyleSheet } from 'react-native'
+import { Ionicons } from '@expo/vector-icons'
+import CachedImage from './CachedImage'
+import ThumbnailBlurOverlay from './ThumbnailBlurOverlay'
+import { BorderRadius, Colors } from '../constants/Design'
+import { oneTimeViewService } from '../services/oneTimeViewService'
+import { nsfwViewService } from '../services/nsfwViewService'
+import { getMediaPreviewSource, shouldShowMediaPlaceholder } from '../utils/mediaTypeUtils'
+
+/**
+ * Small preview of the message a reply answers
+ * Follows the HomeScreen blur rules: a received one-time media is blurred once viewed,
+ * a received NSFW media until viewed. `message` null means the original is gone.
+ */
+const ReplyThumbnail = ({ message, currentUserId, onPress, size = 48, style }) => {
+  const isReceiver = !!message && message.receiver_id === currentUserId
+  const wasViewed = !!message && (message.seen === true || !!message.viewed_at)
+
+  const shouldBlurOneTime = isReceiver && !!message.view_once &&
+    (wasViewed || oneTimeViewService.isViewed(message.id))
+  const shouldBlurNsfw = isReceiver && !!message.is_nsfw &&
+    !(wasViewed || nsfwViewService.isViewed(message.id))
+
+  const showPlaceholder = !message || shouldShowMediaPlaceholder(message)
+  const sizeStyle = { width: size, height: size * 1.4 }
+
+  return (
+    <TouchableOpacity
+      style={[styles.container, sizeStyle, style]}
+      onPress={onPress}
+      disabled={!onPress}
+      activeOpacity={0.8}
+    >
+      {showPlaceholder ? (
+        <View style={[styles.placeholder, sizeStyle]}>
+          <Ionicons
+            name={!message ? 'time-outline' : message.media_type === 'video' ? 'videocam' : 'image-outline'}
+            size={18}
+            color={Colors.gray400}
+          />
+        </View>
+      ) : (
+        <CachedImage
+          source={{ uri: getMediaPreviewSource(message) }}
+          style={sizeStyle}
+          contentFit="cover"
+        />
+      )}
+
+      {!showPlaceholder && (shouldBlurOneTime || shouldBlurNsfw) && (
+        <ThumbnailBlurOverlay
+          visible={true}
+          intensity={30}
+          showEyeIcon={shouldBlurOneTime}
+        />
+      )}
+
+      <View style={styles.replyIcon}>
+        <Ionicons name="arrow-undo" size={10} color={Colors.white} />
+      </View>
+    </TouchableOpacity>
+  )
+}
+
+const styles = StyleSheet.create({
+  container: {
+    borderRadius: BorderRadius.sm,
+    borderWidth: 2,
+    borderColor: Colors.white,
+    overflow: 'hidden',
+    backgroundColor: Colors.gray800,
+  },
+  placeholder: {
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  replyIcon: {
+    position: 'absolute',
+    bottom: 2,
+    right: 2,
+    backgroundColor: Colors.blackOverlay,
+    borderRadius: 8,
+    padding: 2,
+  },
+})
+
+export default ReplyThumbnail
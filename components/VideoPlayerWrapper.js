@@ -1,7 +1,9 @@
-import React, { memo, useCallback, useEffect, useRef, useState } from 'react'
+import React, { memo, useCallback, useEffect, useMemo, useRef, useState } from 'react'
 import { View, StyleSheet, ActivityIndicator, Text, TouchableOpacity, Platform } from 'react-native'
 import { Ionicons } from '@expo/vector-icons'
 import CachedVideo from './CachedVideo'
+import MediaOverlay from './MediaOverlay'
+import { parseOverlay } from '../utils/mediaOverlay'
 import { Colors, Typography, Spacing } from '../constants/Design'
 
 /**
@@ -24,7 +26,8 @@ const VideoPlayerWrapper = memo(({
   onVideoEnd = null, // New callback for when video ends
   showControls = false,
   contentFit = 'cover',
-  priority = 'normal'
+  priority = 'normal',
+  overlay = null // messages.media_overlay: edits drawn over the video
 }) => {
   // Debug: Log VideoPlayerWrapper instantiation
   if (__DEV__) {
@@ -39,6 +42,7 @@ const VideoPlayerWrapper = memo(({
   const [currentlyMuted, setCurrentlyMuted] = useState(isMuted)
   const playerRef = useRef(null)
   const maxRetries = 3
+  const parsedOverlay = useMemo(() => parseOverlay(overlay), [overlay])
 
   // Enhanced error handling
   const handleError = useCallback((err) => {
@@ -303,6 +307,8 @@ const VideoPlayerWrapper = memo(({
         priority={priority}
         contentFit={contentFit}
       />
+
+      {parsedOverlay && <MediaOverlay overlay={parsedOverlay} />}
       
       {/* Audio control - positioned at top-right, same height as media type indicator */}
       {showControls && (
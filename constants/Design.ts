@@ -25,6 +25,7 @@ export const Colors = {
   // Special
   fire: '#FF4444', // Only for 🔥 when absolutely needed  
   accent: '#007AFF', // iOS system blue for accents
+  online: '#34C759', // iOS system green, presence dot only
   
   // Blur effects
   blurLight: 'rgba(255, 255, 255, 0.2)',
@@ -135,6 +135,12 @@ export function AuthProvider({ children }) {
             }
           }
 
+          // Device keys for end-to-end encrypted media (created here for accounts older than E2EE)
+          if (currentAuthState.isOnline) {
+            const { mediaEncryptionService } = await import('../services/mediaEncryptionService')
+            await mediaEncryptionService.ensureDeviceKeys(currentUser.id)
+          }
+
           // Initialize notifications for authenticated users
           if (currentAuthState.isOnline) {
             console.log('📱 [AUTH] Initializing notifications for authenticated user:', currentUser.id)
@@ -229,6 +235,10 @@ export function AuthProvider({ children }) {
         // Don't fail login if realtime init fails
       }
 
+      // Device keys for end-to-end encrypted media
+      const { mediaEncryptionService } = await import('../services/mediaEncryptionService')
+      await mediaEncryptionService.ensureDeviceKeys(userData.id)
+
       // For new accounts, notifications are already initialized by RobustDeviceAuthService
       // Just ensure notification manager is aware of the new user
       if (isNewAccount) {
@@ -0,0 +1,407 @@
+// data/localDatabase.js
+// Offline-first local store (SQLite) for conversations, messages, read receipts and pending sends
+//
+// Rows are scoped by owner_id (the signed-in user) so switching accounts never mixes data.
+// Messages keep the server row as JSON; receipts hold read/state updates applied locally
+// (my reads, realtime read events) and are merged on top when rows are read back.
+// sync_cursors remembers, per conversation, the created_at up to which messages are
+// known so messageSyncService only asks Supabase for newer rows.
+
+import AsyncStorage from '@react-native-async-storage/async-storage'
+import * as SQLite from 'expo-sqlite'
+import { mergeMessageState } from '../utils/messageState'
+
+const DATABASE_NAME = 'notext.db'
+const SCHEMA_VERSION = 1
+const MAX_MESSAGES_PER_CONVERSATION = 200
+const LEGACY_CACHE_KEY = 'apiCache' // JSON blob of apiManager caches used before this store
+
+const SCHEMA = `
+CREATE TABLE IF NOT EXISTS conversations (
+  owner_id TEXT NOT NULL,
+  id TEXT NOT NULL,
+  last_message_at INTEGER NOT NULL DEFAULT 0,
+  data TEXT NOT NULL,
+  PRIMARY KEY (owner_id, id)
+);
+
+CREATE TABLE IF NOT EXISTS messages (
+  owner_id TEXT NOT NULL,
+  id TEXT NOT NULL,
+  conversation_id TEXT NOT NULL,
+  sender_id TEXT,
+  receiver_id TEXT,
+  created_at TEXT NOT NULL,
+  created_ms INTEGER NOT NULL,
+  data TEXT NOT NULL,
+  PRIMARY KEY (owner_id, id)
+);
+
+CREATE INDEX IF NOT EXISTS messages_conversation_idx ON messages (owner_id, conversation_id, created_ms);
+
+CREATE TABLE IF NOT EXISTS receipts (
+  owner_id TEXT NOT NULL,
+  message_id TEXT NOT NULL,
+  seen_at TEXT,
+  state TEXT,
+  PRIMARY KEY (owner_id, message_id)
+);
+
+CREATE TABLE IF NOT EXISTS pending_sends (
+  position INTEGER PRIMARY KEY,
+  owner_id TEXT,
+  data TEXT NOT NULL
+);
+
+CREATE TABLE IF NOT EXISTS sync_cursors (
+  owner_id TEXT NOT NULL,
+  conversation_id TEXT NOT NULL,
+  cursor TEXT NOT NULL,
+  PRIMARY KEY (owner_id, conversation_id)
+);
+`
+
+// Peer id for 1:1 messages, conversation id for group messages
+export const getMessageConversationId = (message, ownerId) =>
+  message.conversation_id || (message.sender_id === ownerId ? message.receiver_id : message.sender_id)
+
+// Optimistic rows of backgroundMessageService are not stored, the server row replaces them
+const isStorableMessage = (message) =>
+  !!message?.id && !!message.created_at && !message._isSending && !message._tempId &&
+  !String(message.id).startsWith('temp')
+
+const parseRow = (row) => {
+  try {
+    return JSON.parse(row.data)
+  } catch {
+    return null
+  }
+}
+
+class LocalDatabase {
+  constructor() {
+    this.dbPromise = null
+    this.writeQueue = Promise.resolve() // Writes run one at a time so transactions never interleave
+  }
+
+  open() {
+    if (!this.dbPromise) {
+      this.dbPromise = (async () => {
+        const db = await SQLite.openDatabaseAsync(DATABASE_NAME)
+        await db.execAsync('PRAGMA journal_mode = WAL;')
+
+        const { user_version: version } = await db.getFirstAsync('PRAGMA user_version')
+        if (version < SCHEMA_VERSION) {
+          await db.execAsync(SCHEMA)
+          await db.execAsync(`PRAGMA user_version = ${SCHEMA_VERSION}`)
+
+          // The old whole-map JSON cache is superseded by the tables above
+          await AsyncStorage.removeItem(LEGACY_CACHE_KEY).catch(() => {})
+          console.log('🗃️ [LOCAL_DB] Schema created, version', SCHEMA_VERSION)
+        }
+
+        return db
+      })()
+
+      this.dbPromise.catch(error => {
+        console.error('❌ [LOCAL_DB] Failed to open database:', error)
+        this.dbPromise = null
+      })
+    }
+    return this.dbPromise
+  }
+
+  // A failed write is logged and never rejects: the store is a cache, the server stays the truth
+  write(task) {
+    this.writeQueue = this.writeQueue
+      .then(async () => task(await this.open()))
+      .catch(error => {
+        console.error('❌ [LOCAL_DB] Write failed:', error)
+      })
+    return this.writeQueue
+  }
+
+  // ---- Conversations ---- //
+
+  async getConversations(ownerId) {
+    if (!ownerId) return []
+
+    try {
+      const db = await this.open()
+      const rows = await db.getAllAsync(
+        'SELECT data FROM conversations WHERE owner_id = ? ORDER BY last_message_at DESC',
+        ownerId
+      )
+      return rows.map(parseRow).filter(Boolean)
+    } catch (error) {
+      console.error('❌ [LOCAL_DB] Failed to read conversations:', error)
+      return []
+    }
+  }
+
+  /**
+   * Replace the stored conversation list of a user with the server one
+   */
+  saveConversations(ownerId, conversations) {
+    if (!ownerId || !Array.isArray(conversations)) return Promise.resolve()
+
+    return this.write(async (db) => {
+      await db.withTransactionAsync(async () => {
+        await db.runAsync('DELETE FROM conversations WHERE owner_id = ?', ownerId)
+        for (const conversation of conversations) {
+          if (!conversation?.id) continue
+          const lastMessageAt = Date.parse(conversation.last_message_time || conversation.last_message?.created_at) || 0
+          await db.runAsync(
+            'INSERT OR REPLACE INTO conversations (owner_id, id, last_message_at, data) VALUES (?, ?, ?, ?)',
+            ownerId, String(conversation.id), lastMessageAt, JSON.stringify(conversation)
+          )
+        }
+      })
+    })
+  }
+
+  /**
+   * Forget a conversation and everything stored for it
+   */
+  deleteConversation(ownerId, conversationId) {
+    if (!ownerId || !conversationId) return Promise.resolve()
+
+    return this.write(async (db) => {
+      await db.withTransactionAsync(async () => {
+        await db.runAsync(
+          'DELETE FROM receipts WHERE owner_id = ? AND message_id IN (SELECT id FROM messages WHERE owner_id = ? AND conversation_id = ?)',
+          ownerId, ownerId, conversationId
+        )
+        await db.runAsync('DELETE FROM messages WHERE owner_id = ? AND conversation_id = ?', ownerId, conversationId)
+        await db.runAsync('DELETE FROM conversations WHERE owner_id = ? AND id = ?', ownerId, conversationId)
+        await db.runAsync('DELETE FROM sync_cursors WHERE owner_id = ? AND conversation_id = ?', ownerId, conversationId)
+      })
+    })
+  }
+
+  // ---- Messages ---- //
+
+  /**
+   * Latest messages of a conversation, oldest first, with local receipts applied
+   */
+  async getMessages(ownerId, conversationId, limit = 40) {
+    if (!ownerId || !conversationId) return []
+
+    try {
+      const db = await this.open()
+      const rows = await db.getAllAsync(
+        `SELECT m.data, r.seen_at AS receipt_seen_at, r.state AS receipt_state
+         FROM messages m
+         LEFT JOIN receipts r ON r.owner_id = m.owner_id AND r.message_id = m.id
+         WHERE m.owner_id = ? AND m.conversation_id = ?
+         ORDER BY m.created_ms DESC
+         LIMIT ?`,
+        ownerId, String(conversationId), limit
+      )
+
+      return rows.reverse().map(row => {
+        const message = parseRow(row)
+        if (!message) return null
+        if (row.receipt_seen_at && !message.seen) {
+          message.seen = true
+          message.seen_at = message.seen_at || row.receipt_seen_at
+        }
+        if (row.receipt_state) {
+          message.state = mergeMessageState(message.state || 'sent', row.receipt_state)
+        }
+        return message
+      }).filter(Boolean)
+    } catch (error) {
+      console.error('❌ [LOCAL_DB] Failed to read messages:', error)
+      return []
+    }
+  }
+
+  /**
+   * Upsert server message rows
+   * Fields missing from a row (e.g. reactions on a realtime payload) keep their stored value.
+   * replaceWindow: the rows are the complete latest page of `conversationId`, so stored rows
+   * in that time range that the server no longer returns (expired, deleted) are removed.
+   */
+  saveMessages(ownerId, messages, { conversationId = null, replaceWindow = false } = {}) {
+    const rows = (messages || []).filter(isStorableMessage)
+    if (!ownerId || (rows.length === 0 && !replaceWindow)) return Promise.resolve()
+
+    return this.write(async (db) => {
+      const touched = new Set()
+
+      await db.withTransactionAsync(async () => {
+        if (replaceWindow && conversationId) {
+          const oldest = Math.min(...rows.map(m => Date.parse(m.created_at)))
+          await db.runAsync(
+            `DELETE FROM messages WHERE owner_id = ? AND conversation_id = ? AND created_ms >= ?
+             AND id NOT IN (SELECT value FROM json_each(?))`,
+            ownerId, String(conversationId), Number.isFinite(oldest) ? oldest : 0,
+            JSON.stringify(rows.map(m => String(m.id)))
+          )
+        }
+
+        for (const message of rows) {
+          const messageConversationId = String(conversationId || getMessageConversationId(message, ownerId))
+          touched.add(messageConversationId)
+          await db.runAsync(
+            `INSERT INTO messages (owner_id, id, conversation_id, sender_id, receiver_id, created_at, created_ms, data)
+             VALUES (?, ?, ?, ?, ?, ?, ?, ?)
+             ON CONFLICT (owner_id, id) DO UPDATE SET data = json_patch(messages.data, excluded.data)`,
+            ownerId, String(message.id), messageConversationId,
+            message.sender_id ?? null, message.receiver_id ?? null,
+            message.created_at, Date.parse(message.created_at) || 0, JSON.stringify(message)
+          )
+        }
+
+        // Keep the newest rows of each conversation only
+        for (const id of touched) {
+          await db.runAsync(
+            `DELETE FROM messages WHERE owner_id = ? AND conversation_id = ? AND id NOT IN (
+               SELECT id FROM messages WHERE owner_id = ? AND conversation_id = ? ORDER BY created_ms DESC LIMIT ?
+             )`,
+            ownerId, id, ownerId, id, MAX_MESSAGES_PER_CONVERSATION
+          )
+        }
+      })
+    })
+  }
+
+  deleteMessage(ownerId, messageId) {
+    if (!ownerId || !messageId) return Promise.resolve()
+
+    return this.write(async (db) => {
+      await db.runAsync('DELETE FROM messages WHERE owner_id = ? AND id = ?', ownerId, String(messageId))
+      await db.runAsync('DELETE FROM receipts WHERE owner_id = ? AND message_id = ?', ownerId, String(messageId))
+    })
+  }
+
+  // ---- Receipts ---- //
+
+  markSeen(ownerId, messageIds, seenAt = new Date().toISOString()) {
+    const ids = (messageIds || []).filter(Boolean).map(String)
+    if (!ownerId || ids.length === 0) return Promise.resolve()
+
+    return this.write(async (db) => {
+      await db.withTransactionAsync(async () => {
+        for (const id of ids) {
+          await db.runAsync(
+            `INSERT INTO receipts (owner_id, message_id, seen_at) VALUES (?, ?, ?)
+             ON CONFLICT (owner_id, message_id) DO UPDATE SET seen_at = COALESCE(receipts.seen_at, excluded.seen_at)`,
+            ownerId, id, seenAt
+          )
+        }
+      })
+    })
+  }
+
+  /**
+   * Mark as seen what senderId sent to receiverId up to `before`
+   * senderId may also be a group conversation id (then every member's messages count)
+   */
+  markSeenUpTo(ownerId, { receiverId, senderId, before, seenAt = new Date().toISOString() }) {
+    const cutoff = Date.parse(before)
+    if (!ownerId || !receiverId || !senderId || !Number.isFinite(cutoff)) return Promise.resolve()
+
+    return this.write(async (db) => {
+      await db.runAsync(
+        `INSERT INTO receipts (owner_id, message_id, seen_at)
+         SELECT owner_id, id, ? FROM messages
+         WHERE owner_id = ? AND receiver_id = ? AND (sender_id = ? OR conversation_id = ?) AND created_ms <= ?
+         ON CONFLICT (owner_id, message_id) DO UPDATE SET seen_at = COALESCE(receipts.seen_at, excluded.seen_at)`,
+        seenAt, ownerId, receiverId, senderId, senderId, cutoff
+      )
+    })
+  }
+
+  setMessageState(ownerId, messageId, state) {
+    if (!ownerId || !messageId || !state) return Promise.resolve()
+
+    return this.write(async (db) => {
+      const current = await db.getFirstAsync(
+        'SELECT state FROM receipts WHERE owner_id = ? AND message_id = ?',
+        ownerId, String(messageId)
+      )
+      await db.runAsync(
+        `INSERT INTO receipts (owner_id, message_id, state) VALUES (?, ?, ?)
+         ON CONFLICT (owner_id, message_id) DO UPDATE SET state = excluded.state`,
+        ownerId, String(messageId), mergeMessageState(current?.state || 'sent', state)
+      )
+    })
+  }
+
+  // ---- Sync cursors ---- //
+
+  async getCursor(ownerId, conversationId) {
+    try {
+      const db = await this.open()
+      const row = await db.getFirstAsync(
+        'SELECT cursor FROM sync_cursors WHERE owner_id = ? AND conversation_id = ?',
+        ownerId, String(conversationId)
+      )
+      return row?.cursor || null
+    } catch (error) {
+      console.error('❌ [LOCAL_DB] Failed to read sync cursor:', error)
+      return null
+    }
+  }
+
+  setCursor(ownerId, conversationId, cursor) {
+    if (!ownerId || !conversationId || !cursor) return Promise.resolve()
+
+    return this.write(async (db) => {
+      await db.runAsync(
+        'INSERT OR REPLACE INTO sync_cursors (owner_id, conversation_id, cursor) VALUES (?, ?, ?)',
+        ownerId, String(conversationId), cursor
+      )
+    })
+  }
+
+  // ---- Pending sends ---- //
+
+  async getPendingSends() {
+    try {
+      const db = await this.open()
+      const rows = await db.getAllAsync('SELECT data FROM pending_sends ORDER BY position')
+      return rows.map(parseRow).filter(Boolean)
+    } catch (error) {
+      console.error('❌ [LOCAL_DB] Failed to read pending sends:', error)
+      return []
+    }
+  }
+
+  /**
+   * Replace the stored send queue of backgroundMessageService
+   */
+  savePendingSends(items) {
+    return this.write(async (db) => {
+      await db.withTransactionAsync(async () => {
+        await db.runAsync('DELETE FROM pending_sends')
+        for (const [position, item] of (items || []).entries()) {
+          await db.runAsync(
+            'INSERT INTO pending_sends (position, owner_id, data) VALUES (?, ?, ?)',
+            position, item?.currentUser?.id ?? null, JSON.stringify(item)
+          )
+        }
+      })
+    })
+  }
+
+  // Remove everything, used when the account data is wiped from the device
+  clear() {
+    return this.write(async (db) => {
+      await db.execAsync(`
+        DELETE FROM conversations;
+        DELETE FROM messages;
+        DELETE FROM receipts;
+        DELETE FROM pending_sends;
+        DELETE FROM sync_cursors;
+      `)
+      console.log('🧹 [LOCAL_DB] Local database cleared')
+    })
+  }
+}
+
+// Export singleton instance
+export const localDatabase = new LocalDatabase()
+export default localDatabase
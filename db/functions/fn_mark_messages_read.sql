@@ -11,6 +11,7 @@ create or replace function public.fn_mark_messages_read_by_pair(
    where m.receiver_id = p_receiver_id
      and m.sender_id   = p_sender_id
      and m.created_at <= p_before
+     and m.conversation_id is null -- group rows: see mark_group_messages_read
      and coalesce(m.seen,false) = false
   returning m.id;
 $$ language sql security definer;
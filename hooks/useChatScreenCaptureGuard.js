@@ -1,7 +1,25 @@
 import * as ScreenCapture from 'expo-screen-capture';
+import AsyncStorage from '@react-native-async-storage/async-storage';
 import { useFocusEffect } from 'expo-router';
 import { Platform } from 'react-native';
-import { useCallback } from 'react';
+import { useCallback, useEffect } from 'react';
+import { screenshotService } from '../services/screenshotService';
+
+// Set once the screenshot permission was requested, so the user is asked a single time
+const SCREENSHOT_PERMISSION_ASKED_KEY = '@NoText:screenshotPermissionAsked';
+
+// Android 13 needs READ_MEDIA_IMAGES to detect screenshots: ask the first time a
+// one-time/NSFW message is opened, then respect the answer
+async function ensureScreenshotPermission() {
+  const permission = await ScreenCapture.getPermissionsAsync();
+  if (permission.granted || !permission.canAskAgain) return permission.granted;
+
+  if (await AsyncStorage.getItem(SCREENSHOT_PERMISSION_ASKED_KEY)) return false;
+  await AsyncStorage.setItem(SCREENSHOT_PERMISSION_ASKED_KEY, 'true');
+
+  const { granted } = await ScreenCapture.requestPermissionsAsync();
+  return granted;
+}
 
 export function useChatScreenCaptureGuard() {
   console.log('🟢 [TRACE] useChatScreenCaptureGuard hook');
@@ -17,3 +35,59 @@ export function useChatScreenCaptureGuard() {
     }, [])
   );
 }
+
+// Block screen recordings (and screenshots where the OS allows it) while a received
+// one-time/NSFW message is on screen: recordings cannot be detected on Android, and on
+// iOS the recorded frames show a blank screen instead of the media.
+export function useSensitiveMediaCaptureGuard(message, currentUser) {
+  const isSensitive = !!message?.id &&
+    (message.view_once || message.is_nsfw) &&
+    message.receiver_id === currentUser?.id;
+
+  useEffect(() => {
+    if (!isSensitive) return undefined;
+
+    // Own key so leaving the message does not re-allow captures blocked elsewhere
+    const key = 'sensitive-media';
+    ScreenCapture.preventScreenCaptureAsync(key).catch(error => {
+      console.warn('⚠️ [SCREENSHOT] Screen capture prevention unavailable:', error);
+    });
+    return () => {
+      ScreenCapture.allowScreenCaptureAsync(key).catch(() => {});
+    };
+  }, [isSensitive]);
+}
+
+// Report screenshots taken while a received one-time/NSFW message is on screen.
+// preventScreenCaptureAsync does not stop screenshots everywhere, so the sender is told instead.
+export function useScreenshotDetection(message, currentUser) {
+  const isSensitive = !!message?.id &&
+    (message.view_once || message.is_nsfw) &&
+    message.receiver_id === currentUser?.id;
+
+  useEffect(() => {
+    if (!isSensitive) return undefined;
+
+    let subscription = null;
+    let cancelled = false;
+
+    (async () => {
+      try {
+        const granted = await ensureScreenshotPermission();
+        if (!granted || cancelled) return;
+
+        subscription = ScreenCapture.addScreenshotListener(() => {
+          console.log('📸 [SCREENSHOT] Capture detected on message:', message.id);
+          screenshotService.reportCapture(message, currentUser);
+        });
+      } catch (error) {
+        console.warn('⚠️ [SCREENSHOT] Screenshot detection unavailable:', error);
+      }
+    })();
+
+    return () => {
+      cancelled = true;
+      subscription?.remove();
+    };
+  }, [isSensitive, message, currentUser]);
+}
@@ -0,0 +1,24 @@
+import { useEffect, useState } from 'react'
+import { presenceService } from '../services/presenceService'
+
+// Live presence of a contact ({ online, lastActiveAt, capture }), followed while the component is mounted
+export function usePresence(userId) {
+  const [presence, setPresence] = useState(() => presenceService.getPresence(userId))
+
+  useEffect(() => {
+    setPresence(presenceService.getPresence(userId))
+    if (!userId) return
+
+    const unwatch = presenceService.watch(userId)
+    const removeListener = presenceService.addListener((changedUserId, next) => {
+      if (changedUserId === userId) setPresence(next)
+    })
+
+    return () => {
+      removeListener()
+      unwatch()
+    }
+  }, [userId])
+
+  return presence
+}
@@ -16,7 +16,9 @@
 
 import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
 import { AppState } from 'react-native';
+import { localDatabase } from '../data/localDatabase';
 import { apiManager } from '../services/apiManager';
+import { messageSyncService } from '../services/messageSyncService';
 import { realtimeCacheManager } from '../services/realtimeCacheManager';
 
 // Performance optimization constants
@@ -25,6 +27,32 @@ const BATCH_DEBOUNCE_TIME = 2000;     // EGRESS OPTIMIZATION: Increased to 2 sec
 // PATCH 8: Disable background polling in production, keep for dev
 const BACKGROUND_REFRESH_INTERVAL = __DEV__ ? 120000 : 0; // 2 minutes in dev, disabled in production
 
+// Normalize server-provided seen semantics and add small safety defaults
+// Keep server truth as the source of truth for `seen`. Fallback to last_message.seen
+// if the server didn't include an explicit boolean. Do NOT flip seen based on
+// whether the current user is the sender — that was causing false false->true toggles.
+const normalizeConversation = (c) => {
+  const lm = c.last_message || {};
+  const seen = typeof c.seen === 'boolean' ? c.seen : Boolean(lm.seen);
+
+  return {
+    ...c,
+    seen,
+    // Preserve any explicit flags if the server provides them; otherwise keep sensible defaults
+    seen_by_other: typeof c.seen_by_other === 'boolean' ? c.seen_by_other : false,
+    seen_by_me: typeof c.seen_by_me === 'boolean' ? c.seen_by_me : false,
+    unread_count: Number.isFinite(c.unread_count) ? c.unread_count : 0,
+    has_new_message: Boolean(c.has_new_message) && (c.unread_count ?? 0) > 0
+  };
+};
+
+// Sort by last message date (newest first)
+const sortByLastMessage = (conversations) => [...conversations].sort((a, b) => {
+  const dateA = a.last_message?.created_at ? new Date(a.last_message.created_at) : new Date(0);
+  const dateB = b.last_message?.created_at ? new Date(b.last_message.created_at) : new Date(0);
+  return dateB - dateA;
+});
+
 const useSimpleConversations = (userId) => {
   console.log('🟠 [TRACE] useSimpleConversations called', { userId });
   // State with optimization flags
@@ -126,24 +154,7 @@ const useSimpleConversations = (userId) => {
             }
           }
           
-          // Normalize server-provided seen semantics and add small safety defaults
-          // Keep server truth as the source of truth for `seen`. Fallback to last_message.seen
-          // if the server didn't include an explicit boolean. Do NOT flip seen based on
-          // whether the current user is the sender — that was causing false false->true toggles.
-          const normalizedData = (filteredData || []).map(c => {
-            const lm = c.last_message || {};
-            const seen = typeof c.seen === 'boolean' ? c.seen : Boolean(lm.seen);
-
-            return {
-              ...c,
-              seen,
-              // Preserve any explicit flags if the server provides them; otherwise keep sensible defaults
-              seen_by_other: typeof c.seen_by_other === 'boolean' ? c.seen_by_other : false,
-              seen_by_me: typeof c.seen_by_me === 'boolean' ? c.seen_by_me : false,
-              unread_count: Number.isFinite(c.unread_count) ? c.unread_count : 0,
-              has_new_message: Boolean(c.has_new_message) && (c.unread_count ?? 0) > 0
-            };
-          });
+          const normalizedData = (filteredData || []).map(normalizeConversation);
           // Smart diffing to avoid unnecessary re-renders
           const currentSignature = getConversationSignature(conversations);
           const newSignature = getConversationSignature(normalizedData);
@@ -152,12 +163,7 @@ const useSimpleConversations = (userId) => {
           // Only update UI if there are actual changes and component is mounted
           if (isMountedRef.current && (hasChanges || conversations.length === 0)) {
             // Apply stable sorting to minimize re-rendering
-            const sortedData = [...normalizedData].sort((a, b) => {
-              // Sort by last message date (newest first)
-              const dateA = a.last_message?.created_at ? new Date(a.last_message.created_at) : new Date(0);
-              const dateB = b.last_message?.created_at ? new Date(b.last_message.created_at) : new Date(0);
-              return dateB - dateA;
-            });
+            const sortedData = sortByLastMessage(normalizedData);
             
             setConversations(sortedData);
             // Only update refresh token if not in background to minimize renders
@@ -172,6 +178,9 @@ const useSimpleConversations = (userId) => {
           
           // Mark initial load as completed for optimization purposes
           initialLoadCompletedRef.current = true;
+
+          // Fetch only the messages the offline store misses, off the render path
+          messageSyncService.syncConversations(userId, normalizedData);
           
             return normalizedData;
         } catch (err) {
@@ -324,9 +333,10 @@ const useSimpleConversations = (userId) => {
       setConversations(prevConversations => {
         // Find if this message belongs to an existing conversation
         const messageData = data.message;
-        const otherUserId = messageData.sender_id === userId 
+        const groupId = messageData.conversation_id || null;
+        const otherUserId = groupId || (messageData.sender_id === userId 
           ? messageData.receiver_id 
-          : messageData.sender_id;
+          : messageData.sender_id);
           
         if (__DEV__) {
           console.log('📨 [CONVERSATIONS] Processing new message optimistically:', {
@@ -347,6 +357,9 @@ const useSimpleConversations = (userId) => {
         }
           
         const conversationIndex = prevConversations.findIndex(c => {
+          // Group rows share sender/receiver pairs with 1:1 conversations - match the group only
+          if (groupId || c.is_group) return c.id === groupId;
+
           // Try multiple matching strategies based on the actual conversation structure
           const otherUserMatches = (c.otherUser?.id === otherUserId) ||
                                   (c.other_user_id === otherUserId) ||
@@ -567,6 +580,16 @@ const useSimpleConversations = (userId) => {
     if (userId) {
       // Only fetch if we don't have conversations yet or userId actually changed
       if (conversations.length === 0 || !initialLoadCompletedRef.current) {
+        // Show the offline copy right away, the network result replaces it
+        if (conversations.length === 0) {
+          localDatabase.getConversations(userId).then(stored => {
+            if (!isMountedRef.current || initialLoadCompletedRef.current || stored.length === 0) return;
+            if (__DEV__) console.log(`🗃️ [CONVERSATIONS] Loaded ${stored.length} conversations from the local database`);
+            setConversations(sortByLastMessage(stored.map(normalizeConversation)));
+            setLoading(false);
+          });
+        }
+
         const fetchFn = fetchConversationsRef.current;
         if (fetchFn) {
           fetchFn();
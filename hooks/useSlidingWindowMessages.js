@@ -7,10 +7,12 @@
 import { useCallback, useEffect, useMemo, useRef, useState } from 'react';
 import { apiManager } from '../services/apiManager';
 import { realtimeCacheManager } from '../services/realtimeCacheManager';
+import { applyReaction } from '../services/reactionService';
 import { nsfwViewService } from '../services/nsfwViewService';
 import { backgroundMessageService } from '../services/backgroundMessageService';
-import { messagesCache } from '../data/messagesCache';
+import { localDatabase } from '../data/localDatabase';
 import { chatStore } from '../data/stores/chatStore';
+import { mergeMessageState } from '../utils/messageState';
 
 // Performance constants - optimized for slow devices and Android
 const SLIDING_WINDOW_SIZE = 10;        // Only keep 5 messages in memory
@@ -577,6 +579,27 @@ const useSlidingWindowMessages = (currentUserId, otherUserId, isChatVisible = fa
           }
         }
       } else {
+        // Offline store: render the last known window, then refresh it from the server
+        const stored = await localDatabase.getMessages(currentUserId, otherUserId, SLIDING_WINDOW_SIZE * 4);
+        if (!isMountedRef.current) return;
+
+        const displayable = stored
+          .filter(isValidMessage)
+          .filter(m => !m?.is_nsfw || !nsfwViewService.isViewed(m.id))
+          .sort((a, b) => new Date(a.created_at) - new Date(b.created_at))
+          .slice(-SLIDING_WINDOW_SIZE);
+
+        if (displayable.length > 0) {
+          if (__DEV__) {
+            console.log(`🗃️ [SLIDING] Loaded ${displayable.length} messages from the local database`);
+          }
+          setMessages(displayable);
+          setLoading(false);
+          cacheMessages(displayable);
+          fetchMessages({ forceRefresh: true, silent: true });
+          return;
+        }
+
         if (__DEV__) {
           console.log(`🚀 [SLIDING] No cache available, fetching fresh messages for ${conversationId}`);
         }
@@ -595,7 +618,7 @@ const useSlidingWindowMessages = (currentUserId, otherUserId, isChatVisible = fa
         clearTimeout(debounceTimeoutRef.current);
       }
     };
-  }, [conversationId, getCachedMessages, fetchMessages, cacheKey]);
+  }, [conversationId, currentUserId, otherUserId, getCachedMessages, fetchMessages, cacheMessages, cacheKey]);
 
   // CRITICAL FIX: Handle new messages from realtime with proper read status
   const handleNewMessage = useCallback(async (newMessage) => {
@@ -652,6 +675,10 @@ const useSlidingWindowMessages = (currentUserId, otherUserId, isChatVisible = fa
     if (!conversationId) return;
 
     const handleRealtimeUpdate = (data, eventType) => {
+      // Group rows share sender/receiver pairs with 1:1 chats - only the group's own chat may take them
+      const groupId = data.message?.conversation_id;
+      if (groupId && groupId !== otherUserId) return;
+
       const isRelevant = (
         (data.message?.sender_id === currentUserId && data.message?.receiver_id === otherUserId) ||
         (data.message?.sender_id === otherUserId && data.message?.receiver_id === currentUserId) ||
@@ -708,8 +735,8 @@ const useSlidingWindowMessages = (currentUserId, otherUserId, isChatVisible = fa
             // Update in-memory optimistic store
             try { chatStore.markMessageIdsAsSeenPair(messageIds, recv, snd, seenAt); } catch (_e) {}
 
-            // Update persisted AsyncStorage caches for this pair
-            try { messagesCache.setSeenForPair(currentUserId, otherUserId, messageIds, seenAt); } catch (_e) {}
+            // Update the offline store for this pair
+            if (Array.isArray(messageIds)) localDatabase.markSeen(currentUserId, messageIds, seenAt);
 
             // Update in-memory sliding window messages if they match
             let anyUpdated = false;
@@ -744,7 +771,7 @@ const useSlidingWindowMessages = (currentUserId, otherUserId, isChatVisible = fa
                   }
                   return m;
                 }));
-                try { messagesCache.markUntilTimestampAsSeenPair(recv, snd, cutoff); } catch (_e) {}
+                localDatabase.markSeenUpTo(currentUserId, { receiverId: recv, senderId: snd, before: cutoff, seenAt });
                 try { chatStore.markUntilTimestampAsSeenPair({ receiverId: recv, senderId: snd, beforeISO: cutoff }); } catch (_e) {}
 
                 // Also update local cacheRef for cutoff-based updates
@@ -796,7 +823,12 @@ const useSlidingWindowMessages = (currentUserId, otherUserId, isChatVisible = fa
         // Also trigger a state update to force re-computation of getCachedMessages
         setLastMessageId(data.message.id);
       }
-      
+
+      // Purged one-time/NSFW message: drop it from the window right away
+      if (eventType === 'messageDeleted' && data?.messageId) {
+        setMessages(prev => Array.isArray(prev) ? prev.filter(m => m?.id !== data.messageId) : prev);
+      }
+
       setTimeout(() => {
         pendingOperationsRef.current.delete(eventKey);
       }, 1000);
@@ -826,7 +858,7 @@ const useSlidingWindowMessages = (currentUserId, otherUserId, isChatVisible = fa
             const raw = data?.message ?? data;
             // Only treat as a real message if it has the required shape
             if (isValidMessage(raw)) {
-              const otherId = (raw.sender_id === currentUserId) ? raw.receiver_id : raw.sender_id;
+              const otherId = raw.conversation_id || ((raw.sender_id === currentUserId) ? raw.receiver_id : raw.sender_id);
               if (otherId && typeof realtimeCacheManager.updateMessageCacheWithNewMessage === 'function') {
                 realtimeCacheManager.updateMessageCacheWithNewMessage(raw, otherId);
                 if (__DEV__) console.log(`📌 [SLIDING] Performed in-place cache update for new message ${raw.id}`);
@@ -1073,6 +1105,38 @@ const useSlidingWindowMessages = (currentUserId, otherUserId, isChatVisible = fa
       });
     };
 
+    // Per-member read receipts on my group messages
+    const handleGroupReceipt = ({ conversationId: groupId, groupMessageId, receipt } = {}) => {
+      if (groupId !== otherUserId || !groupMessageId || !receipt) return;
+      setMessages(prev => Array.isArray(prev) ? prev.map(m => {
+        if (!m || m.id !== groupMessageId) return m;
+        const receipts = (m.receipts || []).filter(r => r.user_id !== receipt.user_id).concat(receipt);
+        return { ...m, receipts, seen: receipts.every(r => r.seen) };
+      }) : prev);
+    };
+
+    const handleScreenshot = ({ conversationId: peerId, messageId, screenshotAt } = {}) => {
+      if (peerId !== otherUserId || !messageId) return;
+      setMessages(prev => Array.isArray(prev) ? prev.map(m =>
+        m && m.id === messageId ? { ...m, screenshot_at: screenshotAt } : m
+      ) : prev);
+    };
+
+    // My message was delivered, opened or expired on the receiver's device
+    const handleMessageState = ({ conversationId: peerId, messageId, state } = {}) => {
+      if (peerId !== otherUserId || !messageId || !state) return;
+      setMessages(prev => Array.isArray(prev) ? prev.map(m =>
+        m && m.id === messageId ? { ...m, state: mergeMessageState(m.state, state) } : m
+      ) : prev);
+    };
+
+    const handleReaction = ({ conversationId: peerId, messageId, userId, reaction } = {}) => {
+      if (peerId !== otherUserId || !messageId || !userId) return;
+      setMessages(prev => Array.isArray(prev) ? prev.map(m =>
+        m && m.id === messageId ? applyReaction(m, userId, reaction) : m
+      ) : prev);
+    };
+
     backgroundMessageService.on('optimisticMessageAdded', handleOptimisticUpdate);
     backgroundMessageService.on('messageStatusUpdate', handleOptimisticUpdate);
     backgroundMessageService.on('optimisticMessageReplaced', handleOptimisticReplaced);
@@ -1081,6 +1145,10 @@ const useSlidingWindowMessages = (currentUserId, otherUserId, isChatVisible = fa
 
     // CRITICAL FIX: Also listen to realtimeCacheManager events for optimistic messages
     realtimeCacheManager.on('optimisticMessageReplaced', handleOptimisticReplaced);
+    realtimeCacheManager.on('groupReceiptUpdated', handleGroupReceipt);
+    realtimeCacheManager.on('messageScreenshotted', handleScreenshot);
+    realtimeCacheManager.on('messageStateUpdated', handleMessageState);
+    realtimeCacheManager.on('messageReaction', handleReaction);
 
     return () => {
       backgroundMessageService.off('optimisticMessageAdded', handleOptimisticUpdate);
@@ -1089,6 +1157,10 @@ const useSlidingWindowMessages = (currentUserId, otherUserId, isChatVisible = fa
       backgroundMessageService.off('messageCancelled', handleOptimisticUpdate);
       backgroundMessageService.off('messageCleanup', handleOptimisticUpdate);
       realtimeCacheManager.off('optimisticMessageReplaced', handleOptimisticReplaced);
+      realtimeCacheManager.off('groupReceiptUpdated', handleGroupReceipt);
+      realtimeCacheManager.off('messageScreenshotted', handleScreenshot);
+      realtimeCacheManager.off('messageStateUpdated', handleMessageState);
+      realtimeCacheManager.off('messageReaction', handleReaction);
     };
   }, [cacheKey, currentUserId, otherUserId, fetchMessages, cacheMessages]);
 
@@ -1362,6 +1434,106 @@ const useSlidingWindowMessages = (currentUserId, otherUserId, isChatVisible = fa
     }, 100);
   }, [cacheMessages, fetchMessages]);
 
+  // Originals of replies outside the window: id -> message, null once known to be gone
+  const [replyTargets, setReplyTargets] = useState({});
+
+  // A reply points at messages.id (1:1) or at the original's group_message_id (groups)
+  const findInWindow = useCallback((replyToMessageId) => (
+    messagesRef.current.find(m => m && (m.id === replyToMessageId || m.group_message_id === replyToMessageId)) || null
+  ), []);
+
+  // Load the originals of the replies in the window so they can show a preview
+  useEffect(() => {
+    if (!currentUserId) return;
+    const missing = [...new Set(messages
+      .map(m => m?.reply_to_message_id)
+      .filter(id => id && !(id in replyTargets) && !findInWindow(id)))];
+    if (missing.length === 0) return;
+
+    let cancelled = false;
+    Promise.all(missing.map(id =>
+      apiManager.getReplyTarget(currentUserId, id).catch(err => {
+        console.warn('⚠️ [SLIDING] Failed to load reply original:', id, err?.message || err);
+        return null;
+      })
+    )).then(results => {
+      if (cancelled || !isMountedRef.current) return;
+      setReplyTargets(prev => {
+        const next = { ...prev };
+        missing.forEach((id, i) => { next[id] = results[i]; });
+        return next;
+      });
+    });
+
+    return () => { cancelled = true; };
+  }, [messages, replyTargets, currentUserId, findInWindow]);
+
+  // Original of a reply: undefined while loading, null when it is gone
+  const getReplyTarget = useCallback((replyToMessageId) => {
+    if (!replyToMessageId) return undefined;
+    const inWindow = messages.find(m => m && (m.id === replyToMessageId || m.group_message_id === replyToMessageId));
+    return inWindow || replyTargets[replyToMessageId];
+  }, [messages, replyTargets]);
+
+  // Bring the original of a reply into the window, loading the messages around it when
+  // it is older than the window. Resolves to its id in the window, null when it is gone.
+  const jumpToMessage = useCallback(async (replyToMessageId) => {
+    if (!currentUserId || !otherUserId || !replyToMessageId) return null;
+
+    const inWindow = findInWindow(replyToMessageId);
+    if (inWindow) return inWindow.id;
+
+    try {
+      const target = replyTargets[replyToMessageId] !== undefined
+        ? replyTargets[replyToMessageId]
+        : await apiManager.getReplyTarget(currentUserId, replyToMessageId);
+      if (!target) return null;
+
+      // getMessages overwrites the pair-level cache with its page, keep the latest messages there
+      const pairKey = `messages_currentUserId:${currentUserId}|otherUserId:${otherUserId}`;
+      const latestCached = apiManager.getFromCache(pairKey);
+
+      const half = Math.floor(SLIDING_WINDOW_SIZE / 2);
+      // `after` is exclusive: start just before the original so it comes with the newer half
+      const justBefore = new Date(new Date(target.created_at).getTime() - 1).toISOString();
+      const [older, newer] = await Promise.all([
+        apiManager.getMessages(currentUserId, otherUserId, {
+          limit: half,
+          orderBy: 'created_at',
+          orderDirection: 'desc',
+          before: target.created_at
+        }),
+        apiManager.getMessages(currentUserId, otherUserId, {
+          limit: SLIDING_WINDOW_SIZE - half,
+          orderBy: 'created_at',
+          orderDirection: 'asc',
+          after: justBefore
+        })
+      ]);
+
+      if (Array.isArray(latestCached)) {
+        apiManager.setCache(pairKey, latestCached);
+      }
+
+      const around = dedupeMessages([...(older || []), ...(newer || [])].filter(isValidMessage));
+      around.sort((a, b) => new Date(a.created_at) - new Date(b.created_at));
+
+      // A viewed NSFW original is filtered out of the chat like everywhere else
+      const found = around.find(m => m.id === replyToMessageId || m.group_message_id === replyToMessageId);
+      if (!found) return null;
+
+      if (isMountedRef.current) {
+        console.log(`↩️ [SLIDING] Jumped to reply original ${found.id}, window of ${around.length} messages`);
+        // Not cached: the next open starts again from the latest messages
+        setMessages(around);
+      }
+      return found.id;
+    } catch (err) {
+      console.error('❌ [SLIDING] Error jumping to reply original:', err);
+      return null;
+    }
+  }, [currentUserId, otherUserId, findInWindow, replyTargets]);
+
   // Enhanced return API with additional validation
   const safeMessages = useMemo(() => {
     return combinedMessages.filter(isValidMessage);
@@ -1375,6 +1547,8 @@ const useSlidingWindowMessages = (currentUserId, otherUserId, isChatVisible = fa
     sendMessage,
     markAsRead,
     removeNsfwMessage,
+    getReplyTarget,
+    jumpToMessage,
     // Additional sliding window specific properties
     windowSize: SLIDING_WINDOW_SIZE,
     isWindowFull: safeMessages.length >= SLIDING_WINDOW_SIZE,
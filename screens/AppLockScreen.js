@@ -0,0 +1,114 @@
+import React, { useCallback, useEffect, useState } from 'react'
+import { View, Text, StyleSheet } from 'react-native'
+import { Ionicons } from '@expo/vector-icons'
+import * as Haptics from 'expo-haptics'
+import { Colors, Spacing, Typography } from '../constants/Design'
+import { PinPad } from '../components/PinPad'
+import { PIN_LENGTH, UnlockResult, appLockService } from '../services/appLockService'
+import { getSafeAreaTop } from '../utils/responsive'
+
+const formatDelay = (seconds) => (seconds < 60 ? `${seconds} s` : `${Math.ceil(seconds / 60)} min`)
+
+/**
+ * Lock screen shown by AppLockGate over the whole app
+ * onWipe is called once the wrong PIN limit is reached
+ */
+export default function AppLockScreen({ onWipe }) {
+  const { biometricEnabled } = appLockService.getSettings()
+  const [error, setError] = useState(null)
+  const [attempt, setAttempt] = useState(0)
+  const [checking, setChecking] = useState(false)
+  const [retryDelay, setRetryDelay] = useState(() => appLockService.getRetryDelay())
+
+  // Count down the wait imposed after repeated wrong PINs
+  useEffect(() => {
+    if (retryDelay <= 0) return undefined
+    const timer = setTimeout(() => setRetryDelay(appLockService.getRetryDelay()), 1000)
+    return () => clearTimeout(timer)
+  }, [retryDelay])
+
+  const handleBiometrics = useCallback(() => {
+    appLockService.unlockWithBiometrics()
+  }, [])
+
+  // Offer Face ID / fingerprint right away
+  useEffect(() => {
+    if (biometricEnabled) handleBiometrics()
+  }, [biometricEnabled, handleBiometrics])
+
+  const handlePin = async (pin) => {
+    setChecking(true)
+    try {
+      const result = await appLockService.verifyPin(pin)
+
+      if (result === UnlockResult.WIPE) {
+        Haptics.notificationAsync(Haptics.NotificationFeedbackType.Error)
+        await onWipe()
+        return
+      }
+
+      if (result === UnlockResult.INVALID) {
+        Haptics.notificationAsync(Haptics.NotificationFeedbackType.Error)
+        const remaining = appLockService.getRemainingAttempts()
+        setError(remaining === null
+          ? 'Code incorrect'
+          : `Code incorrect, encore ${remaining} essai${remaining > 1 ? 's' : ''} avant l'effacement des données`)
+      }
+
+      if (result === UnlockResult.INVALID || result === UnlockResult.WAIT) {
+        setRetryDelay(appLockService.getRetryDelay())
+        setAttempt(count => count + 1)
+      }
+    } catch (lockError) {
+      console.error('❌ [APP_LOCK] PIN check failed:', lockError)
+      setError('Vérification impossible, réessayez')
+    } finally {
+      setChecking(false)
+    }
+  }
+
+  return (
+    <View style={styles.container}>
+      <View style={styles.header}>
+        <Ionicons name="lock-closed-outline" size={32} color={Colors.white} />
+      </View>
+
+      <PinPad
+        title="NoText est verrouillé"
+        subtitle="Saisissez votre code"
+        error={retryDelay > 0 ? `Trop d'essais, réessayez dans ${formatDelay(retryDelay)}` : error}
+        length={PIN_LENGTH}
+        onComplete={handlePin}
+        resetKey={attempt}
+        disabled={checking || retryDelay > 0}
+        extraKey={biometricEnabled ? {
+          icon: 'finger-print',
+          label: 'Déverrouiller avec la biométrie',
+          onPress: handleBiometrics
+        } : null}
+      />
+
+      <Text style={styles.footer}>Code oublié ? Votre code de récupération permet de retrouver le compte sur un autre téléphone.</Text>
+    </View>
+  )
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: Colors.black,
+    alignItems: 'center',
+    justifyContent: 'center',
+    paddingTop: getSafeAreaTop(),
+  },
+  header: {
+    marginBottom: Spacing.lg,
+  },
+  footer: {
+    fontSize: Typography.xs,
+    color: Colors.gray500,
+    textAlign: 'center',
+    marginTop: Spacing.xl,
+    paddingHorizontal: Spacing.xl,
+  },
+})
@@ -0,0 +1,443 @@
+import { Ionicons } from '@expo/vector-icons'
+import * as Haptics from 'expo-haptics'
+import { router } from 'expo-router'
+import { useEffect, useState } from 'react'
+import {
+    Alert,
+    Modal,
+    ScrollView,
+    StatusBar,
+    StyleSheet,
+    Switch,
+    Text,
+    TouchableOpacity,
+    View
+} from 'react-native'
+import { PinPad } from '../components/PinPad'
+import { BorderRadius, Colors, Spacing, Typography } from '../constants/Design'
+import {
+    LOCK_DELAY_OPTIONS,
+    PIN_LENGTH,
+    WIPE_AFTER_OPTIONS,
+    appLockService
+} from '../services/appLockService'
+import { getSafeAreaTop } from '../utils/responsive'
+
+const formatLockDelay = (seconds) => {
+  if (seconds === 0) return 'Immédiatement'
+  if (seconds < 60) return `Après ${seconds} secondes`
+  return `Après ${seconds / 60} minute${seconds >= 120 ? 's' : ''}`
+}
+
+const formatWipeAfter = (attempts) =>
+  attempts === 0 ? 'Jamais' : `Après ${attempts} codes erronés`
+
+// Steps of each PIN flow shown in the modal
+const PIN_FLOWS = {
+  enable: ['new', 'confirm'],
+  change: ['current', 'new', 'confirm'],
+  disable: ['current'],
+  decoy: ['current', 'new', 'confirm']
+}
+
+const PIN_STEP_TITLES = {
+  current: 'Code actuel',
+  new: 'Nouveau code',
+  confirm: 'Confirmez le code'
+}
+
+const AppLockSettingsScreen = () => {
+  const [lockSettings, setLockSettings] = useState(appLockService.getSettings())
+  const [biometricAvailable, setBiometricAvailable] = useState(false)
+  const [pinFlow, setPinFlow] = useState(null) // { mode, step, newPin }
+  const [pinError, setPinError] = useState(null)
+  const [pinAttempt, setPinAttempt] = useState(0)
+
+  useEffect(() => {
+    appLockService.isBiometricAvailable().then(setBiometricAvailable)
+    return appLockService.addListener(state => setLockSettings(state.settings))
+  }, [])
+
+  const handleGoBack = () => {
+    Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Light)
+    router.back()
+  }
+
+  const startPinFlow = (mode) => {
+    setPinError(null)
+    setPinFlow({ mode, step: PIN_FLOWS[mode][0], newPin: null })
+  }
+
+  const closePinFlow = () => {
+    setPinFlow(null)
+    setPinError(null)
+  }
+
+  const rejectPin = (message) => {
+    Haptics.notificationAsync(Haptics.NotificationFeedbackType.Error)
+    setPinError(message)
+    setPinAttempt(count => count + 1)
+  }
+
+  const nextStep = (changes = {}) => {
+    const steps = PIN_FLOWS[pinFlow.mode]
+    setPinError(null)
+    setPinFlow({ ...pinFlow, ...changes, step: steps[steps.indexOf(pinFlow.step) + 1] })
+  }
+
+  const finishPinFlow = async (pin) => {
+    switch (pinFlow.mode) {
+      case 'enable':
+        await appLockService.enable(pin)
+        break
+      case 'change':
+        await appLockService.changePin(pin)
+        break
+      case 'disable':
+        await appLockService.disable()
+        break
+      case 'decoy':
+        await appLockService.setDecoyPin(pin)
+        break
+    }
+    Haptics.notificationAsync(Haptics.NotificationFeedbackType.Success)
+    closePinFlow()
+  }
+
+  const handlePin = async (pin) => {
+    try {
+      const { mode, step, newPin } = pinFlow
+
+      if (step === 'current') {
+        if (await appLockService.checkPin(pin) !== 'pin') return rejectPin('Code incorrect')
+        return mode === 'disable' ? finishPinFlow(pin) : nextStep()
+      }
+
+      if (step === 'new') {
+        const match = await appLockService.checkPin(pin)
+        if (mode === 'decoy' && match === 'pin') return rejectPin('Le code leurre doit être différent de votre code')
+        if (mode === 'change' && match === 'decoy') return rejectPin('Ce code est déjà votre code leurre')
+        return nextStep({ newPin: pin })
+      }
+
+      if (pin !== newPin) {
+        setPinFlow({ ...pinFlow, step: 'new', newPin: null })
+        return rejectPin('Les codes ne correspondent pas')
+      }
+      await finishPinFlow(pin)
+    } catch (error) {
+      console.error('❌ [APP_LOCK] PIN setting failed:', error)
+      closePinFlow()
+      Alert.alert('Erreur', 'Impossible d\'enregistrer le code. Réessayez.')
+    }
+  }
+
+  const handleLockToggle = (enabled) => {
+    startPinFlow(enabled ? 'enable' : 'disable')
+  }
+
+  const handleRemoveDecoy = () => {
+    Alert.alert(
+      'Supprimer le code leurre',
+      'Le code leurre ne permettra plus d\'ouvrir le compte vide.',
+      [
+        { text: 'Annuler', style: 'cancel' },
+        { text: 'Supprimer', style: 'destructive', onPress: () => appLockService.setDecoyPin(null) }
+      ]
+    )
+  }
+
+  const handleWipeAfterChange = (attempts) => {
+    if (attempts === 0) {
+      appLockService.setWipeAfterAttempts(0)
+      return
+    }
+
+    Alert.alert(
+      'Effacement automatique',
+      `Après ${attempts} codes erronés à la suite, toutes les données de NoText seront effacées de ce téléphone. Sans votre code de récupération, le compte sera perdu.`,
+      [
+        { text: 'Annuler', style: 'cancel' },
+        { text: 'Activer', style: 'destructive', onPress: () => appLockService.setWipeAfterAttempts(attempts) }
+      ]
+    )
+  }
+
+  const renderOption = (key, label, selected, onPress) => (
+    <TouchableOpacity
+      key={key}
+      style={styles.settingItem}
+      onPress={onPress}
+      accessibilityRole="radio"
+      accessibilityState={{ checked: selected }}
+    >
+      <Text style={styles.optionTitle}>{label}</Text>
+      <Ionicons
+        name={selected ? 'checkmark-circle' : 'ellipse-outline'}
+        size={22}
+        color={selected ? Colors.accent : Colors.gray600}
+      />
+    </TouchableOpacity>
+  )
+
+  return (
+    <View style={styles.container}>
+      <StatusBar barStyle="light-content" />
+
+      {/* Header */}
+      <View style={styles.header}>
+        <TouchableOpacity
+          style={styles.backButton}
+          onPress={handleGoBack}
+        >
+          <Ionicons name="arrow-back" size={24} color={Colors.white} />
+        </TouchableOpacity>
+        <Text style={styles.title}>Verrouillage</Text>
+        <View style={styles.placeholder} />
+      </View>
+
+      <ScrollView style={styles.content} showsVerticalScrollIndicator={false}>
+        <View style={styles.settingsSection}>
+          <View style={styles.settingItem}>
+            <View style={styles.settingItemLeft}>
+              <View style={styles.settingIcon}>
+                <Ionicons name="lock-closed-outline" size={20} color={Colors.white} />
+              </View>
+              <View style={styles.settingContent}>
+                <Text style={styles.settingTitle}>Verrouiller NoText</Text>
+                <Text style={styles.settingDescription}>
+                  Un code à {PIN_LENGTH} chiffres est demandé à l&apos;ouverture de l&apos;application.
+                </Text>
+              </View>
+            </View>
+            <Switch
+              value={lockSettings.enabled}
+              onValueChange={handleLockToggle}
+              trackColor={{ false: Colors.gray600, true: Colors.accent }}
+              thumbColor={Colors.white}
+            />
+          </View>
+
+          {lockSettings.enabled && (
+            <>
+              {biometricAvailable && (
+                <View style={styles.settingItem}>
+                  <View style={styles.settingItemLeft}>
+                    <View style={styles.settingIcon}>
+                      <Ionicons name="finger-print" size={20} color={Colors.white} />
+                    </View>
+                    <View style={styles.settingContent}>
+                      <Text style={styles.settingTitle}>Déverrouillage biométrique</Text>
+                      <Text style={styles.settingDescription}>Face ID ou empreinte, le code reste disponible.</Text>
+                    </View>
+                  </View>
+                  <Switch
+                    value={lockSettings.biometricEnabled}
+                    onValueChange={(enabled) => appLockService.setBiometricEnabled(enabled)}
+                    trackColor={{ false: Colors.gray600, true: Colors.accent }}
+                    thumbColor={Colors.white}
+                  />
+                </View>
+              )}
+
+              <TouchableOpacity style={styles.settingItem} onPress={() => startPinFlow('change')}>
+                <View style={styles.settingItemLeft}>
+                  <View style={styles.settingIcon}>
+                    <Ionicons name="keypad-outline" size={20} color={Colors.white} />
+                  </View>
+                  <Text style={styles.settingTitle}>Changer le code</Text>
+                </View>
+                <Ionicons name="chevron-forward" size={20} color={Colors.gray500} />
+              </TouchableOpacity>
+            </>
+          )}
+        </View>
+
+        {lockSettings.enabled && (
+          <>
+            <View style={styles.settingsSection}>
+              <Text style={styles.sectionTitle}>Verrouiller en arrière-plan</Text>
+              {LOCK_DELAY_OPTIONS.map(seconds => renderOption(
+                seconds,
+                formatLockDelay(seconds),
+                lockSettings.lockAfterSeconds === seconds,
+                () => appLockService.setLockAfterSeconds(seconds)
+              ))}
+            </View>
+
+            <View style={styles.settingsSection}>
+              <Text style={styles.sectionTitle}>Code leurre</Text>
+              <Text style={styles.sectionDescription}>
+                Ce second code ouvre un compte vide, sans vos conversations ni vos médias.
+              </Text>
+              {lockSettings.hasDecoyPin ? (
+                <TouchableOpacity style={styles.settingItem} onPress={handleRemoveDecoy}>
+                  <Text style={[styles.optionTitle, styles.destructiveText]}>Supprimer le code leurre</Text>
+                  <Ionicons name="trash-outline" size={20} color={Colors.fire} />
+                </TouchableOpacity>
+              ) : (
+                <TouchableOpacity style={styles.settingItem} onPress={() => startPinFlow('decoy')}>
+                  <Text style={styles.optionTitle}>Définir un code leurre</Text>
+                  <Ionicons name="chevron-forward" size={20} color={Colors.gray500} />
+                </TouchableOpacity>
+              )}
+            </View>
+
+            <View style={styles.settingsSection}>
+              <Text style={styles.sectionTitle}>Effacer les données</Text>
+              {WIPE_AFTER_OPTIONS.map(attempts => renderOption(
+                attempts,
+                formatWipeAfter(attempts),
+                lockSettings.wipeAfterAttempts === attempts,
+                () => handleWipeAfterChange(attempts)
+              ))}
+            </View>
+          </>
+        )}
+      </ScrollView>
+
+      {/* PIN entry */}
+      <Modal
+        visible={!!pinFlow}
+        animationType="slide"
+        presentationStyle="fullScreen"
+        onRequestClose={closePinFlow}
+      >
+        <View style={styles.pinModal}>
+          <TouchableOpacity style={styles.pinCloseButton} onPress={closePinFlow}>
+            <Ionicons name="close" size={28} color={Colors.white} />
+          </TouchableOpacity>
+          {pinFlow && (
+            <PinPad
+              title={pinFlow.mode === 'decoy' && pinFlow.step !== 'current'
+                ? `${PIN_STEP_TITLES[pinFlow.step]} leurre`
+                : PIN_STEP_TITLES[pinFlow.step]}
+              error={pinError}
+              length={PIN_LENGTH}
+              onComplete={handlePin}
+              resetKey={`${pinFlow.step}-${pinAttempt}`}
+            />
+          )}
+        </View>
+      </Modal>
+    </View>
+  )
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: Colors.black,
+  },
+
+  // Header
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingTop: getSafeAreaTop(),
+    paddingHorizontal: Spacing.screen,
+    paddingBottom: Spacing.lg,
+    borderBottomWidth: 1,
+    borderBottomColor: Colors.gray800,
+  },
+  backButton: {
+    padding: Spacing.xs,
+  },
+  title: {
+    fontSize: Typography.xl,
+    fontWeight: Typography.light,
+    color: Colors.white,
+  },
+  placeholder: {
+    width: 40,
+  },
+
+  // Content
+  content: {
+    flex: 1,
+    padding: Spacing.screen,
+  },
+
+  // Settings Section
+  settingsSection: {
+    marginBottom: Spacing.xl,
+  },
+  sectionTitle: {
+    fontSize: Typography.base,
+    fontWeight: Typography.medium,
+    color: Colors.white,
+    marginBottom: Spacing.md,
+    textTransform: 'uppercase',
+    letterSpacing: 1,
+  },
+  sectionDescription: {
+    fontSize: Typography.sm,
+    color: Colors.gray400,
+    lineHeight: 18,
+    marginBottom: Spacing.md,
+  },
+  settingItem: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    backgroundColor: Colors.gray900,
+    borderRadius: BorderRadius.lg,
+    padding: Spacing.md,
+    marginBottom: Spacing.sm,
+    borderWidth: 1,
+    borderColor: Colors.gray800,
+  },
+  settingItemLeft: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    flex: 1,
+  },
+  settingIcon: {
+    width: 35,
+    height: 35,
+    borderRadius: 17.5,
+    backgroundColor: Colors.gray800,
+    justifyContent: 'center',
+    alignItems: 'center',
+    marginRight: Spacing.md,
+  },
+  settingContent: {
+    flex: 1,
+    marginRight: Spacing.sm,
+  },
+  settingTitle: {
+    fontSize: Typography.base,
+    fontWeight: Typography.medium,
+    color: Colors.white,
+  },
+  settingDescription: {
+    fontSize: Typography.sm,
+    color: Colors.gray400,
+    lineHeight: 18,
+    marginTop: Spacing.xs,
+  },
+  optionTitle: {
+    fontSize: Typography.base,
+    color: Colors.white,
+  },
+  destructiveText: {
+    color: Colors.fire,
+  },
+
+  // PIN modal
+  pinModal: {
+    flex: 1,
+    backgroundColor: Colors.black,
+    justifyContent: 'center',
+  },
+  pinCloseButton: {
+    position: 'absolute',
+    top: getSafeAreaTop(),
+    left: Spacing.screen,
+    padding: Spacing.xs,
+    zIndex: 1,
+  },
+})
+
+export default AppLockSettingsScreen
@@ -18,6 +18,7 @@ import {
     View
 } from 'react-native'
 import AppStatusBar from '../components/AppStatusBar'
+import RecoveryCodeModal from '../components/RecoveryCodeModal'
 import { BorderRadius, Colors, Spacing, Typography } from '../constants/Design'
 import { useAuthContext } from '../context/AuthContext'
 import { RobustDeviceAuthService } from '../services/robustDeviceAuthService'
@@ -43,10 +44,14 @@ const AuthScreen = ({ onAuthSuccess = null }) => {
   const [sexe, setSexe] = useState('')
   const [loading, setLoading] = useState(false)
   const [acceptTerms, setAcceptTerms] = useState(false)
+  const [recoveryMode, setRecoveryMode] = useState(false) // Moving an account from another phone
+  const [recoveryCode, setRecoveryCode] = useState('')
+  const [pendingResult, setPendingResult] = useState(null) // Auth result waiting for its recovery code to be noted
   
   // Refs for input navigation
   const pseudoInputRef = useRef(null)
   const ageInputRef = useRef(null)
+  const recoveryCodeInputRef = useRef(null)
 
   const dismissKeyboard = () => {
     Keyboard.dismiss()
@@ -132,25 +137,13 @@ const AuthScreen = ({ onAuthSuccess = null }) => {
         isRecovery: result.isRecovery 
       })
       
-      // Update auth context with appropriate flags
-      const isNewAccount = result.isNewAccount || false
-      await login(result.user, isNewAccount)
-      
-      // Show different messages based on result type
-      if (result.isRecovery) {
-        Alert.alert(
-          'Compte récupéré', 
-          `Bienvenue à nouveau ${result.user.pseudo} ! Votre compte a été récupéré avec succès.`,
-          [{ text: 'OK' }]
-        )
-      }
-      
-      if (onAuthSuccess) {
-        onAuthSuccess(result.user)
-      } else {
-        // Navigate to home - AuthContext will pick up the new user
-        router.push('/home')
+      // The recovery code is shown once, before the app moves on to home
+      if (result.recoveryCode) {
+        setPendingResult(result)
+        return
       }
+
+      await completeAuth(result)
     } catch (error) {
       console.error('❌ [AUTH_SCREEN] Registration error:', error)
       
@@ -194,6 +187,83 @@ const AuthScreen = ({ onAuthSuccess = null }) => {
     }
   }
 
+  const completeAuth = async (result) => {
+    // Update auth context with appropriate flags
+    const isNewAccount = result.isNewAccount || false
+    await login(result.user, isNewAccount)
+    
+    // Show different messages based on result type
+    if (result.isRecovery) {
+      Alert.alert(
+        'Compte récupéré', 
+        `Bienvenue à nouveau ${result.user.pseudo} ! Votre compte a été récupéré avec succès.`,
+        [{ text: 'OK' }]
+      )
+    }
+    
+    if (onAuthSuccess) {
+      onAuthSuccess(result.user)
+    } else {
+      // Navigate to home - AuthContext will pick up the new user
+      router.push('/home')
+    }
+  }
+
+  const handleRecoveryCodeNoted = async () => {
+    const result = pendingResult
+    setPendingResult(null)
+    if (result) await completeAuth(result)
+  }
+
+  const handleCodeRecovery = async () => {
+    if (!pseudo.trim() || !recoveryCode.trim()) {
+      Alert.alert('Erreur', 'Veuillez saisir votre pseudo et votre code de récupération')
+      return
+    }
+
+    Alert.alert(
+      'Transférer le compte',
+      'Votre compte sera déconnecté de votre ancien téléphone. Les médias reçus avant le transfert ne pourront plus être ouverts.',
+      [
+        { text: 'Annuler', style: 'cancel' },
+        {
+          text: 'Transférer',
+          onPress: async () => {
+            setLoading(true)
+            try {
+              const result = await RobustDeviceAuthService.recoverWithCode(pseudo.trim(), recoveryCode)
+              setRecoveryCode('')
+
+              if (result.recoveryCode) {
+                setPendingResult(result)
+              } else {
+                await completeAuth(result)
+              }
+            } catch (error) {
+              console.error('❌ [AUTH_SCREEN] Recovery code transfer error:', error)
+
+              let errorMessage = error.message || 'Impossible de récupérer le compte'
+              if (error.message?.includes('already registered')) {
+                errorMessage = 'Ce téléphone est déjà associé à un autre compte.'
+              } else if (error.message?.includes('Failed to fetch') || error.message?.includes('Network request failed')) {
+                errorMessage = 'Pas de connexion internet. Veuillez vérifier votre connexion et réessayer.'
+              }
+              Alert.alert('Récupération impossible', errorMessage)
+            } finally {
+              setLoading(false)
+            }
+          }
+        }
+      ]
+    )
+  }
+
+  const toggleRecoveryMode = () => {
+    Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Light)
+    setRecoveryMode(!recoveryMode)
+    setRecoveryCode('')
+  }
+
   const SexeButton = ({ value, label, selected, onPress }) => (
     <TouchableOpacity
       style={[styles.sexeButton, selected && styles.sexeButtonSelected]}
@@ -257,96 +327,124 @@ const AuthScreen = ({ onAuthSuccess = null }) => {
                 onTouchStart={() => console.log('[INPUT]   touch-start')}
                 onFocus={() => console.log('[INPUT]   focused')}
                 onSubmitEditing={() => {
-                  // Focus on age input when done with pseudo
-                  if (ageInputRef.current) {
-                    ageInputRef.current.focus()
+                  // Focus on the next input when done with pseudo
+                  const nextInput = recoveryMode ? recoveryCodeInputRef.current : ageInputRef.current
+                  if (nextInput) {
+                    nextInput.focus()
                   }
                 }}
               />
             </View>
-            <View style={styles.inputGroup}>
-              <Text style={styles.inputLabel}>Âge</Text>
-              <TextInput
-                ref={ageInputRef}
-                style={styles.input}
-                placeholder="18+"
-                placeholderTextColor={Colors.gray500}
-                value={age}
-                onChangeText={setAge}
-                keyboardType="numeric"
-                maxLength={2}
-                returnKeyType="done"
-                autoCorrect={false}
-                autoComplete="off"
-                textContentType="none"
-                importantForAutofill="no"
-                onSubmitEditing={dismissKeyboard}
-              />
-            </View>
-            <View style={styles.inputGroup}>
-              <Text style={styles.inputLabel}>Genre (optionnel)</Text>
-              <View style={styles.sexeContainer}>
-                <SexeButton
-                  value="H"
-                  label="Homme"
-                  selected={sexe === 'H'}
-                  onPress={setSexe}
-                />
-                <SexeButton
-                  value="F"
-                  label="Femme"
-                  selected={sexe === 'F'}
-                  onPress={setSexe}
-                />
-                <SexeButton
-                  value="Autre"
-                  label="Autre"
-                  selected={sexe === 'Autre'}
-                  onPress={setSexe}
-                />
-                <SexeButton
-                  value=""
-                  label="Ne pas préciser"
-                  selected={sexe === ''}
-                  onPress={setSexe}
+            {recoveryMode ? (
+              <View style={styles.inputGroup}>
+                <Text style={styles.inputLabel}>Code de récupération</Text>
+                <TextInput
+                  ref={recoveryCodeInputRef}
+                  style={styles.input}
+                  placeholder="XXXX-XXXX-XXXX-XXXX"
+                  placeholderTextColor={Colors.gray500}
+                  value={recoveryCode}
+                  onChangeText={setRecoveryCode}
+                  autoCapitalize="characters"
+                  maxLength={24}
+                  returnKeyType="done"
+                  autoCorrect={false}
+                  autoComplete="off"
+                  textContentType="none"
+                  importantForAutofill="no"
+                  onSubmitEditing={dismissKeyboard}
                 />
+                <Text style={styles.recoveryHint}>
+                  Le code qui vous a été donné à la création du compte, ou depuis votre profil.
+                </Text>
               </View>
-            </View>
-
-            {/* Terms of Service Agreement */}
-            <View style={styles.inputGroup}>
-              <TouchableOpacity 
-                style={styles.termsContainer}
-                onPress={() => setAcceptTerms(!acceptTerms)}
-                activeOpacity={0.8}
-              >
-                <View style={[styles.checkbox, acceptTerms && styles.checkboxSelected]}>
-                  {acceptTerms && (
-                    <Ionicons name="checkmark" size={14} color={Colors.black} />
-                  )}
+            ) : (
+              <>
+                <View style={styles.inputGroup}>
+                  <Text style={styles.inputLabel}>Âge</Text>
+                  <TextInput
+                    ref={ageInputRef}
+                    style={styles.input}
+                    placeholder="18+"
+                    placeholderTextColor={Colors.gray500}
+                    value={age}
+                    onChangeText={setAge}
+                    keyboardType="numeric"
+                    maxLength={2}
+                    returnKeyType="done"
+                    autoCorrect={false}
+                    autoComplete="off"
+                    textContentType="none"
+                    importantForAutofill="no"
+                    onSubmitEditing={dismissKeyboard}
+                  />
                 </View>
-                <View style={styles.termsTextContainer}>
-                  <Text style={styles.termsText}>
-                    J'accepte les{' '}
-                    <TouchableOpacity 
-                      onPress={() => {
-                        Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Light)
-                        router.push('/cgu')
-                      }}
-                      style={styles.termsLink}
-                    >
-                      <Text style={styles.termsLinkText}>Conditions Générales d'Utilisation</Text>
-                    </TouchableOpacity>
-                    {' '}et confirme avoir 18 ans ou plus. Je comprends que cette application contient du contenu généré par les utilisateurs et qu'il n'y a aucune tolérance pour les contenus inappropriés ou les comportements abusifs.
-                  </Text>
+                <View style={styles.inputGroup}>
+                  <Text style={styles.inputLabel}>Genre (optionnel)</Text>
+                  <View style={styles.sexeContainer}>
+                    <SexeButton
+                      value="H"
+                      label="Homme"
+                      selected={sexe === 'H'}
+                      onPress={setSexe}
+                    />
+                    <SexeButton
+                      value="F"
+                      label="Femme"
+                      selected={sexe === 'F'}
+                      onPress={setSexe}
+                    />
+                    <SexeButton
+                      value="Autre"
+                      label="Autre"
+                      selected={sexe === 'Autre'}
+                      onPress={setSexe}
+                    />
+                    <SexeButton
+                      value=""
+                      label="Ne pas préciser"
+                      selected={sexe === ''}
+                      onPress={setSexe}
+                    />
+                  </View>
                 </View>
-              </TouchableOpacity>
-            </View>
+
+                {/* Terms of Service Agreement */}
+                <View style={styles.inputGroup}>
+                  <TouchableOpacity 
+                    style={styles.termsContainer}
+                    onPress={() => setAcceptTerms(!acceptTerms)}
+                    activeOpacity={0.8}
+                  >
+                    <View style={[styles.checkbox, acceptTerms && styles.checkboxSelected]}>
+                      {acceptTerms && (
+                        <Ionicons name="checkmark" size={14} color={Colors.black} />
+                      )}
+                    </View>
+                    <View style={styles.termsTextContainer}>
+                      <Text style={styles.termsText}>
+                        J'accepte les{' '}
+                        <TouchableOpacity 
+                          onPress={() => {
+                            Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Light)
+                            router.push('/cgu')
+                          }}
+                          style={styles.termsLink}
+                        >
+                          <Text style={styles.termsLinkText}>Conditions Générales d'Utilisation</Text>
+                        </TouchableOpacity>
+                        {' '}et confirme avoir 18 ans ou plus. Je comprends que cette application contient du contenu généré par les utilisateurs et qu'il n'y a aucune tolérance pour les contenus inappropriés ou les comportements abusifs.
+                      </Text>
+                    </View>
+                  </TouchableOpacity>
+                </View>
+              </>
+            )}
           </View>
           {/* Clean action button */}
           <TouchableOpacity
             style={[styles.continueButton, loading && styles.continueButtonDisabled]}
-            onPress={handleAuth}
+            onPress={recoveryMode ? handleCodeRecovery : handleAuth}
             disabled={loading}
             activeOpacity={0.8}
           >
@@ -356,11 +454,20 @@ const AuthScreen = ({ onAuthSuccess = null }) => {
               </View>
             ) : (
               <View style={styles.buttonContent}>
-                <Text style={styles.continueButtonText}>Commencer</Text>
+                <Text style={styles.continueButtonText}>{recoveryMode ? 'Récupérer mon compte' : 'Commencer'}</Text>
                 <Ionicons name="arrow-forward" size={20} color={Colors.black} />
               </View>
             )}
           </TouchableOpacity>
+          <TouchableOpacity
+            style={styles.recoveryToggle}
+            onPress={toggleRecoveryMode}
+            disabled={loading}
+          >
+            <Text style={styles.recoveryToggleText}>
+              {recoveryMode ? 'Créer un nouveau compte' : 'Nouveau téléphone ? Récupérer mon compte'}
+            </Text>
+          </TouchableOpacity>
           {/* UGC Warning */}
           <View style={styles.warningContainer}>
             <Ionicons name="warning-outline" size={16} color={Colors.warning} />
@@ -369,6 +476,12 @@ const AuthScreen = ({ onAuthSuccess = null }) => {
           </View>
         </ScrollView>
       </KeyboardAvoidingView>
+
+      <RecoveryCodeModal
+        visible={!!pendingResult}
+        code={pendingResult?.recoveryCode}
+        onClose={handleRecoveryCodeNoted}
+      />
     </View>
   )
 }
@@ -543,6 +656,25 @@ const styles = StyleSheet.create({
     fontWeight: Typography.semiBold,
     color: Colors.black,
   },
+
+  // Account recovery
+  recoveryHint: {
+    fontSize: Typography.sm,
+    color: Colors.gray500,
+    marginTop: Spacing.sm,
+    marginLeft: Spacing.xs,
+  },
+  recoveryToggle: {
+    alignItems: 'center',
+    paddingVertical: Spacing.sm,
+    marginBottom: responsiveSpacing.buttonSpacing,
+  },
+  recoveryToggleText: {
+    fontSize: Typography.sm,
+    fontWeight: Typography.medium,
+    color: Colors.gray400,
+    textDecorationLine: 'underline',
+  },
   
   // Warning
   warningContainer: {
@@ -58,8 +58,9 @@ export default function BlockedUsersScreen() {
   }, [loadBlockedUsers])
 
   // Handle refresh
-  const handleRefresh = useCallback(() => {
+  const handleRefresh = useCallback(async () => {
     setRefreshing(true)
+    await blockService.syncWithServer()
     loadBlockedUsers()
   }, [loadBlockedUsers])
 
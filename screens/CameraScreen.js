@@ -3,11 +3,13 @@ import { CameraView, useCameraPermissions, useMicrophonePermissions } from 'expo
 import * as Haptics from 'expo-haptics'
 import { Image } from 'expo-image'
 import * as ImageManipulator from 'expo-image-manipulator'
+import * as ImagePicker from 'expo-image-picker'
 import { LinearGradient } from 'expo-linear-gradient'
 import { router, useFocusEffect, useLocalSearchParams } from 'expo-router'
 import { useVideoPlayer, VideoView } from 'expo-video'
 import React, { useCallback, useEffect, useRef, useState } from 'react'
 import {
+  ActivityIndicator,
   Alert,
   Animated,
   Dimensions,
@@ -22,35 +24,83 @@ import {
 } from 'react-native'
 import { PinchGestureHandler as RNGHPinchGestureHandler, State as RNGHState, TapGestureHandler } from 'react-native-gesture-handler'
 import AppStatusBar from '../components/AppStatusBar'
+import MediaEditor from '../components/MediaEditor'
+import RecipientPickerModal from '../components/RecipientPickerModal'
+import ReplyThumbnail from '../components/ReplyThumbnail'
 import { BorderRadius, Colors, Layout, Spacing, Typography } from '../constants/Design'
 import { useAuthContext } from '../context/AuthContext'
 import { uploadMedia } from '../services/unifiedMediaService'
 import { backgroundMessageService } from '../services/backgroundMessageService'
-import { getImageInfo, optimizeImageForUpload } from '../utils/imageOptimizer'
+import { presenceService } from '../services/presenceService'
+import { inviteService } from '../services/inviteService'
+import { getImageInfo, optimizeImageForUpload, stripImageMetadata } from '../utils/imageOptimizer'
 import { compressVideoAuto, getVideoMetadata } from '../utils/videoUtils'
+import { createOverlay } from '../utils/mediaOverlay'
 import { getKeyboardAvoidingProps, getSafeAreaTop } from '../utils/responsive'
-import { getCameraType, saveCameraType } from '../utils/secureStore'
+import { getAnonymiseDefault, getCameraType, getFlashModes, saveCameraType, saveFlashModes } from '../utils/secureStore'
 
 const { width, height } = Dimensions.get('window')
 const keyboardProps = getKeyboardAvoidingProps()
 
+// Flash cycle per camera. The front camera has no flash: 'on' lights the screen instead
+const FLASH_MODES = {
+  back: ['off', 'on', 'auto', 'torch'],
+  front: ['off', 'on']
+}
+const FRONT_FLASH_DELAY_MS = 300 // Time for the white screen to light the face before capture
+const INVITE_SCAN_HIDE_MS = 3000 // Hide the invite banner once its QR code leaves the frame
+
 const CameraScreen = () => {
   const { user: currentUser } = useAuthContext()
-  const { otherUser: otherUserParam, otherUserId } = useLocalSearchParams()
+  const { otherUser: otherUserParam, otherUserId, replyTo: replyToParam } = useLocalSearchParams()
   const otherUser = otherUserParam ? JSON.parse(otherUserParam) : null
   const [permission, requestPermission] = useCameraPermissions()
   const [microphonePermission, requestMicrophonePermission] = useMicrophonePermissions()
   const [type, setType] = useState('back')
   const [isRecording, setIsRecording] = useState(false)
   const [mediaMode, setMediaMode] = useState('permanent') // 'permanent', 'one_time', 'nsfw'
+  const [viewDuration, setViewDuration] = useState(null) // Self-destruct window in seconds for one-time/NSFW, null = default
   const [caption, setCaption] = useState('')
   const [capturedMedia, setCapturedMedia] = useState(null)
   const [mediaType, setMediaType] = useState(null)
   const [capturedVideoMuted, setCapturedVideoMuted] = useState(false) // For preview mute control
   const [capturedFromFrontCamera, setCapturedFromFrontCamera] = useState(false) // Track if media was captured from front camera
+  const [isFromGallery, setIsFromGallery] = useState(false) // Media imported from the gallery instead of captured live
+  const [isImporting, setIsImporting] = useState(false)
+  const [overlayItems, setOverlayItems] = useState([]) // Drawings, stickers, text and blur added on the preview
+  const [anonymise, setAnonymise] = useState(false) // Blur detected faces of the captured photo
+  const [isDetectingFaces, setIsDetectingFaces] = useState(false) // Faces not blurred yet, sending waits
+  const anonymiseDefaultRef = useRef(false) // User setting, applied to every new photo
   const [loading, setLoading] = useState(false)
   const [compressionProgress, setCompressionProgress] = useState(0) // Track video compression progress
+  const [recipients, setRecipients] = useState(() => otherUser ? [{ ...otherUser, id: otherUserId || otherUser.id }] : []) // Receivers of the capture, the current chat first
+  const [showRecipientPicker, setShowRecipientPicker] = useState(false)
+  const [replyTo, setReplyTo] = useState(() => replyToParam ? JSON.parse(replyToParam) : null) // Message this capture answers, opened from the chat
   
+  // Face anonymisation default from the settings
+  useEffect(() => {
+    if (!currentUser?.id) return
+    getAnonymiseDefault(currentUser.id).then(enabled => {
+      anonymiseDefaultRef.current = enabled
+    })
+  }, [currentUser?.id])
+
+  // Every new photo starts with the default, videos are never anonymised
+  useEffect(() => {
+    setAnonymise(!!capturedMedia && mediaType === 'photo' && anonymiseDefaultRef.current)
+  }, [capturedMedia, mediaType])
+
+  // Let the contact of this chat see that we are taking a photo or filming for them
+  const capturePeerId = otherUser && !otherUser.isGroup ? (otherUserId || otherUser.id) : null
+  useEffect(() => {
+    if (!capturePeerId) return
+    const unwatch = presenceService.watch(capturePeerId)
+    return () => {
+      presenceService.setCaptureActivity(capturePeerId, null)
+      unwatch()
+    }
+  }, [capturePeerId])
+
   // Reset navigation flag when camera mounts to prevent video resource conflicts
   useEffect(() => {
     console.log('📷 [CAMERA] Camera screen mounted, clearing navigation flag')
@@ -76,7 +126,37 @@ const CameraScreen = () => {
   const [isRecordingMuted, setIsRecordingMuted] = useState(true) // Whether to record audio or not
   const [cameraError, setCameraError] = useState(null) // Track camera mount errors
   const [isModeSwitching, setIsModeSwitching] = useState(false) // Track camera mode switching state
-  
+  const [flashModes, setFlashModes] = useState({ back: 'off', front: 'off' }) // Saved flash choice per camera
+  const [isFrontFlashing, setIsFrontFlashing] = useState(false) // White screen shown during a selfie capture
+  const flashMode = flashModes[type] || 'off'
+  const isFrontFlash = type === 'front' && flashMode === 'on'
+
+  // Filming while a video records, otherwise taking a photo (also while editing the capture)
+  useEffect(() => {
+    if (capturePeerId) presenceService.setCaptureActivity(capturePeerId, isRecordingActive ? 'video' : 'photo')
+  }, [capturePeerId, isRecordingActive])
+
+  // Invite QR codes (see MyInviteScreen) offer to open the invite; other codes are ignored
+  const [scannedInviteToken, setScannedInviteToken] = useState(null)
+  const handleBarcodeScanned = useCallback(({ data }) => {
+    const token = inviteService.parseInviteUrl(data)
+    if (!token) return
+
+    setScannedInviteToken(token)
+    clearTimeout(inviteScanTimeout.current)
+    inviteScanTimeout.current = setTimeout(() => setScannedInviteToken(null), INVITE_SCAN_HIDE_MS)
+  }, [])
+
+  useEffect(() => () => clearTimeout(inviteScanTimeout.current), [])
+
+  const openScannedInvite = useCallback(() => {
+    if (!scannedInviteToken) return
+    Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Light)
+    clearTimeout(inviteScanTimeout.current)
+    setScannedInviteToken(null)
+    router.push({ pathname: '/invite', params: { token: scannedInviteToken } })
+  }, [scannedInviteToken])
+
   // Timer functionality state
   const [timerSeconds, setTimerSeconds] = useState(0) // Timer delay: 0, 5, or 10 seconds
   const [isTimerActive, setIsTimerActive] = useState(false) // Whether timer is counting down
@@ -96,6 +176,8 @@ const CameraScreen = () => {
   const pinchGestureRef = useRef(null) // Reference for pinch gesture handler
   const doubleTapRef = useRef(null) // Reference for double tap gesture handler
   const timerInterval = useRef(null) // Timer countdown interval
+  const inviteScanTimeout = useRef(null) // Hides the scanned invite banner
+  const mediaEditorRef = useRef(null) // Flattens edits into photos before upload
 
   // Constants
   const MIN_VIDEO_MS = 2000 // 2s minimum for Android compatibility
@@ -300,6 +382,8 @@ const CameraScreen = () => {
       setMediaType(null)
       setCaption('')
       setCapturedFromFrontCamera(false) // Reset front camera flag
+      setIsFromGallery(false)
+      setOverlayItems([])
       setIsModeSwitching(false)
       
       // Reset zoom state
@@ -315,6 +399,7 @@ const CameraScreen = () => {
         console.error('Failed to load camera type preference:', error)
         // Keep default 'back' camera if loading fails
       }
+      setFlashModes(await getFlashModes())
       
       // Reset progress animation
       recordingProgress.stopAnimation()
@@ -409,6 +494,13 @@ const CameraScreen = () => {
       
       // Immediate haptic feedback for responsiveness
       Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Heavy)
+
+      // Front flash: light the face with a white screen before the shot
+      if (isFrontFlash) {
+        setIsFrontFlashing(true)
+        await new Promise(resolve => setTimeout(resolve, FRONT_FLASH_DELAY_MS))
+      }
+
       // Optimized capture options for maximum quality and minimal compression
       const captureOptions = Platform.OS === 'android' ? {
         quality: 1.0, // Maximum quality to preserve original image data
@@ -531,10 +623,88 @@ const CameraScreen = () => {
       
       Alert.alert('Erreur de capture', errorMessage)
     } finally {
+      setIsFrontFlashing(false)
       setIsCapturingPhoto(false)
       setIsModeSwitching(false)
     }
-  }, [isCameraReady, isRecordingActive, isCapturingPhoto, isModeSwitching, cameraMode, type])
+  }, [isCameraReady, isRecordingActive, isCapturingPhoto, isModeSwitching, cameraMode, type, isFrontFlash])
+
+  // Cycle the flash of the active camera and remember the choice
+  const cycleFlashMode = useCallback(() => {
+    Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Light)
+    const modes = FLASH_MODES[type] || FLASH_MODES.back
+    const next = modes[(modes.indexOf(flashModes[type]) + 1) % modes.length]
+    const updated = { ...flashModes, [type]: next }
+    setFlashModes(updated)
+    saveFlashModes(updated)
+  }, [type, flashModes])
+
+  // Import an existing photo/video into the same preview as a live capture
+  const pickFromGallery = useCallback(async () => {
+    if (isRecording || isImporting) return
+
+    const { granted } = await ImagePicker.requestMediaLibraryPermissionsAsync()
+    if (!granted) {
+      Alert.alert(
+        'Accès à la galerie refusé',
+        'Autorisez l\'accès à vos photos dans les réglages pour importer un média.'
+      )
+      return
+    }
+
+    const result = await ImagePicker.launchImageLibraryAsync({
+      mediaTypes: ['images', 'videos'],
+      allowsEditing: false,
+      quality: 1,
+      exif: false,
+      videoMaxDuration: 60 // Same limit as a live recording
+    })
+    if (result.canceled || !result.assets?.length) return
+
+    const asset = result.assets[0]
+    const isVideo = asset.type === 'video'
+    if (isVideo && asset.duration && asset.duration > 60000) {
+      Alert.alert('Vidéo trop longue', 'Choisissez une vidéo de 60 secondes maximum.')
+      return
+    }
+
+    setIsImporting(true)
+    try {
+      console.log(`🖼️ [CAMERA] Importing ${isVideo ? 'video' : 'photo'} from gallery`)
+      let importedUri
+      if (isVideo) {
+        // Re-encoding writes a new container without the source location/device metadata
+        importedUri = await compressVideoAuto(asset.uri, {
+          targetSizeMB: 8,
+          qualityPreference: 'quality',
+          enableBackgroundTask: true
+        })
+        if (importedUri === asset.uri) {
+          // Compressor missing (Expo Go) or failed: the original would still carry its location
+          console.warn('⚠️ [CAMERA] Gallery video was not re-encoded, import refused')
+          Alert.alert(
+            'Vidéo non importée',
+            'Impossible de retirer la position et les infos de l\'appareil de cette vidéo. Réessayez ou filmez-la avec la caméra.'
+          )
+          return
+        }
+      } else {
+        importedUri = await stripImageMetadata(asset.uri)
+      }
+
+      setCapturedMedia(importedUri)
+      setMediaType(isVideo ? 'video' : 'photo')
+      setCapturedVideoMuted(false)
+      setCapturedFromFrontCamera(false)
+      setIsFromGallery(true)
+      Haptics.notificationAsync(Haptics.NotificationFeedbackType.Success)
+    } catch (error) {
+      console.error('💥 [CAMERA] Gallery import failed:', error)
+      Alert.alert('Erreur', 'Impossible d\'importer ce média. Réessayez.')
+    } finally {
+      setIsImporting(false)
+    }
+  }, [isRecording, isImporting])
 
   // Optimized media mode cycling with enhanced haptics
   const cycleMediaMode = useCallback(() => {
@@ -553,6 +723,30 @@ const CameraScreen = () => {
     }
   }, [mediaMode])
 
+  // Viewing windows the sender can pick - null keeps the default behaviour
+  const getViewDurationOptions = useCallback(() => {
+    if (mediaMode === 'nsfw' && mediaType !== 'video') return [3, 5, 10]
+    return [null, 3, 5, 10]
+  }, [mediaMode, mediaType])
+
+  // Reset the window when the mode or media changes (NSFW photos default to 5s)
+  useEffect(() => {
+    setViewDuration(mediaMode === 'nsfw' && mediaType !== 'video' ? 5 : null)
+  }, [mediaMode, mediaType])
+
+  const cycleViewDuration = useCallback(() => {
+    const options = getViewDurationOptions()
+    const currentIndex = options.indexOf(viewDuration)
+    setViewDuration(options[(currentIndex + 1) % options.length])
+    Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Light)
+  }, [getViewDurationOptions, viewDuration])
+
+  const getViewDurationLabel = useCallback(() => {
+    if (viewDuration) return `${viewDuration}s`
+    if (mediaMode === 'nsfw') return 'Durée vidéo'
+    return 'Sans limite'
+  }, [viewDuration, mediaMode])
+
   // Timer functionality
   const cycleTimer = useCallback(() => {
     if (isTimerActive || isRecording || isRecordingActive) {
@@ -1089,7 +1283,7 @@ const CameraScreen = () => {
 
   // Ultra-optimized media sending with better progress and error handling
   const sendMedia = useCallback(async () => {
-    if (!capturedMedia) return
+    if (!capturedMedia || isDetectingFaces) return
 
     setLoading(true)
     try {
@@ -1101,7 +1295,7 @@ const CameraScreen = () => {
 
       // Immediate user feedback
       const startTime = Date.now()
-      console.log(`🚀 Starting optimized upload: ${currentUser.pseudo} → ${otherUser?.pseudo}`)
+      console.log(`🚀 Starting optimized upload: ${currentUser.pseudo} → ${recipients.map(r => r.pseudo).join(', ')}`)
 
       // Optimize and process media before upload for faster transfer
       let optimizedMediaUri = capturedMedia
@@ -1128,6 +1322,12 @@ const CameraScreen = () => {
         }
       }
       
+      // Edits become part of the photo; videos carry them as an overlay track
+      if (mediaType === 'photo' && overlayItems.length > 0) {
+        setLoadingStage('Application des retouches...')
+        optimizedMediaUri = await mediaEditorRef.current.flatten(optimizedMediaUri)
+      }
+
       if (mediaType === 'photo') {
         setLoadingStage('Optimisation...')
         const originalInfo = await getImageInfo(optimizedMediaUri)
@@ -1188,26 +1388,32 @@ const CameraScreen = () => {
 
       setLoadingStage('Envoi...')
       
-      // Fast message sending with background upload
-      const targetUserId = otherUserId || otherUser?.id
-      if (!targetUserId) {
+      // Fast message sending with background upload - uploaded once, sent to every recipient
+      if (recipients.length === 0) {
         throw new Error('Utilisateur destinataire non trouvé')
       }
       
       // Queue message for background upload and sending with optimistic UI
-      const tempId = await backgroundMessageService.queueMessage({
-        receiverId: targetUserId,
+      const tempIds = await backgroundMessageService.queueMessageToRecipients({
+        recipients: recipients.map(recipient => ({
+          receiverId: recipient.id,
+          otherUser: recipient,
+          // Only the chat the reply was opened from knows the original
+          replyToMessageId: replyTo && recipient.id === (otherUserId || otherUser?.id) ? replyTo.id : null
+        })),
         localMediaUri: optimizedMediaUri, // Pass local URI for background upload
         mediaType,
         caption: caption.trim() || null,
         mediaMode,
         isMuted: mediaType === 'video' ? capturedVideoMuted : false,
-        currentUser,
-        otherUser
+        viewDuration: mediaMode === 'permanent' ? null : viewDuration,
+        fromGallery: isFromGallery,
+        mediaOverlay: mediaType === 'video' && overlayItems.length > 0 ? createOverlay(overlayItems) : null,
+        currentUser
       })
 
       const totalTime = Date.now() - startTime
-      console.log(`🎉 Message queued for background upload & send in ${totalTime}ms, tempId: ${tempId}`)
+      console.log(`🎉 Message queued for background upload & send in ${totalTime}ms, tempIds: ${tempIds.join(', ')}`)
 
       // Success feedback
       Haptics.notificationAsync(Haptics.NotificationFeedbackType.Success)
@@ -1233,7 +1439,7 @@ const CameraScreen = () => {
       setLoading(false)
       setLoadingStage('')
     }
-  }, [capturedMedia, mediaType, mediaMode, caption, otherUser, currentUser, otherUserId, capturedVideoMuted])
+  }, [capturedMedia, capturedFromFrontCamera, mediaType, mediaMode, viewDuration, caption, recipients, currentUser, otherUserId, otherUser?.id, capturedVideoMuted, isFromGallery, replyTo, overlayItems, isDetectingFaces])
 
   // Toggle between photo and video recording modes
   const toggleRecordingMode = useCallback(() => {
@@ -1283,6 +1489,8 @@ const CameraScreen = () => {
     setCaption('')
     setCapturedVideoMuted(false) // Reset video mute state
     setCapturedFromFrontCamera(false) // Reset front camera flag
+    setIsFromGallery(false)
+    setOverlayItems([])
     resetRecordingState()
     
     // Platform-specific mode reset: Only Android returns to picture mode
@@ -1393,6 +1601,19 @@ const CameraScreen = () => {
           />
         )}
 
+        {/* Drawing, stickers, text and blur brush */}
+        <MediaEditor
+          ref={mediaEditorRef}
+          items={overlayItems}
+          onItemsChange={setOverlayItems}
+          mediaUri={capturedMedia}
+          mediaType={mediaType}
+          mirrored={capturedFromFrontCamera && mediaType === 'photo'}
+          anonymise={anonymise}
+          onAnonymiseChange={setAnonymise}
+          onDetectingChange={setIsDetectingFaces}
+        />
+
         {/* Video Mute Button Overlay - only show for captured videos */}
         {mediaType === 'video' && capturedMedia && (
           <TouchableOpacity
@@ -1428,13 +1649,60 @@ const CameraScreen = () => {
             <Ionicons name="arrow-back" size={24} color={Colors.white} />
           </TouchableOpacity>
           
-          <Text style={styles.username}>
-            À {otherUser?.pseudo}
-          </Text>
+          <TouchableOpacity
+            style={styles.recipientsButton}
+            onPress={() => {
+              Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Light)
+              setShowRecipientPicker(true)
+            }}
+          >
+            <Text style={[styles.username, styles.recipientsText]} numberOfLines={1}>
+              À {recipients[0]?.pseudo || '...'}{recipients.length > 1 ? ` +${recipients.length - 1}` : ''}
+            </Text>
+            <Ionicons name="chevron-down" size={16} color={Colors.white} />
+          </TouchableOpacity>
 
           <View style={styles.backButton} />
         </View>
 
+        {/* Imported media are sent without the live camera badge */}
+        {isFromGallery && (
+          <View style={styles.galleryBadge}>
+            <Ionicons name="images" size={14} color={Colors.white} />
+            <Text style={styles.galleryBadgeText}>Galerie</Text>
+          </View>
+        )}
+
+        {/* Message being answered - tap the cross to send a plain capture */}
+        {replyTo && (
+          <View style={styles.replyChip}>
+            <ReplyThumbnail message={replyTo} currentUserId={currentUser?.id} size={40} />
+            <Text style={styles.replyChipText}>Réponse</Text>
+            <TouchableOpacity
+              onPress={() => {
+                Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Light)
+                setReplyTo(null)
+              }}
+              hitSlop={{ top: 10, bottom: 10, left: 10, right: 10 }}
+            >
+              <Ionicons name="close-circle" size={22} color={Colors.white} />
+            </TouchableOpacity>
+          </View>
+        )}
+
+        {showRecipientPicker && (
+          <RecipientPickerModal
+            visible={showRecipientPicker}
+            onClose={() => setShowRecipientPicker(false)}
+            onConfirm={(selected) => {
+              setRecipients(selected)
+              setShowRecipientPicker(false)
+            }}
+            currentUser={currentUser}
+            initialRecipients={recipients}
+          />
+        )}
+
         {/* Fixed Send Interface with platform-specific keyboard handling */}
         {Platform.OS === 'ios' ? (
           <KeyboardAvoidingView
@@ -1463,6 +1731,19 @@ const CameraScreen = () => {
                     {getMediaModeInfo().label}
                   </Text>
                 </TouchableOpacity>
+
+                {/* Self-destruct window for one-time/NSFW media */}
+                {mediaMode !== 'permanent' && (
+                  <TouchableOpacity
+                    style={[styles.sendMediaToggle, styles.viewDurationToggle]}
+                    onPress={cycleViewDuration}
+                  >
+                    <Ionicons name="timer-outline" size={18} color={Colors.white} style={styles.viewDurationIcon} />
+                    <Text style={styles.sendMediaToggleText}>
+                      {getViewDurationLabel()}
+                    </Text>
+                  </TouchableOpacity>
+                )}
               </View>
 
               {/* Caption Input */}
@@ -1493,15 +1774,15 @@ const CameraScreen = () => {
                 </TouchableOpacity>
 
                 <TouchableOpacity
-                  style={[styles.sendButton, loading && styles.sendButtonDisabled]}
+                  style={[styles.sendButton, (loading || isDetectingFaces) && styles.sendButtonDisabled]}
                   onPress={() => {
                     Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Medium)
                     sendMedia()
                   }}
-                  disabled={loading}
+                  disabled={loading || isDetectingFaces}
                 >
                   <Text style={styles.sendButtonText}>
-                    {loading ? (loadingStage || 'Envoi...') : 'Envoyer'}
+                    {loading ? (loadingStage || 'Envoi...') : isDetectingFaces ? 'Floutage...' : 'Envoyer'}
                   </Text>
                 </TouchableOpacity>
               </View>
@@ -1537,6 +1818,19 @@ const CameraScreen = () => {
                     {getMediaModeInfo().label}
                   </Text>
                 </TouchableOpacity>
+
+                {/* Self-destruct window for one-time/NSFW media */}
+                {mediaMode !== 'permanent' && (
+                  <TouchableOpacity
+                    style={[styles.sendMediaToggle, styles.viewDurationToggle]}
+                    onPress={cycleViewDuration}
+                  >
+                    <Ionicons name="timer-outline" size={18} color={Colors.white} style={styles.viewDurationIcon} />
+                    <Text style={styles.sendMediaToggleText}>
+                      {getViewDurationLabel()}
+                    </Text>
+                  </TouchableOpacity>
+                )}
               </View>
 
               {/* Caption Input */}
@@ -1580,15 +1874,15 @@ const CameraScreen = () => {
                 </TouchableOpacity>
 
                 <TouchableOpacity
-                  style={[styles.sendButton, loading && styles.sendButtonDisabled]}
+                  style={[styles.sendButton, (loading || isDetectingFaces) && styles.sendButtonDisabled]}
                   onPress={() => {
                     Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Medium)
                     sendMedia()
                   }}
-                  disabled={loading}
+                  disabled={loading || isDetectingFaces}
                 >
                   <Text style={styles.sendButtonText}>
-                    {loading ? (loadingStage || 'Envoi...') : 'Envoyer'}
+                    {loading ? (loadingStage || 'Envoi...') : isDetectingFaces ? 'Floutage...' : 'Envoyer'}
                   </Text>
                 </TouchableOpacity>
               </View>
@@ -1709,7 +2003,11 @@ const CameraScreen = () => {
                 zoom={zoom}
                 ref={cameraRef}
                 // Ultra-minimal CameraView props - only essential validated ones
-                flash="off"
+                // flash only applies to photos: videos use the torch, lit while recording when flash is 'on' ('auto' has no light sensor there)
+                flash={type === 'back' && (flashMode === 'on' || flashMode === 'auto') ? flashMode : 'off'}
+                enableTorch={type === 'back' && (flashMode === 'torch' || (flashMode === 'on' && isRecording))}
+                barcodeScannerSettings={{ barcodeTypes: ['qr'] }}
+                onBarcodeScanned={isRecordingActive ? undefined : handleBarcodeScanned}
                 // Remove autofocus prop since it might expect boolean, not string
                 // Keep only the most basic props that are guaranteed to work
                 // All quality/feature settings handled at capture/record time
@@ -1764,6 +2062,14 @@ const CameraScreen = () => {
       </RNGHPinchGestureHandler>
       
       
+      {/* Front flash: full white screen for a photo, white frame around the preview while recording */}
+      {isFrontFlash && isFrontFlashing && (
+        <View style={styles.frontFlashOverlay} pointerEvents="none" />
+      )}
+      {isFrontFlash && isRecording && (
+        <View style={styles.frontFlashRing} pointerEvents="none" />
+      )}
+
       {/* Camera Loading Overlay */}
       {!isCameraReady && !cameraError && (
         <View style={styles.loadingContainer}>
@@ -1818,6 +2124,14 @@ const CameraScreen = () => {
         </TouchableOpacity>
       )}
 
+      {/* Scanned invite QR code */}
+      {scannedInviteToken && !isRecordingActive && !isTimerActive && (
+        <TouchableOpacity style={styles.inviteScanBanner} onPress={openScannedInvite}>
+          <Ionicons name="qr-code-outline" size={18} color={Colors.white} />
+          <Text style={styles.inviteScanText}>Invitation NoText détectée · Ouvrir</Text>
+        </TouchableOpacity>
+      )}
+
       {/* Timer Countdown Overlay */}
       {isTimerActive && timerCountdown > 0 && (
         <View style={styles.timerCountdownOverlay}>
@@ -1844,7 +2158,20 @@ const CameraScreen = () => {
           {otherUser?.pseudo}
         </Text>
         
-        <View style={styles.backButton} />
+        <TouchableOpacity
+          style={styles.backButton}
+          onPress={cycleFlashMode}
+          disabled={isCapturingPhoto}
+        >
+          <Ionicons
+            name={flashMode === 'off' ? 'flash-off' : flashMode === 'torch' ? 'flashlight' : type === 'front' ? 'sunny' : 'flash'}
+            size={24}
+            color={Colors.white}
+          />
+          {flashMode === 'auto' && (
+            <Text style={styles.controlButtonBadge}>A</Text>
+          )}
+        </TouchableOpacity>
       </View>
 
       {/* Bottom Controls - Only show when camera is ready */}
@@ -2004,8 +2331,22 @@ const CameraScreen = () => {
             </TouchableOpacity>
           </View>
 
-          {/* Camera Switch Button - right side, alone */}
+          {/* Right Side - Gallery import and camera switch */}
           <View style={styles.rightControlsAlone}>
+            <TouchableOpacity
+              style={[styles.controlButton, (isRecording || isImporting) && styles.controlButtonDisabled]}
+              onPress={() => {
+                Haptics.impactAsync(Haptics.ImpactFeedbackStyle.Light)
+                pickFromGallery()
+              }}
+              disabled={isRecording || isImporting}
+            >
+              {isImporting ? (
+                <ActivityIndicator size="small" color={Colors.white} />
+              ) : (
+                <Ionicons name="images" size={20} color={Colors.white} />
+              )}
+            </TouchableOpacity>
             <TouchableOpacity
               style={styles.controlButton}
               onPress={async () => {
@@ -2109,6 +2450,24 @@ const styles = StyleSheet.create({
     alignItems: 'center',
     zIndex: 999,
   },
+  inviteScanBanner: {
+    position: 'absolute',
+    top: getSafeAreaTop() + 110,
+    alignSelf: 'center',
+    backgroundColor: Colors.accent,
+    borderRadius: BorderRadius.full,
+    paddingHorizontal: Spacing.lg,
+    paddingVertical: Spacing.sm,
+    flexDirection: 'row',
+    alignItems: 'center',
+    zIndex: 999,
+  },
+  inviteScanText: {
+    color: Colors.white,
+    fontSize: Typography.sm,
+    fontWeight: Typography.semiBold,
+    marginLeft: Spacing.sm,
+  },
   zoomResetText: {
     color: Colors.white,
     fontSize: Typography.sm,
@@ -2116,6 +2475,18 @@ const styles = StyleSheet.create({
     marginLeft: Spacing.xs,
   },
   
+  frontFlashOverlay: {
+    ...StyleSheet.absoluteFillObject,
+    backgroundColor: Colors.white,
+    zIndex: 2000, // Above every control so the whole screen lights up
+  },
+  frontFlashRing: {
+    ...StyleSheet.absoluteFillObject,
+    borderWidth: 40,
+    borderColor: Colors.white,
+    zIndex: 5,
+  },
+
   // Top Overlay - Minimal, floating
   topOverlay: {
     position: 'absolute',
@@ -2143,6 +2514,17 @@ const styles = StyleSheet.create({
     flex: 1,
     textAlign: 'center',
   },
+  recipientsButton: {
+    flex: 1,
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+  },
+  recipientsText: {
+    flex: 0,
+    flexShrink: 1,
+    marginRight: Spacing.xs,
+  },
   
   // Bottom Controls
   bottomControls: {
@@ -2300,6 +2682,7 @@ const styles = StyleSheet.create({
     flexDirection: 'column',
     justifyContent: 'flex-end',
     alignItems: 'flex-end',
+    gap: Spacing.sm,
   },
   
   // Unified Control Button Style - Match Media Toggle
@@ -2410,7 +2793,7 @@ const styles = StyleSheet.create({
   recordingStatusText: {
     color: Colors.white,
     fontSize: Typography.sm,
-    fontWeight: Typography.semibold,
+    fontWeight: Typography.semiBold,
   },
   activeRecordingHint: {
     position: 'absolute',
@@ -2427,6 +2810,40 @@ const styles = StyleSheet.create({
     fontSize: Typography.md,
     fontWeight: Typography.bold,
   },
+  galleryBadge: {
+    position: 'absolute',
+    top: 112,
+    alignSelf: 'center',
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: Spacing.xs,
+    paddingHorizontal: Spacing.md,
+    paddingVertical: Spacing.xs,
+    borderRadius: BorderRadius.full,
+    backgroundColor: 'rgba(0, 0, 0, 0.7)',
+  },
+  galleryBadgeText: {
+    color: Colors.white,
+    fontSize: Typography.sm,
+    fontWeight: Typography.medium,
+  },
+  replyChip: {
+    position: 'absolute',
+    top: 100,
+    left: Spacing.lg,
+    flexDirection: 'row',
+    alignItems: 'center',
+    gap: Spacing.sm,
+    padding: Spacing.xs,
+    paddingRight: Spacing.sm,
+    borderRadius: BorderRadius.base,
+    backgroundColor: 'rgba(0, 0, 0, 0.7)',
+  },
+  replyChipText: {
+    color: Colors.white,
+    fontSize: Typography.sm,
+    fontWeight: Typography.semiBold,
+  },
   previewMuteButton: {
     position: 'absolute',
     top: 100,
@@ -2546,6 +2963,12 @@ const styles = StyleSheet.create({
     fontSize: Typography.base,
     fontWeight: Typography.medium,
   },
+  viewDurationToggle: {
+    marginLeft: Spacing.sm,
+  },
+  viewDurationIcon: {
+    marginRight: Spacing.xs,
+  },
   
   // Caption Input
   captionInput: {
@@ -6,7 +6,7 @@
 import { Ionicons } from '@expo/vector-icons'
 import AsyncStorage from '@react-native-async-storage/async-storage'
 import { router, useLocalSearchParams, useFocusEffect } from 'expo-router'
-import { useChatScreenCaptureGuard } from '../hooks/useChatScreenCaptureGuard'
+import { useChatScreenCaptureGuard, useScreenshotDetection, useSensitiveMediaCaptureGuard } from '../hooks/useChatScreenCaptureGuard'
 import { StatusBar as ExpoStatusBar } from 'expo-status-bar'
 import React, { useCallback, useEffect, useMemo, useRef, useState } from 'react'
 import {
@@ -40,17 +40,24 @@ import NSFWTapToViewOverlay from '../components/NSFWTapToViewOverlay'
 import { BorderRadius, Colors, Spacing, Typography } from '../constants/Design'
 import { useAuthContext } from '../context/AuthContext'
 import { useSlidingWindowMessages } from '../hooks/useSlidingWindowMessages'
+import { usePresence } from '../hooks/usePresence'
 import { oneTimeViewService } from '../services/oneTimeViewService'
 import { nsfwViewService } from '../services/nsfwViewService'
 import { markMessageAsSeen } from '../services/userService'
 import { apiManager } from '../services/apiManager'
 import { chatStore } from '../data/stores/chatStore'
-import { messagesCache } from '../data/messagesCache'
+import { localDatabase } from '../data/localDatabase'
 import { getMediaTypeInfo } from '../utils/mediaTypeUtils'
-import { formatRelativeTime } from '../utils/timeUtils'
+import { formatPresence, formatRelativeTime } from '../utils/timeUtils'
+import { getMessageState } from '../utils/messageState'
 import { backgroundMessageService } from '../services/backgroundMessageService'
 import ReportContentModal from '../components/ReportContentModal'
+import ReactionPicker from '../components/ReactionPicker'
+import ReplyThumbnail from '../components/ReplyThumbnail'
+import MessageStateIcon from '../components/MessageStateIcon'
 import { blockService } from '../services/blockService'
+import { groupService } from '../services/groupService'
+import { reactionService } from '../services/reactionService'
 import { chatVisibilityService } from '../services/chatVisibilityService'
 import { unreadCountService } from '../services/unreadCountService'
 import ReportEmailService from '../services/reportEmailService'
@@ -112,6 +119,7 @@ const ChatScreen = () => {
   const [suspendMedia, setSuspendMedia] = useState(false) // Temporarily unmount media when opening camera
   const [showReportModal, setShowReportModal] = useState(false)
   const [selectedMessageForReport, setSelectedMessageForReport] = useState(null)
+  const [reactionTarget, setReactionTarget] = useState(null) // Received message the picker reacts to
 
   // 3. ALWAYS call animation hooks - NEVER conditionally
   // Initialize carousel position to prevent flash - will be updated when messages load
@@ -251,6 +259,9 @@ const ChatScreen = () => {
       }
       // If we have userId and pseudo (from notification navigation)
       if (params.userId && params.pseudo) {
+        // Group notifications carry the group id as userId
+        const group = groupService.getGroup(params.userId)
+        if (group) return group
         return {
           id: params.userId,
           pseudo: decodeURIComponent(params.pseudo)
@@ -263,6 +274,28 @@ const ChatScreen = () => {
     }
   }, [params.otherUser, params.userId, params.pseudo])
   const otherUserId = params.otherUserId || params.userId || otherUser?.id
+  const isGroup = !!otherUser?.isGroup
+
+  // Online / last active, or what the contact is doing in the camera for this chat
+  const presence = usePresence(isGroup ? null : otherUserId)
+  const presenceLabel = presence.capture === 'video'
+    ? 'Filme…'
+    : presence.capture === 'photo'
+      ? 'Prend une photo…'
+      : formatPresence(presence)
+  const isPresenceActive = presence.online || !!presence.capture
+
+  // Make sure message fetching addresses this group (registered before the messages hook effects run)
+  useEffect(() => {
+    if (isGroup) groupService.registerGroup(otherUser)
+  }, [isGroup, otherUser])
+
+  // Messages from the other side: the peer in a 1:1 chat, any other member in a group
+  const isIncoming = useCallback((message) => (
+    isGroup
+      ? !!message?.sender_id && message.sender_id !== currentUser?.id
+      : message?.sender_id === otherUserId
+  ), [isGroup, currentUser?.id, otherUserId])
 
   // 5. ALWAYS call the messages hook - let it handle null values internally
   const {
@@ -273,6 +306,8 @@ const ChatScreen = () => {
     syncWithDatabase,
     markAsRead,
     removeNsfwMessage,
+    getReplyTarget,
+    jumpToMessage,
     windowSize,
     isWindowFull,
     lastMessageId
@@ -479,7 +514,7 @@ const ChatScreen = () => {
             
             // Find unread messages from the other user, excluding NSFW and one-time messages
             const unreadMessages = messages.filter(msg => 
-              msg.sender_id === otherUserId && 
+              isIncoming(msg) && 
               msg.seen !== true &&
               !userViewedMessages.has(msg.id) &&
               // PROTECTION: Don't auto-mark NSFW or one-time messages as read
@@ -491,7 +526,7 @@ const ChatScreen = () => {
             
             // Also get the NSFW/one-time messages for logging
             const protectedMessages = messages.filter(msg => 
-              msg.sender_id === otherUserId && 
+              isIncoming(msg) && 
               msg.seen !== true &&
               !userViewedMessages.has(msg.id) &&
               (msg.is_nsfw === true || 
@@ -558,7 +593,7 @@ const ChatScreen = () => {
     }
     
     handleNotificationNavigation()
-  }, [params.fromNotification, currentUser?.id, otherUserId, messages, refresh, userViewedMessages])
+  }, [params.fromNotification, currentUser?.id, otherUserId, isIncoming, messages, refresh, userViewedMessages])
 
   // 6. Stable handlers first - prevent circular dependencies
   
@@ -579,7 +614,7 @@ const ChatScreen = () => {
   const markSpecificMessageAsRead = useCallback(
     (message) => {
       if (!message || !currentUser?.id || !otherUserId) return
-      if (message.sender_id !== otherUserId) return // Only mark messages from the other user
+      if (!isIncoming(message)) return // Only mark messages from the other user
       if (message.seen === true) return // Skip if already seen upstream
       
       // Check if we already processed this specific message
@@ -602,8 +637,8 @@ const ChatScreen = () => {
               await markAsRead(message.id)
             }
             
-            // Mark only this message in the messages cache using existing method
-            await messagesCache.setSeenForPair(currentUser.id, otherUserId, [message.id])
+            // Mark only this message in the offline store
+            localDatabase.markSeen(currentUser.id, [message.id])
           } catch (e) { console.warn('⚠️ [USER_READ] optimistic local mark failed', e) }
 
           // Call server to mark ONLY this specific message as read
@@ -620,6 +655,7 @@ const ChatScreen = () => {
               id: message.id,
               sender_id: message.sender_id,
               receiver_id: message.receiver_id,
+              conversation_id: message.conversation_id,
               seen: true,
               seen_at: new Date().toISOString()
             })
@@ -635,7 +671,7 @@ const ChatScreen = () => {
         }
       }, 500) // Reduced timeout for faster read receipts (was 1000ms)
     },
-    [currentUser?.id, otherUserId]
+    [currentUser?.id, otherUserId, isIncoming]
   )
 
   const handleMediaRendered = useCallback((messageId) => {
@@ -925,6 +961,10 @@ const ChatScreen = () => {
 
     console.log(`🔥 [NSFW] Starting timer for message ${message.id}`)
 
+    // Viewing window chosen by the sender (seconds), null = default behaviour
+    const autoDeleteAfter = message.auto_delete_after || null
+    const videoSeconds = (duration) => autoDeleteAfter ? Math.min(duration, autoDeleteAfter) : duration
+
     try {
       if (message.media_type === 'video') {
         // For videos: Use the new video viewing approach that completes when video ends
@@ -987,7 +1027,7 @@ const ChatScreen = () => {
                   console.log(`🎬 [NSFW] Video duration loaded: ${duration}s for message ${message.id}`)
                   setNsfwTimerState(prev => ({
                     ...prev,
-                    timeRemaining: duration
+                    timeRemaining: videoSeconds(duration)
                   }))
                   // Pass duration to NSFW service for fallback timer
                   if (nsfwServiceCallbacks.onDurationLoad) {
@@ -1009,7 +1049,7 @@ const ChatScreen = () => {
               console.log(`🎬 [NSFW] Using stored duration: ${storedDuration}s for message ${message.id}`)
               setNsfwTimerState(prev => ({
                 ...prev,
-                timeRemaining: storedDuration
+                timeRemaining: videoSeconds(storedDuration)
               }))
               if (nsfwServiceCallbacks.onDurationLoad) {
                 nsfwServiceCallbacks.onDurationLoad(storedDuration)
@@ -1021,13 +1061,14 @@ const ChatScreen = () => {
               console.log(`⏱️ [NSFW] No stored duration; starting fallback for ${defaultSeconds}s`)
               setNsfwTimerState(prev => ({
                 ...prev,
-                timeRemaining: defaultSeconds
+                timeRemaining: videoSeconds(defaultSeconds)
               }))
               if (nsfwServiceCallbacks.onDurationLoad) {
                 nsfwServiceCallbacks.onDurationLoad(defaultSeconds)
               }
             }
-          }
+          },
+          autoDeleteAfter
         )
         
         // Ensure playback flag is enabled even if callbacks race
@@ -1049,7 +1090,7 @@ const ChatScreen = () => {
           currentUser.id,
           // Progress callback
           (progress) => {
-            const timeRemaining = Math.max((5 * (1 - progress)), 0) // 5 seconds for photos
+            const timeRemaining = Math.max(((autoDeleteAfter || 5) * (1 - progress)), 0) // 5 seconds for photos unless the sender chose
 
             setNsfwTimerState(prev => ({
               ...prev,
@@ -1088,7 +1129,10 @@ const ChatScreen = () => {
             }
           },
           // Removal callback - not used, completion callback handles removal
-          null
+          null,
+          // Video loaded callback - photos only
+          null,
+          autoDeleteAfter
         )
 
         if (started) {
@@ -1097,7 +1141,7 @@ const ChatScreen = () => {
             messageId: message.id,
             isActive: true,
             progress: 0,
-            timeRemaining: 5 // 5 seconds for photos
+            timeRemaining: autoDeleteAfter || 5 // 5 seconds for photos unless the sender chose
           }))
         }
       }
@@ -1420,12 +1464,12 @@ const ChatScreen = () => {
           
           // Send read receipt only if message is from other user, not seen, AND media is rendered
           const isMediaRendered = renderedMessages.has(currentMessage.id)
-          if (currentMessage.sender_id === otherUserId && 
+          if (isIncoming(currentMessage) && 
               currentMessage.seen !== true && 
               isMediaRendered) {
             console.log('📖 [CHAT] User actually viewed rendered message, marking as read:', currentMessage.id);
             markSpecificMessageAsRead(currentMessage);
-          } else if (currentMessage.sender_id === otherUserId && currentMessage.seen !== true) {
+          } else if (isIncoming(currentMessage) && currentMessage.seen !== true) {
             console.log('📖 [CHAT] User viewed message but media not yet rendered, waiting:', currentMessage.id);
           }
         }
@@ -1435,7 +1479,7 @@ const ChatScreen = () => {
     } catch (error) {
       console.error('❌ [CHAT] Error in message viewing effect:', error)
     }
-  }, [currentIndex, messages, currentUser, viewedMessages, renderedMessages, hasUserInteracted, userViewedMessages, markSpecificMessageAsRead, otherUserId])
+  }, [currentIndex, messages, currentUser, viewedMessages, renderedMessages, hasUserInteracted, userViewedMessages, markSpecificMessageAsRead, otherUserId, isIncoming])
 
   // Send read receipt when media finishes rendering for already-viewed messages
   useEffect(() => {
@@ -1447,20 +1491,20 @@ const ChatScreen = () => {
     // If current message is actually viewed by user interaction but we haven't sent read receipt yet because media wasn't rendered
     const isUserViewed = userViewedMessages.has(currentMessage.id);
     const isRendered = renderedMessages.has(currentMessage.id);
-    const needsReadReceipt = currentMessage.sender_id === otherUserId && currentMessage.seen !== true;
+    const needsReadReceipt = isIncoming(currentMessage) && currentMessage.seen !== true;
 
     if (isUserViewed && isRendered && needsReadReceipt) {
       console.log('📖 [CHAT] Media rendered for user-viewed message, sending read receipt:', currentMessage.id);
       markSpecificMessageAsRead(currentMessage);
     }
-  }, [renderedMessages, userViewedMessages, currentIndex, messages, currentUser?.id, otherUserId, markSpecificMessageAsRead])
+  }, [renderedMessages, userViewedMessages, currentIndex, messages, currentUser?.id, otherUserId, isIncoming, markSpecificMessageAsRead])
 
   // Auto-mark current message as viewed after user spends time looking at it (1 second)
   useEffect(() => {
     if (!messages?.length || !currentUser?.id || currentIndex < 0 || hasUserInteracted) return;
     
     const currentMessage = messages[currentIndex];
-    if (!currentMessage || currentMessage.sender_id !== otherUserId || currentMessage.seen === true) return;
+    if (!currentMessage || !isIncoming(currentMessage) || currentMessage.seen === true) return;
     
     // Set a timer to mark the message as viewed if user stays on it for 1 second
     const timer = setTimeout(() => {
@@ -1479,7 +1523,7 @@ const ChatScreen = () => {
     }, 1000); // 1 second
 
     return () => clearTimeout(timer);
-  }, [currentIndex, messages, currentUser?.id, otherUserId, hasUserInteracted, renderedMessages, userViewedMessages, markSpecificMessageAsRead])
+  }, [currentIndex, messages, currentUser?.id, otherUserId, isIncoming, hasUserInteracted, renderedMessages, userViewedMessages, markSpecificMessageAsRead])
 
   // P1 FIX: Remove additional auto-marking logic - will be handled by batch read receipts
   // Additional effect to ensure messages are marked as read when screen is focused
@@ -1585,7 +1629,10 @@ const ChatScreen = () => {
         currentMessage.receiver_id === currentUser.id && 
         !oneTimeViewService.isViewed(currentMessage.id) &&
         !oneTimeViewService.isCurrentlyViewing(currentMessage.id)) {
-      oneTimeViewService.startViewing(currentMessage.id, currentUser.id, currentMessage).then((started) => {
+      oneTimeViewService.startViewing(currentMessage.id, currentUser.id, currentMessage, () => {
+        // Sender-chosen window elapsed while still on the message
+        updateBlurStates()
+      }).then((started) => {
         if (started) {
           console.log('👁️ [CHAT] Started viewing one-time message:', currentMessage.id)
           // Update blur states to remove blur from currently viewed message
@@ -1597,6 +1644,10 @@ const ChatScreen = () => {
     }
   }, [currentIndex, messages, currentUser])
 
+  // Tell the sender when a one-time/NSFW message on screen is captured, and block recordings
+  useScreenshotDetection(messages?.[currentIndex], currentUser)
+  useSensitiveMediaCaptureGuard(messages?.[currentIndex], currentUser)
+
   // Start NSFW timer when current message changes to an NSFW message
   useEffect(() => {
     if (!messages || messages.length === 0 || currentIndex < 0 || currentIndex >= messages.length) {
@@ -1810,9 +1861,11 @@ const ChatScreen = () => {
     router.back()
   }, [messages, currentUser, currentIndex, nsfwTimerState.isActive, nsfwTimerState.messageId, stopNsfwTimer])
 
-  const openCamera = useCallback(async () => {
+  // options.replyTo: message the capture answers (gestures and buttons call this without options)
+  const openCamera = useCallback(async (options) => {
     console.log('🟣 [TRACE] openCamera');
     if (!otherUser) return
+    const replyTo = options?.replyTo || null
 
     // Fix for camera freezing: ensure we fully stop any playing video by setting shouldPlay to false
     // This will force all videos to stop and release hardware resources before opening the camera
@@ -1874,7 +1927,22 @@ const ChatScreen = () => {
       pathname: '/camera',
       params: {
         otherUser: JSON.stringify(otherUser),
-        returnTo: 'chat'
+        returnTo: 'chat',
+        ...(replyTo && {
+          replyTo: JSON.stringify({
+            // Group members each hold their own row: replies point at the shared group id
+            id: replyTo.group_message_id || replyTo.id,
+            sender_id: replyTo.sender_id,
+            receiver_id: replyTo.receiver_id,
+            media_type: replyTo.media_type,
+            media_url: replyTo.media_url,
+            thumbnail_url: replyTo.thumbnail_url,
+            view_once: replyTo.view_once,
+            is_nsfw: replyTo.is_nsfw,
+            seen: replyTo.seen,
+            viewed_at: replyTo.viewed_at
+          })
+        })
       }
     })
     
@@ -1884,6 +1952,45 @@ const ChatScreen = () => {
     }, 2000)
   }, [otherUser, messages, currentUser, currentIndex, nsfwTimerState.isActive, nsfwTimerState.messageId, stopNsfwTimer])
 
+  // Reply to the displayed message with a new capture
+  const replyToCurrentMessage = useCallback(() => {
+    const currentMsg = (messages && currentIndex >= 0) ? messages[currentIndex] : null
+    if (!currentMsg?.media_url || currentMsg._isSending) return
+    openCamera({ replyTo: currentMsg })
+  }, [messages, currentIndex, openCamera])
+
+  // Tapping a reply's thumbnail shows the original, loading it if it is outside the window
+  const pendingJumpRef = useRef(null)
+  const scrollToMessage = useCallback((messageId) => {
+    const index = messages ? messages.findIndex(m => m.id === messageId) : -1
+    if (index < 0) return false
+    setCurrentIndex(index)
+    carouselTranslateX.value = withSpring(-index * width, {
+      damping: 20,
+      stiffness: 200,
+      mass: 0.8
+    })
+    return true
+  }, [messages, carouselTranslateX])
+
+  const handleReplyPress = useCallback(async (replyToMessageId) => {
+    const messageId = await jumpToMessage(replyToMessageId)
+    if (!messageId) {
+      Alert.alert('Média indisponible', 'Le média d\'origine a expiré ou a été supprimé.')
+      return
+    }
+    if (!scrollToMessage(messageId)) {
+      // The window is being replaced, scroll once it renders
+      pendingJumpRef.current = messageId
+    }
+  }, [jumpToMessage, scrollToMessage])
+
+  useEffect(() => {
+    if (pendingJumpRef.current && scrollToMessage(pendingJumpRef.current)) {
+      pendingJumpRef.current = null
+    }
+  }, [scrollToMessage])
+
   // Resume media when chat screen regains focus
   useFocusEffect(
     useCallback(() => {
@@ -2103,9 +2210,31 @@ const ChatScreen = () => {
       })
   }, [openCamera, goBack, screenTranslateY, screenScale, removingMessageId])
 
+  // Long-press on a received photo/video opens the reaction picker
+  const openReactionPicker = useCallback(() => {
+    const currentMsg = (messages && currentIndex >= 0) ? messages[currentIndex] : null
+    if (!currentMsg?.media_url || currentMsg._isSending || !isIncoming(currentMsg)) return
+    setReactionTarget(currentMsg)
+  }, [messages, currentIndex, isIncoming])
+
+  const longPressGesture = useMemo(() => {
+    return Gesture.LongPress()
+      .minDuration(400)
+      .onStart(() => {
+        runOnJS(openReactionPicker)()
+      })
+  }, [openReactionPicker])
+
+  const handleReactionSelect = useCallback((emoji) => {
+    const target = reactionTarget
+    setReactionTarget(null)
+    if (!target) return
+    reactionService.react(target, currentUser, emoji)
+  }, [reactionTarget, currentUser])
+
   const combinedGesture = useMemo(() => {
-    return Gesture.Simultaneous(horizontalPanGesture, verticalPanGesture)
-  }, [horizontalPanGesture, verticalPanGesture])
+    return Gesture.Race(Gesture.Simultaneous(horizontalPanGesture, verticalPanGesture), longPressGesture)
+  }, [horizontalPanGesture, verticalPanGesture, longPressGesture])
 
   // 9. ALWAYS call useAnimatedStyle - NEVER conditionally
   const animatedCarouselStyle = useAnimatedStyle(() => ({
@@ -2190,6 +2319,11 @@ const ChatScreen = () => {
           </TouchableOpacity>
           <View style={styles.headerTitleContainer}>
             <Text style={styles.headerTitle}>{otherUser?.pseudo || 'Chat'}</Text>
+            {!!presenceLabel && (
+              <Text style={[styles.headerPresence, isPresenceActive && styles.presenceActive]}>
+                {presenceLabel}
+              </Text>
+            )}
             {__DEV__ && isWindowFull && (
               <Text style={styles.slidingWindowIndicator}>
                 Fenêtre glissante: {messages.length}/{windowSize}
@@ -2280,6 +2414,8 @@ const ChatScreen = () => {
                   removingMessageId={removingMessageId}
                   suspendMedia={suspendMedia}
                   setNsfwVideoDurations={setNsfwVideoDurations}
+                  replyTarget={message.reply_to_message_id ? getReplyTarget(message.reply_to_message_id) : undefined}
+                  onReplyPress={handleReplyPress}
                 />
               );
             })}
@@ -2308,6 +2444,13 @@ const ChatScreen = () => {
           <TouchableOpacity style={styles.floatingCameraButton} onPress={openCamera}>
             <Ionicons name="camera" size={24} color={Colors.white} />
           </TouchableOpacity>
+
+          {/* Reply to the displayed media with a capture */}
+          {!!messages[displayIndex]?.media_url && !messages[displayIndex]?._isSending && (
+            <TouchableOpacity style={styles.floatingFlagButton} onPress={replyToCurrentMessage}>
+              <Ionicons name="arrow-undo" size={18} color={Colors.white} />
+            </TouchableOpacity>
+          )}
           
           {/* Report flag button */}
           <TouchableOpacity 
@@ -2331,6 +2474,11 @@ const ChatScreen = () => {
         {/* User name - top center */}
         <View style={styles.floatingUserInfo}>
           <Text style={styles.floatingUserName}>{otherUser?.pseudo || 'Chat'}</Text>
+          {!!presenceLabel && (
+            <Text style={[styles.floatingPresence, isPresenceActive && styles.presenceActive]}>
+              {presenceLabel}
+            </Text>
+          )}
         </View>
       </View>
 
@@ -2341,6 +2489,14 @@ const ChatScreen = () => {
         </Animated.View>
       )}
 
+      {/* Reaction picker (long-press on a received media) */}
+      <ReactionPicker
+        visible={!!reactionTarget}
+        currentEmoji={reactionTarget?.reactions?.find(r => r.user_id === currentUser?.id)?.emoji || null}
+        onSelect={handleReactionSelect}
+        onClose={() => setReactionTarget(null)}
+      />
+
       {/* Report Content Modal */}
       <ReportContentModal
         visible={showReportModal}
@@ -2359,7 +2515,9 @@ const ChatScreen = () => {
               ...reportData, // This already has the correct format from ReportContentModal
               reportedUser: {
                 id: reportData.message.sender_id,
-                pseudo: otherUser?.pseudo || 'Utilisateur inconnu'
+                pseudo: (isGroup
+                  ? groupService.getMemberPseudo(otherUserId, reportData.message.sender_id)
+                  : otherUser?.pseudo) || 'Utilisateur inconnu'
               }
             };
             
@@ -2391,7 +2549,9 @@ const MessageItem = React.memo(({
   handleMediaRendered,
   removingMessageId,
   suspendMedia,
-  setNsfwVideoDurations
+  setNsfwVideoDurations,
+  replyTarget,
+  onReplyPress
 }) => {
   // ALL HOOKS MUST BE CALLED BEFORE ANY EARLY RETURNS - React Rules of Hooks
   
@@ -2465,6 +2625,16 @@ const MessageItem = React.memo(({
   }, [index, currentIndex, nsfwTimerState.isActive, nsfwTimerState.messageId, message?.id, setNsfwVideoDurations]);
   // Calculate derived state
   const isFromCurrentUser = message?.sender_id === currentUser?.id
+  const senderPseudo = otherUser?.isGroup
+    ? otherUser.members?.find(m => m.id === message?.sender_id)?.pseudo
+    : otherUser?.pseudo
+  // Per-member read receipts of my group messages
+  const seenCount = message?.receipts?.filter(r => r.seen).length || 0
+  // The receiver (or a group member) captured my one-time/NSFW message
+  const wasScreenshotted = isFromCurrentUser &&
+    (!!message?.screenshot_at || !!message?.receipts?.some(r => r.screenshot_at))
+  // Reactions of the receiver(s), or my own reaction on a received message
+  const reactions = message?.reactions || []
   const isCurrentMessage = index === currentIndex
   const isNsfwMessage = message?.is_nsfw && !isFromCurrentUser
   const isRemoving = removingMessageId === message?.id
@@ -2541,6 +2711,7 @@ const MessageItem = React.memo(({
               onPlaybackStatusUpdate={message.is_nsfw ? onPlaybackStatusUpdate : undefined}
               onLoad={onVideoLoad}
               onError={onVideoError}
+              overlay={message.media_overlay}
               onDurationLoad={message.is_nsfw ? onDurationLoad : undefined}
               onVideoEnd={message.is_nsfw ? onVideoEnd : undefined}
               showControls={true}
@@ -2615,6 +2786,16 @@ const MessageItem = React.memo(({
         </View>
       )}
       
+      {/* Original this capture answers (undefined while it loads, null when gone) */}
+      {message.reply_to_message_id && replyTarget !== undefined && (
+        <ReplyThumbnail
+          message={replyTarget}
+          currentUserId={currentUser?.id}
+          onPress={() => onReplyPress?.(message.reply_to_message_id)}
+          style={styles.replyThumbnail}
+        />
+      )}
+
       {/* Message caption */}
       {message.caption && (
         <View style={styles.floatingCaptionContainer}>
@@ -2625,8 +2806,14 @@ const MessageItem = React.memo(({
       {/* Message info at bottom */}
       <View style={styles.floatingMessageInfo}>
         <Text style={styles.senderName}>
-          {isFromCurrentUser ? 'Vous' : (otherUser?.pseudo || 'Inconnu')}
+          {isFromCurrentUser ? 'Vous' : (senderPseudo || 'Inconnu')}
         </Text>
+        {message.from_gallery === false && (
+          // Live capture: not imported from the sender's gallery
+          <View style={styles.liveCaptureBadge}>
+            <Ionicons name="camera" size={12} color={Colors.white} />
+          </View>
+        )}
         <Text style={styles.messageTime}>
           {formatRelativeTime(message.created_at)}
         </Text>
@@ -2636,7 +2823,8 @@ const MessageItem = React.memo(({
               // Show different indicators based on status
               <View style={styles.sendingIndicator}>
                 <Text style={styles.sendingText}>
-                  {message._sendingStatus === 'uploading' ? 'Upload...' : 
+                  {message._sendingStatus === 'uploading'
+                    ? (message._uploadProgress > 0 ? `Upload... ${Math.round(message._uploadProgress * 100)}%` : 'Upload...') : 
                    message._sendingStatus === 'sending' ? 'Envoi...' : 'Envoi...'}
                 </Text>
               </View>
@@ -2649,16 +2837,36 @@ const MessageItem = React.memo(({
                 style={{ marginLeft: 8 }}
               />
             ) : (
-              // Normal checkmarks
-              <Ionicons
-                name={message.seen ? "checkmark-done" : "checkmark"}
+              // Sent / delivered / opened / expired
+              <MessageStateIcon
+                state={getMessageState(message)}
                 size={16}
-                color={message.seen ? Colors.accent : Colors.white}
                 style={{ marginLeft: 8 }}
               />
             )}
+            {!message._isSending && message.receipts?.length > 0 && (
+              <Text style={[styles.messageTime, { marginLeft: 4 }]}>
+                {`Vu ${seenCount}/${message.receipts.length}`}
+              </Text>
+            )}
+            {wasScreenshotted && (
+              <View style={styles.screenshotMarker}>
+                <Ionicons name="camera" size={14} color={Colors.fire} />
+                <Text style={styles.screenshotMarkerText}>Capture</Text>
+              </View>
+            )}
           </>
         )}
+        {reactions.length > 0 && (
+          <View style={styles.reactionsContainer}>
+            <Text style={styles.reactionsText}>
+              {reactions.slice(-3).map(r => r.emoji).join('')}
+            </Text>
+            {reactions.length > 3 && (
+              <Text style={styles.reactionsCount}>{`+${reactions.length - 3}`}</Text>
+            )}
+          </View>
+        )}
       </View>
     </Animated.View>
   )
@@ -2738,6 +2946,14 @@ const styles = StyleSheet.create({
     fontSize: Typography.xl,
     fontWeight: Typography.medium,
   },
+  headerPresence: {
+    color: Colors.gray400,
+    fontSize: Typography.xs,
+    marginTop: 2,
+  },
+  presenceActive: {
+    color: Colors.online,
+  },
   slidingWindowIndicator: {
     color: Colors.gray400,
     fontSize: Typography.xs,
@@ -2921,6 +3137,14 @@ const styles = StyleSheet.create({
     textShadowOffset: { width: 0, height: 1 },
     textShadowRadius: 3,
   },
+  floatingPresence: {
+    color: Colors.gray300,
+    fontSize: Typography.xs,
+    marginTop: 2,
+    textShadowColor: Colors.blackOverlay,
+    textShadowOffset: { width: 0, height: 1 },
+    textShadowRadius: 3,
+  },
   floatingCaptionContainer: {
     position: 'absolute',
     bottom: 120,
@@ -2931,6 +3155,12 @@ const styles = StyleSheet.create({
     padding: Spacing.md,
     zIndex: 15, // Above blur overlay
   },
+  replyThumbnail: {
+    position: 'absolute',
+    bottom: 190,
+    left: Spacing.lg,
+    zIndex: 20, // Above blur overlay
+  },
   floatingMessageInfo: {
     position: 'absolute',
     bottom: 40,
@@ -2995,6 +3225,37 @@ const styles = StyleSheet.create({
     flex: 1,
     marginLeft: Spacing.sm,
   },
+  liveCaptureBadge: {
+    width: 20,
+    height: 20,
+    borderRadius: 10,
+    backgroundColor: 'rgba(255, 255, 255, 0.2)',
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  screenshotMarker: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginLeft: Spacing.sm,
+  },
+  screenshotMarkerText: {
+    color: Colors.fire,
+    fontSize: Typography.xs,
+    marginLeft: 2,
+  },
+  reactionsContainer: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    marginLeft: 'auto',
+  },
+  reactionsText: {
+    fontSize: Typography.lg,
+  },
+  reactionsCount: {
+    color: Colors.white,
+    fontSize: Typography.xs,
+    marginLeft: 2,
+  },
   sendingIndicator: {
     marginLeft: 8,
     paddingHorizontal: 8,
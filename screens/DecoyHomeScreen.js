@@ -0,0 +1,125 @@
+import React from 'react'
+import { View, Text, TextInput, TouchableOpacity, StyleSheet } from 'react-native'
+import { Ionicons } from '@expo/vector-icons'
+import { Colors, Spacing, Typography, BorderRadius } from '../constants/Design'
+import { AppStatusBar } from '../components/AppStatusBar'
+import { appLockService } from '../services/appLockService'
+import { getSafeAreaTop } from '../utils/responsive'
+
+/**
+ * Empty account view opened by the decoy PIN
+ * Looks like a fresh HomeScreen and never touches the real account data.
+ * Settings locks the app again so the real PIN can be typed.
+ */
+export default function DecoyHomeScreen() {
+  return (
+    <View style={styles.container}>
+      <AppStatusBar barStyle="light-content" />
+
+      {/* Header */}
+      <View style={styles.header}>
+        <View style={styles.headerTop}>
+          <Text style={styles.title}>NoText.</Text>
+          <TouchableOpacity
+            style={styles.settingsButton}
+            onPress={() => appLockService.lock()}
+          >
+            <Ionicons name="settings-outline" size={20} color={Colors.white} />
+          </TouchableOpacity>
+        </View>
+
+        <View style={styles.searchContainer}>
+          <TextInput
+            style={styles.searchInput}
+            placeholder="Rechercher un pseudo..."
+            placeholderTextColor={Colors.gray500}
+            autoCapitalize="none"
+            returnKeyType="search"
+          />
+          <View style={styles.searchButton}>
+            <Ionicons name="search" size={20} color={Colors.white} />
+          </View>
+        </View>
+      </View>
+
+      <View style={styles.emptyContainer}>
+        <Text style={styles.emptyText}>
+          Aucune conversation pour le moment
+        </Text>
+        <Text style={styles.emptySubtext}>
+          Recherchez un pseudo pour commencer à échanger
+        </Text>
+      </View>
+    </View>
+  )
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: Colors.black,
+  },
+  header: {
+    paddingTop: getSafeAreaTop(),
+    paddingHorizontal: Spacing.screen,
+    paddingBottom: Spacing.lg,
+    borderBottomWidth: 1,
+    borderBottomColor: Colors.gray800,
+  },
+  headerTop: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    marginBottom: Spacing.lg,
+  },
+  title: {
+    fontSize: Typography.xxxl,
+    fontWeight: Typography.light,
+    color: Colors.white,
+  },
+  settingsButton: {
+    padding: Spacing.xs,
+    backgroundColor: Colors.gray900,
+    borderRadius: BorderRadius.full,
+    borderWidth: 1,
+    borderColor: Colors.gray800,
+  },
+  searchContainer: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    backgroundColor: Colors.gray900,
+    borderRadius: BorderRadius.full,
+    paddingHorizontal: Spacing.md,
+    borderWidth: 1,
+    borderColor: Colors.gray800,
+  },
+  searchInput: {
+    flex: 1,
+    color: Colors.white,
+    fontSize: Typography.base,
+    fontWeight: Typography.light,
+    paddingVertical: Spacing.sm,
+  },
+  searchButton: {
+    padding: Spacing.xs,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  emptyContainer: {
+    alignItems: 'center',
+    paddingTop: 100,
+  },
+  emptyText: {
+    color: Colors.white,
+    fontSize: Typography.lg,
+    fontWeight: Typography.light,
+    textAlign: 'center',
+    marginBottom: Spacing.sm,
+  },
+  emptySubtext: {
+    color: Colors.gray500,
+    fontSize: Typography.base,
+    fontWeight: Typography.light,
+    textAlign: 'center',
+  },
+})
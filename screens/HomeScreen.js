@@ -19,25 +19,32 @@ import ThumbnailBlurOverlay from '../components/ThumbnailBlurOverlay'
 import { BorderRadius, Colors, Spacing, Typography } from '../constants/Design'
 import { useAuthContext } from '../context/AuthContext'
 import { useSimpleConversations } from '../hooks/useSimpleConversations'
+import { usePresence } from '../hooks/usePresence'
 import { apiManager } from '../services/apiManager'
 import { oneTimeViewService } from '../services/oneTimeViewService'
 import { nsfwViewService } from '../services/nsfwViewService'
 import { formatRelativeTime } from '../utils/timeUtils'
+import { getMessageState } from '../utils/messageState'
 import { realtimeCacheManager } from '../services/realtimeCacheManager'
-import { findUserByUserId } from '../services/userService'
+import { findUserByUserId, isSearchRateLimitError } from '../services/userService'
 import { getMediaPreviewSource, getMediaTypeInfo, shouldShowMediaPlaceholder } from '../utils/mediaTypeUtils'
 import { getSafeAreaTop } from '../utils/responsive'
 import { useConversationMediaPreloader } from '../utils/mediaPreloaders' // P5 FIX: Import conversation media preloader
 import { blockService } from '../services/blockService'
 import { unreadCountService } from '../services/unreadCountService'
 import { chatStore } from '../data/stores/chatStore'
-import { messagesCache } from '../data/messagesCache'
 import { chatVisibilityService } from '../services/chatVisibilityService'
 import ConversationContextMenu from '../components/ConversationContextMenu'
 import ReportUserModal from '../components/ReportUserModal'
 import ReportEmailService from '../services/reportEmailService'
 import ReportAPIService from '../services/reportAPIService'
 import ConversationService from '../services/conversationService'
+import CreateGroupModal from '../components/CreateGroupModal'
+import MessageStateIcon from '../components/MessageStateIcon'
+import { groupService } from '../services/groupService'
+import { reactionService } from '../services/reactionService'
+import { messageRequestService } from '../services/messageRequestService'
+import { notificationPreferencesService } from '../services/notificationPreferencesService'
 
 // Performance logging - only in development
 const debugLog = __DEV__ ? (operation, data = null) => {
@@ -75,6 +82,7 @@ const HomeScreen = () => {
 
   // Modal states for reporting and conversation actions
   const [showContextMenu, setShowContextMenu] = useState(false)
+  const [showCreateGroup, setShowCreateGroup] = useState(false)
   const [contextMenuPosition, setContextMenuPosition] = useState(null)
   const [showReportModal, setShowReportModal] = useState(false)
   const [selectedConversationUser, setSelectedConversationUser] = useState(null)
@@ -82,6 +90,15 @@ const HomeScreen = () => {
   // Block service state
   const [blockedUsers, setBlockedUsers] = useState([])
 
+  // Latest reaction to my messages, keyed by conversation id
+  const [latestReactions, setLatestReactions] = useState({})
+
+  // First messages from strangers waiting in the requests inbox
+  const [pendingRequestsCount, setPendingRequestsCount] = useState(() => messageRequestService.getPendingCount())
+
+  // Muted conversations, keyed by other user id (or group id)
+  const [mutes, setMutes] = useState(() => notificationPreferencesService.mutes)
+
   // Control refs - simplified since hook handles most logic
   const lastFocusTimeRef = useRef(0)
   const mountTimeRef = useRef(Date.now())
@@ -112,6 +129,9 @@ const HomeScreen = () => {
     if (blockedUsers.length === 0) return conversations
     
     return conversations.filter(conversation => {
+      // Groups stay listed; the server drops group messages from people who blocked me
+      if (conversation.is_group) return true
+
       const otherUserId = conversation.receiver_id === currentUser?.id 
         ? conversation.sender_id 
         : conversation.receiver_id
@@ -148,6 +168,8 @@ const HomeScreen = () => {
     const initializeBlockService = async () => {
       console.log('🔧 [HOME] Initializing block service...')
       await blockService.initialize()
+      // Re-hydrate from the server in case initialization happened before login
+      blockService.syncWithServer()
       const blocked = await blockService.getBlockedUsers()
       console.log('🔧 [HOME] Block service initialized, blocked users:', blocked)
       console.log('🔧 [HOME] Setting blockedUsers state to:', blocked)
@@ -169,6 +191,47 @@ const HomeScreen = () => {
     return unsubscribe
   }, [])
 
+  // Load reactions to my messages and keep them live
+  useEffect(() => {
+    if (!currentUser?.id) return
+
+    let cancelled = false
+    reactionService.getLatestReactions(currentUser.id).then(latest => {
+      if (!cancelled) setLatestReactions(latest)
+    })
+
+    const handleReaction = ({ conversationId, messageId, userId, reaction } = {}) => {
+      if (!conversationId || userId === currentUser.id) return
+      setLatestReactions(prev => {
+        if (reaction) return { ...prev, [conversationId]: { ...reaction, message_id: messageId } }
+        if (prev[conversationId]?.user_id !== userId) return prev
+        const next = { ...prev }
+        delete next[conversationId]
+        return next
+      })
+    }
+
+    realtimeCacheManager.on('messageReaction', handleReaction)
+    return () => {
+      cancelled = true
+      realtimeCacheManager.off('messageReaction', handleReaction)
+    }
+  }, [currentUser?.id])
+
+  // Keep the requests inbox badge live
+  useEffect(() => {
+    if (!currentUser?.id) return
+
+    messageRequestService.start(currentUser.id)
+    setPendingRequestsCount(messageRequestService.getPendingCount())
+    return messageRequestService.addListener(requests => setPendingRequestsCount(requests.length))
+  }, [currentUser?.id])
+
+  // Keep the muted icons in sync with the context menu and other screens
+  useEffect(() => {
+    return notificationPreferencesService.addListener(({ mutes: updatedMutes }) => setMutes(updatedMutes))
+  }, [])
+
   // 🔥 REALTIME: Smart focus-based refresh - Only refresh when needed
   useFocusEffect(
     useCallback(() => {
@@ -508,6 +571,10 @@ const HomeScreen = () => {
       }
     } catch (error) {
       debugLog('DIRECT_SEARCH_ERROR', { error: error.message })
+      if (isSearchRateLimitError(error)) {
+        Alert.alert('Trop de recherches', 'Patientez quelques instants avant de relancer une recherche.')
+        return
+      }
       Alert.alert('Erreur', 'Impossible de rechercher cet utilisateur')
     } finally {
       setSearchQuery('')
@@ -620,6 +687,33 @@ const HomeScreen = () => {
 
   // Handle long press on conversation item with fixed position
   const handleConversationLongPress = useCallback((item, event) => {
+    // Groups: report/block apply to members, so only offer to leave
+    if (item.is_group) {
+      Alert.alert(
+        item.otherUser?.pseudo || 'Groupe',
+        'Voulez-vous quitter ce groupe ?\n\nVous ne recevrez plus ses messages.',
+        [
+          { text: 'Annuler', style: 'cancel' },
+          {
+            text: 'Quitter',
+            style: 'destructive',
+            onPress: async () => {
+              try {
+                await groupService.leaveGroup(item.id, currentUser?.id)
+                if (hookRefreshRef.current) {
+                  hookRefreshRef.current()
+                }
+              } catch (error) {
+                console.error('❌ [GROUPS] Error leaving group:', error)
+                Alert.alert('Erreur', 'Impossible de quitter le groupe.')
+              }
+            }
+          }
+        ]
+      )
+      return
+    }
+
     const otherUser = item.otherUser || {
       id: item.receiver_id === currentUser?.id ? item.sender_id : item.receiver_id,
       pseudo: item.otherUser?.pseudo || 'Utilisateur'
@@ -637,6 +731,21 @@ const HomeScreen = () => {
     })
   }, [currentUser])
 
+  // Open a freshly created group
+  const handleGroupCreated = useCallback((group) => {
+    setShowCreateGroup(false)
+    if (hookRefreshRef.current) {
+      hookRefreshRef.current()
+    }
+    router.push({
+      pathname: '/chat',
+      params: {
+        otherUser: JSON.stringify(group),
+        otherUserId: String(group.id)
+      }
+    })
+  }, [])
+
   // Handle report user action
   const handleReportUser = useCallback(() => {
     setShowContextMenu(false)
@@ -699,6 +808,26 @@ const HomeScreen = () => {
   }, [selectedConversationUser])
 
   // Handle conversation deletion
+  const handleMuteConversation = useCallback(async (duration) => {
+    if (!selectedConversationUser?.id) return
+    try {
+      await notificationPreferencesService.mute(String(selectedConversationUser.id), duration)
+    } catch (error) {
+      console.error('❌ [MUTE] Error muting conversation:', error)
+      Alert.alert('Erreur', 'Impossible de couper les notifications de cette conversation.')
+    }
+  }, [selectedConversationUser])
+
+  const handleUnmuteConversation = useCallback(async () => {
+    if (!selectedConversationUser?.id) return
+    try {
+      await notificationPreferencesService.unmute(String(selectedConversationUser.id))
+    } catch (error) {
+      console.error('❌ [MUTE] Error unmuting conversation:', error)
+      Alert.alert('Erreur', 'Impossible de réactiver les notifications de cette conversation.')
+    }
+  }, [selectedConversationUser])
+
   const handleDeleteConversation = useCallback(() => {
     if (!selectedConversationUser) return
 
@@ -770,20 +899,28 @@ const HomeScreen = () => {
   }, [currentUser])
 
   // Optimized conversation item with minimal re-render logic
-  const ConversationItem = React.memo(({ item }) => {
+  const ConversationItem = React.memo(({ item, reaction }) => {
     console.log('🟢 [TRACE] ConversationItem render', item);
   // FIXED: Use the correct indicators from cache with improved logic
   const isNewMessage = item.has_new_message || false  // "I have unread incoming messages"
 
     // Get unread count for this conversation
-    const otherUserId = item.receiver_id === currentUser?.id ? item.sender_id : item.receiver_id || item.otherUser?.id
-    const unreadCount = unreadCounts[otherUserId] || 0
+    const otherUserId = item.is_group
+      ? item.id
+      : item.receiver_id === currentUser?.id ? item.sender_id : item.receiver_id || item.otherUser?.id
+    const unreadCount = item.is_group ? (item.unread_count || 0) : (unreadCounts[otherUserId] || 0)
     const showUnreadBadge = unreadCount > 0
 
+    // Online dot and camera activity of the contact (1:1 only)
+    const presence = usePresence(item.is_group ? null : otherUserId)
+
+    // A reaction to my media is shown while nothing newer happened in the conversation
+    const showReaction = !!reaction && (!item.created_at || new Date(reaction.created_at) >= new Date(item.created_at))
+    const reactorPseudo = item.is_group && reaction ? groupService.getMemberPseudo(item.id, reaction.user_id) : null
+
     // Derive read/delivered state from the last message payload (prefer messages cache)
     let last = item.last_message || {}
     try {
-      const otherUserId = item.receiver_id === currentUser?.id ? item.sender_id : item.receiver_id || item.otherUser?.id
       if (currentUser?.id && otherUserId) {
         const cacheKey = `messages_currentUserId:${currentUser.id}|otherUserId:${otherUserId}`
         const msgs = apiManager.getFromCache(cacheKey)
@@ -822,13 +959,13 @@ const HomeScreen = () => {
   // This prevents showing checkmarks for received messages
   const shouldShowCheckmarks = isOutgoing && !isNewMessage && lastSenderId === currentUser?.id
 
-  // Show double-check (read) when the other user has explicitly read our last message
-  const isReadIndicator = shouldShowCheckmarks && lastSeenByOther
-  // Single check when our message not yet read but it's still the latest
-  const showSingleCheck = shouldShowCheckmarks && !lastSeenByOther
+  // State of our last message (sent / delivered / opened / expired) while it's still the latest
+  const lastState = shouldShowCheckmarks
+    ? getMessageState({ ...last, state: last?.state || item.last_state, seen: lastSeenByOther })
+    : null
 
   // DEBUG: Log checkmark logic for troubleshooting
-  if (__DEV__ && (isReadIndicator || showSingleCheck || lastSenderId !== currentUser?.id)) {
+  if (__DEV__ && (lastState || lastSenderId !== currentUser?.id)) {
     console.log(`🔍 [CHECKMARK_DEBUG] ${item.id}:`, {
       lastSenderId,
       currentUserId: currentUser?.id,
@@ -838,8 +975,7 @@ const HomeScreen = () => {
       isOutgoing,
       isNewMessage,
       shouldShowCheckmarks,
-      isReadIndicator,
-      showSingleCheck,
+      lastState,
       lastSeenByOther,
       actualLastMessageSender: item.last_message?.sender_id
     })
@@ -958,21 +1094,30 @@ const HomeScreen = () => {
               </View>
             )}
 
-            {/* Read indicator - only show for messages sent by current user when appropriate */}
-            {(isReadIndicator || showSingleCheck) && (
-              <View style={[styles.readIndicator, isReadIndicator ? styles.readIndicatorSeen : styles.readIndicatorUnread]}>
-                <Ionicons 
-                  name={isReadIndicator ? "checkmark-done" : "checkmark"} 
-                  size={10} 
-                  color={Colors.white} 
-                />
+            {/* State indicator - only show for messages sent by current user when appropriate */}
+            {lastState && (
+              <View style={[
+                styles.readIndicator,
+                lastState === 'opened' && styles.readIndicatorSeen,
+                (lastState === 'sent' || lastState === 'delivered') && styles.readIndicatorUnread
+              ]}>
+                <MessageStateIcon state={lastState} size={10} color={Colors.white} />
               </View>
             )}
           </View>
           
           <View style={styles.conversationInfo}>
             <View style={styles.pseudoContainer}>
+              {item.is_group && (
+                <Ionicons name="people" size={14} color={Colors.gray500} style={styles.groupIcon} />
+              )}
               <Text style={styles.pseudoText}>{item.otherUser?.pseudo}</Text>
+              {presence.online && (
+                <View style={styles.onlineDot} accessibilityLabel="En ligne" />
+              )}
+              {notificationPreferencesService.isMuted(otherUserId) && (
+                <Ionicons name="notifications-off" size={12} color={Colors.gray500} style={styles.mutedIcon} accessibilityLabel="En sourdine" />
+              )}
               {showUnreadBadge && (
                 <View style={styles.unreadBadge}>
                   <Text style={styles.unreadCount}>{unreadCount > 99 ? '99+' : unreadCount}</Text>
@@ -980,8 +1125,18 @@ const HomeScreen = () => {
               )}
             </View>
             <Text style={styles.timeText}>
-              {formatRelativeTime(item.created_at)}
+              {formatRelativeTime(showReaction ? reaction.created_at : item.created_at)}
             </Text>
+            {presence.capture && (
+              <Text style={styles.presenceText} numberOfLines={1}>
+                {presence.capture === 'video' ? 'Filme…' : 'Prend une photo…'}
+              </Text>
+            )}
+            {showReaction && (
+              <Text style={styles.reactionText} numberOfLines={1}>
+                {`${reaction.emoji} ${reactorPseudo ? `${reactorPseudo} a réagi` : 'A réagi'} à votre média`}
+              </Text>
+            )}
             {item.caption && (
               <Text style={styles.captionText} numberOfLines={1}>
                 {item.caption}
@@ -1001,6 +1156,8 @@ const HomeScreen = () => {
 
     return (
       prev.id === next.id &&
+      prevProps.reaction?.id === nextProps.reaction?.id &&
+      prevProps.reaction?.emoji === nextProps.reaction?.emoji &&
       prev.has_new_message === next.has_new_message &&
       prev.otherUser?.pseudo === next.otherUser?.pseudo &&
       prev.view_once === next.view_once &&
@@ -1014,6 +1171,8 @@ const HomeScreen = () => {
       prevLast.id === nextLast.id &&
       prevLast.sender_id === nextLast.sender_id &&
       prevLast.seen === nextLast.seen &&
+      prevLast.state === nextLast.state &&
+      prev.last_state === next.last_state &&
       prev.last_seen === next.last_seen &&
       prev.last_seen_at === next.last_seen_at &&
       prevLast.read_at === nextLast.read_at &&
@@ -1032,12 +1191,32 @@ const HomeScreen = () => {
       <View style={styles.header}>
         <View style={styles.headerTop}>
           <Text style={styles.title}>NoText.</Text>
-          <TouchableOpacity 
-            style={styles.settingsButton}
-            onPress={() => router.push('/settings')}
-          >
-            <Ionicons name="settings-outline" size={20} color={Colors.white} />
-          </TouchableOpacity>
+          <View style={styles.headerActions}>
+            <TouchableOpacity 
+              style={[styles.settingsButton, styles.headerActionSpacing]}
+              onPress={() => router.push('/requests')}
+              accessibilityLabel="Demandes de messages"
+            >
+              <Ionicons name="mail-unread-outline" size={20} color={Colors.white} />
+              {pendingRequestsCount > 0 && (
+                <View style={styles.requestsBadge}>
+                  <Text style={styles.unreadCount}>{pendingRequestsCount > 99 ? '99+' : pendingRequestsCount}</Text>
+                </View>
+              )}
+            </TouchableOpacity>
+            <TouchableOpacity 
+              style={[styles.settingsButton, styles.headerActionSpacing]}
+              onPress={() => setShowCreateGroup(true)}
+            >
+              <Ionicons name="people-outline" size={20} color={Colors.white} />
+            </TouchableOpacity>
+            <TouchableOpacity 
+              style={styles.settingsButton}
+              onPress={() => router.push('/settings')}
+            >
+              <Ionicons name="settings-outline" size={20} color={Colors.white} />
+            </TouchableOpacity>
+          </View>
         </View>
         
         <View style={[
@@ -1107,8 +1286,8 @@ const HomeScreen = () => {
         <FlatList
           data={filteredConversations}
           keyExtractor={(item) => `${item.id}_${item._updateTimestamp || lastUpdate || 0}`}
-          extraData={[lastUpdate, unreadCounts, blockedUsers]} // Add blockedUsers to trigger re-renders when block list changes
-          renderItem={({ item }) => <ConversationItem item={item} />}
+          extraData={[lastUpdate, unreadCounts, blockedUsers, latestReactions, mutes]} // Add blockedUsers to trigger re-renders when block list changes
+          renderItem={({ item }) => <ConversationItem item={item} reaction={latestReactions[item.id]} />}
           contentContainerStyle={styles.listContainer}
           showsVerticalScrollIndicator={false}
           refreshControl={
@@ -1150,6 +1329,9 @@ const HomeScreen = () => {
           onReport={handleReportUser}
           onBlock={handleBlockUser}
           onDelete={handleDeleteConversation}
+          mutedUntil={notificationPreferencesService.getMutedUntil(selectedConversationUser?.id)}
+          onMute={handleMuteConversation}
+          onUnmute={handleUnmuteConversation}
         />
 
         {/* Report User Modal */}
@@ -1163,6 +1345,15 @@ const HomeScreen = () => {
           currentUser={currentUser}
           onSubmit={handleReportSubmit}
         />
+
+        {/* Create Group Modal */}
+        <CreateGroupModal
+          visible={showCreateGroup}
+          onClose={() => setShowCreateGroup(false)}
+          onCreated={handleGroupCreated}
+          currentUser={currentUser}
+          blockedUsers={blockedUsers}
+        />
       </View>
     </View>
   )
@@ -1194,6 +1385,13 @@ const styles = StyleSheet.create({
     fontWeight: Typography.light,
     color: Colors.white,
   },
+  headerActions: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  headerActionSpacing: {
+    marginRight: Spacing.sm,
+  },
   settingsButton: {
     padding: Spacing.xs,
     backgroundColor: Colors.gray900,
@@ -1201,6 +1399,18 @@ const styles = StyleSheet.create({
     borderWidth: 1,
     borderColor: Colors.gray800,
   },
+  requestsBadge: {
+    position: 'absolute',
+    top: -6,
+    right: -6,
+    backgroundColor: Colors.fire,
+    borderRadius: 9,
+    minWidth: 18,
+    height: 18,
+    justifyContent: 'center',
+    alignItems: 'center',
+    paddingHorizontal: 4,
+  },
   
   // Search
   searchContainer: {
@@ -1434,11 +1644,28 @@ const styles = StyleSheet.create({
     alignItems: 'center',
     marginBottom: Spacing.xs,
   },
+  groupIcon: {
+    marginRight: Spacing.xs,
+  },
   pseudoText: {
     color: Colors.white,
     fontSize: Typography.lg,
     fontWeight: Typography.light,
   },
+  mutedIcon: {
+    marginLeft: Spacing.xs,
+  },
+  onlineDot: {
+    width: 8,
+    height: 8,
+    borderRadius: 4,
+    backgroundColor: Colors.online,
+    marginLeft: Spacing.xs,
+  },
+  presenceText: {
+    color: Colors.online,
+    fontSize: Typography.sm,
+  },
   notificationDot: {
     width: 8,
     height: 8,
@@ -1474,6 +1701,10 @@ const styles = StyleSheet.create({
     fontWeight: Typography.light,
     fontStyle: 'italic',
   },
+  reactionText: {
+    color: Colors.accent,
+    fontSize: Typography.sm,
+  },
   
   // Empty State
   emptyContainer: {
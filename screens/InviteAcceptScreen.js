@@ -0,0 +1,234 @@
+import React, { useState, useEffect, useCallback } from 'react'
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  ActivityIndicator,
+  Alert
+} from 'react-native'
+import { Ionicons } from '@expo/vector-icons'
+import { router, useLocalSearchParams } from 'expo-router'
+import { Colors, Spacing, Typography, BorderRadius } from '../constants/Design'
+import { useAuthContext } from '../context/AuthContext'
+import { inviteService } from '../services/inviteService'
+import { apiManager } from '../services/apiManager'
+import { AppStatusBar } from '../components/AppStatusBar'
+import { getSafeAreaTop } from '../utils/responsive'
+
+// Opened by notextapp://invite?token=... links and QR codes scanned in the camera
+export default function InviteAcceptScreen() {
+  const { token } = useLocalSearchParams()
+  const { user: currentUser, loading: authLoading } = useAuthContext()
+  const [inviter, setInviter] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [accepting, setAccepting] = useState(false)
+
+  useEffect(() => {
+    if (authLoading) return
+    if (!currentUser?.id || !token) {
+      setLoading(false)
+      return
+    }
+
+    let cancelled = false
+    inviteService.resolveInvite(String(token))
+      .then(result => {
+        if (!cancelled) setInviter(result)
+      })
+      .catch(error => console.error('❌ [INVITE] Failed to resolve invite:', error))
+      .finally(() => {
+        if (!cancelled) setLoading(false)
+      })
+
+    return () => {
+      cancelled = true
+    }
+  }, [token, currentUser?.id, authLoading])
+
+  const handleClose = useCallback(() => {
+    if (router.canGoBack()) router.back()
+    else router.replace('/home')
+  }, [])
+
+  const handleAccept = useCallback(async () => {
+    setAccepting(true)
+    try {
+      const inviterId = await inviteService.acceptInvite(String(token))
+      if (!inviterId) {
+        setInviter(null)
+        return
+      }
+
+      apiManager.invalidateCache(apiManager.getCacheKey('conversations', { userId: currentUser.id }))
+      router.replace({
+        pathname: '/chat',
+        params: {
+          otherUser: JSON.stringify(inviter),
+          otherUserId: String(inviterId),
+          isNewConversation: true
+        }
+      })
+    } catch (error) {
+      console.error('❌ [INVITE] Failed to accept invite:', error)
+      Alert.alert('Erreur', 'Impossible d\'ouvrir cette invitation. Réessayez plus tard.')
+    } finally {
+      setAccepting(false)
+    }
+  }, [token, inviter, currentUser?.id])
+
+  const renderContent = () => {
+    if (loading || authLoading) {
+      return <ActivityIndicator size="large" color={Colors.white} />
+    }
+
+    if (!currentUser?.id) {
+      return (
+        <>
+          <Ionicons name="person-circle-outline" size={64} color={Colors.gray500} />
+          <Text style={styles.title}>Connexion requise</Text>
+          <Text style={styles.description}>
+            Créez votre compte NoText puis rouvrez le lien d&apos;invitation.
+          </Text>
+        </>
+      )
+    }
+
+    if (!inviter) {
+      return (
+        <>
+          <Ionicons name="link-outline" size={64} color={Colors.gray500} />
+          <Text style={styles.title}>Invitation invalide</Text>
+          <Text style={styles.description}>
+            Ce lien a expiré ou a été révoqué. Demandez une nouvelle invitation à votre contact.
+          </Text>
+        </>
+      )
+    }
+
+    return (
+      <>
+        <View style={styles.avatar}>
+          <Text style={styles.avatarText}>{inviter.pseudo?.charAt(0).toUpperCase()}</Text>
+        </View>
+        <Text style={styles.title}>{inviter.pseudo}</Text>
+        <Text style={styles.description}>
+          vous invite à discuter sur NoText. Vos messages arriveront directement dans ses conversations.
+        </Text>
+        <TouchableOpacity
+          style={[styles.primaryButton, accepting && styles.buttonDisabled]}
+          onPress={handleAccept}
+          disabled={accepting}
+        >
+          {accepting ? (
+            <ActivityIndicator size="small" color={Colors.white} />
+          ) : (
+            <Text style={styles.primaryButtonText}>Démarrer la conversation</Text>
+          )}
+        </TouchableOpacity>
+      </>
+    )
+  }
+
+  return (
+    <View style={styles.container}>
+      <AppStatusBar />
+
+      {/* Header */}
+      <View style={styles.header}>
+        <TouchableOpacity style={styles.closeButton} onPress={handleClose}>
+          <Ionicons name="close" size={24} color={Colors.white} />
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>Invitation</Text>
+        <View style={styles.headerPlaceholder} />
+      </View>
+
+      <View style={styles.content}>
+        {renderContent()}
+      </View>
+    </View>
+  )
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: Colors.black,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingTop: getSafeAreaTop(),
+    paddingHorizontal: Spacing.md,
+    paddingBottom: Spacing.md,
+    backgroundColor: Colors.black,
+    borderBottomWidth: 1,
+    borderBottomColor: Colors.gray800,
+  },
+  closeButton: {
+    padding: Spacing.sm,
+    marginLeft: -Spacing.sm,
+  },
+  headerTitle: {
+    flex: 1,
+    fontSize: Typography.lg,
+    fontWeight: Typography.bold,
+    color: Colors.white,
+    textAlign: 'center',
+    marginHorizontal: Spacing.md,
+  },
+  headerPlaceholder: {
+    width: 40,
+  },
+  content: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    paddingHorizontal: Spacing.xl,
+  },
+  avatar: {
+    width: 80,
+    height: 80,
+    borderRadius: 40,
+    backgroundColor: Colors.gray800,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  avatarText: {
+    fontSize: Typography.xxxl,
+    fontWeight: Typography.semiBold,
+    color: Colors.white,
+  },
+  title: {
+    fontSize: Typography.xl,
+    fontWeight: Typography.semiBold,
+    color: Colors.white,
+    marginTop: Spacing.lg,
+    marginBottom: Spacing.sm,
+    textAlign: 'center',
+  },
+  description: {
+    fontSize: Typography.base,
+    color: Colors.gray400,
+    textAlign: 'center',
+    lineHeight: 22,
+  },
+  primaryButton: {
+    marginTop: Spacing.xl,
+    backgroundColor: Colors.accent,
+    borderRadius: BorderRadius.full,
+    paddingVertical: Spacing.md,
+    paddingHorizontal: Spacing.xl,
+    minWidth: 240,
+    alignItems: 'center',
+  },
+  buttonDisabled: {
+    opacity: 0.6,
+  },
+  primaryButtonText: {
+    fontSize: Typography.base,
+    fontWeight: Typography.semiBold,
+    color: Colors.white,
+  },
+})
@@ -0,0 +1,456 @@
+import React, { useState, useEffect, useCallback } from 'react'
+import {
+  View,
+  Text,
+  StyleSheet,
+  FlatList,
+  TouchableOpacity,
+  Alert,
+  RefreshControl
+} from 'react-native'
+import { Ionicons } from '@expo/vector-icons'
+import { router } from 'expo-router'
+import { Colors, Spacing, Typography, BorderRadius } from '../constants/Design'
+import { useAuthContext } from '../context/AuthContext'
+import { messageRequestService } from '../services/messageRequestService'
+import { ReportEmailService } from '../services/reportEmailService'
+import { AppStatusBar } from '../components/AppStatusBar'
+import CachedImage from '../components/CachedImage'
+import ReportUserModal from '../components/ReportUserModal'
+import ThumbnailBlurOverlay from '../components/ThumbnailBlurOverlay'
+import { getMediaPreviewSource, shouldShowMediaPlaceholder } from '../utils/mediaTypeUtils'
+import { getSafeAreaTop } from '../utils/responsive'
+import { formatRelativeTime } from '../utils/timeUtils'
+
+export default function MessageRequestsScreen() {
+  const { user: currentUser } = useAuthContext()
+  const [requests, setRequests] = useState(() => messageRequestService.getRequests())
+  const [loading, setLoading] = useState(requests.length === 0)
+  const [refreshing, setRefreshing] = useState(false)
+  const [revealed, setRevealed] = useState(() => new Set()) // Previews unblurred by a tap
+  const [busySenderId, setBusySenderId] = useState(null)
+  const [reportedUser, setReportedUser] = useState(null)
+
+  // Load requests and listen for new ones
+  useEffect(() => {
+    if (!currentUser?.id) return
+
+    const unsubscribe = messageRequestService.addListener(setRequests)
+    Promise.resolve(messageRequestService.start(currentUser.id))
+      .then(() => messageRequestService.refresh())
+      .finally(() => setLoading(false))
+
+    return unsubscribe
+  }, [currentUser?.id])
+
+  const handleRefresh = useCallback(async () => {
+    setRefreshing(true)
+    await messageRequestService.refresh()
+    setRefreshing(false)
+  }, [])
+
+  const toggleReveal = useCallback((senderId) => {
+    setRevealed(prev => {
+      const next = new Set(prev)
+      if (next.has(senderId)) next.delete(senderId)
+      else next.add(senderId)
+      return next
+    })
+  }, [])
+
+  const runAction = useCallback(async (senderId, action, errorMessage) => {
+    setBusySenderId(senderId)
+    try {
+      await action()
+      return true
+    } catch (error) {
+      console.error('❌ [REQUESTS] Action failed:', error)
+      Alert.alert('Erreur', errorMessage)
+      return false
+    } finally {
+      setBusySenderId(null)
+    }
+  }, [])
+
+  // Accepting opens the thread, now part of the normal conversations
+  const handleAccept = useCallback(async (request) => {
+    const accepted = await runAction(
+      request.senderId,
+      () => messageRequestService.accept(request.senderId),
+      'Impossible d\'accepter la demande.'
+    )
+    if (!accepted) return
+
+    router.replace({
+      pathname: '/chat',
+      params: {
+        otherUser: JSON.stringify(request.sender),
+        otherUserId: String(request.senderId)
+      }
+    })
+  }, [runAction])
+
+  const handleDecline = useCallback((request) => {
+    Alert.alert(
+      'Refuser la demande',
+      `Les médias de ${request.sender.pseudo} resteront masqués et vous ne serez pas notifié de ses prochains envois. Cette personne ne sera pas prévenue.`,
+      [
+        { text: 'Annuler', style: 'cancel' },
+        {
+          text: 'Refuser',
+          style: 'destructive',
+          onPress: () => runAction(
+            request.senderId,
+            () => messageRequestService.decline(request.senderId),
+            'Impossible de refuser la demande.'
+          )
+        }
+      ]
+    )
+  }, [runAction])
+
+  const handleBlock = useCallback((request) => {
+    Alert.alert(
+      'Bloquer l\'utilisateur',
+      `Voulez-vous bloquer ${request.sender.pseudo} ?\n\nVous ne recevrez plus de messages ni de notifications de cette personne.`,
+      [
+        { text: 'Annuler', style: 'cancel' },
+        {
+          text: 'Bloquer',
+          style: 'destructive',
+          onPress: () => runAction(
+            request.senderId,
+            () => messageRequestService.block(request.sender),
+            'Impossible de bloquer l\'utilisateur.'
+          )
+        }
+      ]
+    )
+  }, [runAction])
+
+  const handleReportSubmit = useCallback(async (reportData) => {
+    try {
+      await ReportEmailService.sendReport({
+        ...reportData,
+        reporter: {
+          id: currentUser?.id,
+          pseudo: currentUser?.pseudo || reportData.reporterPseudo
+        }
+      })
+      console.log('✅ [REQUESTS] Report submitted successfully')
+    } catch (error) {
+      console.error('❌ [REQUESTS] Failed to submit report:', error)
+      // The modal will show its own error message
+      throw error
+    }
+  }, [currentUser])
+
+  const renderRequest = useCallback(({ item }) => {
+    const message = item.lastMessage
+    const isRevealed = revealed.has(item.senderId)
+    const isBusy = busySenderId === item.senderId
+    const showPlaceholder = shouldShowMediaPlaceholder(message)
+
+    return (
+      <View style={styles.requestItem}>
+        <View style={styles.requestHeader}>
+          <TouchableOpacity
+            style={styles.preview}
+            onPress={() => toggleReveal(item.senderId)}
+            disabled={showPlaceholder}
+            accessibilityLabel={isRevealed ? 'Masquer l\'aperçu' : 'Afficher l\'aperçu'}
+          >
+            {showPlaceholder ? (
+              <View style={[styles.previewImage, styles.placeholder]}>
+                <Ionicons
+                  name={message.media_type === 'video' ? 'videocam' : 'image-outline'}
+                  size={22}
+                  color={Colors.gray500}
+                />
+              </View>
+            ) : (
+              <>
+                <CachedImage
+                  source={{ uri: getMediaPreviewSource(message) }}
+                  style={styles.previewImage}
+                  contentFit="cover"
+                />
+                <ThumbnailBlurOverlay
+                  visible={!isRevealed}
+                  style={styles.previewBlur}
+                  intensity={60}
+                  showEyeIcon
+                />
+              </>
+            )}
+          </TouchableOpacity>
+
+          <View style={styles.requestInfo}>
+            <Text style={styles.requestPseudo}>{item.sender.pseudo}</Text>
+            <Text style={styles.requestDetails}>
+              {item.messageCount > 1 ? `${item.messageCount} médias` : '1 média'} • {formatRelativeTime(message.created_at)}
+            </Text>
+            {message.is_nsfw && (
+              <Text style={styles.nsfwLabel}>Contenu sensible</Text>
+            )}
+          </View>
+
+          <TouchableOpacity
+            style={styles.reportButton}
+            onPress={() => setReportedUser(item.sender)}
+            disabled={isBusy}
+            accessibilityLabel="Signaler"
+          >
+            <Ionicons name="flag-outline" size={18} color={Colors.gray400} />
+          </TouchableOpacity>
+        </View>
+
+        <View style={styles.actions}>
+          <TouchableOpacity
+            style={[styles.actionButton, styles.acceptButton]}
+            onPress={() => handleAccept(item)}
+            disabled={isBusy}
+          >
+            <Text style={styles.actionText}>Accepter</Text>
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={styles.actionButton}
+            onPress={() => handleDecline(item)}
+            disabled={isBusy}
+          >
+            <Text style={styles.actionText}>Refuser</Text>
+          </TouchableOpacity>
+          <TouchableOpacity
+            style={styles.actionButton}
+            onPress={() => handleBlock(item)}
+            disabled={isBusy}
+          >
+            <Text style={[styles.actionText, styles.blockText]}>Bloquer</Text>
+          </TouchableOpacity>
+        </View>
+      </View>
+    )
+  }, [revealed, busySenderId, toggleReveal, handleAccept, handleDecline, handleBlock])
+
+  return (
+    <View style={styles.container}>
+      <AppStatusBar />
+
+      {/* Header */}
+      <View style={styles.header}>
+        <TouchableOpacity
+          style={styles.backButton}
+          onPress={() => router.back()}
+        >
+          <Ionicons name="chevron-back" size={24} color={Colors.white} />
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>Demandes</Text>
+        <View style={styles.headerPlaceholder} />
+      </View>
+
+      {/* Content */}
+      <View style={styles.content}>
+        {loading ? (
+          <View style={styles.emptyContainer}>
+            <Text style={styles.loadingText}>Chargement...</Text>
+          </View>
+        ) : requests.length === 0 ? (
+          <View style={styles.emptyContainer}>
+            <Ionicons name="mail-unread-outline" size={64} color={Colors.gray500} />
+            <Text style={styles.emptyTitle}>Aucune demande</Text>
+            <Text style={styles.emptyDescription}>
+              Les premiers médias de personnes à qui vous n&apos;avez jamais écrit arrivent ici.{'\n'}
+              Ils n&apos;apparaissent dans vos conversations qu&apos;une fois acceptés.
+            </Text>
+          </View>
+        ) : (
+          <>
+            <View style={styles.infoContainer}>
+              <Text style={styles.infoText}>
+                Les aperçus sont floutés : touchez-les pour les afficher. Vous ne recevez aucune notification de ces personnes tant que vous n&apos;avez pas accepté.
+              </Text>
+            </View>
+
+            <FlatList
+              data={requests}
+              renderItem={renderRequest}
+              keyExtractor={(item) => String(item.senderId)}
+              extraData={[revealed, busySenderId]}
+              style={styles.list}
+              contentContainerStyle={styles.listContent}
+              showsVerticalScrollIndicator={false}
+              refreshControl={
+                <RefreshControl
+                  refreshing={refreshing}
+                  onRefresh={handleRefresh}
+                  tintColor={Colors.white}
+                  colors={[Colors.white]}
+                />
+              }
+            />
+          </>
+        )}
+      </View>
+
+      <ReportUserModal
+        visible={!!reportedUser}
+        onClose={() => setReportedUser(null)}
+        reportedUser={reportedUser}
+        currentUser={currentUser}
+        onSubmit={handleReportSubmit}
+      />
+    </View>
+  )
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: Colors.black,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingTop: getSafeAreaTop(),
+    paddingHorizontal: Spacing.md,
+    paddingBottom: Spacing.md,
+    backgroundColor: Colors.black,
+    borderBottomWidth: 1,
+    borderBottomColor: Colors.gray800,
+  },
+  backButton: {
+    padding: Spacing.sm,
+    marginLeft: -Spacing.sm,
+  },
+  headerTitle: {
+    flex: 1,
+    fontSize: Typography.lg,
+    fontWeight: Typography.bold,
+    color: Colors.white,
+    textAlign: 'center',
+    marginHorizontal: Spacing.md,
+  },
+  headerPlaceholder: {
+    width: 40,
+  },
+  content: {
+    flex: 1,
+    paddingHorizontal: Spacing.md,
+  },
+  infoContainer: {
+    paddingVertical: Spacing.md,
+    alignItems: 'center',
+  },
+  infoText: {
+    fontSize: Typography.sm,
+    color: Colors.gray400,
+    textAlign: 'center',
+    lineHeight: 18,
+  },
+  list: {
+    flex: 1,
+  },
+  listContent: {
+    paddingBottom: Spacing.xl,
+  },
+  requestItem: {
+    padding: Spacing.md,
+    backgroundColor: Colors.gray900,
+    borderRadius: BorderRadius.base,
+    marginBottom: Spacing.sm,
+  },
+  requestHeader: {
+    flexDirection: 'row',
+    alignItems: 'center',
+  },
+  preview: {
+    width: 56,
+    height: 56,
+    borderRadius: BorderRadius.base,
+    overflow: 'hidden',
+    marginRight: Spacing.md,
+  },
+  previewImage: {
+    width: '100%',
+    height: '100%',
+  },
+  previewBlur: {
+    borderRadius: BorderRadius.base,
+    overflow: 'hidden',
+  },
+  placeholder: {
+    backgroundColor: Colors.gray800,
+    justifyContent: 'center',
+    alignItems: 'center',
+  },
+  requestInfo: {
+    flex: 1,
+  },
+  requestPseudo: {
+    fontSize: Typography.base,
+    fontWeight: Typography.semiBold,
+    color: Colors.white,
+    marginBottom: Spacing.xs,
+  },
+  requestDetails: {
+    fontSize: Typography.sm,
+    color: Colors.gray400,
+  },
+  nsfwLabel: {
+    fontSize: Typography.xs,
+    color: Colors.fire,
+    marginTop: 2,
+  },
+  reportButton: {
+    padding: Spacing.sm,
+  },
+  actions: {
+    flexDirection: 'row',
+    marginTop: Spacing.md,
+  },
+  actionButton: {
+    flex: 1,
+    alignItems: 'center',
+    paddingVertical: Spacing.sm,
+    backgroundColor: Colors.gray800,
+    borderRadius: BorderRadius.sm,
+    marginHorizontal: Spacing.xs,
+  },
+  acceptButton: {
+    backgroundColor: Colors.accent,
+  },
+  actionText: {
+    fontSize: Typography.sm,
+    fontWeight: Typography.medium,
+    color: Colors.white,
+  },
+  blockText: {
+    color: Colors.fire,
+  },
+  emptyContainer: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    paddingHorizontal: Spacing.xl,
+  },
+  emptyTitle: {
+    fontSize: Typography.lg,
+    fontWeight: Typography.semiBold,
+    color: Colors.white,
+    marginTop: Spacing.lg,
+    marginBottom: Spacing.sm,
+    textAlign: 'center',
+  },
+  emptyDescription: {
+    fontSize: Typography.base,
+    color: Colors.gray400,
+    textAlign: 'center',
+    lineHeight: 22,
+  },
+  loadingText: {
+    fontSize: Typography.base,
+    color: Colors.gray400,
+    textAlign: 'center',
+  },
+})
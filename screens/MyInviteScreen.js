@@ -0,0 +1,217 @@
+import React, { useState, useEffect, useCallback } from 'react'
+import {
+  View,
+  Text,
+  StyleSheet,
+  TouchableOpacity,
+  ActivityIndicator,
+  Alert,
+  Share
+} from 'react-native'
+import { Ionicons } from '@expo/vector-icons'
+import { router } from 'expo-router'
+import QRCode from 'react-native-qrcode-svg'
+import { Colors, Spacing, Typography, BorderRadius } from '../constants/Design'
+import { useAuthContext } from '../context/AuthContext'
+import { inviteService } from '../services/inviteService'
+import { AppStatusBar } from '../components/AppStatusBar'
+import { getSafeAreaTop } from '../utils/responsive'
+import { formatAbsoluteTime } from '../utils/timeUtils'
+
+export default function MyInviteScreen() {
+  const { user: currentUser } = useAuthContext()
+  const [invite, setInvite] = useState(null)
+  const [loading, setLoading] = useState(true)
+  const [resetting, setResetting] = useState(false)
+
+  useEffect(() => {
+    if (!currentUser?.id) return
+
+    inviteService.getActiveInvite(currentUser.id)
+      .then(setInvite)
+      .catch(error => {
+        console.error('❌ [INVITE] Failed to load invite:', error)
+        Alert.alert('Erreur', 'Impossible de générer votre invitation. Réessayez plus tard.')
+      })
+      .finally(() => setLoading(false))
+  }, [currentUser?.id])
+
+  const inviteUrl = invite ? inviteService.buildInviteUrl(invite.token) : null
+
+  const handleShare = useCallback(async () => {
+    if (!inviteUrl) return
+    try {
+      await Share.share({ message: `Écris-moi sur NoText : ${inviteUrl}` })
+    } catch (error) {
+      console.error('❌ [INVITE] Share failed:', error)
+    }
+  }, [inviteUrl])
+
+  const handleReset = useCallback(() => {
+    Alert.alert(
+      'Réinitialiser le lien',
+      'Les liens et QR codes déjà partagés ne fonctionneront plus. Un nouveau lien sera créé.',
+      [
+        { text: 'Annuler', style: 'cancel' },
+        {
+          text: 'Réinitialiser',
+          style: 'destructive',
+          onPress: async () => {
+            setResetting(true)
+            try {
+              setInvite(await inviteService.resetInvites())
+            } catch (error) {
+              console.error('❌ [INVITE] Failed to reset invites:', error)
+              Alert.alert('Erreur', 'Impossible de réinitialiser le lien. Réessayez plus tard.')
+            } finally {
+              setResetting(false)
+            }
+          }
+        }
+      ]
+    )
+  }, [])
+
+  return (
+    <View style={styles.container}>
+      <AppStatusBar />
+
+      {/* Header */}
+      <View style={styles.header}>
+        <TouchableOpacity
+          style={styles.backButton}
+          onPress={() => router.back()}
+        >
+          <Ionicons name="chevron-back" size={24} color={Colors.white} />
+        </TouchableOpacity>
+        <Text style={styles.headerTitle}>Mon invitation</Text>
+        <View style={styles.headerPlaceholder} />
+      </View>
+
+      <View style={styles.content}>
+        {loading ? (
+          <ActivityIndicator size="large" color={Colors.white} />
+        ) : inviteUrl ? (
+          <>
+            <View style={styles.qrContainer}>
+              <QRCode value={inviteUrl} size={220} color={Colors.black} backgroundColor={Colors.white} />
+            </View>
+            <Text style={styles.pseudo}>{currentUser?.pseudo}</Text>
+            <Text style={styles.description}>
+              Faites scanner ce code avec l&apos;appareil photo de NoText ou partagez le lien. Les messages envoyés via cette invitation arrivent directement dans vos conversations.
+            </Text>
+            <Text style={styles.expiry}>
+              Valable jusqu&apos;au {formatAbsoluteTime(invite.expires_at, { day: 'numeric', month: 'long' })}
+            </Text>
+
+            <TouchableOpacity style={styles.primaryButton} onPress={handleShare}>
+              <Ionicons name="share-outline" size={20} color={Colors.white} />
+              <Text style={styles.primaryButtonText}>Partager le lien</Text>
+            </TouchableOpacity>
+            <TouchableOpacity
+              style={styles.secondaryButton}
+              onPress={handleReset}
+              disabled={resetting}
+            >
+              {resetting ? (
+                <ActivityIndicator size="small" color={Colors.gray400} />
+              ) : (
+                <Text style={styles.secondaryButtonText}>Réinitialiser le lien</Text>
+              )}
+            </TouchableOpacity>
+          </>
+        ) : (
+          <Text style={styles.description}>Invitation indisponible pour le moment.</Text>
+        )}
+      </View>
+    </View>
+  )
+}
+
+const styles = StyleSheet.create({
+  container: {
+    flex: 1,
+    backgroundColor: Colors.black,
+  },
+  header: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'space-between',
+    paddingTop: getSafeAreaTop(),
+    paddingHorizontal: Spacing.md,
+    paddingBottom: Spacing.md,
+    backgroundColor: Colors.black,
+    borderBottomWidth: 1,
+    borderBottomColor: Colors.gray800,
+  },
+  backButton: {
+    padding: Spacing.sm,
+    marginLeft: -Spacing.sm,
+  },
+  headerTitle: {
+    flex: 1,
+    fontSize: Typography.lg,
+    fontWeight: Typography.bold,
+    color: Colors.white,
+    textAlign: 'center',
+    marginHorizontal: Spacing.md,
+  },
+  headerPlaceholder: {
+    width: 40,
+  },
+  content: {
+    flex: 1,
+    justifyContent: 'center',
+    alignItems: 'center',
+    paddingHorizontal: Spacing.xl,
+  },
+  qrContainer: {
+    padding: Spacing.md,
+    backgroundColor: Colors.white,
+    borderRadius: BorderRadius.lg,
+  },
+  pseudo: {
+    fontSize: Typography.xl,
+    fontWeight: Typography.semiBold,
+    color: Colors.white,
+    marginTop: Spacing.lg,
+    marginBottom: Spacing.sm,
+  },
+  description: {
+    fontSize: Typography.sm,
+    color: Colors.gray400,
+    textAlign: 'center',
+    lineHeight: 20,
+  },
+  expiry: {
+    fontSize: Typography.xs,
+    color: Colors.gray500,
+    marginTop: Spacing.sm,
+  },
+  primaryButton: {
+    flexDirection: 'row',
+    alignItems: 'center',
+    justifyContent: 'center',
+    marginTop: Spacing.xl,
+    backgroundColor: Colors.accent,
+    borderRadius: BorderRadius.full,
+    paddingVertical: Spacing.md,
+    minWidth: 240,
+  },
+  primaryButtonText: {
+    fontSize: Typography.base,
+    fontWeight: Typography.semiBold,
+    color: Colors.white,
+    marginLeft: Spacing.sm,
+  },
+  secondaryButton: {
+    marginTop: Spacing.md,
+    paddingVertical: Spacing.sm,
+    minHeight: 36,
+    justifyContent: 'center',
+  },
+  secondaryButtonText: {
+    fontSize: Typography.sm,
+    color: Colors.gray400,
+  },
+})
@@ -4,7 +4,9 @@
  * Ensures optimal performance with minimal database queries
  */
 
+import { localDatabase } from '../data/localDatabase'
 import { getUserData } from '../utils/secureStore'
+import { messageStateService } from './messageStateService'
 import { supabase } from './supabaseClient'
 
 class APIManager {
@@ -12,8 +14,6 @@ class APIManager {
     this.cache = new Map()
     this.pendingRequests = new Map()
     this.lastFetchTimes = new Map()
-    this.persistentKeys = new Set() // Track which keys should persist across app restarts
-    this._persistTimeout = null // P6 FIX: Debounced persistence timeout
     
     // Cache TTL settings (in milliseconds)
     this.cacheTTL = {
@@ -23,9 +23,6 @@ class APIManager {
       userSearch: 2 * 60 * 1000,       // 2 minutes
       media: 24 * 60 * 60 * 1000       // 24 hours for media URLs
     }
-    
-    // Initialize cache restoration
-    this._restoreCacheFromStorage()
   }
 
   /**
@@ -94,13 +91,6 @@ class APIManager {
         timestamp: Date.now()
       })
       
-      // Mark conversations and messages as persistent
-      if (key.startsWith('conversations_') || key.startsWith('messages_')) {
-        this.markAsPersistent(key)
-        // Schedule persistence
-        setTimeout(() => this._persistCacheToStorage(), 100)
-      }
-      
       if (__DEV__) console.log(`✅ [API MANAGER] Cached: ${key}`)
       return data
     } finally {
@@ -154,13 +144,6 @@ class APIManager {
       timestamp: Date.now()
     })
     
-    // P6 FIX: Auto-persist conversations and messages cache
-    if (key.startsWith('conversations_') || key.startsWith('messages_')) {
-      this.markAsPersistent(key)
-      // Debounced persistence to avoid excessive writes
-      if (this._persistTimeout) clearTimeout(this._persistTimeout)
-      this._persistTimeout = setTimeout(() => this._persistCacheToStorage(), 200)
-    }
     // DEV HELPERS: Log message cache sizes when setting cache to help diagnose
     try {
       if (__DEV__ && key.startsWith('messages_')) {
@@ -241,7 +224,8 @@ class APIManager {
           thumbnail_url: row.last_thumbnail_url,
           is_nsfw: row.last_is_nsfw,
           view_once: row.last_view_once,
-          caption: row.last_caption
+          caption: row.last_caption,
+          state: row.last_state
         }
 
         // P3 FIX: Use peer_pseudo from RPC result to avoid separate /users calls
@@ -267,6 +251,7 @@ class APIManager {
           seen: row.unread_count === 0,
           last_seen: row.last_seen, // Add last_seen from RPC
           last_seen_at: row.last_seen_at, // Add last_seen_at from RPC
+          last_state: row.last_state, // sent/delivered/opened/expired of the last message
           otherUser,
           media_url: row.last_media_url, // Add media_url for compatibility
           media_type: row.last_media_type, // Add media_type for type indicators
@@ -288,6 +273,26 @@ class APIManager {
   // Normalize read state for conversations to avoid RPC noisy seen:true
   const normalizedConversations = (validConversations || []).map(c => this.normalizeConversationReadState(c, userId));
 
+      // Merge group conversations - a failing group RPC must not hide 1:1 conversations
+      try {
+        const { groupService } = await import('./groupService')
+        const groupConversations = await groupService.getGroupConversations(userId)
+        if (groupConversations.length > 0) {
+          normalizedConversations.push(...groupConversations)
+          normalizedConversations.sort((a, b) => new Date(b.last_message_time || 0) - new Date(a.last_message_time || 0))
+        }
+      } catch (groupError) {
+        console.warn('⚠️ [API MANAGER] Failed to fetch group conversations:', groupError?.message || groupError)
+      }
+
+      // This device now knows about the new messages: acknowledge them as delivered
+      if (normalizedConversations.some(c => c.last_message?.receiver_id === userId && c.last_message?.state === 'sent')) {
+        messageStateService.markAllDelivered()
+      }
+
+      // Offline copy for the next cold start
+      localDatabase.saveConversations(userId, normalizedConversations)
+
       console.log(`✅ [API MANAGER] Fetched ${data?.length || 0} conversations via RPC`)
       
       if (__DEV__ && validConversations.length > 0) {
@@ -398,31 +403,56 @@ class APIManager {
     
     return await this.getOrFetch(key, async () => {
       console.log(`🔍 [API MANAGER] Fetching messages: ${currentUserId} <-> ${otherUserId}`, options)
+
+      // Group conversations are addressed by their conversation id in place of a peer id
+      const { groupService } = await import('./groupService')
+      await groupService.initialize()
+      const isGroup = groupService.isGroup(otherUserId)
       
-      let query = supabase
+      let query = isGroup ? null : supabase
         .from('messages')
         // Select essential fields plus read indicators used by UI - FIXED: Added caption field (removed content as it doesn't exist)
-        .select('id,created_at,sender_id,receiver_id,media_type,media_url,thumbnail_url,caption,view_once,seen,seen_at,is_nsfw,viewed_at,is_muted')
+        .select('id,created_at,sender_id,receiver_id,media_type,media_url,thumbnail_url,caption,view_once,seen,seen_at,state,is_nsfw,auto_delete_after,screenshot_at,viewed_at,is_muted,media_key,sender_media_key,reply_to_message_id,from_gallery,media_overlay,reactions:message_reactions(id,user_id,emoji,created_at)')
         .or(`and(sender_id.eq.${currentUserId},receiver_id.eq.${otherUserId}),and(sender_id.eq.${otherUserId},receiver_id.eq.${currentUserId})`)
+        .is('conversation_id', null) // Group rows between the same two users belong to the group
+        .is('purge_claimed_at', null) // Being purged by expire-media
+        .not('reactions.emoji', 'is', null) // Removed reactions are kept with no emoji
         .order(orderBy, { ascending: orderDirection === 'asc' })
         .limit(limit)
 
-      // Apply cursor-based pagination
-      if (before) {
-        query = query.lt('created_at', before)
-      }
-      if (after) {
-        query = query.gt('created_at', after)
-      }
+      let data
+      if (isGroup) {
+        data = await groupService.getGroupMessages(currentUserId, otherUserId, { before, after, limit, orderBy, orderDirection })
+      } else {
+        // Apply cursor-based pagination
+        if (before) {
+          query = query.lt('created_at', before)
+        }
+        if (after) {
+          query = query.gt('created_at', after)
+        }
 
-      // Apply offset if specified (for backward compatibility)
-      if (offset > 0) {
-        query = query.range(offset, offset + limit - 1)
-      }
+        // Apply offset if specified (for backward compatibility)
+        if (offset > 0) {
+          query = query.range(offset, offset + limit - 1)
+        }
 
-      const { data, error } = await query
+        const { data: rows, error } = await query
 
-      if (error) throw error
+        if (error) throw error
+        data = rows
+
+        const { mediaEncryptionService } = await import('./mediaEncryptionService')
+        mediaEncryptionService.registerMessages(data, currentUserId)
+        const { mediaCacheService } = await import('./mediaCacheService')
+        mediaCacheService.registerMessages(data, currentUserId)
+      }
+
+      // Offline copy - a page without cursor is the complete latest window of the conversation
+      localDatabase.saveMessages(currentUserId, data, {
+        conversationId: otherUserId,
+        replaceWindow: !before && !after && !offset && orderDirection === 'desc'
+      })
 
       // Import NSFW service for filtering
       const { nsfwViewService } = await import('./nsfwViewService')
@@ -446,6 +476,8 @@ class APIManager {
 
       console.log(`✅ [API MANAGER] Fetched ${data?.length || 0} messages, filtered to ${filteredData.length}`)
 
+      messageStateService.markDelivered(filteredData, currentUserId)
+
       // Also populate the pair-level cache key used by realtime + chat hook for instant reads
       try {
         const pairKey = this.getCacheKey('messages', { currentUserId, otherUserId })
@@ -493,6 +525,41 @@ class APIManager {
     return await this.getMessages(currentUserId, otherUserId, options)
   }
 
+  /**
+   * Get the original of a reply as the current user sees it
+   * 1:1 replies point at messages.id, group replies at group_message_id
+   * @returns {Promise<object|null>} null when the original is gone (purged or deleted)
+   */
+  async getReplyTarget(currentUserId, replyToMessageId) {
+    if (!currentUserId || !replyToMessageId) return null
+
+    const key = this.getCacheKey('replyTarget', { currentUserId, replyToMessageId })
+
+    return await this.getOrFetch(key, async () => {
+      const { data, error } = await supabase
+        .from('messages')
+        .select('id,created_at,sender_id,receiver_id,conversation_id,group_message_id,media_type,media_url,thumbnail_url,view_once,seen,state,is_nsfw,viewed_at,media_key,sender_media_key')
+        .or(`id.eq.${replyToMessageId},group_message_id.eq.${replyToMessageId}`)
+        .or(`sender_id.eq.${currentUserId},receiver_id.eq.${currentUserId}`)
+        .order('created_at', { ascending: true })
+        .limit(1)
+
+      if (error) throw error
+      const row = data?.[0]
+      if (!row) return null
+
+      const { mediaEncryptionService } = await import('./mediaEncryptionService')
+      mediaEncryptionService.registerMessages([row], currentUserId)
+      const { mediaCacheService } = await import('./mediaCacheService')
+      mediaCacheService.registerMessages([row], currentUserId)
+
+      // My own group capture is shown collapsed under its group_message_id
+      return row.group_message_id && row.sender_id === currentUserId
+        ? { ...row, id: row.group_message_id, receiver_id: row.conversation_id }
+        : row
+    }, this.cacheTTL.messages)
+  }
+
   /**
    * Get cached messages immediately without waiting for network
    * Returns null if no cache available
@@ -541,6 +608,8 @@ class APIManager {
 
   /**
    * Search users with caching
+   * The RPC only returns users discoverable by prefix (or by exact pseudo) and is
+   * rate limited per user (see migrations/add_user_discoverability.sql)
    */
   async searchUsers(searchTerm) {
     if (!searchTerm || searchTerm.trim().length < 2) return []
@@ -550,11 +619,7 @@ class APIManager {
     return await this.getOrFetch(key, async () => {
       console.log(`🔍 [API MANAGER] Searching users: ${searchTerm}`)
       
-      const { data, error } = await supabase
-        .from('users')
-        .select('*')
-        .ilike('pseudo', `${searchTerm}%`)
-        .limit(10)
+      const { data, error } = await supabase.rpc('search_users', { _query: searchTerm })
 
       if (error) throw error
       
@@ -584,6 +649,8 @@ class APIManager {
 
       if (error) throw error
 
+      localDatabase.markSeen(currentUserId, [messageId])
+
       // Update in-memory message caches in-place: set seen=true for the message
       try {
         const nowIso = new Date().toISOString()
@@ -676,124 +743,6 @@ class APIManager {
     console.log(`🔄 [API MANAGER] Invalidated caches for message read: ${messageId}`)
   }
 
-
-
-  /**
-   * Mark a cache key as persistent across app restarts
-   */
-  markAsPersistent(key) {
-    this.persistentKeys.add(key)
-  }
-  
-  /**
-   * Save the cache to AsyncStorage
-   * Only persistent keys are stored
-   */
-  async _persistCacheToStorage() {
-    try {
-      const AsyncStorage = (await import('@react-native-async-storage/async-storage')).default
-      
-      const persistentCache = {}
-      for (const key of this.persistentKeys) {
-        // Skip persisting any malformed message cache keys created by older builds
-        // e.g. keys like: messages_currentUserId:<id>|otherUserId:undefined
-        if (typeof key === 'string' && key.startsWith('messages_') && key.includes('|otherUserId:undefined')) {
-          if (__DEV__) console.log(`🧹 [API MANAGER] Skipping persist of invalid key: ${key}`)
-          continue
-        }
-        if (this.cache.has(key)) {
-          persistentCache[key] = this.cache.get(key)
-        }
-      }
-      
-      if (Object.keys(persistentCache).length > 0) {
-        // DEV: Log sizes of message caches being persisted
-        if (__DEV__) {
-          Object.entries(persistentCache).forEach(([k, v]) => {
-            if (k.startsWith('messages_')) {
-              try {
-                const len = Array.isArray(v.data) ? v.data.length : 'unknown'
-                console.log(`💾 [API MANAGER DEBUG] Persisting ${k} with ${len} messages (timestamp: ${v.timestamp})`)
-              } catch (e) {
-                console.log(`💾 [API MANAGER DEBUG] Persisting ${k} (unable to determine length)`)
-              }
-            }
-          })
-        }
-
-        await AsyncStorage.setItem('apiCache', JSON.stringify(persistentCache))
-        console.log(`💾 [API MANAGER] Persisted ${Object.keys(persistentCache).length} cache entries`)
-      }
-    } catch (error) {
-      console.error('Error persisting cache:', error)
-    }
-  }
-  
-  /**
-   * Restore cache from AsyncStorage on app start
-   */
-  async _restoreCacheFromStorage() {
-    try {
-      const AsyncStorage = (await import('@react-native-async-storage/async-storage')).default
-      
-      const cachedData = await AsyncStorage.getItem('apiCache')
-      if (cachedData) {
-        const persistentCache = JSON.parse(cachedData)
-        
-        // Restore only valid entries (not expired)
-        const now = Date.now()
-        let restoredCount = 0
-        
-        for (const [key, value] of Object.entries(persistentCache)) {
-          // Clean up malformed message cache keys from older builds
-          if (typeof key === 'string' && key.startsWith('messages_') && key.includes('|otherUserId:undefined')) {
-            if (__DEV__) console.log(`🧹 [API MANAGER] Dropping invalid persisted key: ${key}`)
-            continue
-          }
-          const [type] = key.split('_')
-          const ttl = this.cacheTTL[type] || 0
-          // DEV: log attempted restore for message caches
-          if (__DEV__ && key.startsWith('messages_')) {
-            try {
-              const len = Array.isArray(value.data) ? value.data.length : 'unknown'
-              console.log(`📂 [API MANAGER DEBUG] Found persisted ${key} with ${len} messages (age: ${Math.round((now - value.timestamp)/1000)}s, ttl: ${ttl}s)`)
-            } catch (e) {
-              console.log(`📂 [API MANAGER DEBUG] Found persisted ${key} (unable to determine length)`)
-            }
-          }
-
-          // Always restore persisted entries so the UI can show history immediately on startup.
-          // Previously we dropped restores older than TTL which caused conversations to appear empty
-          // after app restart even though a persisted copy existed. Keep the original timestamp so
-          // freshness checks still behave correctly elsewhere.
-          this.cache.set(key, value)
-          this.persistentKeys.add(key)
-          restoredCount++
-
-          // Log whether this restored entry is stale relative to configured TTL
-          if (__DEV__ && key.startsWith('messages_')) {
-            try {
-              const len = Array.isArray(value.data) ? value.data.length : 'unknown'
-              const ageSec = Math.round((now - value.timestamp) / 1000)
-              const ttlSec = Math.round((ttl || 0) / 1000)
-              if (now - value.timestamp >= ttl) {
-                console.log(`📂 [API MANAGER DEBUG] Restored ${key} (${len} messages) but it is STALE: age ${ageSec}s, ttl ${ttlSec}s`)
-              } else {
-                console.log(`📂 [API MANAGER DEBUG] Restored ${key} (${len} messages) from storage`)
-              }
-            } catch (e) {
-              // ignore logging failures
-            }
-          }
-        }
-        
-        console.log(`📂 [API MANAGER] Restored ${restoredCount} cache entries`)
-      }
-    } catch (error) {
-      console.error('Error restoring cache:', error)
-    }
-  }
-
   /**
    * Find user by pseudo with caching
    */
@@ -843,29 +792,35 @@ class APIManager {
       const beforeISO = hasTimezone ? beforeTimestamp : (beforeTimestamp.endsWith('Z') ? beforeTimestamp : beforeTimestamp + 'Z')
       const seenAt = new Date().toISOString()
       let updatedIds = []
+      const { groupService } = await import('./groupService')
       try {
-        // Prefer RPC if present
-        const { data: rpcData, error: rpcErr } = await supabase.rpc('fn_mark_messages_read_by_pair', {
-          p_receiver_id: currentUserId,
-          p_sender_id: otherUserId,
-          p_before: beforeISO
-        })
-        if (rpcErr) {
-          if (__DEV__) console.warn('⚠️ [API MANAGER] RPC unavailable, using direct update:', rpcErr?.message)
-          const { data, error } = await supabase
-            .from('messages')
-            .update({ seen: true, seen_at: seenAt })
-            .eq('receiver_id', currentUserId)
-            .eq('sender_id', otherUserId)
-            .lte('created_at', beforeISO)
-            .eq('seen', false)
-            .eq('view_once', false)
-            .eq('is_nsfw', false)
-            .select('id')
-          if (error) throw error
-          updatedIds = Array.isArray(data) ? data.map(r => r.id) : []
+        if (groupService.isGroup(otherUserId)) {
+          updatedIds = await groupService.markGroupMessagesReadUpTo(otherUserId, beforeISO)
         } else {
-          updatedIds = Array.isArray(rpcData) ? rpcData.map(r => r.updated_id || r.id || r) : []
+          // Prefer RPC if present
+          const { data: rpcData, error: rpcErr } = await supabase.rpc('fn_mark_messages_read_by_pair', {
+            p_receiver_id: currentUserId,
+            p_sender_id: otherUserId,
+            p_before: beforeISO
+          })
+          if (rpcErr) {
+            if (__DEV__) console.warn('⚠️ [API MANAGER] RPC unavailable, using direct update:', rpcErr?.message)
+            const { data, error } = await supabase
+              .from('messages')
+              .update({ seen: true, seen_at: seenAt })
+              .eq('receiver_id', currentUserId)
+              .eq('sender_id', otherUserId)
+              .is('conversation_id', null)
+              .lte('created_at', beforeISO)
+              .eq('seen', false)
+              .eq('view_once', false)
+              .eq('is_nsfw', false)
+              .select('id')
+            if (error) throw error
+            updatedIds = Array.isArray(data) ? data.map(r => r.id) : []
+          } else {
+            updatedIds = Array.isArray(rpcData) ? rpcData.map(r => r.updated_id || r.id || r) : []
+          }
         }
       } catch (dbErr) {
         console.error('❌ [API MANAGER] DB mark-read failed:', dbErr)
@@ -875,9 +830,8 @@ class APIManager {
       // Optimistic local updates (no extra fetch)
       try {
         const { chatStore } = await import('../data/stores/chatStore')
-        const { messagesCache } = await import('../data/messagesCache')
         chatStore.markUntilTimestampAsSeenPair({ receiverId: currentUserId, senderId: otherUserId, beforeISO: beforeTimestamp })
-        await messagesCache.markUntilTimestampAsSeenPair(currentUserId, otherUserId, beforeTimestamp)
+        localDatabase.markSeenUpTo(currentUserId, { receiverId: currentUserId, senderId: otherUserId, before: beforeISO, seenAt })
       } catch {}
 
       // Emit local events immediately (UI feels instant; broadcast will also arrive)
@@ -0,0 +1,321 @@
+/**
+ * App Lock Service
+ * Optional PIN / biometric lock in front of the whole app (components/AppLockGate.js).
+ *
+ * The PIN and the optional decoy PIN are stored as salted SHA-256 hashes in
+ * SecureStore. The app locks on launch and when it comes back after
+ * lockAfterSeconds in background. The decoy PIN unlocks into an empty account
+ * view, and too many wrong PINs in a row wipe the app data (clearAllAppData).
+ * After a few wrong PINs each new try has to wait longer, wipe enabled or not.
+ */
+
+import * as Crypto from 'expo-crypto'
+import * as LocalAuthentication from 'expo-local-authentication'
+import * as SecureStore from 'expo-secure-store'
+import { AppState } from 'react-native'
+import { clearAllAppData } from '../utils/secureStore'
+
+const APP_LOCK_KEY = 'notext_app_lock'
+const APP_LOCK_FAILURES_KEY = 'notext_app_lock_failures'
+
+export const PIN_LENGTH = 4
+export const LOCK_DELAY_OPTIONS = [0, 30, 60, 300] // Seconds in background
+export const WIPE_AFTER_OPTIONS = [0, 5, 10] // Failed attempts, 0 never wipes
+
+// Wrong PINs allowed without waiting, then the wait before the next try grows
+const FREE_ATTEMPTS = 4
+const RETRY_DELAYS = [30, 60, 300, 900, 3600] // Seconds, the last one repeats
+
+const DEFAULT_SETTINGS = {
+  enabled: false,
+  salt: null,
+  pinHash: null,
+  decoyPinHash: null,
+  biometricEnabled: false,
+  lockAfterSeconds: 30,
+  wipeAfterAttempts: 0
+}
+
+export const UnlockResult = {
+  UNLOCKED: 'unlocked',
+  DECOY: 'decoy',
+  INVALID: 'invalid',
+  WAIT: 'wait', // Tried before the retry delay was over, the PIN was not checked
+  WIPE: 'wipe'
+}
+
+const hashPin = (pin, salt) =>
+  Crypto.digestStringAsync(Crypto.CryptoDigestAlgorithm.SHA256, `${salt}:${pin}`)
+
+const toHex = (bytes) => Array.from(bytes, byte => byte.toString(16).padStart(2, '0')).join('')
+
+class AppLockService {
+  constructor() {
+    this.settings = { ...DEFAULT_SETTINGS }
+    this.failedAttempts = 0
+    this.lastFailureAt = null
+    this.isLoaded = false
+    this.isLocked = false
+    this.isDecoy = false
+    this.backgroundedAt = null
+    this.appStateSubscription = null
+    this.listeners = new Set()
+  }
+
+  /**
+   * Load the lock settings and start watching the app state.
+   * The app starts locked when the lock is enabled.
+   */
+  async init() {
+    if (this.isLoaded) return this.getState()
+
+    try {
+      const [stored, failures] = await Promise.all([
+        SecureStore.getItemAsync(APP_LOCK_KEY),
+        SecureStore.getItemAsync(APP_LOCK_FAILURES_KEY)
+      ])
+      this.settings = stored ? { ...DEFAULT_SETTINGS, ...JSON.parse(stored) } : { ...DEFAULT_SETTINGS }
+      // { count, at }, or a bare count saved before retry delays
+      const parsed = failures ? JSON.parse(failures) : null
+      this.failedAttempts = Number(parsed?.count ?? parsed) || 0
+      this.lastFailureAt = parsed?.at ?? (this.failedAttempts ? Date.now() : null)
+    } catch (error) {
+      console.error('❌ [APP_LOCK] Failed to load lock settings:', error)
+    }
+
+    this.isLocked = this.settings.enabled
+    this.isLoaded = true
+
+    if (!this.appStateSubscription) {
+      this.appStateSubscription = AppState.addEventListener('change', (nextAppState) => {
+        this.handleAppStateChange(nextAppState)
+      })
+    }
+
+    console.log(`🔒 [APP_LOCK] Initialized, enabled: ${this.settings.enabled}`)
+    this.notifyListeners()
+    return this.getState()
+  }
+
+  // Only 'background' counts: system prompts (Face ID, pickers) make the app 'inactive'
+  handleAppStateChange(nextAppState) {
+    if (!this.settings.enabled) return
+
+    if (nextAppState === 'background') {
+      this.backgroundedAt = this.backgroundedAt ?? Date.now()
+    } else if (nextAppState === 'active' && this.backgroundedAt !== null) {
+      const elapsed = (Date.now() - this.backgroundedAt) / 1000
+      this.backgroundedAt = null
+      if (elapsed >= this.settings.lockAfterSeconds) this.lock()
+    }
+  }
+
+  getState() {
+    return {
+      isLoaded: this.isLoaded,
+      isLocked: this.isLocked,
+      isDecoy: this.isDecoy,
+      settings: this.getSettings()
+    }
+  }
+
+  // Settings without the hashes
+  getSettings() {
+    const { enabled, biometricEnabled, lockAfterSeconds, wipeAfterAttempts, decoyPinHash } = this.settings
+    return { enabled, biometricEnabled, lockAfterSeconds, wipeAfterAttempts, hasDecoyPin: !!decoyPinHash }
+  }
+
+  getRemainingAttempts() {
+    const { wipeAfterAttempts } = this.settings
+    return wipeAfterAttempts ? Math.max(wipeAfterAttempts - this.failedAttempts, 0) : null
+  }
+
+  /**
+   * Seconds before the next PIN can be tried, 0 when it can be tried now
+   */
+  getRetryDelay() {
+    if (this.failedAttempts < FREE_ATTEMPTS || !this.lastFailureAt) return 0
+
+    const delay = RETRY_DELAYS[Math.min(this.failedAttempts - FREE_ATTEMPTS, RETRY_DELAYS.length - 1)]
+    return Math.max(Math.ceil((this.lastFailureAt + delay * 1000 - Date.now()) / 1000), 0)
+  }
+
+  lock() {
+    if (!this.settings.enabled) return
+    console.log('🔒 [APP_LOCK] App locked')
+    this.isLocked = true
+    this.isDecoy = false
+    this.notifyListeners()
+  }
+
+  unlock(decoy = false) {
+    console.log(`🔓 [APP_LOCK] App unlocked${decoy ? ' (decoy)' : ''}`)
+    this.isLocked = false
+    this.isDecoy = decoy
+    this.notifyListeners()
+  }
+
+  /**
+   * Check a PIN typed on the lock screen
+   * @returns {Promise<string>} One of UnlockResult
+   */
+  async verifyPin(pin) {
+    if (this.getRetryDelay() > 0) return UnlockResult.WAIT
+
+    const hash = await hashPin(pin, this.settings.salt)
+
+    if (hash === this.settings.pinHash) {
+      await this.setFailedAttempts(0)
+      this.unlock()
+      return UnlockResult.UNLOCKED
+    }
+
+    if (this.settings.decoyPinHash && hash === this.settings.decoyPinHash) {
+      await this.setFailedAttempts(0)
+      this.unlock(true)
+      return UnlockResult.DECOY
+    }
+
+    await this.setFailedAttempts(this.failedAttempts + 1)
+    console.warn(`⚠️ [APP_LOCK] Wrong PIN (${this.failedAttempts} failed attempts)`)
+    return this.getRemainingAttempts() === 0 ? UnlockResult.WIPE : UnlockResult.INVALID
+  }
+
+  async isBiometricAvailable() {
+    try {
+      const [hasHardware, isEnrolled] = await Promise.all([
+        LocalAuthentication.hasHardwareAsync(),
+        LocalAuthentication.isEnrolledAsync()
+      ])
+      return hasHardware && isEnrolled
+    } catch (error) {
+      console.error('❌ [APP_LOCK] Biometric check failed:', error)
+      return false
+    }
+  }
+
+  // Face ID / fingerprint, the PIN stays available on the lock screen
+  async unlockWithBiometrics() {
+    if (!this.settings.enabled || !this.settings.biometricEnabled) return false
+
+    try {
+      const result = await LocalAuthentication.authenticateAsync({
+        promptMessage: 'Déverrouiller NoText',
+        cancelLabel: 'Utiliser le code',
+        disableDeviceFallback: true
+      })
+      if (!result.success) return false
+
+      await this.setFailedAttempts(0)
+      this.unlock()
+      return true
+    } catch (error) {
+      console.error('❌ [APP_LOCK] Biometric unlock failed:', error)
+      return false
+    }
+  }
+
+  // Turn the lock on with a new PIN
+  async enable(pin) {
+    const salt = toHex(Crypto.getRandomBytes(16))
+    await this.saveSettings({
+      ...DEFAULT_SETTINGS,
+      enabled: true,
+      salt,
+      pinHash: await hashPin(pin, salt),
+      biometricEnabled: await this.isBiometricAvailable()
+    })
+    await this.setFailedAttempts(0)
+    console.log('🔒 [APP_LOCK] App lock enabled')
+  }
+
+  async disable() {
+    await SecureStore.deleteItemAsync(APP_LOCK_KEY)
+    await SecureStore.deleteItemAsync(APP_LOCK_FAILURES_KEY)
+    this.settings = { ...DEFAULT_SETTINGS }
+    this.failedAttempts = 0
+    this.lastFailureAt = null
+    this.isLocked = false
+    this.isDecoy = false
+    console.log('🔓 [APP_LOCK] App lock disabled')
+    this.notifyListeners()
+  }
+
+  async changePin(pin) {
+    await this.saveSettings({ pinHash: await hashPin(pin, this.settings.salt) })
+  }
+
+  /**
+   * Which PIN this is, without unlocking nor counting a failure
+   * @returns {Promise<'pin'|'decoy'|null>}
+   */
+  async checkPin(pin) {
+    const hash = await hashPin(pin, this.settings.salt)
+    if (hash === this.settings.pinHash) return 'pin'
+    if (this.settings.decoyPinHash && hash === this.settings.decoyPinHash) return 'decoy'
+    return null
+  }
+
+  // null removes the decoy PIN
+  async setDecoyPin(pin) {
+    await this.saveSettings({ decoyPinHash: pin ? await hashPin(pin, this.settings.salt) : null })
+  }
+
+  async setBiometricEnabled(enabled) {
+    await this.saveSettings({ biometricEnabled: enabled })
+  }
+
+  async setLockAfterSeconds(seconds) {
+    await this.saveSettings({ lockAfterSeconds: seconds })
+  }
+
+  async setWipeAfterAttempts(attempts) {
+    await this.saveSettings({ wipeAfterAttempts: attempts })
+  }
+
+  /**
+   * Erase the app data after too many wrong PINs. The caller logs out first
+   * so the session and the realtime connections are closed.
+   */
+  async wipe() {
+    console.warn('🧹 [APP_LOCK] Too many failed attempts, wiping app data')
+    await clearAllAppData()
+    await this.disable()
+  }
+
+  async saveSettings(changes) {
+    this.settings = { ...this.settings, ...changes }
+    await SecureStore.setItemAsync(APP_LOCK_KEY, JSON.stringify(this.settings))
+    this.notifyListeners()
+  }
+
+  async setFailedAttempts(count) {
+    this.failedAttempts = count
+    this.lastFailureAt = count ? Date.now() : null
+    try {
+      await SecureStore.setItemAsync(APP_LOCK_FAILURES_KEY, JSON.stringify({ count, at: this.lastFailureAt }))
+    } catch (error) {
+      console.error('❌ [APP_LOCK] Failed to save failed attempts:', error)
+    }
+  }
+
+  // Listener management for real-time updates
+  addListener(callback) {
+    this.listeners.add(callback)
+    return () => this.listeners.delete(callback)
+  }
+
+  notifyListeners() {
+    const state = this.getState()
+    this.listeners.forEach(callback => {
+      try {
+        callback(state)
+      } catch (error) {
+        console.error('❌ [APP_LOCK] Listener error:', error)
+      }
+    })
+  }
+}
+
+export const appLockService = new AppLockService()
+export default appLockService
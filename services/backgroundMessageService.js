@@ -5,9 +5,17 @@
 
 import AsyncStorage from '@react-native-async-storage/async-storage'
 import { AppState } from 'react-native'
+import { localDatabase } from '../data/localDatabase'
 import { sendMessage } from './userService'
+import { groupService } from './groupService'
+import { mediaEncryptionService } from './mediaEncryptionService'
 import { realtimeCacheManager } from './realtimeCacheManager'
-import { uploadMedia } from './unifiedMediaService'
+import { unifiedMediaService, uploadMedia } from './unifiedMediaService'
+
+// Receiver without a public key (app not updated yet): the encrypted media could not be opened
+const NO_MEDIA_KEY_ERROR = 'NO_MEDIA_KEY'
+
+const LEGACY_QUEUE_KEY = 'backgroundMessageQueue' // AsyncStorage key of the queue before the local database
 
 class BackgroundMessageService {
   constructor() {
@@ -104,73 +112,132 @@ class BackgroundMessageService {
     caption = null,
     mediaMode = 'permanent',
     isMuted = false,
+    viewDuration = null, // Self-destruct window in seconds for one-time/NSFW media
+    fromGallery = false, // Imported from the device gallery rather than captured live
+    mediaOverlay = null, // Video edits, drawn over the video on playback
     currentUser,
     otherUser
   }) {
-    const tempId = this.generateTempId()
-    const timestamp = new Date().toISOString()
-
-    // Create optimistic message object using local media URI
-    const optimisticMessage = {
-      id: tempId,
-      sender_id: currentUser.id,
-      receiver_id: receiverId,
-      media_url: localMediaUri, // Use local file initially
-      media_type: mediaType,
+    const [tempId] = await this.queueMessageToRecipients({
+      recipients: [{ receiverId, otherUser }],
+      localMediaUri,
+      mediaType,
       caption,
-      view_once: mediaMode === 'one_time',
-      is_nsfw: mediaMode === 'nsfw',
-      is_muted: isMuted,
-      created_at: timestamp,
-      seen: false,
-      read: false,
-      // Add sending indicator
-      _isSending: true,
-      _tempId: tempId
+      mediaMode,
+      isMuted,
+      viewDuration,
+      fromGallery,
+      mediaOverlay,
+      currentUser
+    })
+    return tempId
+  }
+
+  // Queue one capture for several receivers: the media is uploaded once and one
+  // message row is sent per receiver. Each receiver gets its own optimistic message
+  // (and tempId) so progress and failures are reported per receiver.
+  async queueMessageToRecipients({
+    recipients, // [{ receiverId, otherUser, replyToMessageId? }]
+    localMediaUri,
+    mediaType,
+    caption = null,
+    mediaMode = 'permanent',
+    isMuted = false,
+    viewDuration = null,
+    fromGallery = false,
+    mediaOverlay = null,
+    currentUser
+  }) {
+    if (!Array.isArray(recipients) || recipients.length === 0) {
+      throw new Error('At least one recipient is required')
     }
 
-    console.log(`📤 [BG_MSG] Queueing message for background upload & send:`, {
-      tempId,
+    const batchId = this.generateTempId()
+    const timestamp = new Date().toISOString()
+
+    const queuedRecipients = recipients.map(({ receiverId, otherUser, replyToMessageId = null }) => ({
+      tempId: this.generateTempId(),
       receiverId,
+      otherUser,
+      replyToMessageId,
+      status: 'pending',
+      error: null
+    }))
+
+    console.log(`📤 [BG_MSG] Queueing message for background upload & send:`, {
+      batchId,
+      recipients: queuedRecipients.map(r => r.receiverId),
       mediaType,
       mediaMode,
       localMediaUri: localMediaUri?.substring(localMediaUri.lastIndexOf('/') + 1)
     })
 
-    // Add to pending messages
-    this.pendingMessages.set(tempId, optimisticMessage)
-
     // Add to queue for actual upload and sending
     const queueItem = {
-      tempId,
-      receiverId,
+      tempId: queuedRecipients[0].tempId,
+      batchId,
+      receiverId: queuedRecipients[0].receiverId,
+      otherUser: queuedRecipients[0].otherUser,
+      recipients: queuedRecipients,
       localMediaUri,
       mediaType,
       caption,
       mediaMode,
       isMuted,
+      viewDuration,
+      fromGallery,
+      mediaOverlay,
       currentUser,
-      otherUser,
       timestamp,
+      upload: null, // { mediaUrl, thumbnailUrl, keys } once uploaded, so retries don't upload again
       retries: 0,
       maxRetries: 3
     }
 
     this.queue.push(queueItem)
 
-    // Immediately add optimistic message to cache for instant UI
-    try {
-      realtimeCacheManager.addOptimisticMessage(optimisticMessage, receiverId)
-      
-      // Emit event for immediate UI updates
-      this.emit('optimisticMessageAdded', {
-        message: optimisticMessage,
-        receiverId
-      })
+    for (const recipient of queuedRecipients) {
+      // Create optimistic message object using local media URI
+      const optimisticMessage = {
+        id: recipient.tempId,
+        sender_id: currentUser.id,
+        receiver_id: recipient.receiverId,
+        media_url: localMediaUri, // Use local file initially
+        media_type: mediaType,
+        caption,
+        view_once: mediaMode === 'one_time',
+        is_nsfw: mediaMode === 'nsfw',
+        is_muted: isMuted,
+        auto_delete_after: mediaMode === 'permanent' ? null : viewDuration,
+        reply_to_message_id: recipient.replyToMessageId,
+        from_gallery: fromGallery,
+        media_overlay: mediaOverlay,
+        created_at: timestamp,
+        seen: false,
+        read: false,
+        // Add sending indicator
+        _isSending: true,
+        _tempId: recipient.tempId,
+        _batchId: batchId
+      }
 
-      console.log(`✅ [BG_MSG] Optimistic message added to UI: ${tempId}`)
-    } catch (error) {
-      console.error('❌ [BG_MSG] Error adding optimistic message:', error)
+      // Add to pending messages
+      this.pendingMessages.set(recipient.tempId, optimisticMessage)
+
+      // Immediately add optimistic message to cache for instant UI
+      try {
+        realtimeCacheManager.addOptimisticMessage(optimisticMessage, recipient.receiverId)
+        
+        // Emit event for immediate UI updates
+        this.emit('optimisticMessageAdded', {
+          message: optimisticMessage,
+          receiverId: recipient.receiverId
+        })
+
+        console.log(`✅ [BG_MSG] Optimistic message added to UI: ${recipient.tempId}`)
+      } catch (error) {
+        console.error('❌ [BG_MSG] Error adding optimistic message:', error)
+      }
     }
 
     // Start processing queue
@@ -179,7 +246,232 @@ class BackgroundMessageService {
     // Persist queue to storage
     this.persistQueue()
 
-    return tempId
+    return queuedRecipients.map(r => r.tempId)
+  }
+
+  // Items queued before multi-recipient support carry a single receiver
+  getQueueItemRecipients(item) {
+    if (!Array.isArray(item.recipients)) {
+      item.recipients = [{
+        tempId: item.tempId,
+        receiverId: item.receiverId,
+        otherUser: item.otherUser,
+        status: 'pending',
+        error: null
+      }]
+    }
+    return item.recipients
+  }
+
+  // Per-receiver state of a multi-recipient send
+  emitBatchStatus(item) {
+    this.emit('batchStatusUpdate', {
+      batchId: item.batchId,
+      recipients: this.getQueueItemRecipients(item).map(r => ({
+        tempId: r.tempId,
+        receiverId: r.receiverId,
+        pseudo: r.otherUser?.pseudo,
+        status: r.status,
+        error: r.error
+      }))
+    })
+  }
+
+  // Send push notification to one receiver with enhanced error handling using notification manager
+  async sendMessageNotification(item, sentMessage, recipientId, { title, body, data }) {
+    try {
+      const { notificationManager } = await import('./notificationManager')
+      
+      // Use the robust notification manager
+      await notificationManager.sendNotification({
+        userId: recipientId,
+        title,
+        body,
+        data,
+        priority: 'high'
+      })
+      
+      console.log(`📱 [BG_MSG] Notification sent via manager for message: ${sentMessage.id}`)
+      
+      // Mark this message as having received an immediate notification
+      const { notificationIntegration } = await import('./notificationIntegration')
+      
+      if (notificationIntegration.isInitialized) {
+        // Just mark the notification as sent, don't trigger another one
+        notificationIntegration.markImmediateNotificationSent(sentMessage.id, item.currentUser.pseudo)
+        console.log(`📱 [BG_MSG] Marked immediate notification for message: ${sentMessage.id}`)
+      }
+      
+    } catch (notifError) {
+      console.error('❌ [BG_MSG] Error sending notification via manager:', notifError)
+      
+      // Fallback to direct push service
+      try {
+        const { pushNotificationService } = await import('./pushNotificationService')
+        
+        await pushNotificationService.queueNotification({
+          userId: recipientId,
+          title,
+          body,
+          data,
+          priority: 'high',
+          sound: true
+        })
+        
+        console.log(`📱 [BG_MSG] Fallback notification sent for message: ${sentMessage.id}`)
+        
+        // Mark this message as having received an immediate notification
+        const { notificationIntegration } = await import('./notificationIntegration')
+        if (notificationIntegration.isInitialized) {
+          notificationIntegration.markImmediateNotificationSent(sentMessage.id, item.currentUser.pseudo)
+        }
+      } catch (fallbackError) {
+        console.error('❌ [BG_MSG] Fallback notification also failed:', fallbackError)
+      }
+    }
+  }
+
+  // Send the already uploaded media to one receiver of a queue item
+  async sendToRecipient(item, recipient, { mediaUrl, thumbnailUrl, keys = null }) {
+    const { tempId, receiverId, otherUser, replyToMessageId = null } = recipient
+
+    // Group members without a key are left out by the server, a single receiver fails here
+    if (keys && !otherUser?.isGroup && !keys.mediaKeys[receiverId]) {
+      const error = new Error(`No public key for receiver ${receiverId}`)
+      error.code = NO_MEDIA_KEY_ERROR
+      throw error
+    }
+
+    // Optimistic UI : **ne touchez pas** au media_url local (file://...)
+    const pendingMessage = this.pendingMessages.get(tempId)
+    if (pendingMessage) {
+      const updatedOptimisticMessage = {
+        ...pendingMessage,
+        // media_url: on garde le file:// initial du sender
+        thumbnail_url: pendingMessage.thumbnail_url || thumbnailUrl || null
+      }
+      this.pendingMessages.set(tempId, updatedOptimisticMessage)
+      realtimeCacheManager.replaceOptimisticMessage(tempId, updatedOptimisticMessage)
+    }
+
+    this.updateMessageStatus(tempId, 'sending')
+    console.log(`📤 [BG_MSG] Sending message ${tempId} to server...`)
+
+    const isGroup = !!otherUser?.isGroup
+    const sentMessage = isGroup
+      ? await groupService.sendGroupMessage(receiverId, {
+          mediaUrl,
+          mediaType: item.mediaType,
+          caption: item.caption,
+          mediaMode: item.mediaMode,
+          thumbnailUrl,
+          isMuted: item.isMuted,
+          viewDuration: item.viewDuration ?? null,
+          mediaKeys: keys?.mediaKeys ?? null,
+          senderMediaKey: keys?.senderMediaKey ?? null,
+          replyToMessageId,
+          fromGallery: !!item.fromGallery,
+          mediaOverlay: item.mediaOverlay ?? null
+        })
+      : await sendMessage(
+          receiverId,
+          mediaUrl,
+          item.mediaType,
+          item.caption,
+          item.mediaMode,
+          thumbnailUrl,
+          item.isMuted,
+          item.viewDuration ?? null,
+          keys ? { mediaKey: keys.mediaKeys[receiverId], senderMediaKey: keys.senderMediaKey } : null,
+          replyToMessageId,
+          !!item.fromGallery,
+          item.mediaOverlay ?? null
+        )
+
+    console.log(`✅ [BG_MSG] Message sent successfully: ${tempId} -> ${sentMessage.id}`)
+
+    const data = {
+      type: 'message',
+      senderId: item.currentUser.id,
+      senderPseudo: item.currentUser.pseudo,
+      messageId: sentMessage.id,
+      isNsfw: item.mediaMode === 'nsfw' // Lets the push function hide the preview
+    }
+
+    // Group captures notify every member that received a row; the chat to open is the group
+    if (isGroup) {
+      for (const receipt of sentMessage.receipts || []) {
+        await this.sendMessageNotification(item, sentMessage, receipt.user_id, {
+          title: otherUser.pseudo || 'Nouveau message',
+          body: item.caption || `${item.currentUser.pseudo || 'Quelqu\'un'} a envoyé un média`,
+          data: { ...data, conversationId: receiverId, chatUserId: receiverId, chatUserPseudo: otherUser.pseudo }
+        })
+      }
+    } else {
+      await this.sendMessageNotification(item, sentMessage, receiverId, {
+        title: item.currentUser.pseudo || 'Nouveau message',
+        body: item.caption || 'Nouveau média reçu',
+        data: { ...data, chatUserId: item.currentUser.id, chatUserPseudo: item.currentUser.pseudo }
+      })
+    }
+
+    // Mark the real message as an optimistic replacement so cache handles it correctly
+    const sentMessageWithReplacement = {
+      ...sentMessage,
+      _tempId: tempId, // Mark as optimistic replacement
+      _isOptimisticReplacement: true
+    }
+
+    // Replace optimistic message with real message
+    this.replaceOptimisticMessage(tempId, sentMessageWithReplacement)
+
+    // Update status
+    this.updateMessageStatus(tempId, 'sent', sentMessageWithReplacement)
+  }
+
+  // Wrap a fresh content key for everyone who will receive this item (group members included).
+  // A failure is retried with the item: the media is never sent unencrypted instead.
+  async prepareMediaKeys(item, recipients) {
+    const userIds = new Set()
+    for (const { receiverId, otherUser } of recipients) {
+      if (otherUser?.isGroup) {
+        const memberIds = await groupService.getMemberIds(receiverId)
+        memberIds.filter(id => id !== item.currentUser.id).forEach(id => userIds.add(id))
+      } else {
+        userIds.add(receiverId)
+      }
+    }
+
+    const encryption = await mediaEncryptionService.createMediaKeys([...userIds])
+    if (encryption?.missingRecipientIds.length > 0) {
+      console.warn(`⚠️ [BG_MSG] ${encryption.missingRecipientIds.length} recipient(s) of ${item.tempId} have no public key and will not receive it`)
+    }
+    return encryption
+  }
+
+  // Keys are created once per item and kept wrapped in the persisted queue: a resumed upload
+  // must go on with the content key its first chunks were encrypted with
+  async getItemEncryption(item, recipients) {
+    if (item.encryption === undefined) {
+      const encryption = await this.prepareMediaKeys(item, recipients)
+      item.encryption = encryption
+        ? { mediaKeys: encryption.mediaKeys, senderMediaKey: encryption.senderMediaKey }
+        : null
+      this.persistQueue()
+      return encryption
+    }
+
+    if (!item.encryption) return null
+
+    const contentKey = await mediaEncryptionService.unwrapKey(item.encryption.senderMediaKey)
+    if (contentKey) return { contentKey, ...item.encryption }
+
+    // Device keys changed since the item was queued - start the upload over with new keys
+    console.warn(`⚠️ [BG_MSG] Media key of ${item.tempId} unavailable, restarting upload`)
+    await unifiedMediaService.discardUploadState(item.uploadState)
+    delete item.encryption
+    delete item.uploadState
+    return this.getItemEncryption(item, recipients)
   }
 
   // Enhanced message queue processing with prioritized UI updates
@@ -199,151 +491,113 @@ class BackgroundMessageService {
 
     while (this.queue.length > 0) {
       const item = this.queue[0] // Process first item
+      const recipients = this.getQueueItemRecipients(item)
+      const pending = recipients.filter(r => r.status === 'pending')
       
       try {
-        console.log(`📤 [BG_MSG] Processing message ${item.tempId}...`)
-        
-        // Update sending status
-        this.updateMessageStatus(item.tempId, 'uploading')
+        console.log(`📤 [BG_MSG] Processing message ${item.tempId} for ${pending.length} recipient(s)...`)
 
-        // Step 1: Upload media in background
-        console.log(`📤 [BG_MSG] Uploading media for ${item.tempId}...`)
-        const uploadResult = await uploadMedia(
-          item.localMediaUri,
-          item.mediaType,
-          item.currentUser,
-          item.otherUser || { pseudo: 'unknown', id: null }
-        )
+        // Step 1: Upload media in background - once for every recipient
+        if (!item.upload) {
+          pending.forEach(r => this.updateMessageStatus(r.tempId, 'uploading'))
 
-        // Handle the new uploadResult format
-        // On force l'usage du schéma interne pour la DB
-        const mediaUrl = (uploadResult && uploadResult.mediaUrl) ? uploadResult.mediaUrl : null;           // sb://media/<objectKey>
-        const thumbnailUrl = (uploadResult && uploadResult.thumbnailUrl) ? uploadResult.thumbnailUrl : null; // sb://thumbs/<objectKey>
-        const localPath = (uploadResult && uploadResult.localPath) ? uploadResult.localPath : null;          // file://… (sender)
+          const encryption = await this.getItemEncryption(item, recipients)
 
-        if (!mediaUrl) {
-          throw new Error('Upload failed: No media URL returned')
-        }
+          // Upload URL and acknowledged offset, persisted so a retry or a restart resumes the upload
+          if (!item.uploadState) item.uploadState = {}
 
-        console.log(`✅ [BG_MSG] Media uploaded for ${item.tempId}: ${uploadResult.objectKey}`)
-
-        // Step 2: Optimistic UI : **ne touchez pas** au media_url local (file://...)
-        const updatedOptimisticMessage = {
-          ...this.pendingMessages.get(item.tempId),
-          // media_url: on garde le file:// initial du sender
-          thumbnail_url: this.pendingMessages.get(item.tempId)?.thumbnail_url || thumbnailUrl || null
-        }
-        this.pendingMessages.set(item.tempId, updatedOptimisticMessage)
-        realtimeCacheManager.replaceOptimisticMessage(item.tempId, updatedOptimisticMessage)
-
-        // Step 3: Send message to server
-        this.updateMessageStatus(item.tempId, 'sending')
-        console.log(`📤 [BG_MSG] Sending message ${item.tempId} to server...`)
+          console.log(`📤 [BG_MSG] Uploading media for ${item.tempId}...`, {
+            encrypted: !!encryption,
+            resumeAt: item.uploadState.offset || 0
+          })
+          const uploadResult = await uploadMedia(
+            item.localMediaUri,
+            item.mediaType,
+            item.currentUser,
+            recipients.length === 1
+              ? (recipients[0].otherUser || { pseudo: 'unknown', id: null })
+              : { pseudo: 'multi', id: null },
+            (progress) => pending.forEach(r => this.updateMessageProgress(r.tempId, progress)),
+            encryption?.contentKey ?? null,
+            item.uploadState,
+            () => this.persistQueue()
+          )
+
+          // Handle the new uploadResult format
+          // On force l'usage du schéma interne pour la DB
+          const mediaUrl = (uploadResult && uploadResult.mediaUrl) ? uploadResult.mediaUrl : null;           // sb://media/<objectKey>
+          const thumbnailUrl = (uploadResult && uploadResult.thumbnailUrl) ? uploadResult.thumbnailUrl : null; // sb://thumbs/<objectKey>
+
+          if (!mediaUrl) {
+            throw new Error('Upload failed: No media URL returned')
+          }
 
-        const sentMessage = await sendMessage(
-          item.receiverId,
-          mediaUrl,
-          item.mediaType,
-          item.caption,
-          item.mediaMode,
-          thumbnailUrl,
-          item.isMuted
-        )
+          console.log(`✅ [BG_MSG] Media uploaded for ${item.tempId}: ${uploadResult.objectKey}`)
+
+          // Only the wrapped keys are kept, the content key never leaves memory
+          const keys = encryption
+            ? { mediaKeys: encryption.mediaKeys, senderMediaKey: encryption.senderMediaKey }
+            : null
+          if (keys) {
+            mediaEncryptionService.registerMessages([{
+              sender_id: item.currentUser.id,
+              media_url: mediaUrl,
+              thumbnail_url: thumbnailUrl,
+              sender_media_key: keys.senderMediaKey
+            }], item.currentUser.id)
+          }
 
-        console.log(`✅ [BG_MSG] Message sent successfully: ${item.tempId} -> ${sentMessage.id}`)
+          item.upload = { mediaUrl, thumbnailUrl, keys }
+          delete item.uploadState
+          this.persistQueue()
+        }
 
-        // Send push notification to receiver with enhanced error handling using notification manager
-        try {
-          const { notificationManager } = await import('./notificationManager')
-          
-          // Use the robust notification manager
-          await notificationManager.sendNotification({
-            userId: item.receiverId,
-            title: item.currentUser.pseudo || 'Nouveau message',
-            body: item.caption || 'Nouveau média reçu',
-            data: {
-              type: 'message',
-              senderId: item.currentUser.id,
-              senderPseudo: item.currentUser.pseudo,
-              messageId: sentMessage.id,
-              chatUserId: item.currentUser.id,
-              chatUserPseudo: item.currentUser.pseudo
-            },
-            priority: 'high'
-          })
-          
-          console.log(`📱 [BG_MSG] Notification sent via manager for message: ${sentMessage.id}`)
-          
-          // Mark this message as having received an immediate notification
-          const { notificationIntegration } = await import('./notificationIntegration')
-          
-          if (notificationIntegration.isInitialized) {
-            // Just mark the notification as sent, don't trigger another one
-            notificationIntegration.markImmediateNotificationSent(sentMessage.id, item.currentUser.pseudo)
-            console.log(`📱 [BG_MSG] Marked immediate notification for message: ${sentMessage.id}`)
-          }
-          
-        } catch (notifError) {
-          console.error('❌ [BG_MSG] Error sending notification via manager:', notifError)
-          
-          // Fallback to direct push service
+        // Step 2: Send one message per recipient - a failing recipient doesn't stop the others
+        let retryableError = null
+        for (const recipient of pending) {
           try {
-            const { pushNotificationService } = await import('./pushNotificationService')
-            
-            await pushNotificationService.queueNotification({
-              userId: item.receiverId,
-              title: item.currentUser.pseudo || 'Nouveau message',
-              body: item.caption || 'Nouveau média reçu',
-              data: {
-                type: 'message',
-                senderId: item.currentUser.id,
-                senderPseudo: item.currentUser.pseudo,
-                messageId: sentMessage.id,
-                chatUserId: item.currentUser.id,
-                chatUserPseudo: item.currentUser.pseudo
-              },
-              priority: 'high',
-              sound: true
-            })
-            
-            console.log(`📱 [BG_MSG] Fallback notification sent for message: ${sentMessage.id}`)
-            
-            // Mark this message as having received an immediate notification
-            const { notificationIntegration } = await import('./notificationIntegration')
-            if (notificationIntegration.isInitialized) {
-              notificationIntegration.markImmediateNotificationSent(sentMessage.id, item.currentUser.pseudo)
+            await this.sendToRecipient(item, recipient, item.upload)
+            recipient.status = 'sent'
+          } catch (error) {
+            console.error(`❌ [BG_MSG] Error sending ${recipient.tempId} to ${recipient.receiverId}:`, error)
+            recipient.error = error.message
+
+            // RLS rejection (e.g. receiver has blocked the sender) or no public key - retrying cannot succeed
+            if (error?.code === '42501' || error?.code === NO_MEDIA_KEY_ERROR) {
+              recipient.status = 'failed'
+              this.updateMessageStatus(recipient.tempId, 'failed', null, error.message)
+            } else {
+              retryableError = error
             }
-          } catch (fallbackError) {
-            console.error('❌ [BG_MSG] Fallback notification also failed:', fallbackError)
           }
+          this.emitBatchStatus(item)
         }
 
-        // Mark the real message as an optimistic replacement so cache handles it correctly
-        const sentMessageWithReplacement = {
-          ...sentMessage,
-          _tempId: item.tempId, // Mark as optimistic replacement
-          _isOptimisticReplacement: true
-        }
-
-        // Replace optimistic message with real message
-        this.replaceOptimisticMessage(item.tempId, sentMessageWithReplacement)
+        // Retry only the recipients that are still pending
+        if (retryableError) throw retryableError
 
         // Remove from queue
         this.queue.shift()
 
-        // Update status
-        this.updateMessageStatus(item.tempId, 'sent', sentMessageWithReplacement)
-
       } catch (error) {
         console.error(`❌ [BG_MSG] Error processing message ${item.tempId}:`, error)
         
         item.retries++
+
+        // RLS rejection (e.g. receiver has blocked the sender) - retrying cannot succeed
+        const isRejected = error?.code === '42501'
         
-        if (item.retries >= item.maxRetries) {
+        if (isRejected || item.retries >= item.maxRetries) {
           console.error(`💀 [BG_MSG] Message ${item.tempId} failed after ${item.maxRetries} retries`)
           
-          // Mark as failed
-          this.updateMessageStatus(item.tempId, 'failed', null, error.message)
+          // Mark every recipient still waiting as failed
+          recipients.filter(r => r.status === 'pending').forEach(r => {
+            r.status = 'failed'
+            r.error = error.message
+            this.updateMessageStatus(r.tempId, 'failed', null, error.message)
+          })
+          this.emitBatchStatus(item)
+          unifiedMediaService.discardUploadState(item.uploadState)
           
           // Remove from queue
           this.queue.shift()
@@ -352,6 +606,7 @@ class BackgroundMessageService {
           
           // Move to end of queue for retry
           this.queue.push(this.queue.shift())
+          this.persistQueue()
           
           // Wait before retry
           await new Promise(resolve => setTimeout(resolve, 2000 * item.retries))
@@ -366,6 +621,22 @@ class BackgroundMessageService {
     this.persistQueue()
   }
 
+  // Report upload progress (0-1) of a pending message
+  updateMessageProgress(tempId, progress) {
+    const pendingMessage = this.pendingMessages.get(tempId)
+    if (!pendingMessage) return
+
+    pendingMessage._uploadProgress = progress
+    this.emit('messageStatusUpdate', {
+      tempId,
+      status: pendingMessage._sendingStatus || 'uploading',
+      progress,
+      message: pendingMessage,
+      error: null,
+      isComplete: false
+    })
+  }
+
   // Update message status in UI - ENHANCED
   updateMessageStatus(tempId, status, realMessage = null, error = null) {
     const pendingMessage = this.pendingMessages.get(tempId)
@@ -462,27 +733,32 @@ class BackgroundMessageService {
     }
   }
 
-  // Persist queue to storage for app restart recovery
-  async persistQueue() {
-    try {
-      await AsyncStorage.setItem('backgroundMessageQueue', JSON.stringify(this.queue))
-    } catch (error) {
-      console.error('❌ [BG_MSG] Error persisting queue:', error)
-    }
+  // Persist queue to the local database for app restart recovery
+  persistQueue() {
+    return localDatabase.savePendingSends(this.queue)
   }
 
-  // Load queue from storage on app start
+  // Load queue from the local database on app start
   async loadQueue() {
     try {
-      const stored = await AsyncStorage.getItem('backgroundMessageQueue')
-      if (stored) {
-        this.queue = JSON.parse(stored)
+      let stored = await localDatabase.getPendingSends()
+
+      // Queue saved by a previous version
+      if (stored.length === 0) {
+        const legacy = await AsyncStorage.getItem(LEGACY_QUEUE_KEY)
+        if (legacy) {
+          stored = JSON.parse(legacy)
+          await localDatabase.savePendingSends(stored)
+          await AsyncStorage.removeItem(LEGACY_QUEUE_KEY)
+        }
+      }
+
+      if (stored.length > 0) {
+        this.queue = stored
         console.log(`📥 [BG_MSG] Loaded ${this.queue.length} messages from storage`)
         
         // Process any pending messages
-        if (this.queue.length > 0) {
-          this.processQueue()
-        }
+        this.processQueue()
       }
     } catch (error) {
       console.error('❌ [BG_MSG] Error loading queue:', error)
@@ -501,8 +777,16 @@ class BackgroundMessageService {
 
   // Cancel a pending message
   cancelMessage(tempId) {
-    // Remove from queue
-    this.queue = this.queue.filter(item => item.tempId !== tempId)
+    // Remove from queue - only this recipient when the capture goes to several
+    this.queue = this.queue.filter(item => {
+      const recipients = this.getQueueItemRecipients(item)
+      const recipient = recipients.find(r => r.tempId === tempId)
+      if (!recipient) return true
+      recipient.status = 'cancelled'
+      const keep = recipients.some(r => r.status === 'pending')
+      if (!keep) unifiedMediaService.discardUploadState(item.uploadState)
+      return keep
+    })
     
     // Remove from pending
     this.pendingMessages.delete(tempId)
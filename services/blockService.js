@@ -1,14 +1,20 @@
 import AsyncStorage from '@react-native-async-storage/async-storage'
+import { getUserData } from '../utils/secureStore'
+import { supabase } from './supabaseClient'
 
 const BLOCKED_USERS_KEY = 'blocked_users'
 const BLOCKED_USERS_DETAILS_KEY = 'blocked_users_details'
+// Block/unblock operations made while offline, replayed on next server sync
+const BLOCKED_USERS_PENDING_KEY = 'blocked_users_pending'
 
 class BlockService {
   constructor() {
     this.blockedUsers = new Set()
     this.blockedUsersDetails = new Map() // Store user details
+    this.pendingOps = new Map() // userId -> 'block' | 'unblock'
     this.listeners = new Set()
     this.initialized = false
+    this.syncPromise = null
   }
 
   async initialize() {
@@ -61,6 +67,13 @@ class BlockService {
         this.blockedUsersDetails = new Map(Object.entries(detailsObject))
         console.log('📵 [BLOCK] Loaded user details for', this.blockedUsersDetails.size, 'users')
       }
+
+      // Load operations that still need to reach the server
+      const storedPending = await AsyncStorage.getItem(BLOCKED_USERS_PENDING_KEY)
+      if (storedPending) {
+        this.pendingOps = new Map(Object.entries(JSON.parse(storedPending)))
+        console.log('📵 [BLOCK] Loaded', this.pendingOps.size, 'pending block operations')
+      }
       
       console.log('📵 [BLOCK] Final state after initialization:', {
         blockedUsersSize: this.blockedUsers.size,
@@ -74,8 +87,88 @@ class BlockService {
       console.error('❌ [BLOCK] Failed to initialize:', error)
       this.blockedUsers = new Set()
       this.blockedUsersDetails = new Map()
+      this.pendingOps = new Map()
       this.initialized = true
     }
+
+    // Hydrate from the server in the background - the local store is only an offline cache
+    this.syncWithServer()
+  }
+
+  /**
+   * Replay pending offline operations, then replace the local block list
+   * with the server copy (table `blocks`, see supabase/migrations/create_blocks_table.sql).
+   * Safe to call repeatedly; concurrent calls share the same request.
+   */
+  async syncWithServer() {
+    if (this.syncPromise) return this.syncPromise
+
+    this.syncPromise = (async () => {
+      try {
+        const userData = await getUserData()
+        if (!userData?.id) {
+          console.log('📵 [BLOCK] No authenticated user, skipping server sync')
+          return false
+        }
+
+        // Push local changes first so the server copy includes them
+        for (const [userId, op] of Array.from(this.pendingOps.entries())) {
+          const { error } = op === 'block'
+            ? await supabase.rpc('block_user', { _blocked: userId })
+            : await supabase.rpc('unblock_user', { _blocked: userId })
+          if (error) throw error
+          this.pendingOps.delete(userId)
+        }
+
+        const { data, error } = await supabase.rpc('get_blocked_users')
+        if (error) throw error
+
+        const serverIds = new Set()
+        const serverDetails = new Map()
+        for (const row of data || []) {
+          const userId = String(row.id)
+          serverIds.add(userId)
+          serverDetails.set(userId, {
+            id: userId,
+            pseudo: row.pseudo || this.blockedUsersDetails.get(userId)?.pseudo || `Utilisateur ${userId}`,
+            age: row.age || null,
+            sexe: row.sexe || null
+          })
+        }
+
+        this.blockedUsers = serverIds
+        this.blockedUsersDetails = serverDetails
+        await this.saveToStorage()
+        this.notifyListeners()
+
+        console.log('✅ [BLOCK] Synced with server:', { total: this.blockedUsers.size })
+        return true
+      } catch (error) {
+        console.warn('⚠️ [BLOCK] Server sync failed, using local block list:', error?.message || error)
+        await this.saveToStorage()
+        return false
+      } finally {
+        this.syncPromise = null
+      }
+    })()
+
+    return this.syncPromise
+  }
+
+  // Persist a block/unblock on the server, queueing it for the next sync when offline
+  async pushOperation(userId, op) {
+    try {
+      const { error } = op === 'block'
+        ? await supabase.rpc('block_user', { _blocked: userId })
+        : await supabase.rpc('unblock_user', { _blocked: userId })
+      if (error) throw error
+      this.pendingOps.delete(userId)
+      return true
+    } catch (error) {
+      console.warn(`⚠️ [BLOCK] Failed to ${op} on server, queued for later sync:`, error?.message || error)
+      this.pendingOps.set(userId, op)
+      return false
+    }
   }
 
   async blockUser(userId, userDetails = null) {
@@ -125,6 +218,8 @@ class BlockService {
       this.blockedUsersDetails.set(userId, details)
       console.log('📵 [BLOCK] Stored details (fallback):', details)
     }
+
+    await this.pushOperation(userId, 'block')
     
     console.log('📵 [BLOCK] About to save to storage...')
     await this.saveToStorage()
@@ -150,6 +245,7 @@ class BlockService {
 
     this.blockedUsers.delete(userId)
     this.blockedUsersDetails.delete(userId) // Remove user details too
+    await this.pushOperation(userId, 'unblock')
     await this.saveToStorage()
     this.notifyListeners()
     
@@ -196,8 +292,21 @@ class BlockService {
   }
 
   async clearAllBlocked() {
+    await this.initialize()
+
+    const userIds = Array.from(this.blockedUsers)
     this.blockedUsers.clear()
     this.blockedUsersDetails.clear()
+
+    try {
+      const { error } = await supabase.rpc('unblock_user', { _blocked: null })
+      if (error) throw error
+      this.pendingOps.clear()
+    } catch (error) {
+      console.warn('⚠️ [BLOCK] Failed to clear blocks on server, queued for later sync:', error?.message || error)
+      userIds.forEach(userId => this.pendingOps.set(userId, 'unblock'))
+    }
+
     await this.saveToStorage()
     this.notifyListeners()
     console.log('🗑️ [BLOCK] All users unblocked')
@@ -300,6 +409,9 @@ class BlockService {
       
       await AsyncStorage.setItem(BLOCKED_USERS_DETAILS_KEY, detailsJson)
       console.log('📵 [BLOCK] Saved details to AsyncStorage successfully')
+
+      // Save operations not yet acknowledged by the server
+      await AsyncStorage.setItem(BLOCKED_USERS_PENDING_KEY, JSON.stringify(Object.fromEntries(this.pendingOps)))
       
       console.log('📵 [BLOCK] Complete save operation finished for', blockedList.length, 'users')
     } catch (error) {
@@ -8,7 +8,6 @@ import { apiManager } from './apiManager';
 
 class UnifiedCacheService {
   constructor() {
-    this._persistenceTimeout = null;
     this._memoryUsage = 0;
     this._maxMemoryUsage = 20 * 1024 * 1024; // 20MB max cache size
     this._lastAccess = new Map(); // Track LRU for efficient cache eviction
@@ -28,29 +27,6 @@ class UnifiedCacheService {
     return null;
   }
 
-  // Set with persistence and memory monitoring
-  setWithPersist(category, key, value) {
-    const cacheKey = `${category}:${key}`;
-    // Estimate size of data to track memory usage
-    const estimatedSize = this._estimateSize(value);
-    
-    // Check if we need to evict cache entries
-    this._checkMemoryUsage(estimatedSize);
-    
-    apiManager.cache.set(cacheKey, {
-      data: value,
-      timestamp: Date.now(),
-      size: estimatedSize
-    });
-    
-    // Update memory tracking
-    this._memoryUsage += estimatedSize;
-    this._lastAccess.set(cacheKey, Date.now());
-    
-    apiManager.markAsPersistent(cacheKey);
-    this._schedulePersistence();
-  }
-
   // Regular set with memory monitoring
   set(category, key, value) {
     const cacheKey = `${category}:${key}`;
@@ -134,25 +110,6 @@ class UnifiedCacheService {
     }
   }
 
-  // Schedule persistence with debouncing
-  _schedulePersistence() {
-    if (this._persistenceTimeout) {
-      clearTimeout(this._persistenceTimeout);
-    }
-    this._persistenceTimeout = setTimeout(() => {
-      apiManager._persistCacheToStorage();
-      this._persistenceTimeout = null;
-    }, 200);
-  }
-
-  // Persist cache immediately
-  async persistCache() {
-    if (this._persistenceTimeout) {
-      clearTimeout(this._persistenceTimeout);
-      this._persistenceTimeout = null;
-    }
-    return apiManager._persistCacheToStorage();
-  }
 }
 
 export default new UnifiedCacheService()
@@ -57,7 +57,7 @@ class ConversationService {
         
         // Clear conversation-specific cache if method exists
         if (typeof unifiedMediaService.clearConversationCache === 'function') {
-          await unifiedMediaService.clearConversationCache(currentUserId, peerId)
+          await unifiedMediaService.clearConversationCache(peerId)
           console.log('✅ Conversation media cache cleared successfully')
         } else {
           console.log('ℹ️ No conversation-specific cache clearing available, will clear general cache')
@@ -122,27 +122,10 @@ class ConversationService {
         // Continue with deletion even if real-time cleanup fails
       }
 
-      // 5. Clear conversation from AsyncStorage if cached there
-      try {
-        console.log('🗑️ Clearing conversation from AsyncStorage...')
-        const AsyncStorage = (await import('@react-native-async-storage/async-storage')).default
-        
-        // Clear potential AsyncStorage keys for this conversation
-        const storageKeys = [
-          `conversation_${currentUserId}_${peerId}`,
-          `conversation_${peerId}_${currentUserId}`,
-          `messages_${currentUserId}_${peerId}`,
-          `messages_${peerId}_${currentUserId}`,
-          `lastMessage_${currentUserId}_${peerId}`,
-          `lastMessage_${peerId}_${currentUserId}`
-        ]
-
-        await AsyncStorage.multiRemove(storageKeys)
-        console.log('✅ Conversation AsyncStorage entries cleared successfully')
-      } catch (storageError) {
-        console.error('❌ Error clearing AsyncStorage:', storageError)
-        // Continue even if storage clearing fails
-      }
+      // 5. Clear conversation from the offline store
+      const { localDatabase } = await import('../data/localDatabase')
+      await localDatabase.deleteConversation(currentUserId, peerId)
+      console.log('✅ Conversation removed from the local database')
 
       console.log('🎉 Conversation deletion completed successfully')
       return { 
@@ -64,6 +64,10 @@ export class DeviceAuthService {
       await clearAllAppData()
       
       const deviceId = await getOrCreateDeviceId()
+
+      // Fresh keypair for end-to-end encrypted media, the public key is stored with the profile
+      const { mediaEncryptionService } = await import('./mediaEncryptionService')
+      const publicKey = await mediaEncryptionService.createKeyPair()
       
       const response = await fetch(`${SUPABASE_URL}/functions/v1/register`, {
         method: 'POST',
@@ -75,7 +79,8 @@ export class DeviceAuthService {
           pseudo: pseudo.trim(),
           age: parseInt(age),
           sexe: sexe || 'Autre',
-          device_id: deviceId
+          device_id: deviceId,
+          public_key: publicKey
         })
       })
 
@@ -403,7 +408,7 @@ export class DeviceAuthService {
       try {
         console.log('🗑️ Clearing local media cache...')
         const { unifiedMediaService } = await import('./unifiedMediaService')
-        unifiedMediaService.clearCache()
+        await unifiedMediaService.clearDiskCache()
         console.log('✅ Local media cache cleared successfully')
       } catch (mediaError) {
         console.error('❌ Error clearing media cache:', mediaError)
@@ -432,7 +437,7 @@ export class DeviceAuthService {
             // Get all keys and preserve blocked users data
             const allKeys = await AsyncStorage.getAllKeys()
             const blockedUsersKeys = allKeys.filter(key => 
-              key === 'blocked_users' || key === 'blocked_users_details'
+              key === 'blocked_users' || key === 'blocked_users_details' || key === 'blocked_users_pending'
             )
             
             // Backup blocked users data
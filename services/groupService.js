@@ -0,0 +1,393 @@
+/**
+ * Group Conversation Service
+ * Groups live in `conversations`/`conversation_members`; a group capture is stored as
+ * one `messages` row per recipient sharing a `group_message_id`, so seen state and
+ * one-time/NSFW viewing stay per recipient. The sender sees those rows collapsed
+ * into a single message carrying per-member `receipts`.
+ *
+ * Throughout the app a group is addressed like a peer: its conversation id is used
+ * wherever a 1:1 chat uses the other user's id (cache keys, navigation params).
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage'
+import { mediaCacheService } from './mediaCacheService'
+import { mediaEncryptionService } from './mediaEncryptionService'
+import { supabase } from './supabaseClient'
+
+const GROUPS_KEY = 'group_conversations'
+
+// create_group_conversation refused every member: none accepted the caller's messages
+export const isGroupMembersRefusedError = (error) => error?.code === 'PT403'
+
+const MESSAGE_FIELDS = 'id,created_at,sender_id,receiver_id,conversation_id,group_message_id,media_type,media_url,thumbnail_url,caption,view_once,seen,seen_at,state,is_nsfw,auto_delete_after,screenshot_at,viewed_at,is_muted,media_key,sender_media_key,reply_to_message_id,from_gallery,media_overlay,reactions:message_reactions(id,user_id,emoji,created_at)'
+
+class GroupService {
+  constructor() {
+    this.groups = new Map() // conversationId -> { id, pseudo, name, isGroup, members }
+    this.initialized = false
+    this.initPromise = null
+  }
+
+  async initialize() {
+    if (this.initialized) return
+    if (this.initPromise) return this.initPromise
+
+    this.initPromise = (async () => {
+      try {
+        const stored = await AsyncStorage.getItem(GROUPS_KEY)
+        if (stored) {
+          const groups = JSON.parse(stored)
+          groups.forEach(group => this.groups.set(group.id, group))
+          console.log('👥 [GROUPS] Restored', this.groups.size, 'groups from storage')
+        }
+      } catch (error) {
+        console.error('❌ [GROUPS] Failed to restore groups:', error)
+      } finally {
+        this.initialized = true
+        this.initPromise = null
+      }
+    })()
+
+    return this.initPromise
+  }
+
+  // Build the peer-like object screens use as `otherUser` for a group
+  toGroupUser({ id, name, members = [] }) {
+    return {
+      id,
+      pseudo: name,
+      name,
+      isGroup: true,
+      members: Array.isArray(members) ? members : []
+    }
+  }
+
+  registerGroup(group) {
+    if (!group?.id) return
+    this.groups.set(group.id, this.toGroupUser({
+      id: group.id,
+      name: group.name || group.pseudo,
+      members: group.members
+    }))
+    this.saveToStorage()
+  }
+
+  isGroup(conversationId) {
+    return !!conversationId && this.groups.has(String(conversationId))
+  }
+
+  getGroup(conversationId) {
+    return this.groups.get(String(conversationId)) || null
+  }
+
+  getMemberPseudo(conversationId, userId) {
+    const member = this.getGroup(conversationId)?.members?.find(m => m.id === userId)
+    return member?.pseudo || null
+  }
+
+  /**
+   * Create a group with the current user as owner
+   * Only users who accepted the caller's messages are added, the others are left out.
+   * @returns {Promise<object>} the group as an `otherUser`-shaped object
+   */
+  async createGroup(name, memberIds) {
+    const trimmedName = (name || '').trim()
+    if (!trimmedName) throw new Error('Group name is required')
+    if (!Array.isArray(memberIds) || memberIds.length === 0) throw new Error('At least one member is required')
+
+    const { data: conversationId, error } = await supabase.rpc('create_group_conversation', {
+      _name: trimmedName,
+      _member_ids: memberIds
+    })
+    if (error) throw error
+
+    const { data: members, error: membersError } = await supabase
+      .from('conversation_members')
+      .select('user_id, role, user_profiles(pseudo)')
+      .eq('conversation_id', conversationId)
+    if (membersError) throw membersError
+
+    const group = this.toGroupUser({
+      id: conversationId,
+      name: trimmedName,
+      members: (members || []).map(m => ({ id: m.user_id, pseudo: m.user_profiles?.pseudo, role: m.role }))
+    })
+    this.groups.set(group.id, group)
+    this.saveToStorage()
+
+    console.log('✅ [GROUPS] Created group:', { id: group.id, members: group.members.length })
+    return group
+  }
+
+  async leaveGroup(conversationId, currentUserId) {
+    const { error } = await supabase
+      .from('conversation_members')
+      .delete()
+      .eq('conversation_id', conversationId)
+      .eq('user_id', currentUserId)
+    if (error) throw error
+
+    this.groups.delete(String(conversationId))
+    this.saveToStorage()
+  }
+
+  /**
+   * Current members of a group, fetched fresh (the cached group may be outdated)
+   * @returns {Promise<string[]>} member user ids
+   */
+  async getMemberIds(conversationId) {
+    const { data, error } = await supabase
+      .from('conversation_members')
+      .select('user_id')
+      .eq('conversation_id', conversationId)
+    if (error) throw error
+
+    return (data || []).map(row => row.user_id)
+  }
+
+  /**
+   * Fetch the groups of a user in the same shape as apiManager.getConversations rows
+   */
+  async getGroupConversations(userId) {
+    const { data, error } = await supabase.rpc('get_group_conversations', { _user: userId })
+    if (error) throw error
+
+    const conversations = (data || []).map(row => {
+      const otherUser = this.toGroupUser({ id: row.conversation_id, name: row.name, members: row.members || [] })
+      this.groups.set(otherUser.id, otherUser)
+
+      const fromMe = row.last_sender_id === userId
+      const lastMessage = row.last_message_id ? {
+        id: fromMe ? row.last_group_message_id : row.last_message_id,
+        created_at: row.last_created_at,
+        sender_id: row.last_sender_id,
+        receiver_id: fromMe ? row.conversation_id : row.last_receiver_id,
+        conversation_id: row.conversation_id,
+        group_message_id: row.last_group_message_id,
+        media_type: row.last_media_type,
+        media_url: row.last_media_url,
+        thumbnail_url: row.last_thumbnail_url,
+        is_nsfw: row.last_is_nsfw,
+        view_once: row.last_view_once,
+        caption: row.last_caption,
+        seen: !!row.last_seen,
+        seen_at: row.last_seen_at,
+        state: row.last_state
+      } : null
+
+      return {
+        id: row.conversation_id,
+        peer_id: row.conversation_id,
+        contact_id: row.conversation_id,
+        is_group: true,
+        sender_id: row.last_sender_id,
+        receiver_id: lastMessage?.receiver_id ?? null,
+        last_message: lastMessage,
+        last_message_id: lastMessage?.id ?? null,
+        last_message_time: row.last_created_at,
+        created_at: row.last_created_at,
+        is_nsfw: row.last_is_nsfw,
+        seen: fromMe ? !!row.last_seen : false,
+        seen_by_other: fromMe ? !!row.last_seen : false,
+        seen_by_me: !fromMe && !!row.last_seen,
+        last_seen: row.last_seen,
+        last_seen_at: row.last_seen_at,
+        last_state: row.last_state,
+        seen_count: row.last_seen_count || 0,
+        recipient_count: row.last_recipient_count || 0,
+        otherUser,
+        media_url: row.last_media_url,
+        media_type: row.last_media_type,
+        thumbnail_url: row.last_thumbnail_url,
+        latestMediaType: row.last_media_type,
+        latestMediaUrl: row.last_media_url,
+        latestThumbnailUrl: row.last_thumbnail_url,
+        has_new_message: row.unread_count > 0,
+        unread_count: row.unread_count,
+        view_once: row.last_view_once || false,
+        caption: row.last_caption
+      }
+    })
+
+    this.saveToStorage()
+    return conversations
+  }
+
+  /**
+   * Collapse the current user's fan-out rows into one message per group capture.
+   * Incoming rows (addressed to the current user) are returned unchanged.
+   */
+  collapseOwnMessages(rows, currentUserId, conversationId) {
+    const result = []
+    const byGroupMessage = new Map()
+
+    for (const row of rows || []) {
+      if (row.sender_id !== currentUserId || !row.group_message_id) {
+        result.push(row)
+        continue
+      }
+
+      const receipt = {
+        user_id: row.receiver_id,
+        seen: !!row.seen,
+        seen_at: row.seen_at,
+        viewed_at: row.viewed_at,
+        screenshot_at: row.screenshot_at,
+        state: row.state
+      }
+
+      const existing = byGroupMessage.get(row.group_message_id)
+      if (existing) {
+        existing.receipts.push(receipt)
+        existing.seen = existing.receipts.every(r => r.seen)
+        existing.reactions = existing.reactions.concat(row.reactions || [])
+        continue
+      }
+
+      const collapsed = {
+        ...row,
+        id: row.group_message_id,
+        receiver_id: conversationId,
+        receipts: [receipt],
+        reactions: row.reactions || [],
+        seen: receipt.seen
+      }
+      byGroupMessage.set(row.group_message_id, collapsed)
+      result.push(collapsed)
+    }
+
+    return result
+  }
+
+  /**
+   * Messages of a group from the current user's perspective
+   * Supports the same cursor options as apiManager.getMessages
+   */
+  async getGroupMessages(currentUserId, conversationId, options = {}) {
+    const {
+      before,
+      after,
+      limit = 30,
+      orderBy = 'created_at',
+      orderDirection = 'asc'
+    } = options
+
+    let query = supabase
+      .from('messages')
+      .select(MESSAGE_FIELDS)
+      .eq('conversation_id', conversationId)
+      .or(`receiver_id.eq.${currentUserId},sender_id.eq.${currentUserId}`)
+      .is('purge_claimed_at', null) // Being purged by expire-media
+      .not('reactions.emoji', 'is', null) // Removed reactions are kept with no emoji
+      .order(orderBy, { ascending: orderDirection === 'asc' })
+      // Own captures come back once per recipient - over-fetch so the collapsed page is full
+      .limit(limit * Math.max(1, (this.getGroup(conversationId)?.members?.length || 2) - 1))
+
+    if (before) query = query.lt('created_at', before)
+    if (after) query = query.gt('created_at', after)
+
+    const { data, error } = await query
+    if (error) throw error
+
+    mediaEncryptionService.registerMessages(data, currentUserId)
+    mediaCacheService.registerMessages(data, currentUserId)
+    return this.collapseOwnMessages(data, currentUserId, conversationId).slice(0, limit)
+  }
+
+  /**
+   * Send an uploaded capture to every other member of a group
+   * @returns {Promise<object>} the collapsed sender-side message
+   */
+  async sendGroupMessage(conversationId, {
+    mediaUrl,
+    mediaType,
+    caption = null,
+    mediaMode = 'permanent',
+    thumbnailUrl = null,
+    isMuted = false,
+    viewDuration = null,
+    mediaKeys = null, // E2EE: { [memberId]: wrapped content key }
+    senderMediaKey = null,
+    replyToMessageId = null, // group_message_id of the answered capture
+    fromGallery = false,
+    mediaOverlay = null // Video edits drawn on playback
+  }) {
+    if (!conversationId) throw new Error('Conversation ID is required')
+    if (!mediaUrl) throw new Error('Media URL is required')
+
+    const viewOnce = mediaMode === 'one_time'
+    const isNsfw = mediaMode === 'nsfw'
+    const autoDeleteAfter = (viewOnce || isNsfw) ? viewDuration : null
+
+    const { data, error } = await supabase.rpc('send_group_message', {
+      _conversation: conversationId,
+      _media_url: mediaUrl,
+      _media_type: mediaType,
+      _caption: caption,
+      _view_once: viewOnce,
+      _is_nsfw: isNsfw,
+      _thumbnail_url: thumbnailUrl,
+      _is_muted: isMuted,
+      _auto_delete_after: autoDeleteAfter,
+      _media_keys: mediaKeys,
+      _sender_media_key: senderMediaKey,
+      _reply_to: replyToMessageId,
+      _from_gallery: fromGallery,
+      _media_overlay: mediaOverlay
+    })
+    if (error) throw error
+    if (!data || data.length === 0) throw new Error('No group member could receive this message')
+
+    const { data: { user } } = await supabase.auth.getUser()
+
+    return {
+      id: data[0].group_message_id,
+      group_message_id: data[0].group_message_id,
+      conversation_id: conversationId,
+      created_at: data[0].created_at,
+      sender_id: user?.id,
+      receiver_id: conversationId,
+      media_url: mediaUrl,
+      media_type: mediaType,
+      caption,
+      view_once: viewOnce,
+      is_nsfw: isNsfw,
+      auto_delete_after: autoDeleteAfter,
+      thumbnail_url: thumbnailUrl,
+      is_muted: isMuted,
+      sender_media_key: senderMediaKey,
+      reply_to_message_id: replyToMessageId,
+      from_gallery: fromGallery,
+      media_overlay: mediaOverlay,
+      seen: false,
+      viewed_at: null,
+      state: 'sent',
+      receipts: data.map(row => ({ user_id: row.receiver_id, seen: false, seen_at: null, viewed_at: null, state: 'sent' }))
+    }
+  }
+
+  /**
+   * Mark the current user's rows of a group as read up to a timestamp
+   * @returns {Promise<string[]>} updated message ids
+   */
+  async markGroupMessagesReadUpTo(conversationId, beforeISO) {
+    const { data, error } = await supabase.rpc('mark_group_messages_read', {
+      _conversation: conversationId,
+      _before: beforeISO
+    })
+    if (error) throw error
+    return Array.isArray(data) ? data.map(r => r.updated_id || r.id || r) : []
+  }
+
+  async saveToStorage() {
+    try {
+      await AsyncStorage.setItem(GROUPS_KEY, JSON.stringify(Array.from(this.groups.values())))
+    } catch (error) {
+      console.error('❌ [GROUPS] Failed to save groups:', error)
+    }
+  }
+}
+
+// Export singleton instance
+export const groupService = new GroupService()
+export default groupService
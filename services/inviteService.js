@@ -0,0 +1,111 @@
+/**
+ * Invite Service
+ * Expiring, revocable invite tokens shared as a QR code or deep link
+ * (see supabase/migrations/add_invite_links.sql).
+ *
+ * Links look like notextapp://invite?token=<token> and open app/invite.js, which
+ * asks for confirmation before starting the conversation with the inviter.
+ */
+
+import * as Linking from 'expo-linking'
+import { supabase } from './supabaseClient'
+
+const INVITE_PATH = 'invite'
+const TOKEN_PATTERN = /^[0-9a-f]{32}$/
+const DEFAULT_INVITE_DAYS = 7
+
+class InviteService {
+  constructor() {
+    this.activeInvite = null
+  }
+
+  /**
+   * Latest invite of the user that can still be used, creating one when needed
+   */
+  async getActiveInvite(userId) {
+    if (this.isUsable(this.activeInvite) && this.activeInvite.user_id === userId) {
+      return this.activeInvite
+    }
+
+    const { data, error } = await supabase
+      .from('user_invites')
+      .select('*')
+      .eq('user_id', userId)
+      .is('revoked_at', null)
+      .gt('expires_at', new Date().toISOString())
+      .order('created_at', { ascending: false })
+      .limit(1)
+
+    if (error) throw error
+
+    this.activeInvite = data?.[0] || await this.createInvite()
+    return this.activeInvite
+  }
+
+  async createInvite(days = DEFAULT_INVITE_DAYS) {
+    const { data, error } = await supabase.rpc('create_invite', { _days: days })
+    if (error) throw error
+
+    console.log(`🔗 [INVITE] Invite created, expires ${data.expires_at}`)
+    this.activeInvite = data
+    return data
+  }
+
+  /**
+   * Revoke every invite of the user and issue a fresh one, so links already
+   * shared stop working
+   */
+  async resetInvites() {
+    const { error } = await supabase.rpc('revoke_invite', { _token: null })
+    if (error) throw error
+
+    console.log('🔗 [INVITE] Previous invites revoked')
+    this.activeInvite = null
+    return this.createInvite()
+  }
+
+  isUsable(invite) {
+    return !!invite && !invite.revoked_at && new Date(invite.expires_at) > new Date()
+  }
+
+  buildInviteUrl(token) {
+    return Linking.createURL(INVITE_PATH, { queryParams: { token } })
+  }
+
+  /**
+   * Token of an invite link (from a QR code or a pasted link), null for anything else
+   */
+  parseInviteUrl(url) {
+    if (typeof url !== 'string' || !url.includes(INVITE_PATH)) return null
+
+    try {
+      const { hostname, path, queryParams } = Linking.parse(url)
+      const route = [hostname, path].filter(Boolean).join('/').replace(/^--\//, '')
+      if (route !== INVITE_PATH && !route.endsWith(`/${INVITE_PATH}`)) return null
+
+      const token = queryParams?.token
+      return typeof token === 'string' && TOKEN_PATTERN.test(token) ? token : null
+    } catch {
+      return null
+    }
+  }
+
+  // Inviter of a usable token, null when expired, revoked, blocked or unknown
+  async resolveInvite(token) {
+    const { data, error } = await supabase.rpc('resolve_invite', { _token: token })
+    if (error) throw error
+    return data?.[0] || null
+  }
+
+  // Start the conversation: returns the inviter id, null when the token is no longer usable
+  async acceptInvite(token) {
+    const { data, error } = await supabase.rpc('accept_invite', { _token: token })
+    if (error) throw error
+
+    console.log(`🔗 [INVITE] Invite ${data ? 'accepted' : 'no longer usable'}`)
+    return data
+  }
+}
+
+export const inviteService = new InviteService()
+export default inviteService
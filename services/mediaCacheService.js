@@ -0,0 +1,402 @@
+/**
+ * Media Cache Service
+ * Encrypted on-disk cache of downloaded media with a byte budget.
+ *
+ * unifiedMediaService decrypts files to working copies in the cache directories to show
+ * them. Every cached file is sealed (XSalsa20-Poly1305) into the vault with a device key
+ * kept in SecureStore, under a hash of its object key, and the working copies are deleted
+ * as soon as the app leaves the foreground (and at launch, after a kill), so nothing
+ * readable or naming a pseudo stays on disk while the app is not in use.
+ *
+ * The vault index tracks size, last access and conversation of each file; the least
+ * recently used files are evicted when the budget, working copies included, is exceeded.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage'
+import { AppState } from 'react-native'
+import { decode, encode } from 'base64-arraybuffer'
+import * as Crypto from 'expo-crypto'
+import * as FileSystem from 'expo-file-system/legacy'
+import nacl from 'tweetnacl'
+import { getMediaCacheKey, saveMediaCacheKey } from '../utils/secureStore'
+
+const VAULT_DIRECTORY = `${FileSystem.cacheDirectory}vault/`
+const INDEX_KEY = 'media_vault_index'
+const BUDGET_KEY = 'media_vault_budget'
+const MAX_CONVERSATION_REGISTRY_SIZE = 2000
+
+const MB = 1024 * 1024
+export const CACHE_BUDGET_OPTIONS = [250 * MB, 500 * MB, 1024 * MB, 2048 * MB]
+export const DEFAULT_CACHE_BUDGET = 500 * MB
+
+const toBase64 = (bytes) => encode(bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength))
+const fromBase64 = (value) => new Uint8Array(decode(value))
+
+class MediaCacheService {
+  constructor() {
+    this.index = {} // fileId -> { size, lastAccess, conversationId }
+    this.budget = DEFAULT_CACHE_BUDGET
+    this.key = null
+    this.fileIds = new Map() // entry key -> fileId, avoids hashing on every access
+    this.plainPaths = new Map() // fileId -> { path, size } decrypted working copy, until backgrounded
+    this.conversations = new Map() // objectKey -> conversation id
+    this.unassigned = new Map() // objectKey -> fileIds stored before their message was known
+    this.persistTimeout = null
+    this.initPromise = null
+    this.listeners = new Set()
+
+    this.appStateSubscription = AppState.addEventListener('change', (nextAppState) => {
+      if (nextAppState === 'background') this.clearWorkingCopies()
+    })
+  }
+
+  init() {
+    if (!this.initPromise) {
+      this.initPromise = (async () => {
+        try {
+          const [storedIndex, storedBudget] = await Promise.all([
+            AsyncStorage.getItem(INDEX_KEY),
+            AsyncStorage.getItem(BUDGET_KEY)
+          ])
+          if (storedIndex) this.index = { ...JSON.parse(storedIndex), ...this.index }
+          if (storedBudget) this.budget = Number(storedBudget) || DEFAULT_CACHE_BUDGET
+
+          const dirInfo = await FileSystem.getInfoAsync(VAULT_DIRECTORY)
+          if (!dirInfo.exists) {
+            await FileSystem.makeDirectoryAsync(VAULT_DIRECTORY, { intermediates: true })
+          }
+
+          console.log('🗄️ [MEDIA_CACHE] Loaded', Object.keys(this.index).length, 'cached files')
+        } catch (error) {
+          console.error('❌ [MEDIA_CACHE] Failed to load cache index:', error)
+        }
+      })()
+    }
+    return this.initPromise
+  }
+
+  async getKey() {
+    if (this.key) return this.key
+
+    const stored = await getMediaCacheKey()
+    if (stored) {
+      this.key = fromBase64(stored)
+    } else {
+      this.key = Crypto.getRandomBytes(nacl.secretbox.keyLength)
+      await saveMediaCacheKey(toBase64(this.key))
+      console.log('🗄️ [MEDIA_CACHE] Generated cache key')
+    }
+    return this.key
+  }
+
+  async getFileId(kind, objectKey) {
+    const entryKey = `${kind}/${objectKey}`
+    if (!this.fileIds.has(entryKey)) {
+      const digest = await Crypto.digestStringAsync(Crypto.CryptoDigestAlgorithm.SHA256, entryKey)
+      this.fileIds.set(entryKey, digest)
+    }
+    return this.fileIds.get(entryKey)
+  }
+
+  getVaultPath(fileId) {
+    return `${VAULT_DIRECTORY}${fileId}`
+  }
+
+  // ---- Conversations ---- //
+
+  /**
+   * Remember which conversation the media of loaded messages belong to
+   */
+  registerMessages(messages, currentUserId) {
+    let assigned = false
+
+    for (const message of messages || []) {
+      if (!message) continue
+      const conversationId = message.conversation_id ||
+        (message.sender_id === currentUserId ? message.receiver_id : message.sender_id)
+      if (!conversationId) continue
+
+      for (const url of [message.media_url, message.thumbnail_url]) {
+        const objectKey = url?.startsWith('sb://') ? url.replace(/^sb:\/\/(media|thumbs)\//, '') : null
+        if (!objectKey) continue
+
+        this.conversations.delete(objectKey)
+        this.conversations.set(objectKey, conversationId)
+
+        // Files cached before the message was loaded (sender copies)
+        for (const fileId of this.unassigned.get(objectKey) || []) {
+          if (this.index[fileId]) {
+            this.index[fileId].conversationId = conversationId
+            assigned = true
+          }
+        }
+        this.unassigned.delete(objectKey)
+      }
+    }
+
+    while (this.conversations.size > MAX_CONVERSATION_REGISTRY_SIZE) {
+      this.conversations.delete(this.conversations.keys().next().value)
+    }
+
+    if (assigned) {
+      this.schedulePersist()
+      this.notifyListeners()
+    }
+  }
+
+  // ---- Files ---- //
+
+  /**
+   * Seal a decrypted working copy into the vault
+   * @param {'images'|'thumbnails'} kind - cache directory of the working copy
+   */
+  async store(kind, objectKey, plainPath) {
+    await this.init()
+
+    try {
+      const fileId = await this.getFileId(kind, objectKey)
+      const key = await this.getKey()
+      const base64 = await FileSystem.readAsStringAsync(plainPath, {
+        encoding: FileSystem.EncodingType.Base64,
+      })
+      const plain = fromBase64(base64)
+      const nonce = Crypto.getRandomBytes(nacl.secretbox.nonceLength)
+      const box = nacl.secretbox(plain, nonce, key)
+      const sealed = new Uint8Array(nonce.length + box.length)
+      sealed.set(nonce)
+      sealed.set(box, nonce.length)
+
+      await FileSystem.writeAsStringAsync(this.getVaultPath(fileId), toBase64(sealed), {
+        encoding: FileSystem.EncodingType.Base64,
+      })
+
+      const conversationId = this.conversations.get(objectKey) || null
+      if (!conversationId) {
+        this.unassigned.set(objectKey, [...(this.unassigned.get(objectKey) || []), fileId])
+      }
+
+      this.index[fileId] = { size: sealed.length, lastAccess: Date.now(), conversationId }
+      this.plainPaths.set(fileId, { path: plainPath, size: plain.length })
+      this.schedulePersist()
+
+      await this.evict()
+      this.notifyListeners()
+    } catch (error) {
+      console.error('❌ [MEDIA_CACHE] Failed to store file:', error)
+    }
+  }
+
+  /**
+   * Decrypt a vault file back to its working copy path
+   * @returns {Promise<boolean>} false when the file is not in the vault
+   */
+  async restore(kind, objectKey, plainPath) {
+    await this.init()
+
+    const fileId = await this.getFileId(kind, objectKey)
+    if (!this.index[fileId]) return false
+
+    try {
+      const key = await this.getKey()
+      const data = fromBase64(await FileSystem.readAsStringAsync(this.getVaultPath(fileId), {
+        encoding: FileSystem.EncodingType.Base64,
+      }))
+      const plain = nacl.secretbox.open(
+        data.subarray(nacl.secretbox.nonceLength),
+        data.subarray(0, nacl.secretbox.nonceLength),
+        key
+      )
+      if (!plain) throw new Error('Vault file could not be decrypted')
+
+      await FileSystem.writeAsStringAsync(plainPath, toBase64(plain), {
+        encoding: FileSystem.EncodingType.Base64,
+      })
+
+      this.index[fileId].lastAccess = Date.now()
+      this.plainPaths.set(fileId, { path: plainPath, size: plain.length })
+      this.schedulePersist()
+
+      await this.evict()
+      return true
+    } catch (error) {
+      // Missing (cleared by the system) or unreadable: download it again
+      console.warn('⚠️ [MEDIA_CACHE] Dropping unreadable cached file:', error?.message)
+      await this.removeFile(fileId)
+      return false
+    }
+  }
+
+  /**
+   * Mark a cached file as used, for LRU eviction
+   */
+  async touch(kind, objectKey, plainPath) {
+    const fileId = await this.getFileId(kind, objectKey)
+    if (!this.index[fileId]) return
+
+    this.index[fileId].lastAccess = Date.now()
+    if (this.plainPaths.get(fileId)?.path !== plainPath) {
+      const info = await FileSystem.getInfoAsync(plainPath)
+      this.plainPaths.set(fileId, { path: plainPath, size: info.exists ? info.size : 0 })
+    }
+    this.schedulePersist()
+  }
+
+  async remove(kind, objectKey) {
+    await this.init()
+    await this.removeFile(await this.getFileId(kind, objectKey))
+    this.notifyListeners()
+  }
+
+  async removeFile(fileId) {
+    const plainPath = this.plainPaths.get(fileId)?.path
+    delete this.index[fileId]
+    this.plainPaths.delete(fileId)
+    this.schedulePersist()
+
+    await FileSystem.deleteAsync(this.getVaultPath(fileId), { idempotent: true })
+    if (plainPath) await FileSystem.deleteAsync(plainPath, { idempotent: true })
+  }
+
+  /**
+   * Delete every decrypted working copy, the vault restores them on the next access
+   */
+  async clearWorkingCopies() {
+    const paths = [...this.plainPaths.values()].map(copy => copy.path)
+    this.plainPaths.clear()
+
+    for (const path of paths) {
+      await FileSystem.deleteAsync(path, { idempotent: true }).catch(() => {})
+    }
+
+    if (paths.length > 0) {
+      console.log(`🧹 [MEDIA_CACHE] Deleted ${paths.length} working cop${paths.length > 1 ? 'ies' : 'y'}`)
+      this.notifyListeners()
+    }
+  }
+
+  // Remove least recently used files until the vault and working copies fit the budget
+  async evict() {
+    let total = this.getTotalSize()
+    if (total <= this.budget) return
+
+    const entries = Object.entries(this.index).sort(([, a], [, b]) => a.lastAccess - b.lastAccess)
+    let evicted = 0
+    for (const [fileId, entry] of entries) {
+      if (total <= this.budget) break
+      total -= this.getEntrySize(fileId, entry)
+      evicted++
+      await this.removeFile(fileId)
+    }
+
+    console.log(`🧹 [MEDIA_CACHE] Evicted ${evicted} file(s) over the budget`)
+  }
+
+  /**
+   * Remove every cached file of a conversation (peer id or group conversation id)
+   */
+  async clearConversation(conversationId) {
+    await this.init()
+
+    const fileIds = Object.keys(this.index).filter(fileId => this.index[fileId].conversationId === conversationId)
+    for (const fileId of fileIds) {
+      await this.removeFile(fileId)
+    }
+
+    console.log(`🧹 [MEDIA_CACHE] Cleared ${fileIds.length} file(s) of a conversation`)
+    this.notifyListeners()
+  }
+
+  async clear() {
+    await this.init()
+
+    this.index = {}
+    this.key = null
+    this.plainPaths.clear()
+    this.unassigned.clear()
+    this.schedulePersist()
+
+    await FileSystem.deleteAsync(VAULT_DIRECTORY, { idempotent: true })
+    await FileSystem.makeDirectoryAsync(VAULT_DIRECTORY, { intermediates: true })
+
+    console.log('🧹 [MEDIA_CACHE] Cache cleared')
+    this.notifyListeners()
+  }
+
+  // ---- Usage ---- //
+
+  // Sealed file plus its working copy, if decrypted
+  getEntrySize(fileId, entry) {
+    return entry.size + (this.plainPaths.get(fileId)?.size || 0)
+  }
+
+  getTotalSize() {
+    return Object.entries(this.index).reduce((total, [fileId, entry]) => total + this.getEntrySize(fileId, entry), 0)
+  }
+
+  /**
+   * Space used per conversation, largest first (conversationId null: unknown)
+   * @returns {Promise<{totalBytes: number, budget: number, files: number, conversations: Array<{conversationId: string|null, bytes: number, files: number}>}>}
+   */
+  async getUsage() {
+    await this.init()
+
+    const byConversation = new Map()
+    Object.entries(this.index).forEach(([fileId, entry]) => {
+      const usage = byConversation.get(entry.conversationId) || { conversationId: entry.conversationId, bytes: 0, files: 0 }
+      usage.bytes += this.getEntrySize(fileId, entry)
+      usage.files++
+      byConversation.set(entry.conversationId, usage)
+    })
+
+    return {
+      totalBytes: this.getTotalSize(),
+      budget: this.budget,
+      files: Object.keys(this.index).length,
+      conversations: [...byConversation.values()].sort((a, b) => b.bytes - a.bytes)
+    }
+  }
+
+  getBudget() {
+    return this.budget
+  }
+
+  async setBudget(bytes) {
+    await this.init()
+
+    this.budget = bytes
+    await AsyncStorage.setItem(BUDGET_KEY, String(bytes))
+    await this.evict()
+    this.notifyListeners()
+  }
+
+  schedulePersist() {
+    if (this.persistTimeout) clearTimeout(this.persistTimeout)
+    this.persistTimeout = setTimeout(async () => {
+      this.persistTimeout = null
+      try {
+        await AsyncStorage.setItem(INDEX_KEY, JSON.stringify(this.index))
+      } catch (error) {
+        console.error('❌ [MEDIA_CACHE] Failed to persist cache index:', error)
+      }
+    }, 1000)
+  }
+
+  addListener(listener) {
+    this.listeners.add(listener)
+    return () => this.listeners.delete(listener)
+  }
+
+  notifyListeners() {
+    this.listeners.forEach(listener => {
+      try {
+        listener()
+      } catch (error) {
+        console.error('❌ [MEDIA_CACHE] Listener error:', error)
+      }
+    })
+  }
+}
+
+// Export singleton instance
+export const mediaCacheService = new MediaCacheService()
+export default mediaCacheService
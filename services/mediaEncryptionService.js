@@ -0,0 +1,380 @@
+/**
+ * Media Encryption Service
+ * End-to-end encryption of captures before they reach the `media` bucket.
+ *
+ * Each device owns a Curve25519 keypair (secret in SecureStore, public key on `users`).
+ * A capture is encrypted with a random content key (XSalsa20-Poly1305), in 1 MiB chunks
+ * so a video never has to fit in memory, and uploaded under an `.enc` object key; the
+ * content key is wrapped for the receiver
+ * (`messages.media_key`) and for the sender (`messages.sender_media_key`).
+ *
+ * Wrapped keys of loaded messages are kept in a registry keyed by storage object, so
+ * unifiedMediaService can decrypt a download without the caller passing the message.
+ */
+
+import AsyncStorage from '@react-native-async-storage/async-storage'
+import { decode, encode } from 'base64-arraybuffer'
+import * as Crypto from 'expo-crypto'
+import * as FileSystem from 'expo-file-system/legacy'
+import { File } from 'expo-file-system'
+import nacl from 'tweetnacl'
+import { getDeviceKeyPair, saveDeviceKeyPair } from '../utils/secureStore'
+import { supabase } from './supabaseClient'
+
+const KEY_REGISTRY_KEY = 'media_key_registry'
+const MAX_REGISTRY_SIZE = 1000
+const PUBLIC_KEY_TTL_MS = 5 * 60 * 1000
+export const ENCRYPTED_SUFFIX = '.enc'
+
+// Sealed file: nonce | box(chunk 0) | box(chunk 1) | ...
+const CHUNK_SIZE = 1024 * 1024
+const SEALED_CHUNK_SIZE = CHUNK_SIZE + nacl.secretbox.overheadLength
+
+// Hermes has no crypto.getRandomValues, use the native generator
+nacl.setPRNG((target, length) => {
+  const bytes = Crypto.getRandomBytes(length)
+  for (let i = 0; i < length; i++) target[i] = bytes[i]
+})
+
+const toBase64 = (bytes) => encode(bytes.buffer.slice(bytes.byteOffset, bytes.byteOffset + bytes.byteLength))
+const fromBase64 = (value) => new Uint8Array(decode(value))
+
+const concatBytes = (...parts) => {
+  const result = new Uint8Array(parts.reduce((total, part) => total + part.length, 0))
+  let offset = 0
+  parts.forEach(part => {
+    result.set(part, offset)
+    offset += part.length
+  })
+  return result
+}
+
+// Each chunk's nonce carries its index and a last-chunk flag, so chunks cannot be
+// reordered, dropped or cut off without failing to open
+const chunkNonce = (fileNonce, index, isLast) => {
+  const nonce = fileNonce.slice()
+  nonce[19] ^= isLast ? 1 : 0
+  nonce[20] ^= (index >>> 24) & 0xff
+  nonce[21] ^= (index >>> 16) & 0xff
+  nonce[22] ^= (index >>> 8) & 0xff
+  nonce[23] ^= index & 0xff
+  return nonce
+}
+
+// sb://media/<key> and sb://thumbs/<key> both point to the same object key
+const toObjectKey = (url) => {
+  if (!url) return null
+  if (url.startsWith('sb://media/')) return url.slice('sb://media/'.length)
+  if (url.startsWith('sb://thumbs/')) return url.slice('sb://thumbs/'.length)
+  return null
+}
+
+class MediaEncryptionService {
+  constructor() {
+    this.keyPair = null // { publicKey: Uint8Array, secretKey: Uint8Array }
+    this.publishedFor = null // user id whose public key is known to be on the server
+    this.publicKeys = new Map() // userId -> { publicKey, fetchedAt }
+    this.registry = new Map() // objectKey -> wrapped content key for the current user
+    this.persistTimeout = null
+    this.initPromise = null
+
+    this.init()
+  }
+
+  init() {
+    if (!this.initPromise) {
+      this.initPromise = (async () => {
+        try {
+          const stored = await AsyncStorage.getItem(KEY_REGISTRY_KEY)
+          if (stored) {
+            // Keys registered while loading are newer than the stored ones
+            this.registry = new Map([...Object.entries(JSON.parse(stored)), ...this.registry])
+            console.log('🔐 [E2EE] Loaded', this.registry.size, 'media keys')
+          }
+        } catch (error) {
+          console.error('❌ [E2EE] Failed to load media keys:', error)
+        }
+      })()
+    }
+    return this.initPromise
+  }
+
+  // ---- Device keys ---- //
+
+  async getKeyPair() {
+    if (this.keyPair) return this.keyPair
+
+    const stored = await getDeviceKeyPair()
+    if (stored?.publicKey && stored?.secretKey) {
+      this.keyPair = {
+        publicKey: fromBase64(stored.publicKey),
+        secretKey: fromBase64(stored.secretKey)
+      }
+    }
+    return this.keyPair
+  }
+
+  /**
+   * Generate and store a new keypair for this device
+   * @returns {Promise<string>} the base64 public key to publish
+   */
+  async createKeyPair() {
+    const { keyPair, publicKey } = this.generateKeyPair()
+    await this.storeKeyPair(keyPair)
+    return publicKey
+  }
+
+  /**
+   * Generate a keypair without storing it, for a caller that only keeps it on success
+   * @returns {{ keyPair: object, publicKey: string }} the keypair and its base64 public key
+   */
+  generateKeyPair() {
+    const keyPair = nacl.box.keyPair()
+    return { keyPair, publicKey: toBase64(keyPair.publicKey) }
+  }
+
+  /**
+   * Make a generated keypair the one of this device
+   */
+  async storeKeyPair(keyPair) {
+    await saveDeviceKeyPair({
+      publicKey: toBase64(keyPair.publicKey),
+      secretKey: toBase64(keyPair.secretKey)
+    })
+    this.keyPair = keyPair
+    this.publishedFor = null
+    console.log('🔐 [E2EE] Generated device keypair')
+  }
+
+  /**
+   * Make sure this device has a keypair and that its public key is on `users`.
+   * Accounts created before encryption get their keypair here.
+   */
+  async ensureDeviceKeys(userId) {
+    if (!userId) return null
+
+    try {
+      let keyPair = await this.getKeyPair()
+      if (!keyPair) {
+        await this.createKeyPair()
+        keyPair = this.keyPair
+      }
+
+      if (this.publishedFor !== userId) {
+        const { error } = await supabase.rpc('set_public_key', { _public_key: toBase64(keyPair.publicKey) })
+        if (error) throw error
+        this.publishedFor = userId
+        console.log('🔐 [E2EE] Public key published for user:', userId)
+      }
+
+      return keyPair
+    } catch (error) {
+      console.error('❌ [E2EE] Failed to set up device keys:', error)
+      return null
+    }
+  }
+
+  /**
+   * Public keys of users (null when a user has none yet)
+   * @returns {Promise<Map<string, string|null>>}
+   */
+  async getPublicKeys(userIds) {
+    const now = Date.now()
+    const missing = userIds.filter(id => {
+      const cached = this.publicKeys.get(id)
+      return !cached || now - cached.fetchedAt > PUBLIC_KEY_TTL_MS
+    })
+
+    if (missing.length > 0) {
+      // Recipients found by search are not readable in users before a first message
+      const { data, error } = await supabase.rpc('get_public_keys', { _users: missing })
+      if (error) throw error
+
+      missing.forEach(id => this.publicKeys.set(id, { publicKey: null, fetchedAt: now }))
+      ;(data || []).forEach(row => this.publicKeys.set(row.id, { publicKey: row.public_key || null, fetchedAt: now }))
+    }
+
+    return new Map(userIds.map(id => [id, this.publicKeys.get(id)?.publicKey || null]))
+  }
+
+  // ---- Content keys ---- //
+
+  generateContentKey() {
+    return nacl.randomBytes(nacl.secretbox.keyLength)
+  }
+
+  // Wrap a content key for a public key with a throwaway sender key: epk | nonce | box
+  wrapKey(contentKey, publicKeyBase64) {
+    const ephemeral = nacl.box.keyPair()
+    const nonce = nacl.randomBytes(nacl.box.nonceLength)
+    const box = nacl.box(contentKey, nonce, fromBase64(publicKeyBase64), ephemeral.secretKey)
+    return toBase64(concatBytes(ephemeral.publicKey, nonce, box))
+  }
+
+  /**
+   * Create a content key and wrap it for every recipient and for this device.
+   * Recipients without a public key yet (older app) get no wrapped key, so the media
+   * is never sent to them: `missingRecipientIds` lists them for the caller.
+   * @returns {Promise<{contentKey: Uint8Array, mediaKeys: Object<string, string>, senderMediaKey: string, missingRecipientIds: string[]}|null>}
+   */
+  async createMediaKeys(recipientIds) {
+    if (recipientIds.length === 0) return null
+
+    let keyPair = await this.getKeyPair()
+    if (!keyPair) {
+      await this.createKeyPair()
+      keyPair = this.keyPair
+    }
+
+    const publicKeys = await this.getPublicKeys(recipientIds)
+    const keyed = recipientIds.filter(id => publicKeys.get(id))
+    const missingRecipientIds = recipientIds.filter(id => !publicKeys.get(id))
+    if (missingRecipientIds.length > 0) {
+      console.log('🔐 [E2EE] No public key for', missingRecipientIds.length, 'recipient(s), left out')
+    }
+
+    const contentKey = this.generateContentKey()
+    return {
+      contentKey,
+      mediaKeys: Object.fromEntries(keyed.map(id => [id, this.wrapKey(contentKey, publicKeys.get(id))])),
+      senderMediaKey: this.wrapKey(contentKey, toBase64(keyPair.publicKey)),
+      missingRecipientIds
+    }
+  }
+
+  async unwrapKey(wrappedKey) {
+    const keyPair = await this.getKeyPair()
+    if (!keyPair || !wrappedKey) return null
+
+    try {
+      const data = fromBase64(wrappedKey)
+      const ephemeralPublicKey = data.subarray(0, nacl.box.publicKeyLength)
+      const nonce = data.subarray(nacl.box.publicKeyLength, nacl.box.publicKeyLength + nacl.box.nonceLength)
+      const box = data.subarray(nacl.box.publicKeyLength + nacl.box.nonceLength)
+      return nacl.box.open(box, nonce, ephemeralPublicKey, keyPair.secretKey)
+    } catch (error) {
+      console.error('❌ [E2EE] Failed to unwrap media key:', error)
+      return null
+    }
+  }
+
+  // ---- Files ---- //
+
+  /**
+   * Encrypt a local file with a content key into outputPath, ready for upload
+   */
+  async encryptFile(uri, contentKey, outputPath) {
+    const output = new File(outputPath)
+    output.create({ overwrite: true })
+    const reader = new File(uri).open()
+    const writer = output.open()
+
+    try {
+      const size = reader.size
+      const fileNonce = nacl.randomBytes(nacl.secretbox.nonceLength)
+      writer.writeBytes(fileNonce)
+
+      // An empty file still gets its (empty) last chunk
+      let index = 0
+      do {
+        const chunk = reader.readBytes(Math.min(CHUNK_SIZE, size - reader.offset))
+        const isLast = reader.offset >= size
+        writer.writeBytes(nacl.secretbox(chunk, chunkNonce(fileNonce, index, isLast), contentKey))
+        index++
+      } while (reader.offset < size)
+    } finally {
+      reader.close()
+      writer.close()
+    }
+  }
+
+  /**
+   * Decrypt a downloaded `.enc` file into outputPath
+   * @returns {Promise<boolean>} false if the key is wrong or the file was tampered with
+   */
+  async decryptFile(encryptedPath, outputPath, wrappedKey) {
+    const contentKey = await this.unwrapKey(wrappedKey)
+    if (!contentKey) return false
+
+    const output = new File(outputPath)
+    output.create({ overwrite: true })
+    const reader = new File(encryptedPath).open()
+    const writer = output.open()
+    let opened = false
+
+    try {
+      const size = reader.size
+      const fileNonce = reader.readBytes(nacl.secretbox.nonceLength)
+
+      for (let index = 0; reader.offset < size; index++) {
+        const sealed = reader.readBytes(Math.min(SEALED_CHUNK_SIZE, size - reader.offset))
+        const isLast = reader.offset >= size
+        const plain = nacl.secretbox.open(sealed, chunkNonce(fileNonce, index, isLast), contentKey)
+        if (!plain) break
+
+        writer.writeBytes(plain)
+        opened = isLast
+      }
+    } catch (error) {
+      console.error('❌ [E2EE] Failed to decrypt file:', error)
+    } finally {
+      reader.close()
+      writer.close()
+    }
+
+    if (!opened) await FileSystem.deleteAsync(outputPath, { idempotent: true })
+    return opened
+  }
+
+  // ---- Key registry ---- //
+
+  isEncryptedObject(objectKey) {
+    return !!objectKey && objectKey.endsWith(ENCRYPTED_SUFFIX)
+  }
+
+  registerKey(objectKey, wrappedKey) {
+    if (!objectKey || !wrappedKey || this.registry.get(objectKey) === wrappedKey) return
+
+    this.registry.delete(objectKey)
+    this.registry.set(objectKey, wrappedKey)
+    while (this.registry.size > MAX_REGISTRY_SIZE) {
+      this.registry.delete(this.registry.keys().next().value)
+    }
+    this.schedulePersist()
+  }
+
+  /**
+   * Remember the current user's wrapped key for the media of loaded messages
+   */
+  registerMessages(messages, currentUserId) {
+    for (const message of messages || []) {
+      if (!message) continue
+      const wrappedKey = message.sender_id === currentUserId ? message.sender_media_key : message.media_key
+      if (!wrappedKey) continue
+
+      this.registerKey(toObjectKey(message.media_url), wrappedKey)
+      this.registerKey(toObjectKey(message.thumbnail_url), wrappedKey)
+    }
+  }
+
+  async getWrappedKey(objectKey) {
+    await this.init()
+    return this.registry.get(objectKey) || null
+  }
+
+  schedulePersist() {
+    if (this.persistTimeout) clearTimeout(this.persistTimeout)
+    this.persistTimeout = setTimeout(async () => {
+      this.persistTimeout = null
+      try {
+        await AsyncStorage.setItem(KEY_REGISTRY_KEY, JSON.stringify(Object.fromEntries(this.registry)))
+      } catch (error) {
+        console.error('❌ [E2EE] Failed to persist media keys:', error)
+      }
+    }, 1000)
+  }
+}
+
+// Export singleton instance
+export const mediaEncryptionService = new MediaEncryptionService()
+export default mediaEncryptionService
@@ -0,0 +1,161 @@
+/**
+ * Message Request Service
+ * Requests inbox: first 1:1 messages from people the user never wrote to
+ * (see supabase/migrations/add_message_requests.sql).
+ *
+ * Pending threads are kept out of get_conversations and out of push notifications
+ * until accepted. Accepting moves the thread into the normal conversation list;
+ * declining hides it for good without telling the sender.
+ */
+
+import { apiManager } from './apiManager'
+import { blockService } from './blockService'
+import { mediaCacheService } from './mediaCacheService'
+import { mediaEncryptionService } from './mediaEncryptionService'
+import { productionRealtimeService } from './productionRealtimeService'
+import { supabase } from './supabaseClient'
+
+const REFRESH_DELAY_MS = 500
+
+class MessageRequestService {
+  constructor() {
+    this.currentUserId = null
+    this.requests = []
+    this.loadPromise = null
+    this.refreshTimer = null
+    this.unregisterRealtime = null
+    this.listeners = new Set()
+  }
+
+  /**
+   * Load the requests of the signed-in user and keep them live
+   */
+  start(userId) {
+    if (!userId) return null
+    if (this.currentUserId !== userId) {
+      this.stop()
+      this.currentUserId = userId
+      this.refresh()
+    }
+
+    // Registered on every start: the realtime service drops its callbacks on cleanup
+    this.unregisterRealtime = productionRealtimeService.registerCallback('messageRequestService', (payload) => {
+      if (payload?.table === 'message_requests') this.scheduleRefresh()
+    })
+    return this.loadPromise
+  }
+
+  stop() {
+    this.unregisterRealtime?.()
+    this.unregisterRealtime = null
+    clearTimeout(this.refreshTimer)
+    this.refreshTimer = null
+    this.currentUserId = null
+    this.requests = []
+    this.loadPromise = null
+  }
+
+  scheduleRefresh() {
+    clearTimeout(this.refreshTimer)
+    this.refreshTimer = setTimeout(() => this.refresh(), REFRESH_DELAY_MS)
+  }
+
+  async refresh() {
+    const userId = this.currentUserId
+    if (!userId) return []
+
+    this.loadPromise = (async () => {
+      try {
+        const { data, error } = await supabase.rpc('get_message_requests')
+        if (error) throw error
+        if (this.currentUserId !== userId) return this.requests
+
+        this.requests = (data || []).map(row => ({
+          senderId: row.sender_id,
+          sender: { id: row.sender_id, pseudo: row.sender_pseudo },
+          messageCount: row.message_count,
+          createdAt: row.created_at,
+          lastMessage: {
+            id: row.last_message_id,
+            created_at: row.last_created_at,
+            sender_id: row.sender_id,
+            receiver_id: userId,
+            media_type: row.last_media_type,
+            media_url: row.last_media_url,
+            thumbnail_url: row.last_thumbnail_url,
+            media_key: row.last_media_key,
+            is_nsfw: row.last_is_nsfw,
+            view_once: row.last_view_once,
+            caption: row.last_caption
+          }
+        }))
+
+        // Encrypted previews need the wrapped key of their message
+        mediaEncryptionService.registerMessages(this.requests.map(r => r.lastMessage), userId)
+        mediaCacheService.registerMessages(this.requests.map(r => r.lastMessage), userId)
+
+        console.log(`📨 [REQUESTS] ${this.requests.length} pending request(s)`)
+        this.notifyListeners()
+      } catch (error) {
+        console.warn('⚠️ [REQUESTS] Could not load message requests:', error?.message)
+      }
+      return this.requests
+    })()
+
+    return this.loadPromise
+  }
+
+  getRequests() {
+    return this.requests
+  }
+
+  getPendingCount() {
+    return this.requests.length
+  }
+
+  // Move the thread into the conversation list and allow pushes from the sender
+  async accept(senderId) {
+    await this.respond(senderId, true)
+    if (this.currentUserId) {
+      apiManager.invalidateCache(apiManager.getCacheKey('conversations', { userId: this.currentUserId }))
+    }
+  }
+
+  // Hide the thread and its future messages, without telling the sender
+  async decline(senderId) {
+    await this.respond(senderId, false)
+  }
+
+  async block(sender) {
+    await blockService.blockUser(String(sender.id), sender)
+    await this.respond(sender.id, false)
+  }
+
+  async respond(senderId, accept) {
+    const { error } = await supabase.rpc('respond_message_request', { _sender: senderId, _accept: accept })
+    if (error) throw error
+
+    console.log(`📨 [REQUESTS] Request from ${senderId} ${accept ? 'accepted' : 'declined'}`)
+    this.requests = this.requests.filter(r => r.senderId !== senderId)
+    this.notifyListeners()
+  }
+
+  // Listener management for real-time updates
+  addListener(callback) {
+    this.listeners.add(callback)
+    return () => this.listeners.delete(callback)
+  }
+
+  notifyListeners() {
+    this.listeners.forEach(callback => {
+      try {
+        callback(this.requests)
+      } catch (error) {
+        console.error('❌ [REQUESTS] Listener error:', error)
+      }
+    })
+  }
+}
+
+export const messageRequestService = new MessageRequestService()
+export default messageRequestService
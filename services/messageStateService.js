@@ -0,0 +1,97 @@
+/**
+ * Message State Service
+ * Receiver-side transitions of the message state machine (sent → delivered → opened → expired).
+ *
+ * Acknowledgements are batched per state and sent through the advance_message_state RPC,
+ * which only moves a row forward. The sender sees the change through the realtime UPDATE
+ * of its outbox (productionRealtimeService). Reading a message (seen) and consuming a
+ * one-time view (viewed_at) advance the state server-side without a call from here.
+ */
+
+import { isStateAhead } from '../utils/messageState'
+import { supabase } from './supabaseClient'
+
+const FLUSH_DELAY_MS = 300
+
+class MessageStateService {
+  constructor() {
+    this.queued = new Map() // messageId -> most advanced state waiting to be sent
+    this.flushTimer = null
+    this.allDeliveredPromise = null
+  }
+
+  // The receiver's device got these messages (realtime insert or fetch)
+  markDelivered(messages, currentUserId) {
+    const ids = (messages || [])
+      .filter(m => m?.id && m.receiver_id === currentUserId && (!m.state || m.state === 'sent'))
+      .map(m => m.id)
+    this.enqueue(ids, 'delivered')
+  }
+
+  // First view of a one-time or NSFW message, which is not marked seen until it is over
+  markOpened(messageId) {
+    this.enqueue([messageId], 'opened')
+  }
+
+  /**
+   * Acknowledge every received message still 'sent', when the conversation list loads.
+   * Concurrent calls share one request.
+   */
+  markAllDelivered() {
+    if (!this.allDeliveredPromise) {
+      this.allDeliveredPromise = (async () => {
+        try {
+          const { data, error } = await supabase.rpc('advance_message_state', { _state: 'delivered' })
+          if (error) throw error
+          if (data?.length) console.log(`📬 [MSG_STATE] ${data.length} message(s) marked delivered`)
+        } catch (error) {
+          console.warn('⚠️ [MSG_STATE] Could not acknowledge deliveries:', error?.message)
+        } finally {
+          this.allDeliveredPromise = null
+        }
+      })()
+    }
+    return this.allDeliveredPromise
+  }
+
+  enqueue(messageIds, state) {
+    let added = false
+    messageIds.forEach(id => {
+      if (!id || String(id).startsWith('temp_')) return
+      const current = this.queued.get(id)
+      if (!current || isStateAhead(state, current)) {
+        this.queued.set(id, state)
+        added = true
+      }
+    })
+
+    if (added && !this.flushTimer) {
+      this.flushTimer = setTimeout(() => this.flush(), FLUSH_DELAY_MS)
+    }
+  }
+
+  async flush() {
+    this.flushTimer = null
+    if (this.queued.size === 0) return
+
+    const byState = new Map()
+    this.queued.forEach((state, id) => {
+      if (!byState.has(state)) byState.set(state, [])
+      byState.get(state).push(id)
+    })
+    this.queued.clear()
+
+    for (const [state, ids] of byState) {
+      try {
+        const { error } = await supabase.rpc('advance_message_state', { _state: state, _messages: ids })
+        if (error) throw error
+        console.log(`📬 [MSG_STATE] ${ids.length} message(s) → ${state}`)
+      } catch (error) {
+        console.warn(`⚠️ [MSG_STATE] Could not mark ${ids.length} message(s) ${state}:`, error?.message)
+      }
+    }
+  }
+}
+
+export const messageStateService = new MessageStateService()
+export default messageStateService
@@ -0,0 +1,111 @@
+/**
+ * Message Sync Service
+ * Brings the offline store (data/localDatabase) up to date with only the messages it misses.
+ *
+ * Each conversation keeps a cursor: the created_at of the newest message known on the
+ * device. A conversation is synced only when the conversation list shows a newer last
+ * message, and then only the rows after the cursor are asked for, so opening a chat
+ * renders from disk without downloading its history again.
+ */
+
+import { localDatabase } from '../data/localDatabase'
+import { apiManager } from './apiManager'
+
+const PAGE_SIZE = 30
+const MAX_PAGES = 5 // A long absence falls back to the chat's own latest-window fetch
+const MAX_CONVERSATIONS_PER_SYNC = 10
+
+const latestCreatedAt = (messages, since = null) => (messages || []).reduce(
+  (latest, message) => (message?.created_at && (!latest || Date.parse(message.created_at) > Date.parse(latest))
+    ? message.created_at
+    : latest),
+  since
+)
+
+class MessageSyncService {
+  constructor() {
+    this.syncing = new Map() // conversationId -> running sync promise
+  }
+
+  /**
+   * Fetch the messages of a conversation newer than its cursor
+   * @param {string} conversationId - peer id, or group conversation id
+   * @param {string|null} until - created_at of the last message shown by the conversation list,
+   *   taken as the cursor when the server returns no displayable message past it
+   */
+  syncConversation(currentUserId, conversationId, until = null) {
+    if (!currentUserId || !conversationId) return Promise.resolve()
+
+    const key = `${currentUserId}:${conversationId}`
+    if (!this.syncing.has(key)) {
+      const promise = this.runSync(currentUserId, conversationId, until)
+        .catch(error => {
+          console.warn('⚠️ [MESSAGE_SYNC] Sync failed:', error?.message || error)
+        })
+        .finally(() => this.syncing.delete(key))
+      this.syncing.set(key, promise)
+    }
+    return this.syncing.get(key)
+  }
+
+  async runSync(currentUserId, conversationId, until) {
+    let cursor = await localDatabase.getCursor(currentUserId, conversationId)
+
+    // Never synced: the latest page is enough to open the chat offline
+    if (!cursor) {
+      const latest = await apiManager.getMessages(currentUserId, conversationId, {
+        limit: PAGE_SIZE,
+        orderDirection: 'desc'
+      })
+      cursor = latestCreatedAt(latest, until)
+      await localDatabase.setCursor(currentUserId, conversationId, cursor)
+      console.log(`🔄 [MESSAGE_SYNC] Stored latest ${latest.length} message(s) of a new conversation`)
+      return
+    }
+
+    let fetched = 0
+    for (let page = 0; page < MAX_PAGES; page++) {
+      const rows = await apiManager.refreshMessages(currentUserId, conversationId, {
+        after: cursor,
+        limit: PAGE_SIZE,
+        orderDirection: 'asc'
+      })
+      fetched += rows.length
+      // Nothing displayable after the cursor (e.g. a viewed NSFW last message): caught up
+      cursor = latestCreatedAt(rows.length > 0 ? rows : [{ created_at: until }], cursor)
+
+      // Pages drop viewed NSFW rows, so a short page may stop early: the next sync resumes
+      if (rows.length < PAGE_SIZE) break
+    }
+
+    await localDatabase.setCursor(currentUserId, conversationId, cursor)
+
+    // The pair cache now holds only the new rows: let the chat open from the local store
+    apiManager.invalidateCache(apiManager.getCacheKey('messages', { currentUserId, otherUserId: conversationId }))
+
+    console.log(`🔄 [MESSAGE_SYNC] Fetched ${fetched} new message(s)`)
+  }
+
+  /**
+   * Sync the conversations whose last message is newer than their cursor, one at a time
+   */
+  async syncConversations(currentUserId, conversations) {
+    if (!currentUserId || !Array.isArray(conversations)) return
+
+    const candidates = conversations
+      .filter(c => c?.id && (c.last_message_time || c.last_message?.created_at))
+      .slice(0, MAX_CONVERSATIONS_PER_SYNC)
+
+    for (const conversation of candidates) {
+      const until = conversation.last_message_time || conversation.last_message.created_at
+      const cursor = await localDatabase.getCursor(currentUserId, conversation.id)
+      if (cursor && Date.parse(cursor) >= Date.parse(until)) continue
+
+      await this.syncConversation(currentUserId, conversation.id, until)
+    }
+  }
+}
+
+// Export singleton instance
+export const messageSyncService = new MessageSyncService()
+export default messageSyncService
@@ -5,6 +5,7 @@
 
 import { AppState } from 'react-native'
 import { pushNotificationService, NotificationTypes } from './pushNotificationService'
+import { notificationPreferencesService } from './notificationPreferencesService'
 import { realtimeCacheManager } from './realtimeCacheManager'
 
 class NotificationIntegrationService {
@@ -314,11 +315,10 @@ class NotificationIntegrationService {
       isOneTime: String(messages[messages.length - 1].view_once === true)
     }
 
-    // Send notification
+    // Send notification, without pseudo nor media type in discreet mode
     await pushNotificationService.queueNotification({
       userId: this.currentUser.id,
-      title,
-      body,
+      ...notificationPreferencesService.getDisplayContent({ title, body }),
       data: notificationData,
       priority: 'high',
       sound: true
@@ -327,6 +327,31 @@ class NotificationIntegrationService {
     console.log(`📱 [NOTIF_INTEGRATION] Notification sent for ${senderPseudo} (${messageCount} messages)`)
   }
 
+  // Tell the sender of a photo/video that the receiver reacted to it
+  async sendReactionNotification(message, reactor, emoji) {
+    const pseudo = reactor?.pseudo || 'Quelqu\'un'
+    const media = message.media_type === 'video' ? 'votre vidéo' : 'votre photo'
+
+    await pushNotificationService.queueNotification({
+      userId: message.sender_id,
+      title: pseudo,
+      body: `${pseudo} a réagi ${emoji} à ${media}`,
+      data: {
+        type: NotificationTypes.REACTION,
+        senderId: reactor.id,
+        senderPseudo: pseudo,
+        messageId: message.id,
+        conversationId: message.conversation_id || null,
+        emoji,
+        timestamp: Date.now()
+      },
+      priority: 'high',
+      sound: true
+    })
+
+    console.log(`📱 [NOTIF_INTEGRATION] Reaction ${emoji} notification sent for message: ${message.id}`)
+  }
+
   // Get preview text for a message with enhanced media type indicators
   getMessagePreview(message) {
     if (message.caption && message.caption.trim()) {
@@ -0,0 +1,233 @@
+/**
+ * Notification Preferences Service
+ * Server copy of the push preferences and muted conversations
+ * (see supabase/migrations/add_notification_preferences.sql).
+ *
+ * The send-push-notification Edge Function reads the same rows, so a preference
+ * applies to pushes sent from any device. Mutes are keyed by the other user of a
+ * 1:1 conversation, or by the group conversation id.
+ */
+
+import { getDeviceTimezone } from '../utils/timeUtils'
+import { supabase } from './supabaseClient'
+
+export const DEFAULT_NOTIFICATION_PREFERENCES = {
+  messages: true,
+  sounds: true,
+  vibration: true,
+  badges: true,
+  quietHoursEnabled: false,
+  quietHoursStart: '22:00',
+  quietHoursEnd: '07:00',
+  muteNsfwPreviews: false,
+  discreetMode: false,
+  discreetHideBadge: false
+}
+
+// What a discreet notification shows instead of the pseudo and media type
+// (same text as the send-push-notification Edge Function)
+export const DISCREET_NOTIFICATION_CONTENT = {
+  title: 'Notification',
+  body: 'Nouvelle activité'
+}
+
+// App preference -> notification_preferences column
+const COLUMNS = {
+  messages: 'messages_enabled',
+  sounds: 'sounds_enabled',
+  vibration: 'vibration_enabled',
+  badges: 'badges_enabled',
+  quietHoursEnabled: 'quiet_hours_enabled',
+  quietHoursStart: 'quiet_hours_start',
+  quietHoursEnd: 'quiet_hours_end',
+  muteNsfwPreviews: 'mute_nsfw_previews',
+  discreetMode: 'discreet_mode',
+  discreetHideBadge: 'discreet_hide_badge'
+}
+
+const fromRow = (row) => {
+  const preferences = { ...DEFAULT_NOTIFICATION_PREFERENCES }
+  for (const [key, column] of Object.entries(COLUMNS)) {
+    if (row?.[column] !== undefined && row[column] !== null) preferences[key] = row[column]
+  }
+  // TIME columns come back as HH:MM:SS
+  preferences.quietHoursStart = preferences.quietHoursStart.slice(0, 5)
+  preferences.quietHoursEnd = preferences.quietHoursEnd.slice(0, 5)
+  return preferences
+}
+
+const toRow = (preferences) => {
+  const row = {}
+  for (const [key, column] of Object.entries(COLUMNS)) {
+    if (preferences[key] !== undefined) row[column] = preferences[key]
+  }
+  return row
+}
+
+class NotificationPreferencesService {
+  constructor() {
+    this.currentUserId = null
+    this.preferences = { ...DEFAULT_NOTIFICATION_PREFERENCES }
+    this.mutes = {} // targetId -> muted_until ISO string, null when muted until unmuted
+    this.listeners = new Set()
+  }
+
+  /**
+   * Load the user's preferences and mutes. Local preferences (from before they
+   * were synced) are uploaded when the server has none yet.
+   */
+  async load(userId, localPreferences = null) {
+    if (!userId) return this.preferences
+    this.currentUserId = userId
+
+    try {
+      const [{ data: row, error }, { data: mutes, error: mutesError }] = await Promise.all([
+        supabase.from('notification_preferences').select('*').eq('user_id', userId).maybeSingle(),
+        supabase.from('notification_mutes').select('target_id, muted_until').eq('user_id', userId)
+      ])
+      if (error) throw error
+      if (mutesError) throw mutesError
+      if (this.currentUserId !== userId) return this.preferences
+
+      this.mutes = {}
+      for (const mute of mutes || []) {
+        this.mutes[mute.target_id] = mute.muted_until
+      }
+
+      if (!row) {
+        this.preferences = { ...DEFAULT_NOTIFICATION_PREFERENCES, ...localPreferences }
+        await this.save(this.preferences)
+      } else {
+        this.preferences = fromRow(row)
+        // Quiet hours follow the device when travelling
+        if (row.timezone !== getDeviceTimezone()) await this.save({})
+      }
+
+      console.log('🔕 [NOTIF_PREFS] Preferences loaded:', this.preferences)
+      this.notifyListeners()
+    } catch (error) {
+      console.warn('⚠️ [NOTIF_PREFS] Could not load notification preferences:', error?.message)
+    }
+    return this.preferences
+  }
+
+  getPreferences() {
+    return this.preferences
+  }
+
+  isDiscreet() {
+    return this.preferences.discreetMode === true
+  }
+
+  // Whether the app icon badge may be set for incoming notifications
+  shouldShowBadge() {
+    return this.preferences.badges && !(this.isDiscreet() && this.preferences.discreetHideBadge)
+  }
+
+  // Title and body to display, generic in discreet mode
+  getDisplayContent({ title, body }) {
+    return this.isDiscreet() ? { ...DISCREET_NOTIFICATION_CONTENT } : { title, body }
+  }
+
+  async update(changes) {
+    const previous = this.preferences
+    this.preferences = { ...this.preferences, ...changes }
+    this.notifyListeners()
+
+    try {
+      await this.save(changes)
+    } catch (error) {
+      this.preferences = previous
+      this.notifyListeners()
+      throw error
+    }
+    return this.preferences
+  }
+
+  async save(changes) {
+    if (!this.currentUserId) return
+
+    const { error } = await supabase
+      .from('notification_preferences')
+      .upsert({
+        user_id: this.currentUserId,
+        ...toRow(changes),
+        timezone: getDeviceTimezone(),
+        updated_at: new Date().toISOString()
+      })
+
+    if (error) throw error
+  }
+
+  /**
+   * Mute pushes from a conversation for durationMs, or until unmuted when null
+   */
+  async mute(targetId, durationMs = null) {
+    if (!this.currentUserId || !targetId) return
+
+    const mutedUntil = durationMs ? new Date(Date.now() + durationMs).toISOString() : null
+    const { error } = await supabase
+      .from('notification_mutes')
+      .upsert({ user_id: this.currentUserId, target_id: targetId, muted_until: mutedUntil })
+
+    if (error) throw error
+
+    console.log(`🔕 [NOTIF_PREFS] Muted ${targetId} until ${mutedUntil || 'unmuted'}`)
+    this.mutes = { ...this.mutes, [targetId]: mutedUntil }
+    this.notifyListeners()
+  }
+
+  async unmute(targetId) {
+    if (!this.currentUserId || !targetId) return
+
+    const { error } = await supabase
+      .from('notification_mutes')
+      .delete()
+      .eq('user_id', this.currentUserId)
+      .eq('target_id', targetId)
+
+    if (error) throw error
+
+    console.log(`🔔 [NOTIF_PREFS] Unmuted ${targetId}`)
+    const mutes = { ...this.mutes }
+    delete mutes[targetId]
+    this.mutes = mutes
+    this.notifyListeners()
+  }
+
+  // Whether the conversation is muted right now; expired mutes count as unmuted
+  isMuted(targetId) {
+    if (!targetId || !(targetId in this.mutes)) return false
+    const mutedUntil = this.mutes[targetId]
+    return mutedUntil === null || new Date(mutedUntil) > new Date()
+  }
+
+  getMutedUntil(targetId) {
+    return this.isMuted(targetId) ? this.mutes[targetId] : undefined
+  }
+
+  reset() {
+    this.currentUserId = null
+    this.preferences = { ...DEFAULT_NOTIFICATION_PREFERENCES }
+    this.mutes = {}
+  }
+
+  // Listener management for real-time updates
+  addListener(callback) {
+    this.listeners.add(callback)
+    return () => this.listeners.delete(callback)
+  }
+
+  notifyListeners() {
+    this.listeners.forEach(callback => {
+      try {
+        callback({ preferences: this.preferences, mutes: this.mutes })
+      } catch (error) {
+        console.error('❌ [NOTIF_PREFS] Listener error:', error)
+      }
+    })
+  }
+}
+
+export const notificationPreferencesService = new NotificationPreferencesService()
+export default notificationPreferencesService
@@ -6,6 +6,7 @@
 
 import AsyncStorage from '@react-native-async-storage/async-storage'
 import { AppState } from 'react-native'
+import { messageStateService } from './messageStateService'
 
 class NSFWViewService {
   constructor() {
@@ -178,9 +179,10 @@ class NSFWViewService {
    * @param {Function} onComplete - Completion callback
    * @param {Function} onRemove - Removal callback
    * @param {Function} onVideoLoaded - Callback when video player is loaded (for getting actual duration)
+   * @param {number|null} autoDeleteAfter - Viewing window chosen by the sender in seconds (message.auto_delete_after)
    * @returns {Promise<boolean>} - Success status
    */
-  async startViewing(messageId, mediaType, videoDuration = 0, currentUserId = null, onProgress = null, onComplete = null, onRemove = null, onVideoLoaded = null) {
+  async startViewing(messageId, mediaType, videoDuration = 0, currentUserId = null, onProgress = null, onComplete = null, onRemove = null, onVideoLoaded = null, autoDeleteAfter = null) {
     await this.init()
     
     if (!messageId || this.viewedMessages.has(messageId)) {
@@ -194,7 +196,11 @@ class NSFWViewService {
     // For videos, we might get the actual duration from the video player
     // For now, use provided duration or default values
     let duration
-    if (mediaType === 'video') {
+    if (autoDeleteAfter) {
+      // Sender-chosen window, a video still stops at its own end
+      duration = this.getViewDuration(mediaType, videoDuration, autoDeleteAfter)
+      if (__DEV__) console.log(`⏱️ [NSFW_VIEW] Sender window: ${autoDeleteAfter}s (${duration}ms)`)
+    } else if (mediaType === 'video') {
       // Use provided duration or default to 10 seconds, minimum 3 seconds
       duration = Math.max((videoDuration || 10) * 1000, 3000)
       if (__DEV__) console.log(`🎥 [NSFW_VIEW] Video duration: ${videoDuration}s (${duration}ms)`)
@@ -204,6 +210,9 @@ class NSFWViewService {
     }
     
     const startTime = Date.now()
+
+    // Opened now, expired once the timer completes (viewed_at)
+    messageStateService.markOpened(messageId)
     
     if (__DEV__) console.log(`👁️ [NSFW_VIEW] Starting timer for ${messageId}: ${duration}ms (${mediaType})`)
 
@@ -214,6 +223,7 @@ class NSFWViewService {
       startTime,
       duration,
       mediaType,
+      autoDeleteAfter,
       currentUserId, // Store currentUserId for resume functionality
       onProgress,
       onComplete,
@@ -251,7 +261,9 @@ class NSFWViewService {
       return
     }
 
-    const newDuration = Math.max(durationInSeconds * 1000, 3000) // Minimum 3 seconds
+    const newDuration = viewingData.autoDeleteAfter
+      ? this.getViewDuration('video', durationInSeconds, viewingData.autoDeleteAfter)
+      : Math.max(durationInSeconds * 1000, 3000) // Minimum 3 seconds
     if (__DEV__) console.log(`🎥 [NSFW_VIEW] Updating video duration for ${messageId}: ${durationInSeconds}s (${newDuration}ms)`)
     
     // Update duration and restart timer with correct duration
@@ -259,6 +271,22 @@ class NSFWViewService {
     this.startTimer(messageId, viewingData)
   }
 
+  /**
+   * Viewing time in ms for a message
+   * @param {string} mediaType - 'photo' or 'video'
+   * @param {number} videoDuration - Video length in seconds (0 if unknown)
+   * @param {number|null} autoDeleteAfter - Sender-chosen window in seconds
+   */
+  getViewDuration(mediaType, videoDuration = 0, autoDeleteAfter = null) {
+    if (!autoDeleteAfter) {
+      return mediaType === 'video' ? Math.max((videoDuration || 10) * 1000, 3000) : 5000
+    }
+    const windowMs = autoDeleteAfter * 1000
+    return mediaType === 'video' && videoDuration > 0
+      ? Math.min(videoDuration * 1000, windowMs)
+      : windowMs
+  }
+
   /**
    * Start the actual timer and progress tracking
    */
@@ -319,9 +347,10 @@ class NSFWViewService {
    * @param {string} currentUserId - Current user ID
    * @param {Function} onComplete - Completion callback
    * @param {Function} onVideoPlayerReady - Callback when video player should be prepared
+   * @param {number|null} autoDeleteAfter - Viewing window chosen by the sender in seconds; cuts the video short
    * @returns {Promise<boolean>} - Success status
    */
-  async startVideoViewing(messageId, currentUserId, onComplete = null, onVideoPlayerReady = null) {
+  async startVideoViewing(messageId, currentUserId, onComplete = null, onVideoPlayerReady = null, autoDeleteAfter = null) {
     await this.init()
     
     if (!messageId || this.viewedMessages.has(messageId)) {
@@ -371,8 +400,11 @@ class NSFWViewService {
         onDurationLoad: (duration) => {
           if (__DEV__) console.log(`🎬 [NSFW_VIEW] Video duration loaded: ${duration}s for ${messageId}`)
           
-          // Set up fallback timer - if video end detection fails, use timer as backup
-          const fallbackTime = Math.max(duration * 1000 + 2000, 5000) // Video duration + 2s buffer, minimum 5s
+          // Set up fallback timer - if video end detection fails, use timer as backup.
+          // With a sender window the timer is the limit, not a backup.
+          const fallbackTime = autoDeleteAfter
+            ? this.getViewDuration('video', duration, autoDeleteAfter)
+            : Math.max(duration * 1000 + 2000, 5000) // Video duration + 2s buffer, minimum 5s
           
           const fallbackTimer = setTimeout(() => {
             if (!hasCompleted) {
@@ -5,6 +5,7 @@
  */
 
 import AsyncStorage from '@react-native-async-storage/async-storage'
+import { messageStateService } from './messageStateService'
 import { markMessageAsSeen } from './userService'
 
 const ONE_TIME_VIEWED_KEY = 'oneTimeViewedMessages'
@@ -13,6 +14,7 @@ class OneTimeViewService {
   constructor() {
     this.viewedMessages = new Set()
     this.currentlyViewing = new Set() // Messages currently being viewed (not yet blurred)
+    this.expiryTimers = new Map() // messageId -> timeout for sender-chosen viewing windows
     this.initialized = false
   }
 
@@ -37,8 +39,10 @@ class OneTimeViewService {
    * Mark a one-time message as currently being viewed
    * This allows viewing without blur until the user leaves
    * Only applies to messages received by the current user
+   * When the sender chose a viewing window (message.auto_delete_after), the message is
+   * stopped automatically once it elapses and onExpire is called
    */
-  async startViewing(messageId, currentUserId = null, message = null) {
+  async startViewing(messageId, currentUserId = null, message = null, onExpire = null) {
     await this.init()
     
     if (!messageId) return false
@@ -72,6 +76,19 @@ class OneTimeViewService {
     
     this.currentlyViewing.add(messageId)
     console.log('👁️ [ONE_TIME_VIEW] Started viewing message (no blur until stopped):', messageId)
+
+    // Opened now, expired once the receiver leaves it (viewed_at)
+    messageStateService.markOpened(messageId)
+
+    if (message?.auto_delete_after) {
+      this.clearExpiryTimer(messageId)
+      this.expiryTimers.set(messageId, setTimeout(async () => {
+        this.expiryTimers.delete(messageId)
+        console.log(`⏱️ [ONE_TIME_VIEW] Viewing window (${message.auto_delete_after}s) elapsed for:`, messageId)
+        await this.stopViewing(messageId, currentUserId)
+        onExpire?.(messageId)
+      }, message.auto_delete_after * 1000))
+    }
     return true
   }
 
@@ -95,6 +112,7 @@ class OneTimeViewService {
     }
     
     this.currentlyViewing.delete(messageId)
+    this.clearExpiryTimer(messageId)
     
     // Mark as permanently viewed
     if (!this.viewedMessages.has(messageId)) {
@@ -278,6 +296,7 @@ class OneTimeViewService {
   clearCurrentlyViewing(messageId) {
     if (messageId && this.currentlyViewing.has(messageId)) {
       this.currentlyViewing.delete(messageId)
+      this.clearExpiryTimer(messageId)
       console.log('🔄 [ONE_TIME_VIEW] Cleared currently viewing state for:', messageId)
       return true
     }
@@ -291,12 +310,22 @@ class OneTimeViewService {
   clearAllCurrentlyViewing() {
     const count = this.currentlyViewing.size
     this.currentlyViewing.clear()
+    this.expiryTimers.forEach(timer => clearTimeout(timer))
+    this.expiryTimers.clear()
     if (count > 0) {
       console.log(`🔄 [ONE_TIME_VIEW] Cleared all currently viewing states (${count} messages)`)
     }
     return count
   }
 
+  clearExpiryTimer(messageId) {
+    const timer = this.expiryTimers.get(messageId)
+    if (timer) {
+      clearTimeout(timer)
+      this.expiryTimers.delete(messageId)
+    }
+  }
+
   /**
    * Get stats for debugging
    */
@@ -0,0 +1,333 @@
+/**
+ * Presence Service
+ * Online status, last activity and "in the camera for you" indicators, on Supabase Realtime Presence.
+ *
+ * Every user owns a private channel `presence:<userId>` (see supabase/migrations/add_user_presence.sql):
+ * - the owner tracks itself on it while the app is in the foreground
+ * - contacts join it to know whether the owner is online
+ * - contacts call send_capture_activity while filming for the owner in CameraScreen, which
+ *   broadcasts `capture_activity` on it with the caller as sender; only the owner can read it
+ *
+ * Hiding presence is reciprocal: a hidden user stops tracking and leaves every contact's
+ * channel, and the server refuses both while hide_presence is set.
+ */
+
+import { AppState } from 'react-native'
+import { supabase } from './supabaseClient'
+
+const UNWATCH_DELAY_MS = 30000 // Keep a contact's channel while navigating between home and chat
+const CAPTURE_HEARTBEAT_MS = 5000
+const CAPTURE_TIMEOUT_MS = 12000 // Capture activity without heartbeat is considered over
+const LAST_ACTIVE_BATCH_MS = 300
+
+const presenceTopic = (userId) => `presence:${userId}`
+
+class PresenceService {
+  constructor() {
+    this.currentUserId = null
+    this.hidden = false
+    this.ownChannel = null
+    this.isTracking = false
+    this.appStateSubscription = null
+    this.watched = new Map() // userId -> { channel, refs, unwatchTimer }
+    this.presence = new Map() // userId -> { online, lastActiveAt, capture }
+    this.captureTimers = new Map() // userId -> timeout clearing their capture activity
+    this.outgoingCapture = null // { peerId, mode, timer }
+    this.pendingLastActive = new Set()
+    this.lastActiveTimer = null
+    this.listeners = new Set()
+  }
+
+  /**
+   * Start presence for the signed-in user, once the realtime connection is set up
+   */
+  async start(userId) {
+    if (!userId || this.currentUserId === userId) return
+    if (this.currentUserId) this.stop()
+
+    this.currentUserId = userId
+    console.log('🟢 [PRESENCE] Starting for user', userId)
+
+    try {
+      // No row yet: presence was never hidden
+      const { data, error } = await supabase
+        .from('user_presence')
+        .select('hide_presence')
+        .eq('user_id', userId)
+        .maybeSingle()
+      if (error) throw error
+      this.hidden = !!data?.hide_presence
+    } catch (error) {
+      console.warn('⚠️ [PRESENCE] Could not load presence setting:', error?.message)
+    }
+
+    if (this.currentUserId !== userId) return
+
+    this.ownChannel = supabase.channel(presenceTopic(userId), {
+      config: { private: true, presence: { key: userId } }
+    })
+    this.ownChannel.on('broadcast', { event: 'capture_activity' }, ({ payload }) => {
+      this.handleCaptureActivity(payload)
+    })
+    this.ownChannel.subscribe((status) => {
+      console.log(`🟢 [PRESENCE] Own channel status: ${status}`)
+      if (status === 'SUBSCRIBED') this.updateTracking()
+    })
+
+    this.appStateSubscription = AppState.addEventListener('change', (nextAppState) => {
+      this.setAppActive(nextAppState === 'active')
+    })
+  }
+
+  stop() {
+    console.log('🔴 [PRESENCE] Stopping')
+    this.setCaptureActivity(this.outgoingCapture?.peerId, null)
+    this.appStateSubscription?.remove()
+    this.appStateSubscription = null
+
+    if (this.ownChannel) {
+      supabase.removeChannel(this.ownChannel)
+      this.ownChannel = null
+    }
+    this.isTracking = false
+
+    this.watched.forEach(({ channel, unwatchTimer }) => {
+      clearTimeout(unwatchTimer)
+      if (channel) supabase.removeChannel(channel)
+    })
+    this.watched.clear()
+    this.captureTimers.forEach(clearTimeout)
+    this.captureTimers.clear()
+    this.presence.clear()
+    this.pendingLastActive.clear()
+    clearTimeout(this.lastActiveTimer)
+    this.lastActiveTimer = null
+    this.currentUserId = null
+    this.hidden = false
+  }
+
+  // Foreground: appear online; background: leave and stamp the last activity
+  setAppActive(isActive) {
+    if (!this.currentUserId) return
+    this.updateTracking(isActive)
+    if (!this.hidden) {
+      supabase.rpc('touch_last_active').then(({ error }) => {
+        if (error) console.warn('⚠️ [PRESENCE] Could not update last activity:', error.message)
+      })
+    }
+  }
+
+  async updateTracking(isActive = AppState.currentState === 'active') {
+    if (!this.ownChannel) return
+    const shouldTrack = isActive && !this.hidden
+
+    try {
+      if (shouldTrack && !this.isTracking) {
+        this.isTracking = true
+        await this.ownChannel.track({ online_at: new Date().toISOString() })
+      } else if (!shouldTrack && this.isTracking) {
+        this.isTracking = false
+        await this.ownChannel.untrack()
+      }
+    } catch (error) {
+      console.warn('⚠️ [PRESENCE] Could not update tracking:', error?.message)
+    }
+  }
+
+  isHidden() {
+    return this.hidden
+  }
+
+  /**
+   * Hide or show the current user's presence (reciprocal: hidden users see no one either)
+   */
+  async setHidden(hidden) {
+    const { error } = await supabase.rpc('set_hide_presence', { _hidden: hidden })
+    if (error) throw error
+
+    this.hidden = hidden
+    console.log(`🟢 [PRESENCE] Presence ${hidden ? 'hidden' : 'visible'}`)
+    await this.updateTracking()
+
+    if (hidden) {
+      this.setCaptureActivity(this.outgoingCapture?.peerId, null)
+      // Leave contacts' channels but keep the watchers, to rejoin if presence is shown again
+      this.watched.forEach((entry) => {
+        if (entry.channel) supabase.removeChannel(entry.channel)
+        entry.channel = null
+      })
+      const userIds = Array.from(this.presence.keys())
+      this.presence.clear()
+      userIds.forEach(userId => this.notify(userId))
+    } else {
+      this.watched.forEach((entry, userId) => {
+        if (!entry.channel) entry.channel = this.joinContactChannel(userId)
+        this.queueLastActive(userId)
+      })
+    }
+  }
+
+  /**
+   * Follow a contact's presence. Returns the function to stop following it.
+   */
+  watch(userId) {
+    if (!userId || userId === this.currentUserId) return () => {}
+
+    let entry = this.watched.get(userId)
+    if (entry) {
+      clearTimeout(entry.unwatchTimer)
+      entry.unwatchTimer = null
+      entry.refs += 1
+    } else {
+      entry = { channel: this.hidden ? null : this.joinContactChannel(userId), refs: 1, unwatchTimer: null }
+      this.watched.set(userId, entry)
+      if (!this.hidden) this.queueLastActive(userId)
+    }
+
+    let released = false
+    return () => {
+      if (released) return
+      released = true
+      entry.refs -= 1
+      if (entry.refs > 0) return
+
+      entry.unwatchTimer = setTimeout(() => {
+        if (entry.refs > 0 || this.watched.get(userId) !== entry) return
+        if (entry.channel) supabase.removeChannel(entry.channel)
+        this.watched.delete(userId)
+      }, UNWATCH_DELAY_MS)
+    }
+  }
+
+  joinContactChannel(userId) {
+    const channel = supabase.channel(presenceTopic(userId), { config: { private: true } })
+
+    channel.on('presence', { event: 'sync' }, () => {
+      const online = Object.keys(channel.presenceState()).length > 0
+      const current = this.getPresence(userId)
+      if (current.online === online) return
+
+      // Going offline right now is the best last activity we know of
+      this.setPresence(userId, {
+        online,
+        lastActiveAt: online ? current.lastActiveAt : new Date().toISOString()
+      })
+    })
+
+    channel.subscribe((status) => {
+      if (status === 'CHANNEL_ERROR') {
+        console.log(`🟢 [PRESENCE] Presence of ${userId} not available`)
+      }
+    })
+
+    return channel
+  }
+
+  // Last activity of newly watched contacts, fetched in one call
+  queueLastActive(userId) {
+    this.pendingLastActive.add(userId)
+    if (this.lastActiveTimer) return
+
+    this.lastActiveTimer = setTimeout(async () => {
+      this.lastActiveTimer = null
+      const userIds = Array.from(this.pendingLastActive)
+      this.pendingLastActive.clear()
+      if (userIds.length === 0) return
+
+      try {
+        const { data, error } = await supabase.rpc('get_last_active', { _users: userIds })
+        if (error) throw error
+        for (const row of data || []) {
+          if (row.last_active_at && !this.getPresence(row.user_id).online) {
+            this.setPresence(row.user_id, { lastActiveAt: row.last_active_at })
+          }
+        }
+      } catch (error) {
+        console.warn('⚠️ [PRESENCE] Could not load last activity:', error?.message)
+      }
+    }, LAST_ACTIVE_BATCH_MS)
+  }
+
+  /**
+   * Tell a contact that we are in the camera for them ('photo' or 'video'), or stopped (null).
+   * Repeated while active so a closed app does not leave the indicator on.
+   */
+  setCaptureActivity(peerId, mode) {
+    const current = this.outgoingCapture
+    if (current && (current.peerId !== peerId || !mode)) {
+      clearInterval(current.timer)
+      this.outgoingCapture = null
+      this.sendCaptureActivity(current.peerId, null)
+    }
+    if (!peerId || !mode || this.hidden) return
+    if (this.outgoingCapture?.mode === mode) return
+
+    clearInterval(this.outgoingCapture?.timer)
+    this.outgoingCapture = {
+      peerId,
+      mode,
+      timer: setInterval(() => this.sendCaptureActivity(peerId, mode), CAPTURE_HEARTBEAT_MS)
+    }
+    this.sendCaptureActivity(peerId, mode)
+  }
+
+  sendCaptureActivity(peerId, mode) {
+    if (!peerId || !this.currentUserId) return
+
+    supabase.rpc('send_capture_activity', { _peer: peerId, _mode: mode }).then(({ error }) => {
+      if (error) console.warn('⚠️ [PRESENCE] Could not send capture activity:', error.message)
+    })
+  }
+
+  // Only the server broadcasts capture activity, `from` is the authenticated sender
+  handleCaptureActivity(payload) {
+    const userId = payload?.from
+    if (!userId || this.hidden) return
+
+    clearTimeout(this.captureTimers.get(userId))
+    this.captureTimers.delete(userId)
+
+    const capture = payload.mode === 'photo' || payload.mode === 'video' ? payload.mode : null
+    if (capture) {
+      this.captureTimers.set(userId, setTimeout(() => {
+        this.captureTimers.delete(userId)
+        this.setPresence(userId, { capture: null })
+      }, CAPTURE_TIMEOUT_MS))
+    }
+
+    if (this.getPresence(userId).capture !== capture) {
+      this.setPresence(userId, { capture })
+    }
+  }
+
+  /**
+   * @returns {{ online: boolean, lastActiveAt: string|null, capture: 'photo'|'video'|null }}
+   */
+  getPresence(userId) {
+    return this.presence.get(userId) || { online: false, lastActiveAt: null, capture: null }
+  }
+
+  setPresence(userId, changes) {
+    this.presence.set(userId, { ...this.getPresence(userId), ...changes })
+    this.notify(userId)
+  }
+
+  addListener(callback) {
+    this.listeners.add(callback)
+    return () => this.listeners.delete(callback)
+  }
+
+  notify(userId) {
+    const presence = this.getPresence(userId)
+    this.listeners.forEach(callback => {
+      try {
+        callback(userId, presence)
+      } catch (error) {
+        console.error('❌ [PRESENCE] Listener error:', error)
+      }
+    })
+  }
+}
+
+export const presenceService = new PresenceService()
+export default presenceService
@@ -14,6 +14,8 @@
  */
 
 import { DeviceAuthService } from './deviceAuthService'
+import { messageStateService } from './messageStateService'
+import { presenceService } from './presenceService'
 import { supabase } from './supabaseClient'
 
 class ProductionRealtimeService {
@@ -67,6 +69,9 @@ class ProductionRealtimeService {
       // Start health monitoring
       this.startHealthMonitoring()
 
+      // Online status on its own channel, with the same auth token
+      presenceService.start(userId)
+
       return this.activeChannel
       
     } catch (error) {
@@ -296,6 +301,10 @@ class ProductionRealtimeService {
       },
       (payload) => {
         console.log('📥 [PRODUCTION] Inbox event received:', payload.eventType, payload.new?.id)
+        // The message reached this device: acknowledge it to the sender
+        if (payload.eventType === 'INSERT') {
+          messageStateService.markDelivered([payload.new], userId)
+        }
         this.handleRealtimeEvent('inbox', payload)
       }
     )
@@ -317,6 +326,36 @@ class ProductionRealtimeService {
       }
     )
     
+    // Subscribe to reactions on sent messages (see migrations/create_message_reactions_table.sql)
+    channel.on(
+      'postgres_changes',
+      {
+        event: '*',
+        schema: 'public',
+        table: 'message_reactions',
+        filter: `message_sender_id=eq.${userId}`
+      },
+      (payload) => {
+        console.log('😍 [PRODUCTION] Reaction event received:', payload.eventType, payload.new?.message_id || payload.old?.message_id)
+        this.handleRealtimeEvent('reaction', payload)
+      }
+    )
+
+    // Subscribe to first contacts waiting in the requests inbox (see migrations/add_message_requests.sql)
+    channel.on(
+      'postgres_changes',
+      {
+        event: '*',
+        schema: 'public',
+        table: 'message_requests',
+        filter: `receiver_id=eq.${userId}`
+      },
+      (payload) => {
+        console.log('📨 [PRODUCTION] Message request event received:', payload.eventType, payload.new?.sender_id)
+        this.handleRealtimeEvent('message_request', payload)
+      }
+    )
+
     // Listen to custom broadcasts: read receipts
     channel.on(
       'broadcast',
@@ -472,6 +511,7 @@ class ProductionRealtimeService {
     }
     
     this.callbacks.clear()
+    presenceService.stop()
     this.isInitialized = false
     this.currentUserId = null
     this.reconnectAttempts = 0
@@ -529,7 +569,8 @@ class ProductionRealtimeService {
     // Register callback with conversation-specific filtering
     const filteredCallback = (payload) => {
       const message = payload.new
-      if (!message) return
+      // Reactions and requests share the channel but are not messages
+      if (!message || (payload.table && payload.table !== 'messages')) return
       
       // Only call if message is part of this conversation
       const isRelevant = (
@@ -10,6 +10,7 @@ import { Platform, AppState } from 'react-native'
 import AsyncStorage from '@react-native-async-storage/async-storage'
 import { supabase } from './supabaseClient'
 import { blockService } from './blockService'
+import { DEFAULT_NOTIFICATION_PREFERENCES, notificationPreferencesService } from './notificationPreferencesService'
 
 // Import FCM service only if available (lazy load to avoid circular dependency)
 let fcmService = null
@@ -34,6 +35,17 @@ Notifications.setNotificationHandler({
     // Check if we're in the chat screen with the sender
     const data = notification.request.content.data
     
+    // Nothing of the real account shows while the decoy PIN is in use (see AppLockGate)
+    const { appLockService } = await import('./appLockService')
+    if (appLockService.isDecoy) {
+      return {
+        shouldShowBanner: false,
+        shouldShowList: false,
+        shouldPlaySound: false,
+        shouldSetBadge: false,
+      }
+    }
+
     // Block notifications from blocked users
     if (data?.senderId && await blockService.shouldBlockNotification(data.senderId)) {
       console.log('📵 [PUSH] Blocking notification from blocked user:', data.senderId)
@@ -45,13 +57,16 @@ Notifications.setNotificationHandler({
       }
     }
     
-    const isInChatWithSender = await checkIfInChatWithSender(data?.senderId)
+    const isInChatWithSender = await checkIfInChatWithSender(data?.conversationId || data?.senderId)
+    // The Edge Function already skips muted conversations; this covers pushes sent before muting
+    const isMuted = notificationPreferencesService.isMuted(data?.conversationId || data?.senderId)
+    const preferences = notificationPreferencesService.getPreferences()
     
     return {
-      shouldShowBanner: !isInChatWithSender, // Don't show banner if already in chat with sender
-      shouldShowList: !isInChatWithSender, // Don't show in notification list if already in chat with sender
-      shouldPlaySound: true,
-      shouldSetBadge: true,
+      shouldShowBanner: !isInChatWithSender && !isMuted, // Don't show banner if already in chat with sender
+      shouldShowList: !isInChatWithSender && !isMuted, // Don't show in notification list if already in chat with sender
+      shouldPlaySound: preferences.sounds && !isMuted,
+      shouldSetBadge: notificationPreferencesService.shouldShowBadge(),
     }
   },
 })
@@ -201,7 +216,7 @@ class PushNotificationService {
       this.setupNotificationListeners()
 
       // Load notification settings
-      await this.loadNotificationSettings()
+      await this.loadNotificationSettings(userId)
 
       // Start automated monitoring for production-ready reliability
       this.startAutomatedMonitoring()
@@ -323,6 +338,20 @@ class PushNotificationService {
         description: 'App updates and system messages'
       })
 
+      // Discreet mode - neutral name, nothing on the lock screen that hints at the app
+      await Notifications.setNotificationChannelAsync('updates', {
+        name: 'Updates',
+        importance: Notifications.AndroidImportance.HIGH,
+        vibrationPattern: [0, 250],
+        sound: 'default',
+        enableVibrate: true,
+        enableLights: false,
+        lockscreenVisibility: Notifications.AndroidNotificationVisibility.PRIVATE,
+        bypassDnd: false,
+        showBadge: true,
+        description: 'General updates'
+      })
+
       // Background/Silent notifications - LOW PRIORITY
       await Notifications.setNotificationChannelAsync('background', {
         name: 'Background Updates',
@@ -1601,6 +1630,9 @@ class PushNotificationService {
         count = await this.getUnreadCount()
       }
 
+      // Badge turned off, or hidden by discreet mode
+      if (!notificationPreferencesService.shouldShowBadge()) count = 0
+
       await Notifications.setBadgeCountAsync(count)
       console.log(`📱 [PUSH] Badge count updated to: ${count}`)
 
@@ -1621,26 +1653,22 @@ class PushNotificationService {
     }
   }
 
-  // Load notification settings
-  async loadNotificationSettings() {
+  // Load notification settings: the local copy first, then the server one
+  // (notification_preferences), which the push Edge Function enforces
+  async loadNotificationSettings(userId) {
     try {
       const stored = await AsyncStorage.getItem(NOTIFICATION_SETTINGS_KEY)
-      if (stored) {
-        this.settings = JSON.parse(stored)
-      } else {
-        this.settings = {
-          messages: true,
-          sounds: true,
-          vibration: true,
-          badges: true
-        }
-        await this.saveNotificationSettings()
+      this.settings = { ...DEFAULT_NOTIFICATION_PREFERENCES, ...(stored ? JSON.parse(stored) : {}) }
+
+      if (userId) {
+        this.settings = await notificationPreferencesService.load(userId, this.settings)
       }
+      await this.saveNotificationSettings()
       
       console.log('📱 [PUSH] Notification settings loaded:', this.settings)
     } catch (error) {
       console.error('❌ [PUSH] Error loading notification settings:', error)
-      this.settings = { messages: true, sounds: true, vibration: true, badges: true }
+      this.settings = { ...DEFAULT_NOTIFICATION_PREFERENCES }
     }
   }
 
@@ -1653,8 +1681,9 @@ class PushNotificationService {
     }
   }
 
-  // Update notification settings
+  // Update notification settings, on the server first so a refused change is not kept
   async updateSettings(newSettings) {
+    await notificationPreferencesService.update(newSettings)
     this.settings = { ...this.settings, ...newSettings }
     await this.saveNotificationSettings()
     console.log('📱 [PUSH] Settings updated:', this.settings)
@@ -1714,6 +1743,7 @@ class PushNotificationService {
       this.pushToken = null
       this.isInitialized = false
       this.currentChatUserId = null
+      notificationPreferencesService.reset()
       this.notificationQueue = []
       this.isProcessingQueue = false
       this.appState = null
@@ -2054,12 +2084,12 @@ class PushNotificationService {
     try {
       await Notifications.scheduleNotificationAsync({
         content: {
-          title,
-          body,
+          ...notificationPreferencesService.getDisplayContent({ title, body }),
           data,
           sound: 'default',
         },
-        trigger: null, // null means show immediately
+        // Show immediately; discreet notifications go to the neutral Android channel
+        trigger: notificationPreferencesService.isDiscreet() ? { channelId: 'updates' } : null,
       })
       console.log('✅ [PUSH] Local notification presented:', title)
     } catch (error) {
@@ -2152,6 +2182,7 @@ export const pushNotificationService = new PushNotificationService()
 // Export types for TypeScript users
 export const NotificationTypes = {
   MESSAGE: 'message',
+  REACTION: 'reaction',
   SYSTEM: 'system',
   FRIEND_REQUEST: 'friend_request'
 }
@@ -0,0 +1,118 @@
+/**
+ * Reaction Service
+ * Emoji reactions of receivers to photos and videos: stored through
+ * set_message_reaction, shown locally right away and pushed to the sender.
+ */
+
+import { supabase } from './supabaseClient'
+
+// Same set as the CHECK constraint of message_reactions
+export const REACTION_EMOJIS = ['🔥', '😍', '❤️', '😂', '😮', '👏', '🍑', '💦']
+
+/**
+ * Replace a user's reaction on a message
+ * @param {object} message - Message with an optional `reactions` array
+ * @param {string} userId - Reacting user
+ * @param {object|null} reaction - New reaction, null to remove it
+ */
+export const applyReaction = (message, userId, reaction) => {
+  const reactions = (message.reactions || []).filter(r => r.user_id !== userId)
+  return { ...message, reactions: reaction ? reactions.concat(reaction) : reactions }
+}
+
+class ReactionService {
+  /**
+   * React to a message the current user received
+   * @param {object} message - The displayed message
+   * @param {object} currentUser - Current user ({ id, pseudo })
+   * @param {string|null} emoji - One of REACTION_EMOJIS, null to remove the reaction
+   * @returns {Promise<boolean>} true if the reaction was saved
+   */
+  async react(message, currentUser, emoji) {
+    if (!message?.id || !currentUser?.id) return false
+    if (message.receiver_id !== currentUser.id) return false
+    if (emoji && !REACTION_EMOJIS.includes(emoji)) return false
+
+    const previous = message.reactions?.find(r => r.user_id === currentUser.id) || null
+    if ((previous?.emoji || null) === emoji) return true
+
+    const row = {
+      id: previous?.id || null,
+      message_id: message.id,
+      user_id: currentUser.id,
+      message_sender_id: message.sender_id,
+      conversation_id: message.conversation_id || null,
+      group_message_id: message.group_message_id || null,
+      emoji,
+      created_at: new Date().toISOString()
+    }
+
+    // Show it right away, the server answer only decides whether to roll back
+    const { realtimeCacheManager } = await import('./realtimeCacheManager')
+    realtimeCacheManager.handleReactionUpdate(emoji ? { eventType: 'INSERT', new: row } : { eventType: 'DELETE', old: row })
+
+    try {
+      const { data: senderId, error } = await supabase.rpc('set_message_reaction', {
+        _message: message.id,
+        _emoji: emoji
+      })
+      if (error) throw error
+      if (!senderId) throw new Error('Message cannot be reacted to')
+
+      console.log('😍 [REACTION] Saved', emoji || '(removed)', 'for message:', message.id)
+      if (emoji) {
+        await this.notifySender(message, currentUser, emoji)
+      }
+      return true
+    } catch (error) {
+      console.error('❌ [REACTION] Failed to save reaction:', error)
+      realtimeCacheManager.handleReactionUpdate(previous
+        ? { eventType: 'INSERT', new: { ...row, ...previous } }
+        : { eventType: 'DELETE', old: row })
+      return false
+    }
+  }
+
+  async notifySender(message, currentUser, emoji) {
+    try {
+      const { notificationIntegration } = await import('./notificationIntegration')
+      await notificationIntegration.sendReactionNotification(message, currentUser, emoji)
+    } catch (error) {
+      console.error('❌ [REACTION] Failed to notify sender:', error)
+    }
+  }
+
+  /**
+   * Latest reaction to the current user's messages, per conversation (HomeScreen rows)
+   * @param {string} userId - Current user
+   * @returns {Promise<Object<string, object>>} Reactions keyed by peer or group id
+   */
+  async getLatestReactions(userId) {
+    if (!userId) return {}
+
+    try {
+      const { data, error } = await supabase
+        .from('message_reactions')
+        .select('id,message_id,user_id,conversation_id,group_message_id,emoji,created_at')
+        .eq('message_sender_id', userId)
+        .not('emoji', 'is', null)
+        .order('created_at', { ascending: false })
+        .limit(200)
+      if (error) throw error
+
+      const latest = {}
+      for (const row of data || []) {
+        const conversationId = row.conversation_id || row.user_id
+        if (!latest[conversationId]) latest[conversationId] = row
+      }
+      return latest
+    } catch (error) {
+      console.error('❌ [REACTION] Failed to load latest reactions:', error)
+      return {}
+    }
+  }
+}
+
+// Export singleton instance
+export const reactionService = new ReactionService()
+export default reactionService
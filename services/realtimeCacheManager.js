@@ -5,9 +5,13 @@
  */
 
 import { AppState } from 'react-native'
+import { localDatabase } from '../data/localDatabase'
 import { apiManager } from './apiManager'
 import CacheService from './cacheService'
+import { mediaCacheService } from './mediaCacheService'
+import { mediaEncryptionService } from './mediaEncryptionService'
 import { productionRealtimeService } from './productionRealtimeService'
+import { applyReaction } from './reactionService'
 import { realtimeService } from './realtimeService'
 import { getCurrentUser } from './userService'
 
@@ -383,6 +387,12 @@ class OptimizedRealtimeCacheManager extends EnhancedEventEmitter {
       
     if (!isRelevantToUser) return;
     
+    // Claimed by the expire-media purge, the DELETE that follows is never delivered
+    if (newData.purge_claimed_at) {
+      this._handleMessageDelete(newData);
+      return;
+    }
+    
     // Check what changed for optimized updates
     const changedFields = this._getChangedFields(oldData, newData);
     
@@ -444,19 +454,28 @@ class OptimizedRealtimeCacheManager extends EnhancedEventEmitter {
   }
   
   /**
-   * Handle message deletion
+   * Handle message deletion (e.g. one-time/NSFW claimed by the expire-media purge)
    */
   _handleMessageDelete(deletedData) {
     if (!deletedData || !this.currentUserId) return;
     
+    // Purge claims are UPDATEs carrying the full row; a bare DELETE only has the id
+    const conversationId = deletedData.sender_id ? this.getConversationId(deletedData) : null;
+    if (conversationId) {
+      this.removeMessageFromCache(deletedData.id, conversationId);
+    }
+    localDatabase.deleteMessage(this.currentUserId, deletedData.id);
+    
     this.emit('messageDeleted', {
       messageId: deletedData.id,
+      conversationId,
       timestamp: Date.now()
     });
     
     this.emit('conversationUpdate', {
       type: 'message_deleted',
       messageId: deletedData.id,
+      conversationId,
       timestamp: Date.now()
     });
   }
@@ -470,7 +489,7 @@ class OptimizedRealtimeCacheManager extends EnhancedEventEmitter {
     if (!oldData || !newData) return changes;
     
   // Include read_at/read_by to capture read events stored as timestamps/ids
-  const fieldsToCheck = ['seen', 'read', 'read_at', 'read_by', 'content', 'media_url', 'deleted_at'];
+  const fieldsToCheck = ['seen', 'read', 'read_at', 'read_by', 'content', 'media_url', 'deleted_at', 'screenshot_at', 'state'];
     
     fieldsToCheck.forEach(field => {
       if (oldData[field] !== newData[field]) {
@@ -508,7 +527,7 @@ class OptimizedRealtimeCacheManager extends EnhancedEventEmitter {
   updateAllConversationCaches(userId, conversations, isRealtimeUpdate = false) {
     try {
       // Use the legacy cache key format for backward compatibility
-      CacheService.setWithPersist('conversation', `conversations_${userId}`, conversations);
+      CacheService.set('conversation', `conversations_${userId}`, conversations);
       
       if (__DEV__) {
         console.log(`📊 [Cache] Updated conversations cache: ${conversations.length} conversations`);
@@ -643,7 +662,6 @@ class OptimizedRealtimeCacheManager extends EnhancedEventEmitter {
   // Tracks last update time to avoid excessive writes
   _lastUpdateTimes = new Map();
   _pendingUpdates = new Map();
-  _persistenceTimeout = null;
   
   // UNIFIED CACHE UPDATE - ALL parts of the app use this SAME cache
   updateAllConversationCaches(userId, conversations, isRealtimeUpdate = false) {
@@ -671,23 +689,13 @@ class OptimizedRealtimeCacheManager extends EnhancedEventEmitter {
     // Mark this update time
     this._lastUpdateTimes.set(userId, now);
     
-    // SINGLE SOURCE OF TRUTH: Update ONLY the unified cache with PERSISTENCE
-    CacheService.setWithPersist('conversation', unified, conversations);
+    // SINGLE SOURCE OF TRUTH: Update ONLY the unified cache
+    CacheService.set('conversation', unified, conversations);
     console.log(`📊 [UNIFIED CACHE] Updated conversations cache: ${conversations.length} conversations`);
     
-    // Mark as fresh if it's a real-time update (also persisted)
+    // Mark as fresh if it's a real-time update
     if (isRealtimeUpdate) {
-      CacheService.setWithPersist('conversation', realtimeMarker, now);
-      
-      // Debounce persistence for better performance
-      if (this._persistenceTimeout) {
-        clearTimeout(this._persistenceTimeout);
-      }
-      
-      this._persistenceTimeout = setTimeout(() => {
-        CacheService.persistCache();
-        this._persistenceTimeout = null;
-      }, 200);
+      CacheService.set('conversation', realtimeMarker, now);
     }
     
     return { unified, realtimeMarker };
@@ -829,6 +837,15 @@ class OptimizedRealtimeCacheManager extends EnhancedEventEmitter {
             }
           } catch (e) {}
 
+          // Reactions to my messages have their own table
+          if (payload?.table === 'message_reactions') {
+            this.handleReactionUpdate(payload)
+            return
+          }
+
+          // Requests inbox rows are handled by messageRequestService
+          if (payload?.table === 'message_requests') return
+
           // Default handling path
           this.handleConversationUpdate(payload)
         }
@@ -907,8 +924,15 @@ class OptimizedRealtimeCacheManager extends EnhancedEventEmitter {
       
       const { eventType, new: newData, old: oldData } = payload
       
-      // Handle DELETE events (for account deletion or bulk message deletion)
+      // Handle DELETE events (purged messages, account deletion or bulk message deletion)
       if (eventType === 'DELETE') {
+        // A single deleted message (Supabase sends an empty `new` on DELETE)
+        if (oldData?.id) {
+          console.log('🗑️ [REALTIME DEBUG] Processing DELETE event for message:', oldData.id)
+          this._handleMessageDelete(oldData)
+          return
+        }
+
         console.log('🗑️ [REALTIME DEBUG] Processing DELETE event - likely account deletion')
         
         // If we don't have specific message data, this might be a bulk deletion
@@ -942,18 +966,39 @@ class OptimizedRealtimeCacheManager extends EnhancedEventEmitter {
   // and break the sliding-window behavior. We perform targeted in-place updates
   // below (updateConversationCacheWithNewMessage / updateMessageCacheWithNewMessage)
   if (__DEV__) console.log('ℹ️ [CACHE] Skipping global apiManager.onNewMessage in favor of targeted updates')
+
+        // Keep the wrapped key before anything tries to download encrypted media
+        mediaEncryptionService.registerMessages([newData], this.currentUserId)
+        mediaCacheService.registerMessages([newData], this.currentUserId)
         
+        // Own group fan-out rows: the sender already holds the collapsed message from
+        // backgroundMessageService, so only nudge the conversation list
+        if (newData.conversation_id && newData.sender_id === this.currentUserId) {
+          this.emit('conversationUpdate', {
+            type: 'groupMessageSent',
+            message: newData,
+            conversationId: newData.conversation_id
+          })
+          return
+        }
+
+        // Keep the offline store in step with the live stream
+        localDatabase.saveMessages(this.currentUserId, [newData])
+
         // Handle media for new messages
         if (newData.media_url) {
           this.handleNewMessageMedia(newData)
         }
         
-        // New message received - update conversation cache
-        await this.updateConversationCacheWithNewMessage(newData)
+        // New message received - update conversation cache (groups are rebuilt by the
+        // conversationUpdate refresh below, their rows don't map to a 1:1 entry)
+        if (!newData.conversation_id) {
+          await this.updateConversationCacheWithNewMessage(newData)
+        }
         
         // CRITICAL FIX: Also update the message cache for the specific conversation
         // This ensures ChatScreen can see new messages when reading from cache
-        const otherUserId = newData.sender_id === this.currentUserId ? newData.receiver_id : newData.sender_id
+        const otherUserId = this.getConversationId(newData)
         console.log('🔥 [REALTIME DEBUG] Updating message cache for conversation:', otherUserId)
         this.updateMessageCacheWithNewMessage(newData, otherUserId)
         
@@ -976,12 +1021,34 @@ class OptimizedRealtimeCacheManager extends EnhancedEventEmitter {
       
       if (eventType === 'UPDATE' && newData) {
         console.log('🔥 [REALTIME DEBUG] Processing UPDATE event for message:', newData.id)
+        // Claimed by the expire-media purge: the row is about to be deleted, and filtered
+        // subscriptions never receive that DELETE
+        if (newData.purge_claimed_at) {
+          this._handleMessageDelete(newData)
+          return
+        }
+
         // Message updated (e.g., marked as seen)
         const changed = this._getChangedFields(oldData, newData)
-        const otherUserId = (newData.sender_id === this.currentUserId) ? newData.receiver_id : newData.sender_id
+
+        // A member seen/viewed one of my group fan-out rows: update that member's receipt
+        if (newData.conversation_id && newData.sender_id === this.currentUserId) {
+          this.updateGroupReceiptInCache(newData)
+          if (changed.includes('state')) {
+            this.emit('conversationUpdate', {
+              type: 'message_state',
+              message: newData,
+              conversationId: newData.conversation_id
+            })
+          }
+          return
+        }
+
+        const otherUserId = this.getConversationId(newData)
 
         // Always update message cache for this conversation perspective
         this.updateMessageInCache(newData, otherUserId)
+        localDatabase.saveMessages(this.currentUserId, [newData])
 
         // If this update includes read fields, emit read-specific events and update conversation caches
         if (changed.includes('seen') || changed.includes('seen_at')) {
@@ -1027,6 +1094,32 @@ class OptimizedRealtimeCacheManager extends EnhancedEventEmitter {
             conversationId: this.getConversationId(newData)
           })
         }
+
+        // The receiver captured one of my one-time/NSFW messages
+        if (changed.includes('screenshot_at') && newData.screenshot_at && newData.sender_id === this.currentUserId) {
+          this.emit('messageScreenshotted', {
+            messageId: newData.id,
+            conversationId: this.getConversationId(newData),
+            screenshotAt: newData.screenshot_at
+          })
+        }
+
+        // One of my messages moved forward (delivered, opened, expired)
+        if (changed.includes('state') && newData.sender_id === this.currentUserId) {
+          this.emit('messageStateUpdated', {
+            messageId: newData.id,
+            conversationId: otherUserId,
+            state: newData.state
+          })
+          // A read already refreshed the conversation list above
+          if (!changed.includes('seen')) {
+            this.emit('conversationUpdate', {
+              type: 'message_state',
+              message: newData,
+              conversationId: otherUserId
+            })
+          }
+        }
       }
       
     } catch (error) {
@@ -1144,6 +1237,9 @@ class OptimizedRealtimeCacheManager extends EnhancedEventEmitter {
       const { eventType, new: newData } = payload
       
       if (eventType === 'INSERT' && newData) {
+        mediaEncryptionService.registerMessages([newData], this.currentUserId)
+        mediaCacheService.registerMessages([newData], this.currentUserId)
+
         // Handle media for new messages in chat
         if (newData.media_url) {
           this.handleNewMessageMedia(newData)
@@ -1543,6 +1639,32 @@ class OptimizedRealtimeCacheManager extends EnhancedEventEmitter {
     }
   }
 
+  // Drop a deleted message from the message caches of a conversation
+  removeMessageFromCache(messageId, otherUserId) {
+    try {
+      const cacheKey = `messages_currentUserId:${this.currentUserId}|otherUserId:${otherUserId}`
+      const oldCacheKey = `${otherUserId}_messages`
+
+      const cached = apiManager.getFromCache(cacheKey)
+      if (Array.isArray(cached)) {
+        const remaining = cached.filter(m => m?.id !== messageId)
+        if (remaining.length !== cached.length) apiManager.setCache(cacheKey, remaining)
+      }
+
+      const legacyCached = CacheService.get('message', oldCacheKey)
+      if (Array.isArray(legacyCached)) {
+        const remaining = legacyCached.filter(m => m?.id !== messageId)
+        if (remaining.length !== legacyCached.length) {
+          CacheService.set('message', oldCacheKey, remaining, { ttl: 24 * 60 * 60 * 1000 }) // 24 hours
+        }
+      }
+
+      if (__DEV__) console.log('🗑️ Removed deleted message from cache for conversation', otherUserId, messageId)
+    } catch (error) {
+      console.error('❌ Error removing message from cache:', error)
+    }
+  }
+
   // Update specific message in cache (for seen status, etc.)
   updateMessageInCache(updatedMessage, otherUserId = null) {
     try {
@@ -2062,6 +2184,11 @@ class OptimizedRealtimeCacheManager extends EnhancedEventEmitter {
       // Find conversation that contains this message - not just by last_message_id 
       // but by checking if this message belongs to this conversation
       const conversationIndex = conversations.findIndex(conv => {
+        // Group rows only belong to their group's entry
+        if (updatedMessage.conversation_id || conv.is_group) {
+          return conv.id === updatedMessage.conversation_id
+        }
+
         const otherUserId = updatedMessage.sender_id === this.currentUserId 
           ? updatedMessage.receiver_id 
           : updatedMessage.sender_id
@@ -2116,7 +2243,7 @@ class OptimizedRealtimeCacheManager extends EnhancedEventEmitter {
         conversations[conversationIndex] = conversation
         
         // Update both cache keys
-        CacheService.setWithPersist('conversation', userCacheKey, conversations)
+        CacheService.set('conversation', userCacheKey, conversations)
         CacheService.set('conversation', 'all', conversations) // Keep legacy for compatibility
         
         console.log('📦 Updated conversation cache for message seen status:', updatedMessage.id)
@@ -2459,8 +2586,81 @@ class OptimizedRealtimeCacheManager extends EnhancedEventEmitter {
 
   // Helper to get conversation ID from message
   getConversationId(message) {
+    // Group messages are keyed by their group, like a peer id for 1:1 chats
+    if (message.conversation_id) return message.conversation_id
     return message.sender_id === this.currentUserId ? message.receiver_id : message.sender_id
   }
+
+  // Apply a recipient's seen/viewed state to the sender's collapsed group message
+  updateGroupReceiptInCache(row) {
+    const receipt = {
+      user_id: row.receiver_id,
+      seen: !!row.seen,
+      seen_at: row.seen_at,
+      viewed_at: row.viewed_at,
+      screenshot_at: row.screenshot_at,
+      state: row.state
+    }
+
+    try {
+      const key = `messages_currentUserId:${this.currentUserId}|otherUserId:${row.conversation_id}`
+      const cached = apiManager.getFromCache(key)
+      if (Array.isArray(cached)) {
+        const updated = cached.map(m => {
+          if (!m || m.id !== row.group_message_id) return m
+          const receipts = (m.receipts || []).filter(r => r.user_id !== receipt.user_id).concat(receipt)
+          return { ...m, receipts, seen: receipts.every(r => r.seen) }
+        })
+        apiManager.setCache(key, updated)
+      }
+    } catch (error) {
+      console.warn('⚠️ [REALTIME] Failed to update group receipt in cache:', error)
+    }
+
+    this.emit('groupReceiptUpdated', {
+      conversationId: row.conversation_id,
+      groupMessageId: row.group_message_id,
+      receipt
+    })
+  }
+
+  // Apply a reaction row (realtime, or the current user's own reaction) to the cached chat.
+  // A removed reaction arrives as an UPDATE clearing its emoji (filtered channels get no DELETE).
+  handleReactionUpdate(payload) {
+    const { eventType, new: newData, old: oldData } = payload || {}
+    const row = eventType === 'DELETE' ? oldData : newData
+    if (!row?.message_id || !row.user_id) return
+    const removed = eventType === 'DELETE' || !row.emoji
+
+    const isMine = row.user_id === this.currentUserId
+    const conversationId = row.conversation_id || (isMine ? row.message_sender_id : row.user_id)
+    // The sender sees a group capture as one collapsed message, keyed by group_message_id
+    const messageId = !isMine && row.group_message_id ? row.group_message_id : row.message_id
+    const reaction = removed ? null : {
+      id: row.id,
+      user_id: row.user_id,
+      emoji: row.emoji,
+      created_at: row.created_at
+    }
+
+    try {
+      const key = `messages_currentUserId:${this.currentUserId}|otherUserId:${conversationId}`
+      const cached = apiManager.getFromCache(key)
+      if (Array.isArray(cached)) {
+        const updated = cached.map(m => (m && m.id === messageId ? applyReaction(m, row.user_id, reaction) : m))
+        apiManager.setCache(key, updated)
+      }
+    } catch (error) {
+      console.warn('⚠️ [REALTIME] Failed to update reaction in cache:', error)
+    }
+
+    this.emit('messageReaction', {
+      conversationId,
+      messageId,
+      userId: row.user_id,
+      reaction
+    })
+  }
   
   // P3 FIX: Disabled direct user fetching - use optimized conversation refresh instead
   async fetchUserInfoSync(userId) {
@@ -2513,7 +2713,7 @@ class OptimizedRealtimeCacheManager extends EnhancedEventEmitter {
         
         // Update both cache keys
         const userCacheKey = `conversations_${this.currentUserId}`
-        CacheService.setWithPersist('conversation', userCacheKey, conversations)
+        CacheService.set('conversation', userCacheKey, conversations)
         CacheService.set('conversation', 'all', conversations) // Keep legacy for compatibility
         console.log('📦 Updated conversation with better placeholder:', betterPseudo)
         
@@ -2696,7 +2896,7 @@ class OptimizedRealtimeCacheManager extends EnhancedEventEmitter {
       
       if (updated) {
         // Update cache
-        CacheService.setWithPersist('conversation', userCacheKey, conversations)
+        CacheService.set('conversation', userCacheKey, conversations)
         
         // Emit event to update UI without full reload
         this.emit('userInfoUpdated', {
@@ -1,4 +1,6 @@
 import { DeviceAuthService } from './deviceAuthService';
+import { messageStateService } from './messageStateService';
+import { presenceService } from './presenceService';
 import { supabase } from './supabaseClient';
 
 export const realtimeService = {
@@ -44,7 +46,7 @@ export const realtimeService = {
     }
   },
 
-  // Update user's push token and online status
+  // Update user's push token (online status is Realtime Presence, see presenceService)
   async updatePushToken(userId, pushToken) {
     try {
       await this._ensureAuthenticated()
@@ -52,9 +54,7 @@ export const realtimeService = {
       const { data, error } = await supabase
         .from('users')
         .update({
-          push_token: pushToken,
-          last_seen: new Date().toISOString(),
-          is_online: true
+          push_token: pushToken
         })
         .eq('id', userId)
         .single()
@@ -75,64 +75,30 @@ export const realtimeService = {
     }
   },
 
-  // Set user online status
+  // Online status is Realtime Presence now (see presenceService), not users.is_online
   async setOnlineStatus(userId, isOnline) {
-    try {
-      await this._ensureAuthenticated()
-      // Check if columns exist before trying to update
-      const { data, error } = await supabase
-        .from('users')
-        .update({
-          is_online: isOnline,
-          last_seen: new Date().toISOString()
-        })
-        .eq('id', userId)
-
-      if (error) {
-        // If columns don't exist, log but don't crash
-        if (error.code === 'PGRST204') {
-          console.log('Online status columns not yet available in database. Please apply database_fix.sql')
-          return null
-        }
-        throw error
-      }
-
-      return data
-    } catch (error) {
-      console.error('Error updating online status:', error)
-      // Don't throw to prevent app crashes during development
-      return null
-    }
+    presenceService.setAppActive(isOnline)
+    return null
   },
 
-  // Subscribe to user online status changes
+  // Subscribe to a contact's presence ({ online, lastActiveAt, capture }); returns { unsubscribe }
   subscribeToUserStatus(userId, callback) {
     const subscriptionKey = `user_status_${userId}`
-    
+
     if (this._subscriptions.has(subscriptionKey)) {
       this._subscriptions.get(subscriptionKey).unsubscribe()
     }
 
-    console.log(`📡 Setting up user status subscription for user ${userId}`)
-
-    const subscription = supabase
-      .channel(`user_status_${userId}`)
-      .on(
-        'postgres_changes',
-        {
-          event: 'UPDATE',
-          schema: 'public',
-          table: 'users',
-          filter: `id=eq.${userId}`
-        },
-        (payload) => {
-          console.log('👤 User status update received:', payload)
-          callback(payload.new)
-        }
-      )
-      .subscribe((status) => {
-        console.log(`📡 User status subscription status: ${status}`)
-      })
+    const unwatch = presenceService.watch(userId)
+    const removeListener = presenceService.addListener((changedUserId, presence) => {
+      if (changedUserId === userId) callback(presence)
+    })
+    const subscription = {
+      unsubscribe: () => {
+        removeListener()
+        unwatch()
+      }
+    }
 
     this._subscriptions.set(subscriptionKey, subscription)
     return subscription
@@ -187,46 +153,6 @@ export const realtimeService = {
     }
   },
 
-  // Subscribe to user status updates (if you need this feature)
-  async subscribeToUserStatus(userId, callback) {
-    try {
-      await this._ensureAuthenticated()
-      
-      const subscriptionKey = `user_status_${userId}`
-      
-      if (this._subscriptions.has(subscriptionKey)) {
-        this._subscriptions.get(subscriptionKey).unsubscribe()
-      }
-
-      console.log(`📡 Setting up user status subscription for ${userId}`)
-
-      const subscription = supabase
-        .channel(`user_status_${userId}`)
-        .on(
-          'postgres_changes',
-          {
-            event: 'UPDATE',
-            schema: 'public',
-            table: 'users',
-            filter: `id=eq.${userId}`
-          },
-          (payload) => {
-            console.log('� User status update received:', payload)
-            callback(payload.new)
-          }
-        )
-        .subscribe((status) => {
-          console.log(`📡 User status subscription status: ${status}`)
-        })
-
-      this._subscriptions.set(subscriptionKey, subscription)
-      return subscription
-    } catch (error) {
-      console.error('Error subscribing to user status:', error)
-      throw error
-    }
-  },
-
   // Legacy method for backward compatibility
   subscribeToConversation(currentUserId, otherUserId, callback) {
     console.warn('subscribeToConversation is deprecated. Use subscribeToUserMessages instead.')
@@ -341,26 +267,9 @@ export const realtimeService = {
     }
   },
 
-  // Mark message as delivered
+  // Mark message as delivered - batched through the message state machine
   async markMessageAsDelivered(messageId) {
-    try {
-      const { data, error } = await supabase
-        .from('messages')
-        .update({
-          delivered_at: new Date().toISOString()
-        })
-        .eq('id', messageId)
-        .single()
-
-      if (error) {
-        throw error
-      }
-
-      return data
-    } catch (error) {
-      console.error('Error marking message as delivered:', error)
-      throw error
-    }
+    messageStateService.enqueue([messageId], 'delivered')
   },
 
   // Get unread message count
@@ -0,0 +1,171 @@
+/**
+ * Resumable Upload Service
+ * TUS uploads to Supabase Storage, used for videos.
+ *
+ * The file is sent in 6 MB chunks (the chunk size Supabase requires). The upload URL and
+ * the offset confirmed by the server live in a plain `state` object owned by the caller,
+ * which persists it: an upload cut by a network drop or an app kill continues from the
+ * last acknowledged chunk instead of from zero.
+ */
+
+import { decode, encode } from 'base64-arraybuffer'
+import * as FileSystem from 'expo-file-system/legacy'
+import { getAuthHeaders, supabase } from './supabaseClient'
+
+const TUS_VERSION = '1.0.0'
+export const CHUNK_SIZE = 6 * 1024 * 1024
+
+// Upload-Metadata values are base64 encoded
+const encodeMetadata = (metadata) => Object.entries(metadata)
+  .map(([key, value]) => `${key} ${encode(new TextEncoder().encode(value).buffer)}`)
+  .join(',')
+
+const httpError = (message, status) => {
+  const error = new Error(`${message} (HTTP ${status})`)
+  error.status = status
+  return error
+}
+
+class ResumableUploadService {
+  get endpoint() {
+    return `${supabase.storageUrl}/upload/resumable`
+  }
+
+  async getHeaders(extra = {}) {
+    return {
+      ...(await getAuthHeaders()),
+      'Tus-Resumable': TUS_VERSION,
+      ...extra
+    }
+  }
+
+  // Create the upload on the server, returns its URL
+  async createUpload({ bucket, objectName, contentType, size }) {
+    const response = await fetch(this.endpoint, {
+      method: 'POST',
+      headers: await this.getHeaders({
+        'Upload-Length': String(size),
+        'Upload-Metadata': encodeMetadata({
+          bucketName: bucket,
+          objectName,
+          contentType,
+          cacheControl: '3600'
+        }),
+        'x-upsert': 'true'
+      })
+    })
+
+    if (response.status !== 201) {
+      throw httpError('Could not create resumable upload', response.status)
+    }
+
+    const location = response.headers.get('Location')
+    if (!location) throw new Error('Resumable upload created without a Location header')
+    return new URL(location, this.endpoint).toString()
+  }
+
+  /**
+   * Offset the server has stored for an upload
+   * @returns {Promise<number|null>} null when the upload expired or is unknown
+   */
+  async getOffset(uploadUrl) {
+    const response = await fetch(uploadUrl, {
+      method: 'HEAD',
+      headers: await this.getHeaders({ 'Cache-Control': 'no-store' })
+    })
+
+    if (response.status === 404 || response.status === 410) return null
+    if (!response.ok) throw httpError('Could not read resumable upload offset', response.status)
+
+    const offset = Number(response.headers.get('Upload-Offset'))
+    return Number.isFinite(offset) ? offset : null
+  }
+
+  // PATCH one chunk through XMLHttpRequest, which reports the bytes sent while fetch does not
+  async sendChunk(uploadUrl, offset, chunk, onBytesSent) {
+    const headers = await this.getHeaders({
+      'Upload-Offset': String(offset),
+      'Content-Type': 'application/offset+octet-stream'
+    })
+
+    return new Promise((resolve, reject) => {
+      const xhr = new XMLHttpRequest()
+      xhr.open('PATCH', uploadUrl)
+      Object.entries(headers).forEach(([name, value]) => xhr.setRequestHeader(name, value))
+
+      xhr.upload.onprogress = (event) => onBytesSent?.(event.loaded)
+      xhr.onload = () => {
+        if (xhr.status !== 204) {
+          reject(httpError('Chunk upload failed', xhr.status))
+          return
+        }
+        const newOffset = Number(xhr.getResponseHeader('Upload-Offset'))
+        resolve(Number.isFinite(newOffset) ? newOffset : offset + chunk.byteLength)
+      }
+      xhr.onerror = () => reject(new Error('Network error during chunk upload'))
+      xhr.ontimeout = () => reject(new Error('Chunk upload timed out'))
+
+      xhr.send(chunk)
+    })
+  }
+
+  /**
+   * Upload a local file, resuming from `state` when it holds an upload of the same file
+   * @param {object} options
+   * @param {string} options.fileUri - file:// uri of the bytes to upload
+   * @param {object} options.state - { uploadUrl, offset, size }, mutated as chunks are acknowledged
+   * @param {Function} [options.onStateChange] - called after each change of `state`, to persist it
+   * @param {Function} [options.onProgress] - fraction (0-1) of the bytes stored by the server
+   * @returns {Promise<string>} the object name
+   */
+  async upload({ fileUri, bucket, objectName, contentType, state, onStateChange, onProgress }) {
+    const info = await FileSystem.getInfoAsync(fileUri)
+    if (!info.exists) throw new Error(`File to upload not found: ${fileUri}`)
+    const size = info.size
+
+    if (state.uploadUrl && state.size === size) {
+      const offset = await this.getOffset(state.uploadUrl)
+      if (offset === null) {
+        console.log('⌛ [RESUMABLE] Upload expired on the server, starting over')
+        state.uploadUrl = null
+      } else {
+        console.log(`⏯️ [RESUMABLE] Resuming ${objectName} at ${offset}/${size} bytes`)
+        state.offset = offset
+      }
+    }
+
+    if (!state.uploadUrl || state.size !== size) {
+      state.uploadUrl = await this.createUpload({ bucket, objectName, contentType, size })
+      state.offset = 0
+      state.size = size
+      onStateChange?.(state)
+      console.log(`📤 [RESUMABLE] Created upload for ${objectName} (${size} bytes)`)
+    }
+
+    onProgress?.(state.offset / size)
+
+    while (state.offset < size) {
+      const start = state.offset
+      const base64 = await FileSystem.readAsStringAsync(fileUri, {
+        encoding: FileSystem.EncodingType.Base64,
+        position: start,
+        length: Math.min(CHUNK_SIZE, size - start)
+      })
+
+      state.offset = await this.sendChunk(
+        state.uploadUrl,
+        start,
+        decode(base64),
+        (sent) => onProgress?.(Math.min(start + sent, size) / size)
+      )
+      onStateChange?.(state)
+    }
+
+    onProgress?.(1)
+    console.log(`✅ [RESUMABLE] Upload complete: ${objectName}`)
+    return objectName
+  }
+}
+
+export const resumableUploadService = new ResumableUploadService()
+export default resumableUploadService
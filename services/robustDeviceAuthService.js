@@ -1,5 +1,5 @@
 import Constants from 'expo-constants'
-import { clearUserData, getOrCreateDeviceId, getOrCreateDeviceIdWithMigration, getUserData, saveUserData, getAuthState, saveAuthState, clearAuthState, getPreviousUser, savePreviousUser, getDeviceMigration, saveDeviceMigration } from '../utils/secureStore'
+import { clearUserData, createDeviceId, saveDeviceId, getOrCreateDeviceId, getOrCreateDeviceIdWithMigration, getUserData, saveUserData, getAuthState, saveAuthState, clearAuthState, getPreviousUser, savePreviousUser, getDeviceMigration, saveDeviceMigration } from '../utils/secureStore'
 import { supabase } from './supabaseClient'
 import { NetworkService } from './networkService'
 
@@ -460,9 +460,13 @@ export class RobustDeviceAuthService {
       await clearAllAppData()
       
       const deviceId = await getOrCreateDeviceId()
+
+      // Fresh keypair for end-to-end encrypted media, the public key is stored with the profile
+      const { mediaEncryptionService } = await import('./mediaEncryptionService')
+      const publicKey = await mediaEncryptionService.createKeyPair()
       
       // Attempt registration (no retry for pseudo collision)
-      const registrationResult = await this._attemptRegistration(pseudo, age, sexe, deviceId)
+      const registrationResult = await this._attemptRegistration(pseudo, age, sexe, deviceId, publicKey)
       
       // Handle session creation
       let sessionResult = null
@@ -497,6 +501,7 @@ export class RobustDeviceAuthService {
       return {
         user: registrationResult.user,
         session: sessionResult,
+        recoveryCode: registrationResult.recovery_code || null, // Shown once, only its hash is kept server-side
         isNewAccount: true
       }
       
@@ -511,6 +516,108 @@ export class RobustDeviceAuthService {
     }
   }
 
+  /**
+   * Move an account to this device with its one-time recovery code.
+   * The previous device loses its session; a new recovery code is returned.
+   */
+  static async recoverWithCode(pseudo, recoveryCode) {
+    try {
+      console.log('🔑 [ROBUST_AUTH] Starting recovery code transfer for pseudo:', pseudo)
+
+      await this._updateAuthState({
+        state: this.AUTH_STATES.AUTHENTICATING,
+        user: null,
+        lastOnlineSync: 0
+      })
+
+      const isConnected = await NetworkService.isConnected()
+      if (!isConnected) {
+        throw new Error('Pas de connexion internet. Veuillez vérifier votre connexion et réessayer.')
+      }
+
+      // This device starts clean with a new device ID and keypair, kept only if the
+      // transfer succeeds so a wrong code leaves the local data untouched
+      const deviceId = createDeviceId()
+      const { mediaEncryptionService } = await import('./mediaEncryptionService')
+      const { keyPair, publicKey } = mediaEncryptionService.generateKeyPair()
+
+      const response = await fetch(`${SUPABASE_URL}/functions/v1/recover-account`, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'Authorization': `Bearer ${SUPABASE_ANON_KEY}`,
+        },
+        body: JSON.stringify({
+          pseudo: pseudo.trim(),
+          recovery_code: recoveryCode.trim(),
+          device_id: deviceId,
+          public_key: publicKey
+        })
+      })
+
+      const data = await response.json()
+      if (!response.ok) {
+        throw new Error(data.error || 'Account recovery failed')
+      }
+
+      const { clearAllAppData } = await import('../utils/secureStore')
+      await clearAllAppData()
+      this.clearSessionCache()
+
+      await saveDeviceId(deviceId)
+      await mediaEncryptionService.storeKeyPair(keyPair)
+
+      const sessionResult = await this._handleNormalSessionCreation(data)
+
+      await saveUserData(data.user)
+      await savePreviousUser(data.user)
+
+      const authState = {
+        state: this.AUTH_STATES.ONLINE_AUTHENTICATED,
+        user: data.user,
+        lastOnlineSync: Date.now()
+      }
+      await this._updateAuthState(authState)
+
+      // Push tokens belong to the device, register this one
+      try {
+        const { pushNotificationService } = await import('./pushNotificationService')
+        await pushNotificationService.initializeForNewAccount(data.user.id)
+      } catch (notifError) {
+        console.error('⚠️ [ROBUST_AUTH] Failed to initialize notifications:', notifError)
+      }
+
+      console.log('✅ [ROBUST_AUTH] Account transferred to this device:', data.user.pseudo)
+
+      return {
+        user: data.user,
+        session: sessionResult,
+        recoveryCode: data.recovery_code || null,
+        isRecovery: true
+      }
+
+    } catch (error) {
+      console.error('❌ [ROBUST_AUTH] Recovery code transfer failed:', error)
+
+      const authState = { state: this.AUTH_STATES.UNAUTHENTICATED, user: null, lastOnlineSync: 0 }
+      await this._updateAuthState(authState)
+
+      throw error
+    }
+  }
+
+  /**
+   * Replace the current user's recovery code, the previous one stops working
+   * @returns {Promise<string>} the new code, to show once
+   */
+  static async regenerateRecoveryCode() {
+    const { data, error } = await supabase.rpc('regenerate_recovery_code')
+    if (error) throw error
+
+    console.log('🔑 [ROBUST_AUTH] Recovery code regenerated')
+    return data
+  }
+
   /**
    * Handle pseudo collision recovery
    */
@@ -520,11 +627,13 @@ export class RobustDeviceAuthService {
       
       const currentDeviceId = await getOrCreateDeviceId()
       
-      // Check if previous user exists in database with any device ID
-      const { data: existingUsers, error } = await supabase
-        .from('users')
-        .select('*')
-        .eq('pseudo', pseudo)
+      // Check if the pseudo belongs to the previous user or to this device. users rows are
+      // not readable before sign-in (see migrations/add_user_discoverability.sql)
+      const { data: existingUsers, error } = await supabase.rpc('find_device_account', {
+        _pseudo: pseudo,
+        _user_id: previousUser.id ?? null,
+        _device_id: currentDeviceId
+      })
       
       if (error) {
         console.error('❌ [ROBUST_AUTH] Error checking existing users:', error)
@@ -532,14 +641,15 @@ export class RobustDeviceAuthService {
       }
       
       if (existingUsers?.length > 0) {
-        const existingUser = existingUsers[0]
+        const account = existingUsers[0]
+        const existingUser = { ...previousUser, id: account.id, pseudo: account.pseudo }
         
         // Check if it's the same user by comparing stored user ID
-        if (existingUser.id === previousUser.id) {
+        if (account.id === previousUser.id) {
           console.log('✅ [ROBUST_AUTH] Pseudo collision resolved - same user, attempting reconnection...')
           
           // Try device ID migration if needed
-          if (existingUser.device_id !== currentDeviceId) {
+          if (!account.same_device) {
             console.log('🔄 [ROBUST_AUTH] Device ID changed, attempting migration...')
             const migratedUser = await this._handleDeviceIdMigration(existingUser)
             if (migratedUser) {
@@ -582,7 +692,7 @@ export class RobustDeviceAuthService {
   /**
    * Attempt registration with smart pseudo collision handling
    */
-  static async _attemptRegistration(pseudo, age, sexe, deviceId) {
+  static async _attemptRegistration(pseudo, age, sexe, deviceId, publicKey = null) {
     try {
       const response = await fetch(`${SUPABASE_URL}/functions/v1/register`, {
         method: 'POST',
@@ -594,7 +704,8 @@ export class RobustDeviceAuthService {
           pseudo: pseudo.trim(),
           age: parseInt(age),
           sexe: sexe || 'Autre',
-          device_id: deviceId
+          device_id: deviceId,
+          public_key: publicKey
         })
       })
       
@@ -616,15 +727,16 @@ export class RobustDeviceAuthService {
           }
           
           // Check if existing user in DB matches this device ID
-          const { data: existingUsers } = await supabase
-            .from('users')
-            .select('*')
-            .eq('pseudo', pseudo)
-            .eq('device_id', deviceId)
+          const { data: existingUsers } = await supabase.rpc('find_device_account', {
+            _pseudo: pseudo,
+            _user_id: null,
+            _device_id: deviceId
+          })
           
           if (existingUsers && existingUsers.length > 0) {
             console.log('🔄 [ROBUST_AUTH] Found existing user with same device ID, attempting recovery...')
-            const existingUser = existingUsers[0]
+            const { id, pseudo: existingPseudo } = existingUsers[0]
+            const existingUser = { id, pseudo: existingPseudo, age: parseInt(age), sexe: sexe || 'Autre' }
             const recoveredUser = await this._handlePseudoCollisionRecovery(existingUser, pseudo, age, sexe)
             if (recoveredUser) {
               return recoveredUser
@@ -1109,15 +1221,15 @@ export class RobustDeviceAuthService {
         
         // Try to find this user in database and recover
         try {
-          const { data: existingUsers } = await supabase
-            .from('users')
-            .select('*')
-            .eq('id', previousUser.id)
-            .single()
+          const { data: existingUsers } = await supabase.rpc('find_device_account', {
+            _pseudo: previousUser.pseudo,
+            _user_id: previousUser.id,
+            _device_id: await getOrCreateDeviceId()
+          })
           
-          if (existingUsers) {
+          if (existingUsers?.length > 0) {
             console.log('✅ [ROBUST_AUTH] Previous user found in database, attempting recovery...')
-            const recoveredUser = await this._attemptSessionRecovery(existingUsers)
+            const recoveredUser = await this._attemptSessionRecovery(previousUser)
             if (recoveredUser) {
               console.log('✅ [ROBUST_AUTH] Previous user recovery successful')
               await saveUserData(recoveredUser)
@@ -1166,57 +1278,24 @@ export class RobustDeviceAuthService {
         }
       }
       
-      // Check database for user with this pseudo
-      const { data: existingUsers } = await supabase
-        .from('users')
-        .select('*')
-        .eq('pseudo', pseudo)
-        .limit(1)
+      // Check database for the account with this pseudo, if it was migrated from or
+      // registered on this device
+      const deviceMigration = await getDeviceMigration()
+      const currentDeviceId = await getOrCreateDeviceId()
+      const { data: existingUsers } = await supabase.rpc('find_device_account', {
+        _pseudo: pseudo,
+        _user_id: deviceMigration?.userId ?? null,
+        _device_id: currentDeviceId
+      })
       
       if (existingUsers && existingUsers.length > 0) {
-        const existingUser = existingUsers[0]
-        
-        // Check if this user was previously connected to this device
-        const deviceMigration = await getDeviceMigration()
-        if (deviceMigration && deviceMigration.userId === existingUser.id) {
-          console.log('✅ [ROBUST_AUTH] Found device migration data, attempting recovery...')
-          
-          const recoveryResult = await this._handlePseudoCollisionRecovery(existingUser, pseudo, age, sexe)
-          if (recoveryResult) {
-            return recoveryResult
-          }
-        }
-        
-        // Try device ID migration approach
-        const currentDeviceId = await getOrCreateDeviceId()
+        console.log('✅ [ROBUST_AUTH] Found this device\'s account for the pseudo, attempting recovery...')
+        const { id, pseudo: existingPseudo } = existingUsers[0]
+        const existingUser = { id, pseudo: existingPseudo, age: parseInt(age), sexe: sexe || 'Autre' }
         
-        // Update user's device ID and attempt recovery
-        try {
-          const { error: updateError } = await supabase
-            .from('users')
-            .update({ device_id: currentDeviceId })
-            .eq('id', existingUser.id)
-          
-          if (!updateError) {
-            console.log('✅ [ROBUST_AUTH] Updated device ID for pseudo recovery')
-            
-            const updatedUser = { ...existingUser, device_id: currentDeviceId }
-            
-            // Save user data and update auth state
-            await saveUserData(updatedUser)
-            await savePreviousUser(updatedUser)
-            
-            const authState = {
-              state: this.AUTH_STATES.ONLINE_AUTHENTICATED,
-              user: updatedUser,
-              lastOnlineSync: Date.now()
-            }
-            await this._updateAuthState(authState)
-            
-            return { user: updatedUser, isRecovery: true }
-          }
-        } catch (updateError) {
-          console.warn('⚠️ [ROBUST_AUTH] Could not update device ID for recovery:', updateError)
+        const recoveryResult = await this._handlePseudoCollisionRecovery(existingUser, pseudo, age, sexe)
+        if (recoveryResult) {
+          return recoveryResult
         }
       }
       
@@ -0,0 +1,81 @@
+/**
+ * Screenshot Service
+ * Reports captures of received one-time/NSFW messages: records the event
+ * server-side (which marks the sender's copy) and notifies the sender.
+ * Screen recordings are not reported: they are blocked while such a message is
+ * open (useSensitiveMediaCaptureGuard).
+ */
+
+import { supabase } from './supabaseClient'
+
+class ScreenshotService {
+  constructor() {
+    this.reported = new Set() // `${messageId}:${eventType}` already sent this session
+  }
+
+  /**
+   * Report a capture of a message the current user received
+   * @param {object} message - The displayed message
+   * @param {object} currentUser - Current user ({ id, pseudo })
+   * @param {'screenshot'|'screen_recording'} eventType
+   * @returns {Promise<boolean>} true if the event was recorded
+   */
+  async reportCapture(message, currentUser, eventType = 'screenshot') {
+    if (!message?.id || !currentUser?.id) return false
+    if (!message.view_once && !message.is_nsfw) return false
+    if (message.receiver_id !== currentUser.id) return false
+
+    // Only one event per message per session, repeated captures add nothing for the sender
+    const key = `${message.id}:${eventType}`
+    if (this.reported.has(key)) return false
+    this.reported.add(key)
+
+    try {
+      const { data: senderId, error } = await supabase.rpc('record_message_event', {
+        _message: message.id,
+        _event_type: eventType
+      })
+      if (error) throw error
+      if (!senderId) {
+        console.log('📸 [SCREENSHOT] Message does not qualify, nothing recorded:', message.id)
+        return false
+      }
+
+      console.log('📸 [SCREENSHOT] Recorded', eventType, 'for message:', message.id)
+      await this.notifySender(senderId, message, currentUser, eventType)
+      return true
+    } catch (error) {
+      this.reported.delete(key)
+      console.error('❌ [SCREENSHOT] Failed to record capture:', error)
+      return false
+    }
+  }
+
+  async notifySender(senderId, message, currentUser, eventType) {
+    try {
+      const { notificationManager } = await import('./notificationManager')
+      const pseudo = currentUser.pseudo || 'Quelqu\'un'
+      await notificationManager.sendNotification({
+        userId: senderId,
+        title: pseudo,
+        body: eventType === 'screen_recording'
+          ? `${pseudo} a enregistré l'écran pendant votre média`
+          : `${pseudo} a fait une capture d'écran de votre média`,
+        data: {
+          type: 'screenshot',
+          senderId: currentUser.id,
+          senderPseudo: currentUser.pseudo,
+          messageId: message.id,
+          conversationId: message.conversation_id || null
+        },
+        priority: 'high'
+      })
+    } catch (error) {
+      console.error('❌ [SCREENSHOT] Failed to notify sender:', error)
+    }
+  }
+}
+
+// Export singleton instance
+export const screenshotService = new ScreenshotService()
+export default screenshotService
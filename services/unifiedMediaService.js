@@ -8,15 +8,22 @@ import { decode } from 'base64-arraybuffer'
 import * as FileSystem from 'expo-file-system/legacy'
 import { File, Directory } from 'expo-file-system'
 import * as VideoThumbnails from 'expo-video-thumbnails'
+import { mediaCacheService } from './mediaCacheService'
+import { ENCRYPTED_SUFFIX, mediaEncryptionService } from './mediaEncryptionService'
+import { resumableUploadService } from './resumableUploadService'
 import { supabase } from './supabaseClient'
 
 // Unified cache directories using legacy path for compatibility
 const CACHE_DIRECTORIES = {
   images: `${FileSystem.cacheDirectory}images/`,
   videos: `${FileSystem.cacheDirectory}videos/`,
-  thumbnails: `${FileSystem.cacheDirectory}thumbnails/`
+  thumbnails: `${FileSystem.cacheDirectory}thumbnails/`,
+  uploads: `${FileSystem.cacheDirectory}uploads/` // Encrypted copies of media being uploaded
 }
 
+// Decrypted working copies, deleted when the app is backgrounded (mediaCacheService holds the encrypted copies)
+const PLAIN_DIRECTORIES = ['images', 'videos', 'thumbnails']
+
 // --- NEW: helpers for local cache paths & signed URLs --- //
 const SB_SCHEME_MEDIA = 'sb://media/';
 const SB_SCHEME_THUMBS = 'sb://thumbs/';
@@ -27,6 +34,10 @@ const senderLocalIndex = {
   thumbs: new Map(),    // objectKey -> local file path (optionnel)
 };
 
+// Les objets chiffrés (.enc) sont mis en cache déchiffrés, sans le suffixe
+const toLocalKey = (objectKey) =>
+  objectKey.endsWith(ENCRYPTED_SUFFIX) ? objectKey.slice(0, -ENCRYPTED_SUFFIX.length) : objectKey;
+
 // Crée récursivement les dossiers pour un chemin fichier donné
 async function ensureSubdirsForFile(fullPath) {
   const parts = fullPath.split('/');
@@ -36,6 +47,20 @@ async function ensureSubdirsForFile(fullPath) {
   if (!dir.exists) await dir.create({ intermediates: true });
 }
 
+// Corps d'upload chiffré : la copie est scellée sur disque par blocs puis relue
+async function readSealedCopy(uri, contentKey) {
+  const sealedPath = `${CACHE_DIRECTORIES.uploads}${Date.now()}-${Math.random().toString(36).slice(2)}${ENCRYPTED_SUFFIX}`;
+  await ensureSubdirsForFile(sealedPath);
+  try {
+    await mediaEncryptionService.encryptFile(uri, contentKey, sealedPath);
+    return decode(await FileSystem.readAsStringAsync(sealedPath, {
+      encoding: FileSystem.EncodingType.Base64,
+    }));
+  } finally {
+    await FileSystem.deleteAsync(sealedPath, { idempotent: true });
+  }
+}
+
 // Extrait l'objectKey d'une URL signée Supabase
 function extractObjectKeyFromSignedUrl(url) {
   try {
@@ -70,18 +95,26 @@ class UnifiedMediaService {
     this.fileCache = new Map() // File path cache
     this.downloadQueue = new Map() // Prevent duplicate downloads
     this.processingUrls = new Set() // Track processing status
-    this.initialized = false
+    this.initPromise = null
     
     this.init()
   }
 
-  async init() {
-    if (this.initialized) return
-    
+  init() {
+    if (!this.initPromise) this.initPromise = this.createDirectories()
+    return this.initPromise
+  }
+
+  async createDirectories() {
     try {
       // Create cache directories - prioritize compatibility
       for (const [type, dirPath] of Object.entries(CACHE_DIRECTORIES)) {
         try {
+          // Plaintext left by the previous run, restored from the vault on demand
+          if (PLAIN_DIRECTORIES.includes(type)) {
+            await FileSystem.deleteAsync(dirPath, { idempotent: true })
+          }
+
           // Check if directory exists using legacy API (more reliable)
           const dirInfo = await FileSystem.getInfoAsync(dirPath)
           if (!dirInfo.exists) {
@@ -104,7 +137,6 @@ class UnifiedMediaService {
         }
       }
       
-      this.initialized = true
       if (__DEV__) console.log('✅ [UNIFIED_MEDIA] Service initialized')
     } catch (error) {
       console.error('❌ [UNIFIED_MEDIA] Initialization failed:', error)
@@ -464,6 +496,8 @@ class UnifiedMediaService {
 
   // Télécharge (une seule fois) un objectKey vers le cache local, puis renvoie file://...
   async getLocalPathFromObjectKey(objectKey, type = 'image', priority = 'normal') {
+    await this.init();
+
     // 1) Le sender a peut-être déjà le fichier local -> réutiliser
     if (type === 'image' && senderLocalIndex.media.has(objectKey)) {
       const localPath = senderLocalIndex.media.get(objectKey);
@@ -487,18 +521,31 @@ class UnifiedMediaService {
     }
 
     // 2) Chemin cache local ciblé (on garde la hiérarchie)
-    const baseDir = type === 'thumbnail' ? CACHE_DIRECTORIES.thumbnails : CACHE_DIRECTORIES.images;
-    const localPath = `${baseDir}${objectKey}`;
+    const cacheKind = type === 'thumbnail' ? 'thumbnails' : 'images';
+    const localPath = `${CACHE_DIRECTORIES[cacheKind]}${toLocalKey(objectKey)}`;
     const file = new File(localPath);
     if (file.exists) {
       if (__DEV__ && priority === 'notification') {
         console.log(`🎯 [UNIFIED_MEDIA] File already cached locally for ${objectKey}`);
       }
+      mediaCacheService.touch(cacheKind, objectKey, localPath);
       return localPath;
     }
 
     await ensureSubdirsForFile(localPath);
 
+    // Copie chiffrée sur disque d'une session précédente
+    if (await mediaCacheService.restore(cacheKind, objectKey, localPath)) {
+      return localPath;
+    }
+
+    // Média chiffré : sans clé pour cet utilisateur, inutile de le télécharger
+    const encrypted = mediaEncryptionService.isEncryptedObject(objectKey);
+    const wrappedKey = encrypted ? await mediaEncryptionService.getWrappedKey(objectKey) : null;
+    if (encrypted && !wrappedKey) {
+      throw new Error(`No media key for encrypted object: ${objectKey}`);
+    }
+
     // 3) EGRESS OPTIMIZATION: Try to use batch cache first before individual signing
     let signed = null;
     const cacheKey = type === 'thumbnail' ? `thumbs/${objectKey}` : `media/${objectKey}`;
@@ -536,13 +583,24 @@ class UnifiedMediaService {
 
     // Start download with global queue protection
     const downloadPromise = (async () => {
-      const res = await FileSystem.downloadAsync(signed, localPath);
+      const downloadPath = encrypted ? `${localPath}${ENCRYPTED_SUFFIX}` : localPath;
+      const res = await FileSystem.downloadAsync(signed, downloadPath);
       if (res.status !== 200) throw new Error(`Download failed: ${res.status}`);
 
+      if (encrypted) {
+        try {
+          const decrypted = await mediaEncryptionService.decryptFile(downloadPath, localPath, wrappedKey);
+          if (!decrypted) throw new Error(`Decryption failed: ${objectKey}`);
+        } finally {
+          await FileSystem.deleteAsync(downloadPath, { idempotent: true });
+        }
+      }
+
       if (__DEV__) {
         console.log(`✅ [UNIFIED] Download completed: ${objectKey} (${type})`);
       }
 
+      await mediaCacheService.store(cacheKind, objectKey, localPath);
       return localPath;
     })()
 
@@ -561,6 +619,7 @@ class UnifiedMediaService {
   // Get cached file path (downloads if needed) - Enhanced for notification loading
   async getCachedFile(url, type = 'image', priority = 'normal') {
     if (!url) return null
+    await this.init()
 
     // NEW: schémas internes → utiliser l'objectKey directement
     if (url?.startsWith(SB_SCHEME_MEDIA)) {
@@ -576,11 +635,16 @@ class UnifiedMediaService {
     const objectKey = extractObjectKeyFromSignedUrl(url) || url; // fallback
     const cacheKey = objectKey;
 
+    // Un objet chiffré doit passer par le déchiffrement
+    if (mediaEncryptionService.isEncryptedObject(objectKey)) {
+      return await this.getLocalPathFromObjectKey(objectKey, type === 'thumbnail' ? 'thumbnail' : 'image', priority);
+    }
+
     if (!cacheKey) return url
 
     const filename = cacheKey.split('/').pop()
-    const baseDir = type === 'thumbnail' ? CACHE_DIRECTORIES.thumbnails : CACHE_DIRECTORIES.images;
-    const localPath = `${baseDir}${cacheKey}`; // keep folder structure
+    const cacheKind = type === 'thumbnail' ? 'thumbnails' : 'images'
+    const localPath = `${CACHE_DIRECTORIES[cacheKind]}${cacheKey}`; // keep folder structure
     await ensureSubdirsForFile(localPath);
 
     // Check if file exists
@@ -591,12 +655,18 @@ class UnifiedMediaService {
         if (priority === 'notification' && __DEV__) {
           console.log(`🎯 [UNIFIED_MEDIA] Cache hit for notification: ${filename}`)
         }
+        mediaCacheService.touch(cacheKind, cacheKey, localPath)
         return localPath
       }
     } catch (error) {
       console.warn(`⚠️ [UNIFIED_MEDIA] Error checking file existence: ${filename}`, error.message)
     }
 
+    if (await mediaCacheService.restore(cacheKind, cacheKey, localPath)) {
+      this.fileCache.set(cacheKey, localPath)
+      return localPath
+    }
+
     // Check if already downloading (use UNIFIED global queue key with object key + type)
     // This ensures deduplication works across ALL download methods
     const unifiedGlobalKey = `${type}_${cacheKey}` // Same format as getLocalPathFromObjectKey
@@ -611,7 +681,10 @@ class UnifiedMediaService {
     if (__DEV__) {
       console.log(`🔄 [UNIFIED] Starting new unified download for: ${cacheKey} (${type}) - Queue size: ${globalDownloadQueue.size}`);
     }
-    const downloadPromise = this.downloadFile(url, localPath, type, priority)
+    const downloadPromise = this.downloadFile(url, localPath, type, priority).then(async (result) => {
+      if (result === localPath) await mediaCacheService.store(cacheKind, cacheKey, localPath)
+      return result
+    })
     globalDownloadQueue.set(unifiedGlobalKey, downloadPromise)
 
     try {
@@ -661,7 +734,10 @@ class UnifiedMediaService {
   }
 
   // Upload media with progress and thumbnail generation (ENHANCED)
-  async uploadMedia(uri, mediaType, sender, receiver, onProgress = null) {
+  // contentKey: when set, the media (and video thumbnail) is encrypted before upload
+  // uploadState: persisted by the caller - videos are uploaded in resumable chunks and a
+  // retry with the same state continues where the previous attempt stopped
+  async uploadMedia(uri, mediaType, sender, receiver, onProgress = null, contentKey = null, uploadState = null, onUploadStateChange = null) {
     try {
       // Debug: Log the actual objects being passed
       console.log(`🔍 [UNIFIED_MEDIA] Raw sender:`, sender)
@@ -690,7 +766,7 @@ class UnifiedMediaService {
             if (!this.processingUrls.has(uploadKey)) {
               clearInterval(checkInterval)
               // Return the upload result if available
-              resolve(this.uploadMedia(uri, mediaType, sender, receiver, onProgress))
+              resolve(this.uploadMedia(uri, mediaType, sender, receiver, onProgress, contentKey, uploadState, onUploadStateChange))
             }
           }, 100)
           
@@ -708,19 +784,22 @@ class UnifiedMediaService {
       }
       
       try {
+        const state = uploadState || {}
+        const saveState = () => onUploadStateChange?.(state)
+
         // Progress tracking
         if (onProgress) onProgress(0.1) // Starting
         
-        // Generate thumbnail for videos
-        let thumbnailUrl = null
-        if (mediaType === 'video') {
+        // Generate thumbnail for videos (a resumed upload keeps the one of the first attempt)
+        let thumbnailUrl = state.thumbnailUrl ?? null
+        if (mediaType === 'video' && state.thumbnailUrl === undefined) {
           console.log('🎬 [UNIFIED_MEDIA] Generating video thumbnail...')
           try {
             const thumbnailUri = await this.generateThumbnail(uri)
             if (thumbnailUri) {
               // Upload thumbnail
               console.log('📷 [UNIFIED_MEDIA] Uploading thumbnail...')
-              const thumbnailResult = await this.uploadThumbnail(thumbnailUri, senderPseudo, receiverPseudo)
+              const thumbnailResult = await this.uploadThumbnail(thumbnailUri, senderPseudo, receiverPseudo, contentKey)
               thumbnailUrl = `${SB_SCHEME_THUMBS}${thumbnailResult.fileName}` // Convert to internal sb:// format
               console.log('✅ [UNIFIED_MEDIA] Thumbnail uploaded successfully:', thumbnailUrl)
             }
@@ -728,44 +807,64 @@ class UnifiedMediaService {
             console.warn('⚠️ [UNIFIED_MEDIA] Thumbnail generation failed:', thumbnailError)
             // Continue without thumbnail
           }
+          state.thumbnailUrl = thumbnailUrl
+          saveState()
         }
         
         if (onProgress) onProgress(0.3) // Thumbnail done
-        
-        // Read file
-        const base64 = await FileSystem.readAsStringAsync(uri, {
-          encoding: FileSystem.EncodingType.Base64,
-        })
-
-        if (onProgress) onProgress(0.5) // File read
 
-        const timestamp = Date.now()
-        const extension = mediaType === 'video' ? 'mp4' : 'jpg'
-        const fileName = `${senderPseudo}/${receiverPseudo}/${timestamp}.${extension}`
+        // A video keeps its object key in the state so a resumed upload targets the same object.
+        // A photo is sent in one request: a retry uploads to a new key, the previous one may exist.
+        let fileName = mediaType === 'video' ? state.objectKey : null
+        if (!fileName) {
+          const extension = mediaType === 'video' ? 'mp4' : 'jpg'
+          fileName = `${senderPseudo}/${receiverPseudo}/${Date.now()}.${extension}${contentKey ? ENCRYPTED_SUFFIX : ''}`
+          if (mediaType === 'video') {
+            state.objectKey = fileName
+            saveState()
+          }
+        }
+        const contentType = contentKey ? 'application/octet-stream' : mediaType === 'video' ? 'video/mp4' : 'image/jpeg'
         
         console.log(`📁 [UNIFIED_MEDIA] Upload path: ${fileName}`)
 
-        // Upload to Supabase
-        const { data: uploadData, error: uploadError } = await supabase.storage
-          .from('media')
-          .upload(fileName, decode(base64), {
-            contentType: mediaType === 'video' ? 'video/mp4' : 'image/jpeg',
-            cacheControl: '3600'
-          })
+        let objectKey
+        if (mediaType === 'video') {
+          objectKey = await this.uploadResumable(uri, fileName, contentType, contentKey, state, saveState, onProgress)
+        } else {
+          // Read file (encrypted with the content key for E2EE sends)
+          const body = contentKey
+            ? await readSealedCopy(uri, contentKey)
+            : decode(await FileSystem.readAsStringAsync(uri, {
+              encoding: FileSystem.EncodingType.Base64,
+            }))
+
+          if (onProgress) onProgress(0.5) // File read
+
+          // Upload to Supabase
+          const { data: uploadData, error: uploadError } = await supabase.storage
+            .from('media')
+            .upload(fileName, body, {
+              contentType,
+              cacheControl: '3600'
+            })
 
-        if (uploadError) throw uploadError
+          if (uploadError) throw uploadError
 
-        if (onProgress) onProgress(0.8) // Upload complete
+          if (onProgress) onProgress(0.8) // Upload complete
+          objectKey = uploadData.path // ex: senderPseudo/receiverPseudo/ts.jpg
+        }
 
         // Pas d'URL signée longue durée : on utilisera sb:// + JIT (300s) pour les receivers
         
         // Sauvegarde locale du fichier uploadé sous le même objectKey (évite tout re-download pour le sender)
-        const objectKey = uploadData.path; // ex: senderPseudo/receiverPseudo/ts.jpg
-        const localCachePath = `${CACHE_DIRECTORIES.images}${objectKey}`;
+        await this.init();
+        const localCachePath = `${CACHE_DIRECTORIES.images}${toLocalKey(objectKey)}`;
         await ensureSubdirsForFile(localCachePath);
         try {
           await FileSystem.copyAsync({ from: uri, to: localCachePath });
           senderLocalIndex.media.set(objectKey, localCachePath);
+          mediaCacheService.store('images', objectKey, localCachePath);
         } catch (e) {
           console.warn('⚠️ [UNIFIED_MEDIA] Local copy failed (non-blocking):', e?.message);
         }
@@ -798,24 +897,71 @@ class UnifiedMediaService {
     }
   }
 
+  // Upload a video in resumable chunks, progress 0.35 -> 0.95 follows the bytes stored by the server
+  async uploadResumable(uri, fileName, contentType, contentKey, state, saveState, onProgress) {
+    let fileUri = uri
+
+    // The ciphertext must stay byte-identical between attempts: it is written once and reused
+    if (contentKey) {
+      const sealedInfo = state.sourceUri ? await FileSystem.getInfoAsync(state.sourceUri) : null
+      if (!sealedInfo?.exists) {
+        const sealedPath = `${CACHE_DIRECTORIES.uploads}${Date.now()}${ENCRYPTED_SUFFIX}`
+        await ensureSubdirsForFile(sealedPath)
+        await mediaEncryptionService.encryptFile(uri, contentKey, sealedPath)
+        state.sourceUri = sealedPath
+        state.uploadUrl = null // New ciphertext, a previous partial upload cannot be continued
+        saveState()
+      }
+      fileUri = state.sourceUri
+    }
+
+    if (onProgress) onProgress(0.35)
+
+    await resumableUploadService.upload({
+      fileUri,
+      bucket: 'media',
+      objectName: fileName,
+      contentType,
+      state,
+      onStateChange: saveState,
+      onProgress: onProgress ? (fraction) => onProgress(0.35 + fraction * 0.6) : null
+    })
+
+    await this.discardUploadState(state)
+    return fileName
+  }
+
+  // Delete the temporary encrypted copy of an upload that completed or was abandoned
+  async discardUploadState(state) {
+    if (!state?.sourceUri) return
+    try {
+      await FileSystem.deleteAsync(state.sourceUri, { idempotent: true })
+    } catch (error) {
+      console.warn('⚠️ [UNIFIED_MEDIA] Could not delete upload file:', error?.message)
+    }
+    state.sourceUri = null
+  }
+
   // Upload thumbnail to dedicated thumbnails folder
-  async uploadThumbnail(thumbnailUri, senderPseudo, receiverPseudo) {
+  async uploadThumbnail(thumbnailUri, senderPseudo, receiverPseudo, contentKey = null) {
     try {
       // Read thumbnail file
-      const base64 = await FileSystem.readAsStringAsync(thumbnailUri, {
-        encoding: FileSystem.EncodingType.Base64,
-      })
+      const body = contentKey
+        ? await readSealedCopy(thumbnailUri, contentKey)
+        : decode(await FileSystem.readAsStringAsync(thumbnailUri, {
+          encoding: FileSystem.EncodingType.Base64,
+        }))
 
       const timestamp = Date.now()
-      const fileName = `thumbnails/${senderPseudo}/${timestamp}.jpg`
+      const fileName = `thumbnails/${senderPseudo}/${timestamp}.jpg${contentKey ? ENCRYPTED_SUFFIX : ''}`
       
       console.log(`📁 [UNIFIED_MEDIA] Thumbnail upload path: ${fileName}`)
 
       // Upload to Supabase
       const { data: uploadData, error: uploadError } = await supabase.storage
         .from('media')
-        .upload(fileName, decode(base64), {
-          contentType: 'image/jpeg',
+        .upload(fileName, body, {
+          contentType: contentKey ? 'application/octet-stream' : 'image/jpeg',
           cacheControl: '3600'
         })
 
@@ -882,7 +1028,7 @@ class UnifiedMediaService {
       if (objectKey) {
         // Determine cache directory based on media type
         const cacheDir = mediaType === 'video' ? CACHE_DIRECTORIES.videos : CACHE_DIRECTORIES.images
-        const localPath = `${cacheDir}${objectKey}`
+        const localPath = `${cacheDir}${toLocalKey(objectKey)}`
         
         // Remove main media file from file system
         try {
@@ -898,7 +1044,7 @@ class UnifiedMediaService {
         // Also remove thumbnail if it exists (for videos)
         if (mediaType === 'video') {
           try {
-            const thumbnailPath = `${CACHE_DIRECTORIES.thumbnails}${objectKey}`
+            const thumbnailPath = `${CACHE_DIRECTORIES.thumbnails}${toLocalKey(objectKey)}`
             const thumbnailInfo = await FileSystem.getInfoAsync(thumbnailPath)
             if (thumbnailInfo.exists) {
               await FileSystem.deleteAsync(thumbnailPath)
@@ -909,6 +1055,10 @@ class UnifiedMediaService {
           }
         }
         
+        // Remove the encrypted copies
+        await mediaCacheService.remove('images', objectKey)
+        await mediaCacheService.remove('thumbnails', objectKey)
+
         // Remove from sender local index if it exists
         if (senderLocalIndex.media.has(objectKey)) {
           senderLocalIndex.media.delete(objectKey)
@@ -953,13 +1103,38 @@ class UnifiedMediaService {
     if (__DEV__) console.log('🧹 [UNIFIED_MEDIA] Cache cleared')
   }
 
+  // Remove every media file kept on disk (encrypted copies and session working copies)
+  async clearDiskCache() {
+    await this.init()
+    await mediaCacheService.clear()
+
+    for (const type of PLAIN_DIRECTORIES) {
+      await FileSystem.deleteAsync(CACHE_DIRECTORIES[type], { idempotent: true })
+      await FileSystem.makeDirectoryAsync(CACHE_DIRECTORIES[type], { intermediates: true })
+    }
+    senderLocalIndex.media.clear()
+    senderLocalIndex.thumbs.clear()
+    this.clearCache()
+
+    if (__DEV__) console.log('🧹 [UNIFIED_MEDIA] Disk cache cleared')
+  }
+
+  // Remove the media of one conversation kept on disk (peerId: other user or group conversation id)
+  async clearConversationCache(peerId) {
+    if (!peerId) return
+    await mediaCacheService.clearConversation(peerId)
+  }
+
   // Get cache stats
   getCacheStats() {
     return {
       signedUrls: this.cache.size,
       files: this.fileCache.size,
       activeDownloads: this.downloadQueue.size,
-      processing: this.processingUrls.size
+      processing: this.processingUrls.size,
+      diskFiles: Object.keys(mediaCacheService.index).length,
+      diskBytes: mediaCacheService.getTotalSize(),
+      diskBudget: mediaCacheService.getBudget()
     }
   }
 }
@@ -972,7 +1147,7 @@ export const getSignedUrl = (url) => unifiedMediaService.getSignedUrl(url)
 export const getSignedUrlsBatch = (urls) => unifiedMediaService.getSignedUrlsBatch(urls)
 export const getCachedImage = (url) => unifiedMediaService.getCachedFile(url, 'image')
 export const getCachedVideo = (url) => unifiedMediaService.getCachedFile(url, 'video')
-export const uploadMedia = (uri, type, sender, receiver, onProgress) => 
-  unifiedMediaService.uploadMedia(uri, type, sender, receiver, onProgress)
+export const uploadMedia = (uri, type, sender, receiver, onProgress, contentKey, uploadState, onUploadStateChange) => 
+  unifiedMediaService.uploadMedia(uri, type, sender, receiver, onProgress, contentKey, uploadState, onUploadStateChange)
 
 export default unifiedMediaService
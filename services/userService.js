@@ -142,12 +142,9 @@ export const findUserByPseudo = async (pseudo) => {
     debugLog('userService', 'findUserByPseudo_START', { pseudo })
     
     debugLog('supabase', 'findUserByPseudo_DB_QUERY_START', { searchPseudo: pseudo })
-        // PATCH 7: Use skinny select to reduce payload (removed avatar_url as it doesn't exist)
-    const { data, error } = await supabase
-      .from('users')
-      .select('id,pseudo,updated_at,age,sexe')
-      .eq('pseudo', pseudo.trim().toLowerCase())
-      .single()
+    // Skips users only reachable by invite, counts against the search rate limit
+    const { data: rows, error } = await supabase.rpc('find_user_by_pseudo', { _pseudo: pseudo })
+    const data = rows?.[0] || null
     
     debugLog('supabase', 'findUserByPseudo_DB_QUERY_RESPONSE', { 
       success: !error,
@@ -161,6 +158,8 @@ export const findUserByPseudo = async (pseudo) => {
       debugLog('userService', 'findUserByPseudo_ERROR', { error: error.message })
       throw error
     }
+
+    if (!data) return null
     
     debugLog('userService', 'findUserByPseudo_SUCCESS', { 
       userId: data.id,
@@ -171,6 +170,8 @@ export const findUserByPseudo = async (pseudo) => {
     return data
   } catch (error) {
     debugLog('userService', 'findUserByPseudo_CATCH_ERROR', { error: error.message })
+    // Callers tell the user to wait instead of reporting "not found"
+    if (isSearchRateLimitError(error)) throw error
     return null
   }
 }
@@ -181,9 +182,10 @@ export const findUserByUserId = async (userId) => {
     
     debugLog('supabase', 'findUserByUserId_DB_QUERY_START', { searchUserId: userId })
     // PATCH 7: Use skinny select to reduce payload (removed avatar_url as it doesn't exist)
+    // Other users are only readable through user_profiles (see migrations/add_user_discoverability.sql)
     const { data, error } = await supabase
-      .from('users')
-      .select('id,pseudo,updated_at,age,sexe')
+      .from('user_profiles')
+      .select('id,pseudo')
       .eq('id', userId)
       .single()
     
@@ -202,9 +204,7 @@ export const findUserByUserId = async (userId) => {
     
     debugLog('userService', 'findUserByUserId_SUCCESS', { 
       userId: data.id,
-      pseudo: data.pseudo,
-      age: data.age,
-      sexe: data.sexe
+      pseudo: data.pseudo
     })
     return data
   } catch (error) {
@@ -212,7 +212,7 @@ export const findUserByUserId = async (userId) => {
     return null
   }
 }
-export const sendMessage = async (receiverId, mediaUrl, mediaType, caption = null, mediaMode = 'permanent', thumbnailUrl = null, isMuted = false) => {
+export const sendMessage = async (receiverId, mediaUrl, mediaType, caption = null, mediaMode = 'permanent', thumbnailUrl = null, isMuted = false, viewDuration = null, keys = null, replyToMessageId = null, fromGallery = false, mediaOverlay = null) => {
   try {
     console.log(`🔍 [USERSERVICE] sendMessage called with:`, { 
       receiverId, 
@@ -221,7 +221,12 @@ export const sendMessage = async (receiverId, mediaUrl, mediaType, caption = nul
       caption,
       mediaMode,
       thumbnailUrl: thumbnailUrl ? 'present' : 'none',
-      isMuted
+      isMuted,
+      viewDuration,
+      encrypted: !!keys?.mediaKey,
+      replyToMessageId,
+      fromGallery,
+      hasOverlay: !!mediaOverlay
     })
     
     if (!receiverId) {
@@ -259,10 +264,11 @@ export const sendMessage = async (receiverId, mediaUrl, mediaType, caption = nul
     switch (mediaMode) {
       case 'one_time':
         viewOnce = true
+        autoDeleteAfter = viewDuration // Seconds, null = until the receiver swipes away
         break
       case 'nsfw':
         isNsfw = true
-        // No special handling needed - treat as normal message with flame indicator
+        autoDeleteAfter = viewDuration // Seconds, null = 5s photos / video length
         break
       case 'permanent':
       default:
@@ -291,7 +297,12 @@ export const sendMessage = async (receiverId, mediaUrl, mediaType, caption = nul
         is_nsfw: isNsfw,
         auto_delete_after: autoDeleteAfter,
         thumbnail_url: thumbnailUrl,
-        is_muted: isMuted
+        is_muted: isMuted,
+        media_key: keys?.mediaKey ?? null,
+        sender_media_key: keys?.senderMediaKey ?? null,
+        reply_to_message_id: replyToMessageId,
+        from_gallery: fromGallery,
+        media_overlay: mediaOverlay
       })
       .select('id, created_at, sender_id') // P7 FIX: Only essential fields for cache updates
       .single()
@@ -322,8 +333,14 @@ export const sendMessage = async (receiverId, mediaUrl, mediaType, caption = nul
           auto_delete_after: autoDeleteAfter,
           thumbnail_url: thumbnailUrl,
           is_muted: isMuted,
+          media_key: keys?.mediaKey ?? null,
+          sender_media_key: keys?.senderMediaKey ?? null,
+          reply_to_message_id: replyToMessageId,
+          from_gallery: fromGallery,
+          media_overlay: mediaOverlay,
           seen: false,
-          viewed_at: null
+          viewed_at: null,
+          state: 'sent'
         }
         
         // IMPROVED: Directly update cache with the complete message instead of API call
@@ -519,13 +536,37 @@ export const searchUsersByPseudo = async (searchTerm) => {
     return []
   }
 }
+
+// search_users and find_user_by_pseudo refuse searches past the per-user budget
+export const isSearchRateLimitError = (error) => error?.code === 'PT429'
+
+/**
+ * How others can find the user: 'prefix' (search while typing), 'exact' (full
+ * pseudo only) or 'invite' (invite link only)
+ */
+export const getDiscoverability = async (userId) => {
+  const { data, error } = await supabase
+    .from('users')
+    .select('discoverability')
+    .eq('id', userId)
+    .single()
+
+  if (error) throw error
+  return data?.discoverability || 'prefix'
+}
+
+export const setDiscoverability = async (mode) => {
+  const { error } = await supabase.rpc('set_discoverability', { _mode: mode })
+  if (error) throw error
+  console.log(`🔍 [USERSERVICE] Discoverability set to ${mode}`)
+}
 export const deleteUserAccount = async () => {
   try {
     const currentUser = await getCurrentUserCached() // Use cached version
     if (!currentUser) throw new Error('User not authenticated')
     // 1. Clear local media cache (server deletion handled by database)
     const { unifiedMediaService } = await import('./unifiedMediaService')
-    unifiedMediaService.clearCache()
+    await unifiedMediaService.clearDiskCache()
     // 2. Delete all messages involving this user
     const { error: deleteMessagesError } = await supabase
       .from('messages')
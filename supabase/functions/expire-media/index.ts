@@ -0,0 +1,172 @@
+// Supabase Edge Function purging one-time and NSFW messages once viewed, once their
+// self-destruct window has expired, or after MAX_AGE_DAYS if never opened. Rows are
+// claimed first (clients drop them on the realtime UPDATE), their storage objects
+// removed, then only the rows whose objects are gone are deleted.
+// Meant to be invoked on a schedule (see README) with the service role key.
+import { serve } from "https://deno.land/std@0.168.0/http/server.ts"
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2'
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
+}
+
+const BATCH_SIZE = 100
+const VIEWED_GRACE_SECONDS = Number(Deno.env.get('VIEWED_GRACE_SECONDS') ?? 60)
+const MAX_AGE_DAYS = Number(Deno.env.get('MAX_AGE_DAYS') ?? 30)
+
+interface ClaimedMessage {
+  id: string
+  media_url: string | null
+  thumbnail_url: string | null
+  release_media: boolean
+}
+
+// sb://media/<key> and sb://thumbs/<key> both live in the `media` bucket
+const toObjectKey = (url: string | null): string | null => {
+  if (!url) return null
+  if (url.startsWith('sb://media/')) return url.slice('sb://media/'.length)
+  if (url.startsWith('sb://thumbs/')) return url.slice('sb://thumbs/'.length)
+  return null
+}
+
+serve(async (req) => {
+  // Handle CORS preflight requests
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders })
+  }
+
+  try {
+    const serviceRoleKey = Deno.env.get('SUPABASE_SERVICE_ROLE_KEY') ?? ''
+
+    // Only the scheduler may trigger deletions
+    const authHeader = req.headers.get('Authorization')
+    if (!authHeader || authHeader.replace('Bearer ', '') !== serviceRoleKey) {
+      return new Response(
+        JSON.stringify({ error: 'Unauthorized' }),
+        {
+          status: 401,
+          headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+        }
+      )
+    }
+
+    const supabase = createClient(
+      Deno.env.get('SUPABASE_URL') ?? '',
+      serviceRoleKey,
+      {
+        auth: {
+          autoRefreshToken: false,
+          persistSession: false
+        }
+      }
+    )
+
+    const { data: claimed, error: claimError } = await supabase
+      .rpc('claim_ephemeral_messages', {
+        _viewed_grace_seconds: VIEWED_GRACE_SECONDS,
+        _max_age_seconds: MAX_AGE_DAYS * 24 * 60 * 60,
+        _limit: BATCH_SIZE
+      })
+
+    if (claimError) {
+      console.error('Failed to claim ephemeral messages:', claimError)
+      return new Response(
+        JSON.stringify({ error: 'Failed to claim ephemeral messages', details: claimError.message }),
+        {
+          status: 500,
+          headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+        }
+      )
+    }
+
+    const rows: ClaimedMessage[] = claimed ?? []
+    if (rows.length === 0) {
+      return new Response(
+        JSON.stringify({ success: true, removed: 0, deleted: 0 }),
+        {
+          status: 200,
+          headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+        }
+      )
+    }
+
+    // Objects of shared sends are only released with the last row using them
+    const objectKeysOf = (row: ClaimedMessage): string[] => row.release_media
+      ? [toObjectKey(row.media_url), toObjectKey(row.thumbnail_url)].filter((key): key is string => !!key)
+      : []
+
+    const objectKeys = new Set<string>(rows.flatMap(objectKeysOf))
+    const remaining = new Set<string>()
+    let removedCount = 0
+
+    if (objectKeys.size > 0) {
+      console.log(`⏱️ [EXPIRE_MEDIA] Removing ${objectKeys.size} expired objects`)
+
+      const { data: removed, error: removeError } = await supabase.storage
+        .from('media')
+        .remove(Array.from(objectKeys))
+
+      if (removeError) {
+        // Rows stay claimed and are taken again on a later run
+        console.error('Failed to remove expired media:', removeError)
+        return new Response(
+          JSON.stringify({ error: 'Failed to remove expired media', details: removeError.message }),
+          {
+            status: 500,
+            headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+          }
+        )
+      }
+
+      removedCount = removed?.length ?? 0
+
+      // Keys missing from the result were either already gone or not removed
+      const removedKeys = new Set((removed ?? []).map(object => object.name))
+      for (const key of objectKeys) {
+        if (removedKeys.has(key)) continue
+        const { data: stillThere, error: existsError } = await supabase.storage.from('media').exists(key)
+        if (stillThere || existsError) remaining.add(key)
+      }
+    }
+
+    // Only delete rows whose objects are really gone, the others are retried
+    const deletableIds = rows
+      .filter(row => objectKeysOf(row).every(key => !remaining.has(key)))
+      .map(row => row.id)
+
+    const { data: deleted, error: deleteError } = await supabase
+      .rpc('delete_purged_messages', { _ids: deletableIds })
+
+    if (deleteError) {
+      console.error('Failed to delete purged messages:', deleteError)
+      return new Response(
+        JSON.stringify({ error: 'Failed to delete purged messages', details: deleteError.message }),
+        {
+          status: 500,
+          headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+        }
+      )
+    }
+
+    console.log(`✅ [EXPIRE_MEDIA] Removed ${removedCount} objects, deleted ${deleted ?? 0} messages, ${remaining.size} objects left for retry`)
+
+    return new Response(
+      JSON.stringify({ success: true, removed: removedCount, deleted: deleted ?? 0, retry: remaining.size }),
+      {
+        status: 200,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      }
+    )
+
+  } catch (error) {
+    console.error('Expire media function error:', error)
+    return new Response(
+      JSON.stringify({ error: 'Internal server error', details: error.message }),
+      {
+        status: 500,
+        headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+      }
+    )
+  }
+})
@@ -0,0 +1,163 @@
+import { serve } from "https://deno.land/std@0.168.0/http/server.ts"
+import { createClient } from 'https://esm.sh/@supabase/supabase-js@2'
+
+const corsHeaders = {
+  'Access-Control-Allow-Origin': '*',
+  'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
+}
+
+interface RecoverRequest {
+  pseudo: string
+  recovery_code: string
+  device_id: string
+  public_key?: string
+}
+
+const jsonResponse = (body: unknown, status = 200) =>
+  new Response(JSON.stringify(body), {
+    status,
+    headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+  })
+
+// Moves an account to a new device with its one-time recovery code: the account's
+// device_id and password are rotated, sessions of the old device are revoked and a
+// new recovery code is returned for the user to keep. The code is only redeemed once
+// everything else succeeded, so a failed attempt can be retried with the same code.
+serve(async (req) => {
+  // Handle CORS preflight requests
+  if (req.method === 'OPTIONS') {
+    return new Response('ok', { headers: corsHeaders })
+  }
+
+  try {
+    const { pseudo, recovery_code, device_id, public_key } = await req.json() as RecoverRequest
+
+    // Validate input
+    if (!pseudo || !recovery_code || !device_id) {
+      return jsonResponse({ error: 'Missing required fields: pseudo, recovery_code, device_id' }, 400)
+    }
+
+    // Create admin client with service role key
+    const admin = createClient(
+      Deno.env.get('SUPABASE_URL')!,
+      Deno.env.get('SUPABASE_SERVICE_ROLE_KEY')!
+    )
+
+    // Same answer for an unknown pseudo and a wrong code
+    const invalid = () => jsonResponse({ error: 'Pseudo ou code de récupération invalide' }, 400)
+
+    const { data: user } = await admin
+      .from('users')
+      .select('id, pseudo, device_id')
+      .eq('pseudo', pseudo.trim())
+      .maybeSingle()
+
+    if (!user) return invalid()
+
+    // The new device must not already own another account
+    const { data: deviceOwner } = await admin
+      .from('users')
+      .select('id')
+      .eq('device_id', device_id)
+      .neq('id', user.id)
+      .maybeSingle()
+
+    if (deviceOwner) {
+      return jsonResponse({ error: 'This device is already registered' }, 409)
+    }
+
+    // Step 1: Check the code, it stays valid until the last step
+    const { data: status, error: codeError } = await admin.rpc('check_recovery_code', {
+      _user: user.id,
+      _code: recovery_code
+    })
+
+    if (codeError) {
+      console.error('Recovery code check failed:', codeError)
+      return jsonResponse({ error: 'Internal server error' }, 500)
+    }
+    if (status === 'locked') {
+      return jsonResponse({ error: 'Trop de tentatives, réessayez dans 15 minutes' }, 429)
+    }
+    if (status !== 'ok') return invalid()
+
+    console.log(`Recovering account ${user.pseudo}: ${user.device_id} -> ${device_id}`)
+
+    // Step 2: Rotate the device-derived password and the dev_id claim
+    const devicePassword = device_id.slice(-16) + 'DeviceAuth!'
+    const { data: authUser, error: authError } = await admin.auth.admin.updateUserById(user.id, {
+      password: devicePassword,
+      app_metadata: { dev_id: device_id }
+    })
+
+    if (authError || !authUser?.user?.email) {
+      console.error('Failed to rotate auth credentials:', authError)
+      return jsonResponse({ error: 'Failed to update auth user', details: authError?.message }, 500)
+    }
+
+    // Step 3: Bind the profile to the new device. The old push token would keep
+    // notifying the old phone, the new device registers its own after sign-in.
+    const { data: userProfile, error: profileError } = await admin
+      .from('users')
+      .update({
+        device_id,
+        public_key: public_key || null,
+        push_token: null,
+        updated_at: new Date().toISOString()
+      })
+      .eq('id', user.id)
+      .select()
+      .single()
+
+    if (profileError || !userProfile) {
+      console.error('Failed to move profile to the new device:', profileError)
+      return jsonResponse({ error: 'Failed to update user', details: profileError?.message }, 500)
+    }
+
+    // Step 4: Sign in on the new device, then revoke every other session
+    const { data: signInData, error: signInError } = await admin.auth.signInWithPassword({
+      email: authUser.user.email,
+      password: devicePassword
+    })
+
+    if (signInError || !signInData.session) {
+      console.error('Sign-in failed:', signInError)
+      return jsonResponse({ error: 'Cannot create session', details: signInError?.message }, 500)
+    }
+
+    const { error: signOutError } = await admin.auth.admin.signOut(signInData.session.access_token, 'others')
+    if (signOutError) {
+      // The old device is already locked out by the device_id check on refresh
+      console.error('Failed to revoke old sessions:', signOutError)
+    }
+
+    // Step 5: Redeem the code, swapping it for the next one
+    const { data: newCode, error: redeemError } = await admin.rpc('redeem_recovery_code', {
+      _user: user.id,
+      _code: recovery_code
+    })
+
+    if (redeemError) {
+      console.error('Failed to redeem the recovery code:', redeemError)
+      return jsonResponse({ error: 'Internal server error' }, 500)
+    }
+    // Another recovery redeemed the same code meanwhile
+    if (!newCode) return invalid()
+
+    const { session } = signInData
+    console.log('Account recovered on new device for user:', userProfile.id)
+
+    return jsonResponse({
+      access_token: session.access_token,
+      refresh_token: session.refresh_token,
+      token_type: 'bearer',
+      expires_in: session.expires_in,
+      user: userProfile,
+      recovery_code: newCode
+    })
+
+  } catch (error) {
+    console.error('Account recovery error:', error)
+    return jsonResponse({ error: 'Internal server error' }, 500)
+  }
+})
@@ -11,6 +11,7 @@ interface RegisterRequest {
   age: number
   sexe: string
   device_id: string
+  public_key?: string
 }
 
 serve(async (req) => {
@@ -20,7 +21,7 @@ serve(async (req) => {
   }
 
   try {
-    const { pseudo, age, sexe, device_id } = await req.json() as RegisterRequest
+    const { pseudo, age, sexe, device_id, public_key } = await req.json() as RegisterRequest
 
     // Validate input
     if (!pseudo || !age || !device_id) {
@@ -140,7 +141,8 @@ serve(async (req) => {
         pseudo,
         age,
         sexe: sexe || 'Autre',
-        device_id
+        device_id,
+        public_key: public_key || null // Device key for end-to-end encrypted media
       })
       .select()
       .single()
@@ -196,6 +198,13 @@ serve(async (req) => {
     const { session } = signInData
     console.log('Session created successfully for user:', userProfile.id)
 
+    // Step 6: One-time recovery code, shown once by the app to move the account to another device
+    const { data: recoveryCode, error: recoveryError } = await admin.rpc('issue_recovery_code', { _user: userProfile.id })
+    if (recoveryError) {
+      // Not fatal, the user can generate one from their profile
+      console.error('Failed to issue recovery code:', recoveryError)
+    }
+
     // Return the session and user data
     return new Response(
       JSON.stringify({
@@ -204,7 +213,8 @@ serve(async (req) => {
         token_type: 'bearer',
         expires_in: session.expires_in,
         user: userProfile, // Return the database user profile with matching ID
-        auth_email: validEmail // Include the email used for auth
+        auth_email: validEmail, // Include the email used for auth
+        recovery_code: recoveryCode || null
       }),
       { 
         headers: { ...corsHeaders, 'Content-Type': 'application/json' }
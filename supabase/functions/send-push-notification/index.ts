@@ -7,6 +7,52 @@ const corsHeaders = {
   'Access-Control-Allow-Headers': 'authorization, x-client-info, apikey, content-type',
 }
 
+interface NotificationPreferences {
+  messages_enabled: boolean
+  sounds_enabled: boolean
+  badges_enabled: boolean
+  quiet_hours_enabled: boolean
+  quiet_hours_start: string
+  quiet_hours_end: string
+  timezone: string
+  mute_nsfw_previews: boolean
+  discreet_mode: boolean
+  discreet_hide_badge: boolean
+}
+
+// Shown instead of the pseudo and media type in discreet mode
+// (see migrations/add_discreet_notifications.sql)
+const DISCREET_TITLE = 'Notification'
+const DISCREET_BODY = 'Nouvelle activité'
+
+const minutesOfDay = (time: string) => {
+  const [hours, minutes] = time.split(':').map(Number)
+  return hours * 60 + minutes
+}
+
+// Whether it is currently within the user's quiet hours, in their own timezone
+const isInQuietHours = (preferences: NotificationPreferences) => {
+  if (!preferences.quiet_hours_enabled) return false
+
+  try {
+    const now = minutesOfDay(new Intl.DateTimeFormat('en-GB', {
+      timeZone: preferences.timezone,
+      hour: '2-digit',
+      minute: '2-digit',
+      hourCycle: 'h23'
+    }).format(new Date()))
+    const start = minutesOfDay(preferences.quiet_hours_start)
+    const end = minutesOfDay(preferences.quiet_hours_end)
+
+    if (start === end) return false
+    // A range like 22:00-07:00 spans midnight
+    return start < end ? now >= start && now < end : now >= start || now < end
+  } catch (error) {
+    console.error('Invalid quiet hours settings:', error)
+    return false
+  }
+}
+
 interface PushNotificationRequest {
   userId: string
   title: string
@@ -28,7 +74,22 @@ serve(async (req) => {
       Deno.env.get('SUPABASE_SERVICE_ROLE_KEY') ?? ''
     )
 
+    // The sender is whoever signed the request, never what the body claims
+    const token = req.headers.get('Authorization')?.replace('Bearer ', '') ?? ''
+    const { data: { user: caller }, error: callerError } = await supabase.auth.getUser(token)
+
+    if (callerError || !caller) {
+      return new Response(
+        JSON.stringify({ error: 'Unauthorized' }),
+        {
+          status: 401,
+          headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+        }
+      )
+    }
+
     const { userId, title, body, data = {}, priority = 'normal', sound = 'default' }: PushNotificationRequest = await req.json()
+    data.senderId = caller.id
 
     if (!userId || !title || !body) {
       return new Response(
@@ -82,20 +143,135 @@ serve(async (req) => {
       )
     }
 
+    // Don't notify a user about someone they have blocked
+    const { data: block, error: blockError } = await supabase
+      .from('blocks')
+      .select('blocker_id')
+      .eq('blocker_id', userId)
+      .eq('blocked_id', data.senderId)
+      .maybeSingle()
+
+    if (blockError) {
+      console.error('Failed to check block list:', blockError)
+    } else if (block) {
+      console.log('Sender is blocked by recipient, skipping notification')
+      return new Response(
+        JSON.stringify({ message: 'Sender is blocked by recipient' }),
+        {
+          status: 200,
+          headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+        }
+      )
+    }
+
+    // Group pushes only count as such when both users are in that group
+    let isGroupPush = false
+    if (data.conversationId) {
+      const { data: members, error: membersError } = await supabase
+        .from('conversation_members')
+        .select('user_id')
+        .eq('conversation_id', data.conversationId)
+        .in('user_id', [userId, data.senderId])
+
+      if (membersError) {
+        console.error('Failed to check conversation members:', membersError)
+      }
+      isGroupPush = (members?.length ?? 0) === 2
+    }
+
+    // Nor about a 1:1 first contact the recipient has not accepted (see migrations/add_message_requests.sql)
+    if (!isGroupPush) {
+      const { data: request, error: requestError } = await supabase
+        .from('message_requests')
+        .select('status')
+        .eq('receiver_id', userId)
+        .eq('sender_id', data.senderId)
+        .maybeSingle()
+
+      if (requestError) {
+        console.error('Failed to check message request:', requestError)
+      } else if (request && request.status !== 'accepted') {
+        console.log(`Message request ${request.status}, skipping notification`)
+        return new Response(
+          JSON.stringify({ message: 'Message request not accepted by recipient' }),
+          {
+            status: 200,
+            headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+          }
+        )
+      }
+    }
+
+    // Recipient's preferences (see migrations/add_notification_preferences.sql), defaults when unset
+    const { data: preferences, error: preferencesError } = await supabase
+      .from('notification_preferences')
+      .select('*')
+      .eq('user_id', userId)
+      .maybeSingle<NotificationPreferences>()
+
+    if (preferencesError) {
+      console.error('Failed to load notification preferences:', preferencesError)
+    }
+
+    const isConversationPush = data.type === 'message' || data.type === 'reaction'
+    if (preferences && !preferences.messages_enabled && isConversationPush) {
+      console.log('User has message notifications disabled')
+      return new Response(
+        JSON.stringify({ message: 'User has message notifications disabled' }),
+        {
+          status: 200,
+          headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+        }
+      )
+    }
+
+    // Muted conversation: the other user for 1:1, the group for group pushes
+    const muteTarget = data.conversationId || data.senderId
+    if (muteTarget) {
+      const { data: mute, error: muteError } = await supabase
+        .from('notification_mutes')
+        .select('muted_until')
+        .eq('user_id', userId)
+        .eq('target_id', muteTarget)
+        .maybeSingle()
+
+      if (muteError) {
+        console.error('Failed to check conversation mute:', muteError)
+      } else if (mute && (!mute.muted_until || new Date(mute.muted_until) > new Date())) {
+        console.log('Conversation muted by recipient, skipping notification')
+        return new Response(
+          JSON.stringify({ message: 'Conversation muted by recipient' }),
+          {
+            status: 200,
+            headers: { ...corsHeaders, 'Content-Type': 'application/json' }
+          }
+        )
+      }
+    }
+
+    const quiet = !!preferences && isInQuietHours(preferences)
+    const silent = quiet || preferences?.sounds_enabled === false
+    const hidePreview = !!preferences?.mute_nsfw_previews && (data.isNsfw === true || data.isNsfw === 'true')
+    const discreet = !!preferences?.discreet_mode
+    const showBadge = preferences?.badges_enabled !== false && !(discreet && preferences?.discreet_hide_badge)
+    const channelId = silent ? 'system' : discreet ? 'updates' : data.type === 'message' ? 'messages' : 'system'
+
     // Prepare notification payload for Expo Push API
     const message = {
       to: user.push_token,
-      title,
-      body,
+      title: discreet ? DISCREET_TITLE : title,
+      body: discreet ? DISCREET_BODY : hidePreview ? 'Nouveau média sensible' : body,
       data: {
         ...data,
         userId,
         timestamp: new Date().toISOString()
       },
-      priority: priority === 'high' ? 'high' : 'normal',
-      sound: sound === true || sound === 'default' ? 'default' : sound,
-      badge: 1, // You might want to calculate this based on unread count
-      channelId: data.type === 'message' ? 'messages' : 'system' // Use existing Android channels
+      priority: priority === 'high' && !quiet ? 'high' : 'normal',
+      ...(silent ? {} : { sound: sound === true || sound === 'default' ? 'default' : sound }),
+      ...(showBadge ? { badge: 1 } : {}), // You might want to calculate this based on unread count
+      // Quiet hours: no sound, no interruption (the system channel is silent on Android)
+      ...(quiet ? { interruptionLevel: 'passive' } : {}),
+      channelId // Use existing Android channels
     }
 
     // Send notification to Expo Push API
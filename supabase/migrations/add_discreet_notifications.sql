@@ -0,0 +1,15 @@
+-- Discreet notifications
+--
+-- With discreet mode on, the send-push-notification Edge Function replaces the
+-- title and body of every push with a generic "Nouvelle activité", without the
+-- sender's pseudo or the media type, and delivers it on the neutral Android
+-- "updates" channel. The badge can optionally be hidden as well.
+-- Run after add_notification_preferences.sql.
+
+ALTER TABLE notification_preferences
+  ADD COLUMN IF NOT EXISTS discreet_mode BOOLEAN NOT NULL DEFAULT false,
+  ADD COLUMN IF NOT EXISTS discreet_hide_badge BOOLEAN NOT NULL DEFAULT false;
+
+-- Add comments for documentation
+COMMENT ON COLUMN notification_preferences.discreet_mode IS 'Generic push content without pseudo nor media type, on a neutral channel';
+COMMENT ON COLUMN notification_preferences.discreet_hide_badge IS 'In discreet mode, do not set the app icon badge';
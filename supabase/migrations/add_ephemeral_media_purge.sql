@@ -0,0 +1,106 @@
+-- Purge viewed one-time and NSFW messages
+--
+-- One-time (view_once) and NSFW messages are deleted, row and storage object, once
+-- the receiver has viewed them or after a maximum age if they never do. Called by the
+-- expire-media Edge Function in two steps so a failed storage removal can be retried:
+-- claim_ephemeral_messages marks the rows (purge_claimed_at), the function removes
+-- their objects, then delete_purged_messages deletes the rows whose objects are gone.
+-- A claim left unfinished is taken again after _retry_after_seconds.
+--
+-- Clients learn about a purge from the UPDATE setting purge_claimed_at: Supabase cannot
+-- deliver DELETE events to filtered (receiver_id / sender_id) subscriptions.
+-- Run after add_message_self_destruct_timer.sql.
+
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS purge_claimed_at TIMESTAMPTZ;
+
+CREATE INDEX IF NOT EXISTS idx_messages_ephemeral_viewed ON messages(viewed_at)
+  WHERE view_once OR is_nsfw;
+
+CREATE INDEX IF NOT EXISTS idx_messages_media_url ON messages(media_url);
+
+-- Replaced by claim_ephemeral_messages, which also covers expired windows
+DROP FUNCTION IF EXISTS public.claim_expired_media(int);
+
+-- RPC (service role only): claim purgeable messages. release_media tells whether the
+-- row's storage objects can go: group and multi-recipient sends share one object
+-- between rows, so it is only released once every row using it is claimed.
+-- Messages under an open report are kept for moderation.
+CREATE OR REPLACE FUNCTION public.claim_ephemeral_messages(
+  _viewed_grace_seconds int DEFAULT 60,
+  _max_age_seconds int DEFAULT 2592000,
+  _limit int DEFAULT 100,
+  _retry_after_seconds int DEFAULT 600
+)
+RETURNS TABLE (
+  id uuid,
+  media_url text,
+  thumbnail_url text,
+  release_media boolean
+)
+LANGUAGE plpgsql SECURITY DEFINER
+SET search_path = public AS $$
+BEGIN
+  RETURN QUERY
+  WITH claimed AS (
+    UPDATE messages m
+       SET purge_claimed_at = NOW()
+     WHERE m.id IN (
+       SELECT e.id FROM messages e
+       WHERE (e.view_once OR e.is_nsfw)
+         AND (
+           e.viewed_at <= NOW() - make_interval(secs => _viewed_grace_seconds)
+           OR e.media_expires_at <= NOW()
+           OR e.created_at <= NOW() - make_interval(secs => _max_age_seconds)
+         )
+         AND (
+           e.purge_claimed_at IS NULL
+           OR e.purge_claimed_at <= NOW() - make_interval(secs => _retry_after_seconds)
+         )
+         AND NOT EXISTS (
+           SELECT 1 FROM reports r
+           WHERE r.message_id = e.id
+             AND r.status IN ('pending', 'reviewing')
+         )
+       ORDER BY e.created_at
+       LIMIT _limit
+     )
+    RETURNING m.id, m.media_url, m.thumbnail_url
+  )
+  SELECT c.id, c.media_url, c.thumbnail_url,
+    NOT EXISTS (
+      -- The UPDATE above is not visible in this snapshot: skip the rows it just claimed
+      SELECT 1 FROM messages live
+      WHERE live.media_url = c.media_url
+        AND live.purge_claimed_at IS NULL
+        AND live.id NOT IN (SELECT x.id FROM claimed x)
+    )
+  FROM claimed c;
+END;
+$$;
+
+-- RPC (service role only): delete claimed messages once their objects are removed
+CREATE OR REPLACE FUNCTION public.delete_purged_messages(_ids uuid[])
+RETURNS int
+LANGUAGE plpgsql SECURITY DEFINER
+SET search_path = public AS $$
+DECLARE
+  deleted int;
+BEGIN
+  DELETE FROM messages
+   WHERE id = ANY(_ids)
+     AND purge_claimed_at IS NOT NULL;
+  GET DIAGNOSTICS deleted = ROW_COUNT;
+  RETURN deleted;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.claim_ephemeral_messages FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public.delete_purged_messages FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.claim_ephemeral_messages TO service_role;
+GRANT EXECUTE ON FUNCTION public.delete_purged_messages TO service_role;
+
+-- Add comments for documentation
+COMMENT ON FUNCTION public.claim_ephemeral_messages IS 'Claims viewed, expired or too old one-time/NSFW messages and returns the storage objects to remove';
+COMMENT ON FUNCTION public.delete_purged_messages IS 'Deletes claimed messages whose storage objects were removed';
+COMMENT ON COLUMN messages.purge_claimed_at IS 'When expire-media claimed this message for deletion; clients drop it from then on';
+COMMENT ON COLUMN messages.media_purged_at IS 'Deprecated: expired messages are now deleted by the expire-media function';
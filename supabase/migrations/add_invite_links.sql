@@ -0,0 +1,133 @@
+-- Invite links
+--
+-- A user generates an invite token, shared as a QR code or a notextapp://invite
+-- deep link. Whoever opens it sees the inviter's pseudo and, after confirming,
+-- starts a conversation with them: the invite counts as the inviter accepting
+-- the invitee, so the first message skips the requests inbox
+-- (add_message_requests.sql). Tokens expire and can be revoked; this is the only
+-- way to reach users whose discoverability is 'invite' (add_user_discoverability.sql).
+-- Run after add_user_discoverability.sql.
+
+CREATE TABLE IF NOT EXISTS user_invites (
+  token TEXT PRIMARY KEY DEFAULT replace(gen_random_uuid()::text, '-', ''),
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  expires_at TIMESTAMPTZ NOT NULL,
+  revoked_at TIMESTAMPTZ,
+  use_count INT NOT NULL DEFAULT 0
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_invites_user ON user_invites(user_id, created_at DESC);
+
+-- Add RLS (Row Level Security) policies
+ALTER TABLE user_invites ENABLE ROW LEVEL SECURITY;
+
+-- Policy: Users only see their own invites; others resolve a token through resolve_invite
+CREATE POLICY "Users can view their invites" ON user_invites
+  FOR SELECT USING (user_id = auth.uid());
+
+-- RPC: New invite of the caller, valid _days days (1 to 30). Earlier invites stay valid.
+CREATE OR REPLACE FUNCTION public.create_invite(_days int DEFAULT 7)
+RETURNS user_invites
+LANGUAGE plpgsql SECURITY DEFINER
+SET search_path = public AS $$
+DECLARE
+  invite user_invites;
+BEGIN
+  IF auth.uid() IS NULL THEN
+    RAISE EXCEPTION 'Not authenticated' USING ERRCODE = '42501';
+  END IF;
+
+  IF _days IS NULL OR _days < 1 OR _days > 30 THEN
+    RAISE EXCEPTION 'An invite lasts between 1 and 30 days' USING ERRCODE = '22023';
+  END IF;
+
+  INSERT INTO user_invites (user_id, expires_at)
+  VALUES (auth.uid(), NOW() + make_interval(days => _days))
+  RETURNING * INTO invite;
+
+  RETURN invite;
+END;
+$$;
+
+-- RPC: Revoke one of the caller's invites, or all of them when _token is NULL
+CREATE OR REPLACE FUNCTION public.revoke_invite(_token text DEFAULT NULL)
+RETURNS void
+LANGUAGE sql SECURITY DEFINER
+SET search_path = public AS $$
+  UPDATE user_invites
+     SET revoked_at = NOW()
+   WHERE user_id = auth.uid()
+     AND revoked_at IS NULL
+     AND (_token IS NULL OR token = _token);
+$$;
+
+-- Inviter of a usable token for the caller: not expired, not revoked, not
+-- their own, and no block either way
+CREATE OR REPLACE FUNCTION public.invite_owner(_token text)
+RETURNS uuid
+LANGUAGE sql STABLE SECURITY DEFINER
+SET search_path = public AS $$
+  SELECT i.user_id
+    FROM user_invites i
+   WHERE i.token = _token
+     AND i.revoked_at IS NULL
+     AND i.expires_at > NOW()
+     AND i.user_id <> auth.uid()
+     AND NOT EXISTS (
+       SELECT 1 FROM blocks b
+        WHERE (b.blocker_id = auth.uid() AND b.blocked_id = i.user_id)
+           OR (b.blocker_id = i.user_id AND b.blocked_id = auth.uid())
+     );
+$$;
+
+-- RPC: Who invited the caller with this token, nothing when it is not usable
+CREATE OR REPLACE FUNCTION public.resolve_invite(_token text)
+RETURNS TABLE (
+  id uuid,
+  pseudo text
+)
+LANGUAGE sql STABLE SECURITY DEFINER
+SET search_path = public AS $$
+  SELECT u.id, u.pseudo::text
+    FROM users u
+   WHERE u.id = public.invite_owner(_token);
+$$;
+
+-- RPC: Confirm an invite. Both users accept each other so the conversation starts
+-- outside the requests inbox. Returns the inviter, NULL when the token is not usable.
+CREATE OR REPLACE FUNCTION public.accept_invite(_token text)
+RETURNS uuid
+LANGUAGE plpgsql SECURITY DEFINER
+SET search_path = public AS $$
+DECLARE
+  inviter uuid := public.invite_owner(_token);
+BEGIN
+  IF inviter IS NULL THEN
+    RETURN NULL;
+  END IF;
+
+  INSERT INTO message_requests (receiver_id, sender_id, status, responded_at)
+  VALUES (inviter, auth.uid(), 'accepted', NOW()),
+         (auth.uid(), inviter, 'accepted', NOW())
+  ON CONFLICT (receiver_id, sender_id) DO UPDATE
+    SET status = 'accepted',
+        responded_at = NOW()
+    WHERE message_requests.status <> 'accepted';
+
+  UPDATE user_invites SET use_count = use_count + 1 WHERE token = _token;
+
+  RETURN inviter;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.invite_owner FROM PUBLIC, anon, authenticated;
+GRANT SELECT ON user_invites TO authenticated;
+GRANT EXECUTE ON FUNCTION public.create_invite TO authenticated;
+GRANT EXECUTE ON FUNCTION public.revoke_invite TO authenticated;
+GRANT EXECUTE ON FUNCTION public.resolve_invite TO authenticated;
+GRANT EXECUTE ON FUNCTION public.accept_invite TO authenticated;
+
+-- Add comments for documentation
+COMMENT ON TABLE user_invites IS 'Expiring, revocable invite tokens to start a conversation with user_id (QR code / deep link)';
+COMMENT ON COLUMN user_invites.use_count IS 'Number of times the invite was confirmed';
@@ -0,0 +1,86 @@
+-- End-to-end encryption of media
+--
+-- Each device publishes the public half of its keypair on users.public_key.
+-- Media is encrypted client-side with a random content key before upload
+-- (object keys ending in .enc); the content key is stored wrapped for the
+-- receiver (media_key) and for the sender's own device (sender_media_key).
+-- The server never sees a usable key. Run after add_message_self_destruct_timer.sql.
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS public_key TEXT;
+
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS media_key TEXT;
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS sender_media_key TEXT;
+
+-- RPC: Publish the current device's public key
+CREATE OR REPLACE FUNCTION public.set_public_key(_public_key text)
+RETURNS void
+LANGUAGE plpgsql SECURITY DEFINER
+SET search_path = public AS $$
+BEGIN
+  IF _public_key IS NULL OR length(_public_key) <> 44 THEN
+    RAISE EXCEPTION 'Invalid public key' USING ERRCODE = '22023';
+  END IF;
+
+  UPDATE users
+     SET public_key = _public_key
+   WHERE id = auth.uid();
+END;
+$$;
+
+-- Group sends carry one wrapped key per member ({ "<user_id>": "<wrapped key>" })
+DROP FUNCTION IF EXISTS public.send_group_message(uuid, text, text, text, boolean, boolean, text, boolean, int);
+CREATE OR REPLACE FUNCTION public.send_group_message(
+  _conversation uuid,
+  _media_url text,
+  _media_type text,
+  _caption text DEFAULT NULL,
+  _view_once boolean DEFAULT false,
+  _is_nsfw boolean DEFAULT false,
+  _thumbnail_url text DEFAULT NULL,
+  _is_muted boolean DEFAULT false,
+  _auto_delete_after int DEFAULT NULL,
+  _media_keys jsonb DEFAULT NULL,
+  _sender_media_key text DEFAULT NULL
+)
+RETURNS TABLE (
+  id uuid,
+  receiver_id uuid,
+  created_at timestamptz,
+  group_message_id uuid
+)
+LANGUAGE plpgsql SECURITY INVOKER AS $$
+DECLARE
+  me uuid := auth.uid();
+  batch_id uuid := gen_random_uuid();
+BEGIN
+  IF NOT public.is_conversation_member(_conversation, me) THEN
+    RAISE EXCEPTION 'Not a member of this conversation' USING ERRCODE = '42501';
+  END IF;
+
+  RETURN QUERY
+  INSERT INTO messages AS m (
+    sender_id, receiver_id, conversation_id, group_message_id,
+    media_url, media_type, caption, view_once, is_nsfw, thumbnail_url, is_muted, auto_delete_after,
+    media_key, sender_media_key
+  )
+  SELECT
+    me, cm.user_id, _conversation, batch_id,
+    _media_url, _media_type, _caption, _view_once, _is_nsfw, _thumbnail_url, _is_muted, _auto_delete_after,
+    _media_keys ->> cm.user_id::text, _sender_media_key
+  FROM conversation_members cm
+  WHERE cm.conversation_id = _conversation
+    AND cm.user_id <> me
+    AND NOT public.is_blocked(cm.user_id, me)
+    -- Encrypted media is useless to a member it was not wrapped for
+    AND (_media_keys IS NULL OR _media_keys ? cm.user_id::text)
+  RETURNING m.id, m.receiver_id, m.created_at, m.group_message_id;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.set_public_key TO authenticated;
+GRANT EXECUTE ON FUNCTION public.send_group_message TO authenticated;
+
+-- Add comments for documentation
+COMMENT ON COLUMN users.public_key IS 'Base64 Curve25519 public key of the user''s device, used to wrap media keys';
+COMMENT ON COLUMN messages.media_key IS 'Content key of the encrypted media, wrapped for the receiver (NULL = plaintext media)';
+COMMENT ON COLUMN messages.sender_media_key IS 'Content key of the encrypted media, wrapped for the sender';
@@ -0,0 +1,236 @@
+-- Message delivery state
+--
+-- Every message row moves forward through one explicit state:
+--   sent      → the row exists
+--   delivered → the receiver's device got it (realtime insert or fetch)
+--   opened    → the receiver opened it (read receipt, or first view of one-time/NSFW media)
+--   expired   → the media can no longer be opened (one-time/NSFW view consumed)
+-- The receiver's device drives the transitions through advance_message_state. Read
+-- receipts and one-time views still write seen/viewed_at, so a trigger derives the
+-- state from them too and never lets it move backwards. The sender's app gets every
+-- change through the realtime UPDATE on its outbox. Run after add_message_media_overlay.sql,
+-- then re-run sql_patches.sql (get_conversations returns last_state).
+
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS state TEXT NOT NULL DEFAULT 'sent';
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS delivered_at TIMESTAMPTZ;
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS opened_at TIMESTAMPTZ;
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS expired_at TIMESTAMPTZ;
+
+ALTER TABLE messages DROP CONSTRAINT IF EXISTS messages_state_check;
+ALTER TABLE messages ADD CONSTRAINT messages_state_check
+  CHECK (state IN ('sent', 'delivered', 'opened', 'expired'));
+
+-- Pending deliveries of a receiver, looked up on every conversation list load
+CREATE INDEX IF NOT EXISTS idx_messages_receiver_undelivered ON messages(receiver_id)
+  WHERE state = 'sent';
+
+CREATE OR REPLACE FUNCTION public.message_state_rank(_state text)
+RETURNS int
+LANGUAGE sql IMMUTABLE AS $$
+  SELECT CASE _state
+    WHEN 'sent' THEN 0
+    WHEN 'delivered' THEN 1
+    WHEN 'opened' THEN 2
+    WHEN 'expired' THEN 3
+  END;
+$$;
+
+-- Existing rows: nothing says whether they were delivered, only whether they were opened
+UPDATE messages
+   SET state = CASE
+         WHEN (view_once OR is_nsfw) AND viewed_at IS NOT NULL THEN 'expired'
+         ELSE 'opened'
+       END,
+       opened_at = coalesce(seen_at, viewed_at, created_at),
+       expired_at = CASE WHEN (view_once OR is_nsfw) AND viewed_at IS NOT NULL THEN viewed_at END
+ WHERE state = 'sent'
+   AND (coalesce(seen, false) OR viewed_at IS NOT NULL);
+
+-- Keep the state in step with seen/viewed_at, forward only, and stamp each step
+CREATE OR REPLACE FUNCTION sync_message_state()
+RETURNS TRIGGER AS $$
+DECLARE
+  next_state text := NEW.state;
+BEGIN
+  IF (coalesce(NEW.seen, false) OR NEW.viewed_at IS NOT NULL)
+     AND message_state_rank(next_state) < message_state_rank('opened') THEN
+    next_state := 'opened';
+  END IF;
+
+  IF (NEW.view_once OR NEW.is_nsfw) AND NEW.viewed_at IS NOT NULL THEN
+    next_state := 'expired';
+  END IF;
+
+  IF message_state_rank(next_state) < message_state_rank(OLD.state) THEN
+    next_state := OLD.state;
+  END IF;
+
+  NEW.state := next_state;
+
+  IF message_state_rank(next_state) >= message_state_rank('delivered') AND NEW.delivered_at IS NULL THEN
+    NEW.delivered_at := NOW();
+  END IF;
+  IF message_state_rank(next_state) >= message_state_rank('opened') AND NEW.opened_at IS NULL THEN
+    NEW.opened_at := NOW();
+  END IF;
+  IF next_state = 'expired' AND NEW.expired_at IS NULL THEN
+    NEW.expired_at := NOW();
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_messages_state ON messages;
+CREATE TRIGGER trigger_messages_state
+  BEFORE UPDATE ON messages
+  FOR EACH ROW
+  EXECUTE FUNCTION sync_message_state();
+
+-- RPC: Move received messages forward to a state (never backwards).
+-- _messages NULL marks every received row still 'sent' as delivered (app open).
+-- Only one-time, NSFW and timed messages can be expired by the receiver.
+CREATE OR REPLACE FUNCTION public.advance_message_state(
+  _state text,
+  _messages uuid[] DEFAULT NULL
+)
+RETURNS TABLE (updated_id uuid)
+LANGUAGE plpgsql SECURITY DEFINER
+SET search_path = public AS $$
+BEGIN
+  IF _state NOT IN ('delivered', 'opened', 'expired') THEN
+    RAISE EXCEPTION 'Invalid message state: %', _state;
+  END IF;
+
+  IF _messages IS NULL AND _state <> 'delivered' THEN
+    RAISE EXCEPTION 'Only deliveries can be acknowledged without message ids';
+  END IF;
+
+  RETURN QUERY
+  UPDATE messages m
+     SET state = _state
+   WHERE m.receiver_id = auth.uid()
+     AND (_messages IS NULL OR m.id = ANY(_messages))
+     AND message_state_rank(m.state) < message_state_rank(_state)
+     AND (
+       _state <> 'expired'
+       OR m.view_once OR m.is_nsfw OR m.auto_delete_after IS NOT NULL
+     )
+  RETURNING m.id;
+END;
+$$;
+
+-- Group list: the caller's last capture is as far as its slowest recipient.
+-- SECURITY DEFINER for the members' pseudos (users rows are owner-only), so only for the caller.
+DROP FUNCTION IF EXISTS public.get_group_conversations(uuid);
+
+CREATE OR REPLACE FUNCTION public.get_group_conversations(_user uuid)
+RETURNS TABLE (
+  conversation_id uuid,
+  name text,
+  members jsonb,
+  last_message_id uuid,
+  last_group_message_id uuid,
+  last_created_at timestamptz,
+  last_media_type text,
+  last_media_url text,
+  last_thumbnail_url text,
+  last_is_nsfw boolean,
+  last_sender_id uuid,
+  last_receiver_id uuid,
+  last_view_once boolean,
+  last_caption text,
+  last_seen boolean,
+  last_seen_at timestamptz,
+  last_state text,
+  last_recipient_count int,
+  last_seen_count int,
+  unread_count int
+)
+LANGUAGE sql STABLE SECURITY DEFINER
+SET search_path = public AS $$
+with my_groups as (
+  select c.id, c.name, c.created_at
+  from conversations c
+  join conversation_members cm on cm.conversation_id = c.id
+  where cm.user_id = _user
+    and _user = auth.uid()
+),
+msgs as (
+  select
+    m.*,
+    row_number() over (
+      partition by m.conversation_id
+      order by
+        case when m.is_nsfw and m.viewed_at is not null then 1 else 0 end asc,
+        m.created_at desc
+    ) as rn
+  from messages m
+  where m.conversation_id in (select id from my_groups)
+    and (m.receiver_id = _user or m.sender_id = _user)
+),
+last_msgs as (
+  select * from msgs where rn = 1
+),
+receipts as (
+  select
+    r.group_message_id,
+    count(*)::int as recipient_count,
+    count(*) filter (where r.seen)::int as seen_count,
+    max(r.seen_at) as seen_at,
+    (array['sent', 'delivered', 'opened', 'expired'])[min(message_state_rank(r.state)) + 1] as state
+  from messages r
+  where r.group_message_id in (select group_message_id from last_msgs where sender_id = _user)
+  group by r.group_message_id
+),
+unread as (
+  select conversation_id, count(*)::int as unread_count
+  from messages
+  where receiver_id = _user
+    and conversation_id in (select id from my_groups)
+    and seen = false
+    and not (is_nsfw = true and viewed_at is not null)
+  group by conversation_id
+)
+select
+  g.id as conversation_id,
+  g.name,
+  (
+    select jsonb_agg(jsonb_build_object('id', u.id, 'pseudo', u.pseudo, 'role', cm.role) order by cm.joined_at)
+    from conversation_members cm
+    join users u on u.id = cm.user_id
+    where cm.conversation_id = g.id
+  ) as members,
+  m.id as last_message_id,
+  m.group_message_id as last_group_message_id,
+  coalesce(m.created_at, g.created_at) as last_created_at,
+  m.media_type as last_media_type,
+  m.media_url as last_media_url,
+  m.thumbnail_url as last_thumbnail_url,
+  m.is_nsfw as last_is_nsfw,
+  m.sender_id as last_sender_id,
+  m.receiver_id as last_receiver_id,
+  m.view_once as last_view_once,
+  m.caption as last_caption,
+  case when m.sender_id = _user then r.seen_count = r.recipient_count else m.seen end as last_seen,
+  case when m.sender_id = _user then r.seen_at else m.seen_at end as last_seen_at,
+  case when m.sender_id = _user then r.state else m.state end as last_state,
+  r.recipient_count as last_recipient_count,
+  r.seen_count as last_seen_count,
+  coalesce(un.unread_count, 0) as unread_count
+from my_groups g
+left join last_msgs m on m.conversation_id = g.id
+left join receipts r on r.group_message_id = m.group_message_id
+left join unread un on un.conversation_id = g.id
+order by coalesce(m.created_at, g.created_at) desc;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.message_state_rank TO authenticated;
+GRANT EXECUTE ON FUNCTION public.advance_message_state TO authenticated;
+GRANT EXECUTE ON FUNCTION public.get_group_conversations TO authenticated;
+
+-- Add comments for documentation
+COMMENT ON COLUMN messages.state IS 'sent → delivered → opened → expired, driven by the receiver''s device, never moves backwards';
+COMMENT ON COLUMN messages.delivered_at IS 'When the receiver''s device got the message';
+COMMENT ON COLUMN messages.opened_at IS 'When the receiver first opened the message';
+COMMENT ON COLUMN messages.expired_at IS 'When one-time/NSFW media was consumed and can no longer be opened';
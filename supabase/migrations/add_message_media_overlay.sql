@@ -0,0 +1,67 @@
+-- Video edits
+--
+-- Drawings, stickers, text and blur strokes added on a video before sending are
+-- kept as an overlay track the player draws on top of the video. Photos get their
+-- edits flattened into the JPEG and never use this column. Coordinates are
+-- normalized to the media frame: { version, items: [{ type, ... }] }.
+-- Run after add_message_from_gallery.sql.
+
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS media_overlay JSONB;
+
+-- Group sends carry the overlay track
+DROP FUNCTION IF EXISTS public.send_group_message(uuid, text, text, text, boolean, boolean, text, boolean, int, jsonb, text, uuid, boolean);
+CREATE OR REPLACE FUNCTION public.send_group_message(
+  _conversation uuid,
+  _media_url text,
+  _media_type text,
+  _caption text DEFAULT NULL,
+  _view_once boolean DEFAULT false,
+  _is_nsfw boolean DEFAULT false,
+  _thumbnail_url text DEFAULT NULL,
+  _is_muted boolean DEFAULT false,
+  _auto_delete_after int DEFAULT NULL,
+  _media_keys jsonb DEFAULT NULL,
+  _sender_media_key text DEFAULT NULL,
+  _reply_to uuid DEFAULT NULL,
+  _from_gallery boolean DEFAULT false,
+  _media_overlay jsonb DEFAULT NULL
+)
+RETURNS TABLE (
+  id uuid,
+  receiver_id uuid,
+  created_at timestamptz,
+  group_message_id uuid
+)
+LANGUAGE plpgsql SECURITY INVOKER AS $$
+DECLARE
+  me uuid := auth.uid();
+  batch_id uuid := gen_random_uuid();
+BEGIN
+  IF NOT public.is_conversation_member(_conversation, me) THEN
+    RAISE EXCEPTION 'Not a member of this conversation' USING ERRCODE = '42501';
+  END IF;
+
+  RETURN QUERY
+  INSERT INTO messages AS m (
+    sender_id, receiver_id, conversation_id, group_message_id,
+    media_url, media_type, caption, view_once, is_nsfw, thumbnail_url, is_muted, auto_delete_after,
+    media_key, sender_media_key, reply_to_message_id, from_gallery, media_overlay
+  )
+  SELECT
+    me, cm.user_id, _conversation, batch_id,
+    _media_url, _media_type, _caption, _view_once, _is_nsfw, _thumbnail_url, _is_muted, _auto_delete_after,
+    _media_keys ->> cm.user_id::text, _sender_media_key, _reply_to, _from_gallery, _media_overlay
+  FROM conversation_members cm
+  WHERE cm.conversation_id = _conversation
+    AND cm.user_id <> me
+    AND NOT public.is_blocked(cm.user_id, me)
+    -- Encrypted media is useless to a member it was not wrapped for
+    AND (_media_keys IS NULL OR _media_keys ? cm.user_id::text)
+  RETURNING m.id, m.receiver_id, m.created_at, m.group_message_id;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.send_group_message TO authenticated;
+
+-- Add comments for documentation
+COMMENT ON COLUMN messages.media_overlay IS 'Edits drawn over a video on playback: { version, items } with normalized coordinates';
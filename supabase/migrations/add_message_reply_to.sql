@@ -0,0 +1,67 @@
+-- Replies with media
+--
+-- A capture can answer a specific message. reply_to_message_id holds messages.id
+-- for 1:1 chats and the original's group_message_id for groups, where every member
+-- holds their own row of the original. No foreign key: group ids are not row ids,
+-- and a purged original simply leaves the reply without a preview.
+-- Run after create_message_reactions_table.sql.
+
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS reply_to_message_id UUID;
+
+CREATE INDEX IF NOT EXISTS idx_messages_reply_to ON messages(reply_to_message_id) WHERE reply_to_message_id IS NOT NULL;
+
+-- Group sends can answer a group message
+DROP FUNCTION IF EXISTS public.send_group_message(uuid, text, text, text, boolean, boolean, text, boolean, int, jsonb, text);
+CREATE OR REPLACE FUNCTION public.send_group_message(
+  _conversation uuid,
+  _media_url text,
+  _media_type text,
+  _caption text DEFAULT NULL,
+  _view_once boolean DEFAULT false,
+  _is_nsfw boolean DEFAULT false,
+  _thumbnail_url text DEFAULT NULL,
+  _is_muted boolean DEFAULT false,
+  _auto_delete_after int DEFAULT NULL,
+  _media_keys jsonb DEFAULT NULL,
+  _sender_media_key text DEFAULT NULL,
+  _reply_to uuid DEFAULT NULL
+)
+RETURNS TABLE (
+  id uuid,
+  receiver_id uuid,
+  created_at timestamptz,
+  group_message_id uuid
+)
+LANGUAGE plpgsql SECURITY INVOKER AS $$
+DECLARE
+  me uuid := auth.uid();
+  batch_id uuid := gen_random_uuid();
+BEGIN
+  IF NOT public.is_conversation_member(_conversation, me) THEN
+    RAISE EXCEPTION 'Not a member of this conversation' USING ERRCODE = '42501';
+  END IF;
+
+  RETURN QUERY
+  INSERT INTO messages AS m (
+    sender_id, receiver_id, conversation_id, group_message_id,
+    media_url, media_type, caption, view_once, is_nsfw, thumbnail_url, is_muted, auto_delete_after,
+    media_key, sender_media_key, reply_to_message_id
+  )
+  SELECT
+    me, cm.user_id, _conversation, batch_id,
+    _media_url, _media_type, _caption, _view_once, _is_nsfw, _thumbnail_url, _is_muted, _auto_delete_after,
+    _media_keys ->> cm.user_id::text, _sender_media_key, _reply_to
+  FROM conversation_members cm
+  WHERE cm.conversation_id = _conversation
+    AND cm.user_id <> me
+    AND NOT public.is_blocked(cm.user_id, me)
+    -- Encrypted media is useless to a member it was not wrapped for
+    AND (_media_keys IS NULL OR _media_keys ? cm.user_id::text)
+  RETURNING m.id, m.receiver_id, m.created_at, m.group_message_id;
+END;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.send_group_message TO authenticated;
+
+-- Add comments for documentation
+COMMENT ON COLUMN messages.reply_to_message_id IS 'Message this capture answers: messages.id in 1:1 chats, group_message_id in groups';
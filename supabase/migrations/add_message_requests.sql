@@ -0,0 +1,265 @@
+-- Message requests
+--
+-- A first 1:1 message from someone the receiver never wrote to waits in a separate
+-- Requests inbox instead of the conversation list, without push notifications.
+-- The receiver accepts (the thread joins get_conversations and pushes from that
+-- sender are sent), declines (the thread stays hidden and silent) or blocks.
+-- Writing to someone accepts them, so a reply never turns into a request. Group
+-- messages are not tracked here: instead only users who accepted the creator's
+-- messages can be added to a group, so a stranger cannot reach someone's
+-- conversation list and pushes through a group. Existing conversations are accepted.
+-- Run after add_user_presence.sql, then re-run sql_patches.sql (get_conversations
+-- skips pending and declined requests).
+
+CREATE TABLE IF NOT EXISTS message_requests (
+  receiver_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  sender_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  status TEXT NOT NULL DEFAULT 'pending' CHECK (status IN ('pending', 'accepted', 'declined')),
+  message_count INT NOT NULL DEFAULT 0,
+  last_message_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  responded_at TIMESTAMPTZ,
+  PRIMARY KEY (receiver_id, sender_id),
+  CHECK (receiver_id <> sender_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_message_requests_pending ON message_requests(receiver_id, last_message_at DESC)
+  WHERE status = 'pending';
+
+-- Realtime: new and updated requests reach the receiver's user channel
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_publication_tables
+    WHERE pubname = 'supabase_realtime' AND schemaname = 'public' AND tablename = 'message_requests'
+  ) THEN
+    ALTER PUBLICATION supabase_realtime ADD TABLE message_requests;
+  END IF;
+END $$;
+
+-- Add RLS (Row Level Security) policies
+ALTER TABLE message_requests ENABLE ROW LEVEL SECURITY;
+
+-- Policy: Only the receiver sees a request; the sender is never told it was declined.
+-- Writes only go through the trigger and respond_message_request.
+CREATE POLICY "Users can view their message requests" ON message_requests
+  FOR SELECT USING (receiver_id = auth.uid());
+
+-- Existing conversations are accepted both ways
+INSERT INTO message_requests (receiver_id, sender_id, status, responded_at)
+SELECT DISTINCT pairs.receiver_id, pairs.sender_id, 'accepted', NOW()
+  FROM (
+    SELECT receiver_id, sender_id FROM messages WHERE conversation_id IS NULL
+    UNION
+    SELECT sender_id, receiver_id FROM messages WHERE conversation_id IS NULL
+  ) pairs
+ WHERE pairs.receiver_id IS NOT NULL
+   AND pairs.sender_id IS NOT NULL
+   AND pairs.receiver_id <> pairs.sender_id
+ON CONFLICT (receiver_id, sender_id) DO NOTHING;
+
+-- Every 1:1 message accepts its receiver for the sender, and opens (or feeds) a
+-- request on the receiver's side unless the receiver already answered
+CREATE OR REPLACE FUNCTION track_message_request()
+RETURNS TRIGGER
+LANGUAGE plpgsql SECURITY DEFINER
+SET search_path = public AS $$
+BEGIN
+  INSERT INTO message_requests (receiver_id, sender_id, status, responded_at)
+  VALUES (NEW.sender_id, NEW.receiver_id, 'accepted', NOW())
+  ON CONFLICT (receiver_id, sender_id) DO UPDATE
+    SET status = 'accepted',
+        responded_at = NOW()
+    WHERE message_requests.status <> 'accepted';
+
+  INSERT INTO message_requests (receiver_id, sender_id, status, message_count, last_message_at)
+  VALUES (NEW.receiver_id, NEW.sender_id, 'pending', 1, NEW.created_at)
+  ON CONFLICT (receiver_id, sender_id) DO UPDATE
+    SET message_count = message_requests.message_count + 1,
+        last_message_at = EXCLUDED.last_message_at
+    WHERE message_requests.status = 'pending';
+
+  RETURN NULL;
+END;
+$$;
+
+DROP TRIGGER IF EXISTS trigger_messages_request ON messages;
+CREATE TRIGGER trigger_messages_request
+  AFTER INSERT ON messages
+  FOR EACH ROW
+  WHEN (NEW.conversation_id IS NULL AND NEW.receiver_id IS NOT NULL AND NEW.receiver_id <> NEW.sender_id)
+  EXECUTE FUNCTION track_message_request();
+
+-- RPC: Pending requests of the caller with their latest media, newest first.
+-- SECURITY DEFINER: a pending sender is not a contact, so their users row is not readable.
+CREATE OR REPLACE FUNCTION public.get_message_requests()
+RETURNS TABLE (
+  sender_id uuid,
+  sender_pseudo text,
+  message_count int,
+  created_at timestamptz,
+  last_message_id uuid,
+  last_created_at timestamptz,
+  last_media_type text,
+  last_media_url text,
+  last_thumbnail_url text,
+  last_media_key text,
+  last_is_nsfw boolean,
+  last_view_once boolean,
+  last_caption text
+)
+LANGUAGE sql STABLE SECURITY DEFINER
+SET search_path = public AS $$
+  SELECT
+    r.sender_id,
+    u.pseudo AS sender_pseudo,
+    r.message_count,
+    r.created_at,
+    m.id AS last_message_id,
+    m.created_at AS last_created_at,
+    m.media_type AS last_media_type,
+    m.media_url AS last_media_url,
+    m.thumbnail_url AS last_thumbnail_url,
+    m.media_key AS last_media_key,
+    m.is_nsfw AS last_is_nsfw,
+    m.view_once AS last_view_once,
+    m.caption AS last_caption
+  FROM message_requests r
+  JOIN users u ON u.id = r.sender_id
+  JOIN LATERAL (
+    SELECT *
+      FROM messages msg
+     WHERE msg.sender_id = r.sender_id
+       AND msg.receiver_id = r.receiver_id
+       AND msg.conversation_id IS NULL
+     ORDER BY msg.created_at DESC
+     LIMIT 1
+  ) m ON true
+  WHERE r.receiver_id = auth.uid()
+    AND r.status = 'pending'
+    AND NOT EXISTS (
+      SELECT 1 FROM blocks b
+       WHERE b.blocker_id = r.receiver_id
+         AND b.blocked_id = r.sender_id
+    )
+  ORDER BY m.created_at DESC;
+$$;
+
+-- Presence (add_user_presence.sql) is only shared once both sides accepted each other
+CREATE OR REPLACE FUNCTION public.can_see_presence(_owner uuid)
+RETURNS boolean
+LANGUAGE sql STABLE SECURITY DEFINER
+SET search_path = public AS $$
+  SELECT auth.uid() IS NOT NULL
+    AND _owner IS NOT NULL
+    AND auth.uid() <> _owner
+    AND NOT EXISTS (
+      SELECT 1 FROM user_presence p
+       WHERE p.user_id IN (auth.uid(), _owner) AND p.hide_presence
+    )
+    AND NOT EXISTS (
+      SELECT 1 FROM blocks b
+       WHERE (b.blocker_id = auth.uid() AND b.blocked_id = _owner)
+          OR (b.blocker_id = _owner AND b.blocked_id = auth.uid())
+    )
+    AND NOT EXISTS (
+      SELECT 1 FROM message_requests r
+       WHERE ((r.receiver_id = auth.uid() AND r.sender_id = _owner)
+          OR (r.receiver_id = _owner AND r.sender_id = auth.uid()))
+         AND r.status <> 'accepted'
+    )
+    AND (
+      EXISTS (
+        SELECT 1 FROM messages m
+         WHERE (m.sender_id = auth.uid() AND m.receiver_id = _owner)
+            OR (m.sender_id = _owner AND m.receiver_id = auth.uid())
+      )
+      OR EXISTS (
+        SELECT 1 FROM conversation_members a
+        JOIN conversation_members b ON b.conversation_id = a.conversation_id
+         WHERE a.user_id = auth.uid() AND b.user_id = _owner
+      )
+    );
+$$;
+
+-- RPC: Accept or decline a request. Returns the new status, NULL when there was none.
+CREATE OR REPLACE FUNCTION public.respond_message_request(_sender uuid, _accept boolean)
+RETURNS text
+LANGUAGE plpgsql SECURITY DEFINER
+SET search_path = public AS $$
+DECLARE
+  next_status text := CASE WHEN _accept THEN 'accepted' ELSE 'declined' END;
+BEGIN
+  UPDATE message_requests
+     SET status = next_status,
+         responded_at = NOW()
+   WHERE receiver_id = auth.uid()
+     AND sender_id = _sender;
+
+  IF NOT FOUND THEN
+    RETURN NULL;
+  END IF;
+
+  RETURN next_status;
+END;
+$$;
+
+-- Groups (create_group_conversations.sql) only take members who accepted the creator.
+-- Raises when nobody could be added so no empty group is left behind.
+CREATE OR REPLACE FUNCTION public.create_group_conversation(_name text, _member_ids uuid[])
+RETURNS uuid
+LANGUAGE plpgsql SECURITY DEFINER
+SET search_path = public AS $$
+DECLARE
+  me uuid := auth.uid();
+  new_id uuid;
+  added int;
+BEGIN
+  IF me IS NULL THEN
+    RAISE EXCEPTION 'Not authenticated' USING ERRCODE = '42501';
+  END IF;
+
+  IF coalesce(array_length(_member_ids, 1), 0) < 1 OR array_length(_member_ids, 1) > 31 THEN
+    RAISE EXCEPTION 'A group needs between 1 and 31 other members' USING ERRCODE = '22023';
+  END IF;
+
+  INSERT INTO conversations (name, created_by)
+  VALUES (trim(_name), me)
+  RETURNING id INTO new_id;
+
+  INSERT INTO conversation_members (conversation_id, user_id, role)
+  VALUES (new_id, me, 'owner');
+
+  -- Skip unknown ids, duplicates, the caller, users who blocked the caller and
+  -- users who did not accept messages from the caller
+  INSERT INTO conversation_members (conversation_id, user_id, role)
+  SELECT DISTINCT new_id, u.id, 'member'
+  FROM users u
+  WHERE u.id = ANY(_member_ids)
+    AND u.id <> me
+    AND NOT public.is_blocked(u.id, me)
+    AND EXISTS (
+      SELECT 1 FROM message_requests r
+       WHERE r.receiver_id = u.id
+         AND r.sender_id = me
+         AND r.status = 'accepted'
+    )
+  ON CONFLICT DO NOTHING;
+
+  GET DIAGNOSTICS added = ROW_COUNT;
+  IF added = 0 THEN
+    -- PT403: PostgREST answers with HTTP 403
+    RAISE EXCEPTION 'None of these users accepted messages from you' USING ERRCODE = 'PT403';
+  END IF;
+
+  RETURN new_id;
+END;
+$$;
+
+GRANT SELECT ON message_requests TO authenticated;
+GRANT EXECUTE ON FUNCTION public.get_message_requests TO authenticated;
+GRANT EXECUTE ON FUNCTION public.respond_message_request TO authenticated;
+
+-- Add comments for documentation
+COMMENT ON TABLE message_requests IS 'Whether receiver_id accepted 1:1 messages from sender_id; pending and declined threads stay out of the conversation list and pushes';
+COMMENT ON COLUMN message_requests.message_count IS 'Messages received while the request was pending';
@@ -0,0 +1,134 @@
+-- Self-destruct timer for one-time and NSFW media
+--
+-- The sender picks a viewing window in seconds (messages.auto_delete_after).
+-- The window starts the first time the receiver opens the message (seen or
+-- viewed_at set). Once it has passed, the expire-media Edge Function removes
+-- the object from the `media` bucket. Run after create_group_conversations.sql.
+
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS auto_delete_after INTEGER;
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS media_expires_at TIMESTAMPTZ;
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS media_purged_at TIMESTAMPTZ;
+
+ALTER TABLE messages DROP CONSTRAINT IF EXISTS messages_auto_delete_after_check;
+ALTER TABLE messages ADD CONSTRAINT messages_auto_delete_after_check
+  CHECK (auto_delete_after IS NULL OR auto_delete_after BETWEEN 1 AND 60);
+
+CREATE INDEX IF NOT EXISTS idx_messages_media_expires_at ON messages(media_expires_at)
+  WHERE media_expires_at IS NOT NULL AND media_purged_at IS NULL;
+
+-- Start the window on first open. Computed server-side so a receiver cannot extend it.
+CREATE OR REPLACE FUNCTION set_message_media_expiry()
+RETURNS TRIGGER AS $$
+BEGIN
+  -- Never let clients change the timer or move the window, only this trigger sets them
+  NEW.auto_delete_after = OLD.auto_delete_after;
+  NEW.media_expires_at = OLD.media_expires_at;
+
+  IF NEW.auto_delete_after IS NOT NULL
+     AND NEW.media_expires_at IS NULL
+     AND (
+       (coalesce(NEW.seen, false) AND NOT coalesce(OLD.seen, false))
+       OR (NEW.viewed_at IS NOT NULL AND OLD.viewed_at IS NULL)
+     ) THEN
+    NEW.media_expires_at = NOW() + make_interval(secs => NEW.auto_delete_after);
+  END IF;
+
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_messages_media_expiry ON messages;
+CREATE TRIGGER trigger_messages_media_expiry
+  BEFORE UPDATE ON messages
+  FOR EACH ROW
+  EXECUTE FUNCTION set_message_media_expiry();
+
+-- RPC (service role only): mark expired rows as purged and return the storage
+-- objects nobody else still needs. Group and multi-recipient sends share one
+-- object between rows, so an object is only returned once every row using it
+-- is purged or expired.
+CREATE OR REPLACE FUNCTION public.claim_expired_media(_limit int DEFAULT 100)
+RETURNS TABLE (
+  media_url text,
+  thumbnail_url text
+)
+LANGUAGE plpgsql SECURITY DEFINER
+SET search_path = public AS $$
+BEGIN
+  RETURN QUERY
+  WITH expired AS (
+    UPDATE messages m
+       SET media_purged_at = NOW()
+     WHERE m.id IN (
+       SELECT e.id FROM messages e
+       WHERE e.media_expires_at <= NOW()
+         AND e.media_purged_at IS NULL
+       ORDER BY e.media_expires_at
+       LIMIT _limit
+     )
+    RETURNING m.id, m.media_url, m.thumbnail_url
+  )
+  SELECT DISTINCT x.media_url, x.thumbnail_url
+  FROM expired x
+  WHERE NOT EXISTS (
+    -- The UPDATE above is not visible in this snapshot: skip the rows it just claimed
+    SELECT 1 FROM messages live
+    WHERE live.media_url = x.media_url
+      AND live.media_purged_at IS NULL
+      AND live.id NOT IN (SELECT c.id FROM expired c)
+  );
+END;
+$$;
+
+-- Group sends carry the timer too
+DROP FUNCTION IF EXISTS public.send_group_message(uuid, text, text, text, boolean, boolean, text, boolean);
+CREATE OR REPLACE FUNCTION public.send_group_message(
+  _conversation uuid,
+  _media_url text,
+  _media_type text,
+  _caption text DEFAULT NULL,
+  _view_once boolean DEFAULT false,
+  _is_nsfw boolean DEFAULT false,
+  _thumbnail_url text DEFAULT NULL,
+  _is_muted boolean DEFAULT false,
+  _auto_delete_after int DEFAULT NULL
+)
+RETURNS TABLE (
+  id uuid,
+  receiver_id uuid,
+  created_at timestamptz,
+  group_message_id uuid
+)
+LANGUAGE plpgsql SECURITY INVOKER AS $$
+DECLARE
+  me uuid := auth.uid();
+  batch_id uuid := gen_random_uuid();
+BEGIN
+  IF NOT public.is_conversation_member(_conversation, me) THEN
+    RAISE EXCEPTION 'Not a member of this conversation' USING ERRCODE = '42501';
+  END IF;
+
+  RETURN QUERY
+  INSERT INTO messages AS m (
+    sender_id, receiver_id, conversation_id, group_message_id,
+    media_url, media_type, caption, view_once, is_nsfw, thumbnail_url, is_muted, auto_delete_after
+  )
+  SELECT
+    me, cm.user_id, _conversation, batch_id,
+    _media_url, _media_type, _caption, _view_once, _is_nsfw, _thumbnail_url, _is_muted, _auto_delete_after
+  FROM conversation_members cm
+  WHERE cm.conversation_id = _conversation
+    AND cm.user_id <> me
+    AND NOT public.is_blocked(cm.user_id, me)
+  RETURNING m.id, m.receiver_id, m.created_at, m.group_message_id;
+END;
+$$;
+
+REVOKE EXECUTE ON FUNCTION public.claim_expired_media FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.claim_expired_media TO service_role;
+GRANT EXECUTE ON FUNCTION public.send_group_message TO authenticated;
+
+-- Add comments for documentation
+COMMENT ON COLUMN messages.auto_delete_after IS 'Viewing window in seconds chosen by the sender (NULL = default: 5s photos, video length)';
+COMMENT ON COLUMN messages.media_expires_at IS 'End of the viewing window, set when the receiver first opens the message';
+COMMENT ON COLUMN messages.media_purged_at IS 'When the expire-media function released this row''s storage object';
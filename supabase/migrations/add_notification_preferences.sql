@@ -0,0 +1,67 @@
+-- Notification preferences
+--
+-- Per-user push preferences, edited in the app (components/NotificationSettings.js)
+-- and enforced by the send-push-notification Edge Function before anything is sent:
+--   - messages, sounds and badges switches
+--   - quiet hours in the user's own timezone: pushes are delivered silently
+--   - "mute NSFW previews": NSFW media are announced without caption
+--   - per-conversation mute, for a while or until unmuted
+-- A user without a row gets the defaults below. Run after add_invite_links.sql.
+
+CREATE TABLE IF NOT EXISTS notification_preferences (
+  user_id UUID PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+  messages_enabled BOOLEAN NOT NULL DEFAULT true,
+  sounds_enabled BOOLEAN NOT NULL DEFAULT true,
+  vibration_enabled BOOLEAN NOT NULL DEFAULT true,
+  badges_enabled BOOLEAN NOT NULL DEFAULT true,
+  quiet_hours_enabled BOOLEAN NOT NULL DEFAULT false,
+  quiet_hours_start TIME NOT NULL DEFAULT '22:00',
+  quiet_hours_end TIME NOT NULL DEFAULT '07:00',
+  timezone TEXT NOT NULL DEFAULT 'Europe/Paris',
+  mute_nsfw_previews BOOLEAN NOT NULL DEFAULT false,
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- target_id is the other user of a 1:1 conversation, or the group conversation id
+CREATE TABLE IF NOT EXISTS notification_mutes (
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  target_id UUID NOT NULL,
+  muted_until TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  PRIMARY KEY (user_id, target_id)
+);
+
+-- Add RLS (Row Level Security) policies
+ALTER TABLE notification_preferences ENABLE ROW LEVEL SECURITY;
+ALTER TABLE notification_mutes ENABLE ROW LEVEL SECURITY;
+
+-- Policy: Users manage only their own preferences and mutes
+CREATE POLICY "Users can view their notification preferences" ON notification_preferences
+  FOR SELECT USING (user_id = auth.uid());
+
+CREATE POLICY "Users can create their notification preferences" ON notification_preferences
+  FOR INSERT WITH CHECK (user_id = auth.uid());
+
+CREATE POLICY "Users can update their notification preferences" ON notification_preferences
+  FOR UPDATE USING (user_id = auth.uid()) WITH CHECK (user_id = auth.uid());
+
+CREATE POLICY "Users can view their notification mutes" ON notification_mutes
+  FOR SELECT USING (user_id = auth.uid());
+
+CREATE POLICY "Users can create their notification mutes" ON notification_mutes
+  FOR INSERT WITH CHECK (user_id = auth.uid());
+
+CREATE POLICY "Users can update their notification mutes" ON notification_mutes
+  FOR UPDATE USING (user_id = auth.uid()) WITH CHECK (user_id = auth.uid());
+
+CREATE POLICY "Users can delete their notification mutes" ON notification_mutes
+  FOR DELETE USING (user_id = auth.uid());
+
+GRANT SELECT, INSERT, UPDATE ON notification_preferences TO authenticated;
+GRANT SELECT, INSERT, UPDATE, DELETE ON notification_mutes TO authenticated;
+
+-- Add comments for documentation
+COMMENT ON TABLE notification_preferences IS 'Push preferences enforced by the send-push-notification Edge Function';
+COMMENT ON COLUMN notification_preferences.timezone IS 'IANA timezone of the device, quiet hours are evaluated in it';
+COMMENT ON COLUMN notification_preferences.vibration_enabled IS 'Applied on the device only, Expo push has no vibration option';
+COMMENT ON TABLE notification_mutes IS 'Muted conversations; muted_until NULL means until unmuted';
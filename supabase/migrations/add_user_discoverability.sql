@@ -0,0 +1,248 @@
+-- Discoverability and search rate limiting
+--
+-- Each user chooses how others can find them:
+--   'prefix' - in search results while typing the start of their pseudo (default)
+--   'exact'  - only when their full pseudo is typed
+--   'invite' - never through search, only through an invite link
+-- The rule is applied by search_users and find_user_by_pseudo, which the app uses
+-- for every lookup by pseudo. Both count against a per-user budget of searches
+-- (30 per minute, 300 per day) so pseudos cannot be scraped by prefix.
+-- A direct SELECT on users would skip both, so users rows are only readable by
+-- their owner; contacts are read through the user_profiles view, which leaves
+-- out push_token, device_id and every other private column (see the end).
+-- Run after add_message_requests.sql.
+
+ALTER TABLE users ADD COLUMN IF NOT EXISTS discoverability TEXT NOT NULL DEFAULT 'prefix'
+  CHECK (discoverability IN ('prefix', 'exact', 'invite'));
+
+-- One row per search, kept for a day
+CREATE TABLE IF NOT EXISTS user_search_log (
+  id BIGSERIAL PRIMARY KEY,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  searched_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_user_search_log_user ON user_search_log(user_id, searched_at DESC);
+
+-- Add RLS (Row Level Security) policies
+-- No policy: the log is only written and read by the functions below
+ALTER TABLE user_search_log ENABLE ROW LEVEL SECURITY;
+
+-- Record a search by the caller, or refuse it once the budget is spent.
+-- ERRCODE PT429 makes PostgREST answer with HTTP 429.
+CREATE OR REPLACE FUNCTION public.consume_search_quota()
+RETURNS void
+LANGUAGE plpgsql SECURITY DEFINER
+SET search_path = public AS $$
+DECLARE
+  last_minute int;
+  last_day int;
+BEGIN
+  IF auth.uid() IS NULL THEN
+    RAISE EXCEPTION 'Not authenticated' USING ERRCODE = '42501';
+  END IF;
+
+  DELETE FROM user_search_log
+   WHERE user_id = auth.uid()
+     AND searched_at < NOW() - INTERVAL '1 day';
+
+  SELECT COUNT(*) FILTER (WHERE searched_at > NOW() - INTERVAL '1 minute'),
+         COUNT(*)
+    INTO last_minute, last_day
+    FROM user_search_log
+   WHERE user_id = auth.uid();
+
+  IF last_minute >= 30 OR last_day >= 300 THEN
+    RAISE EXCEPTION 'Too many searches, try again later' USING ERRCODE = 'PT429';
+  END IF;
+
+  INSERT INTO user_search_log (user_id) VALUES (auth.uid());
+END;
+$$;
+
+-- RPC: Users matching a pseudo prefix (at least 2 characters), per their discoverability.
+-- Blocked users are left out both ways.
+CREATE OR REPLACE FUNCTION public.search_users(_query text)
+RETURNS TABLE (
+  id uuid,
+  pseudo text,
+  updated_at timestamptz,
+  age int,
+  sexe text
+)
+LANGUAGE plpgsql SECURITY DEFINER
+SET search_path = public AS $$
+DECLARE
+  term text := lower(btrim(coalesce(_query, '')));
+BEGIN
+  IF length(term) < 2 THEN
+    RETURN;
+  END IF;
+
+  PERFORM public.consume_search_quota();
+
+  RETURN QUERY
+  SELECT u.id, u.pseudo::text, u.updated_at, u.age::int, u.sexe::text
+    FROM users u
+   WHERE u.id <> auth.uid()
+     AND (
+       (u.discoverability = 'prefix'
+         AND lower(u.pseudo) LIKE replace(replace(replace(term, '\', '\\'), '%', '\%'), '_', '\_') || '%')
+       OR (u.discoverability = 'exact' AND lower(u.pseudo) = term)
+     )
+     AND NOT EXISTS (
+       SELECT 1 FROM blocks b
+        WHERE (b.blocker_id = auth.uid() AND b.blocked_id = u.id)
+           OR (b.blocker_id = u.id AND b.blocked_id = auth.uid())
+     )
+   ORDER BY lower(u.pseudo) = term DESC, u.pseudo
+   LIMIT 10;
+END;
+$$;
+
+-- RPC: The user with exactly this pseudo, unless they are only reachable by invite
+CREATE OR REPLACE FUNCTION public.find_user_by_pseudo(_pseudo text)
+RETURNS TABLE (
+  id uuid,
+  pseudo text,
+  updated_at timestamptz,
+  age int,
+  sexe text
+)
+LANGUAGE plpgsql SECURITY DEFINER
+SET search_path = public AS $$
+BEGIN
+  PERFORM public.consume_search_quota();
+
+  RETURN QUERY
+  SELECT u.id, u.pseudo::text, u.updated_at, u.age::int, u.sexe::text
+    FROM users u
+   WHERE lower(u.pseudo) = lower(btrim(coalesce(_pseudo, '')))
+     AND u.discoverability <> 'invite'
+     AND NOT EXISTS (
+       SELECT 1 FROM blocks b
+        WHERE b.blocker_id = u.id AND b.blocked_id = auth.uid()
+     )
+   LIMIT 1;
+END;
+$$;
+
+-- RPC: Change the caller's discoverability
+CREATE OR REPLACE FUNCTION public.set_discoverability(_mode text)
+RETURNS void
+LANGUAGE plpgsql SECURITY DEFINER
+SET search_path = public AS $$
+BEGIN
+  IF _mode NOT IN ('prefix', 'exact', 'invite') THEN
+    RAISE EXCEPTION 'Invalid discoverability: %', _mode USING ERRCODE = '22023';
+  END IF;
+
+  UPDATE users SET discoverability = _mode WHERE id = auth.uid();
+END;
+$$;
+
+-- Whether the caller shares a group or an accepted conversation with _other.
+-- Messages held by a pending or declined request (add_message_requests.sql) do not count.
+-- Always evaluated for auth.uid() so it cannot be used to probe other users' contacts.
+CREATE OR REPLACE FUNCTION public.is_contact(_other uuid)
+RETURNS boolean
+LANGUAGE sql STABLE SECURITY DEFINER
+SET search_path = public AS $$
+  SELECT auth.uid() IS NOT NULL
+    AND _other IS NOT NULL
+    AND (
+      EXISTS (
+        SELECT 1 FROM conversation_members a
+        JOIN conversation_members b ON b.conversation_id = a.conversation_id
+         WHERE a.user_id = auth.uid() AND b.user_id = _other
+      )
+      OR EXISTS (
+        SELECT 1 FROM message_requests r
+         WHERE ((r.receiver_id = auth.uid() AND r.sender_id = _other)
+            OR (r.receiver_id = _other AND r.sender_id = auth.uid()))
+           AND r.status = 'accepted'
+      )
+      OR (
+        EXISTS (
+          SELECT 1 FROM messages m
+           WHERE (m.sender_id = auth.uid() AND m.receiver_id = _other)
+              OR (m.sender_id = _other AND m.receiver_id = auth.uid())
+        )
+        AND NOT EXISTS (
+          SELECT 1 FROM message_requests r
+           WHERE ((r.receiver_id = auth.uid() AND r.sender_id = _other)
+              OR (r.receiver_id = _other AND r.sender_id = auth.uid()))
+             AND r.status <> 'accepted'
+        )
+      )
+    );
+$$;
+
+-- RPC: Public keys of users, for encrypting a first message to someone found by
+-- search or invite (not a contact yet, so their users row is not readable)
+CREATE OR REPLACE FUNCTION public.get_public_keys(_users uuid[])
+RETURNS TABLE (id uuid, public_key text)
+LANGUAGE sql STABLE SECURITY DEFINER
+SET search_path = public AS $$
+  SELECT u.id, u.public_key
+    FROM users u
+   WHERE u.id = ANY(_users[1:100]);
+$$;
+
+-- RPC: The account registered with a pseudo, for the sign-in recovery paths that
+-- run before there is a session. Only answers when the caller already knows the
+-- account id or holds its device id, so pseudos cannot be mapped to accounts.
+CREATE OR REPLACE FUNCTION public.find_device_account(_pseudo text, _user_id uuid, _device_id text)
+RETURNS TABLE (id uuid, pseudo text, same_device boolean)
+LANGUAGE sql STABLE SECURITY DEFINER
+SET search_path = public AS $$
+  SELECT u.id, u.pseudo::text, coalesce(u.device_id = _device_id, false)
+    FROM users u
+   WHERE u.pseudo = _pseudo
+     AND (u.id = _user_id OR u.device_id = _device_id)
+   LIMIT 1;
+$$;
+
+-- Replace whatever read policies users had (the table was readable by everyone)
+DO $$
+DECLARE
+  existing record;
+BEGIN
+  FOR existing IN
+    SELECT policyname FROM pg_policies
+     WHERE schemaname = 'public' AND tablename = 'users' AND cmd IN ('SELECT', 'ALL')
+  LOOP
+    EXECUTE format('DROP POLICY %I ON public.users', existing.policyname);
+  END LOOP;
+END;
+$$;
+
+-- Add RLS (Row Level Security) policies
+ALTER TABLE users ENABLE ROW LEVEL SECURITY;
+
+-- Policy: Users can only read their own row
+CREATE POLICY "Users can view their own row" ON users
+  FOR SELECT USING (id = auth.uid());
+
+-- What other users may read of a contact; anyone else is only reachable through
+-- search_users, find_user_by_pseudo and resolve_invite. Runs as its owner, so it
+-- is not limited by the policy above.
+CREATE OR REPLACE VIEW public.user_profiles WITH (security_barrier) AS
+  SELECT u.id, u.pseudo, u.public_key
+    FROM users u
+   WHERE u.id = auth.uid() OR public.is_contact(u.id);
+
+REVOKE EXECUTE ON FUNCTION public.consume_search_quota FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.search_users TO authenticated;
+GRANT EXECUTE ON FUNCTION public.find_user_by_pseudo TO authenticated;
+GRANT EXECUTE ON FUNCTION public.set_discoverability TO authenticated;
+GRANT EXECUTE ON FUNCTION public.is_contact TO authenticated;
+GRANT EXECUTE ON FUNCTION public.get_public_keys TO authenticated;
+GRANT EXECUTE ON FUNCTION public.find_device_account TO anon, authenticated;
+REVOKE ALL ON public.user_profiles FROM PUBLIC, anon, authenticated;
+GRANT SELECT ON public.user_profiles TO authenticated;
+
+-- Add comments for documentation
+COMMENT ON COLUMN users.discoverability IS 'How others find this user: prefix search, exact pseudo only, or invite link only';
+COMMENT ON VIEW user_profiles IS 'Public columns of the caller and their contacts; users rows are owner-only';
+COMMENT ON TABLE user_search_log IS 'Searches per user over the last day, for search_users and find_user_by_pseudo rate limiting';
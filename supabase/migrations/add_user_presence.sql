@@ -0,0 +1,167 @@
+-- Presence and "last active"
+--
+-- Each user owns a private Realtime channel `presence:<user_id>`. Their app tracks
+-- itself on it while in the foreground; contacts join it to show the online dot,
+-- and call send_capture_activity while filming for them in the camera, which
+-- broadcasts `capture_activity` on it with the caller as sender.
+-- A contact is someone you share a message or a group with, and nobody blocked.
+--
+-- Hiding presence is reciprocal: a user with hide_presence neither appears online
+-- nor sees anyone else, and last_active_at is only readable under the same rule.
+-- Both live in user_presence rather than users, whose rows contacts can read:
+-- each user only reads their own row, get_last_active is the way to see others.
+-- The policies below apply to private channels only: disable "Allow public access"
+-- in the project's Realtime settings. Run after add_message_delivery_state.sql.
+
+CREATE TABLE IF NOT EXISTS user_presence (
+  user_id UUID PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+  hide_presence BOOLEAN NOT NULL DEFAULT false,
+  last_active_at TIMESTAMPTZ
+);
+
+-- Add RLS (Row Level Security) policies
+ALTER TABLE user_presence ENABLE ROW LEVEL SECURITY;
+
+-- Policy: Users read their own settings; writes only go through the RPCs below
+CREATE POLICY "Users can view their own presence" ON user_presence
+  FOR SELECT USING (user_id = auth.uid());
+
+-- Owner of a presence topic, NULL for any other topic
+CREATE OR REPLACE FUNCTION public.presence_topic_owner(_topic text)
+RETURNS uuid
+LANGUAGE sql IMMUTABLE AS $$
+  SELECT CASE
+    WHEN _topic ~ '^presence:[0-9a-fA-F]{8}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{4}-[0-9a-fA-F]{12}$'
+    THEN substring(_topic FROM 10)::uuid
+  END;
+$$;
+
+-- Whether the caller may see _owner's presence: contacts, not blocked, neither hiding.
+-- Always evaluated for auth.uid() so it cannot be used to probe other users' contacts.
+CREATE OR REPLACE FUNCTION public.can_see_presence(_owner uuid)
+RETURNS boolean
+LANGUAGE sql STABLE SECURITY DEFINER
+SET search_path = public AS $$
+  SELECT auth.uid() IS NOT NULL
+    AND _owner IS NOT NULL
+    AND auth.uid() <> _owner
+    AND NOT EXISTS (
+      SELECT 1 FROM user_presence p
+       WHERE p.user_id IN (auth.uid(), _owner) AND p.hide_presence
+    )
+    AND NOT EXISTS (
+      SELECT 1 FROM blocks b
+       WHERE (b.blocker_id = auth.uid() AND b.blocked_id = _owner)
+          OR (b.blocker_id = _owner AND b.blocked_id = auth.uid())
+    )
+    AND (
+      EXISTS (
+        SELECT 1 FROM messages m
+         WHERE (m.sender_id = auth.uid() AND m.receiver_id = _owner)
+            OR (m.sender_id = _owner AND m.receiver_id = auth.uid())
+      )
+      OR EXISTS (
+        SELECT 1 FROM conversation_members a
+        JOIN conversation_members b ON b.conversation_id = a.conversation_id
+         WHERE a.user_id = auth.uid() AND b.user_id = _owner
+      )
+    );
+$$;
+
+-- Realtime authorization on presence:<user_id> topics
+-- The owner reads everything on their topic (presence and capture broadcasts);
+-- contacts only read presence, so capture activity meant for one user never
+-- reaches their other contacts.
+DROP POLICY IF EXISTS "Presence topic read" ON realtime.messages;
+CREATE POLICY "Presence topic read" ON realtime.messages
+  FOR SELECT TO authenticated
+  USING (
+    public.presence_topic_owner(realtime.topic()) = auth.uid()
+    OR (
+      realtime.messages.extension = 'presence'
+      AND public.can_see_presence(public.presence_topic_owner(realtime.topic()))
+    )
+  );
+
+-- Only the owner tracks on their topic, and not while hiding. Nobody broadcasts
+-- to it directly: capture activity goes through send_capture_activity, so its
+-- sender cannot be forged.
+DROP POLICY IF EXISTS "Presence topic write" ON realtime.messages;
+CREATE POLICY "Presence topic write" ON realtime.messages
+  FOR INSERT TO authenticated
+  WITH CHECK (
+    realtime.messages.extension = 'presence'
+    AND public.presence_topic_owner(realtime.topic()) = auth.uid()
+    AND NOT EXISTS (SELECT 1 FROM public.user_presence p WHERE p.user_id = auth.uid() AND p.hide_presence)
+  );
+
+-- RPC: Tell _peer that the caller is filming for them ('photo' or 'video'), or
+-- stopped (NULL). Dropped silently when the caller may not see _peer's presence.
+CREATE OR REPLACE FUNCTION public.send_capture_activity(_peer uuid, _mode text)
+RETURNS void
+LANGUAGE plpgsql SECURITY DEFINER
+SET search_path = public AS $$
+BEGIN
+  IF _mode IS NOT NULL AND _mode NOT IN ('photo', 'video') THEN
+    RAISE EXCEPTION 'Invalid capture mode: %', _mode USING ERRCODE = '22023';
+  END IF;
+
+  IF NOT public.can_see_presence(_peer) THEN
+    RETURN;
+  END IF;
+
+  PERFORM realtime.send(
+    jsonb_build_object('from', auth.uid(), 'mode', _mode),
+    'capture_activity',
+    'presence:' || _peer,
+    true
+  );
+END;
+$$;
+
+-- RPC: Show or hide the caller's presence
+CREATE OR REPLACE FUNCTION public.set_hide_presence(_hidden boolean)
+RETURNS boolean
+LANGUAGE plpgsql SECURITY DEFINER
+SET search_path = public AS $$
+BEGIN
+  INSERT INTO user_presence (user_id, hide_presence)
+  VALUES (auth.uid(), coalesce(_hidden, false))
+  ON CONFLICT (user_id) DO UPDATE SET hide_presence = EXCLUDED.hide_presence;
+
+  RETURN coalesce(_hidden, false);
+END;
+$$;
+
+-- RPC: Stamp the caller as active now (app foregrounded or backgrounded)
+CREATE OR REPLACE FUNCTION public.touch_last_active()
+RETURNS void
+LANGUAGE sql SECURITY DEFINER
+SET search_path = public AS $$
+  INSERT INTO user_presence (user_id, last_active_at)
+  VALUES (auth.uid(), NOW())
+  ON CONFLICT (user_id) DO UPDATE SET last_active_at = EXCLUDED.last_active_at;
+$$;
+
+-- RPC: Last activity of contacts, omitting anyone the caller may not see
+CREATE OR REPLACE FUNCTION public.get_last_active(_users uuid[])
+RETURNS TABLE (user_id uuid, last_active_at timestamptz)
+LANGUAGE sql STABLE SECURITY DEFINER
+SET search_path = public AS $$
+  SELECT p.user_id, p.last_active_at
+    FROM user_presence p
+   WHERE p.user_id = ANY(_users)
+     AND public.can_see_presence(p.user_id);
+$$;
+
+GRANT EXECUTE ON FUNCTION public.presence_topic_owner TO authenticated;
+GRANT EXECUTE ON FUNCTION public.can_see_presence TO authenticated;
+GRANT EXECUTE ON FUNCTION public.set_hide_presence TO authenticated;
+GRANT EXECUTE ON FUNCTION public.touch_last_active TO authenticated;
+GRANT EXECUTE ON FUNCTION public.send_capture_activity TO authenticated;
+GRANT EXECUTE ON FUNCTION public.get_last_active TO authenticated;
+
+-- Add comments for documentation
+COMMENT ON TABLE user_presence IS 'Private presence settings and activity, only readable by their owner';
+COMMENT ON COLUMN user_presence.hide_presence IS 'Hide online status and last activity; also hides everyone else''s from this user';
+COMMENT ON COLUMN user_presence.last_active_at IS 'Last time the app was in the foreground, readable by contacts through get_last_active';
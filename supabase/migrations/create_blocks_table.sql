@@ -0,0 +1,104 @@
+-- Create blocks table so block lists survive reinstalls and are shared across devices
+CREATE TABLE IF NOT EXISTS blocks (
+  blocker_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  blocked_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+
+  PRIMARY KEY (blocker_id, blocked_id),
+  CHECK (blocker_id <> blocked_id)
+);
+
+-- Reverse lookup: "who blocked this user" (used by the messages insert policy)
+CREATE INDEX IF NOT EXISTS idx_blocks_blocked_id ON blocks(blocked_id);
+
+-- Add RLS (Row Level Security) policies
+ALTER TABLE blocks ENABLE ROW LEVEL SECURITY;
+
+-- Policy: Users can only see the blocks they created
+CREATE POLICY "Users can view their own blocks" ON blocks
+  FOR SELECT USING (blocker_id = auth.uid());
+
+-- Policy: Users can block other users
+CREATE POLICY "Users can create their own blocks" ON blocks
+  FOR INSERT WITH CHECK (blocker_id = auth.uid());
+
+-- Policy: Users can unblock users they blocked
+CREATE POLICY "Users can delete their own blocks" ON blocks
+  FOR DELETE USING (blocker_id = auth.uid());
+
+-- Helper used by policies and other RPCs. SECURITY DEFINER so that a blocked
+-- sender can be checked against rows they are not allowed to read. Policies run
+-- it as the caller, so it stays granted, but it only answers for pairs that
+-- include the caller: nobody can probe who blocked whom between other users.
+CREATE OR REPLACE FUNCTION public.is_blocked(_blocker uuid, _blocked uuid)
+RETURNS boolean
+LANGUAGE sql STABLE SECURITY DEFINER
+SET search_path = public AS $$
+  select auth.uid() in (_blocker, _blocked) and exists (
+    select 1 from blocks
+    where blocker_id = _blocker and blocked_id = _blocked
+  );
+$$;
+
+-- Policy: Reject messages sent to a user who blocked the sender.
+-- RESTRICTIVE so it is AND-ed with the existing permissive insert policies.
+DROP POLICY IF EXISTS "Blocked senders cannot insert messages" ON messages;
+CREATE POLICY "Blocked senders cannot insert messages" ON messages
+  AS RESTRICTIVE
+  FOR INSERT WITH CHECK (NOT public.is_blocked(receiver_id, sender_id));
+
+-- RPC: Block a user (idempotent)
+CREATE OR REPLACE FUNCTION public.block_user(_blocked uuid)
+RETURNS boolean
+LANGUAGE plpgsql SECURITY INVOKER AS $$
+BEGIN
+  INSERT INTO blocks (blocker_id, blocked_id)
+  VALUES (auth.uid(), _blocked)
+  ON CONFLICT (blocker_id, blocked_id) DO NOTHING;
+  RETURN FOUND;
+END;
+$$;
+
+-- RPC: Unblock a user, or every user when _blocked is null
+CREATE OR REPLACE FUNCTION public.unblock_user(_blocked uuid DEFAULT NULL)
+RETURNS int
+LANGUAGE plpgsql SECURITY INVOKER AS $$
+DECLARE
+  removed int;
+BEGIN
+  DELETE FROM blocks
+  WHERE blocker_id = auth.uid()
+    AND (_blocked IS NULL OR blocked_id = _blocked);
+  GET DIAGNOSTICS removed = ROW_COUNT;
+  RETURN removed;
+END;
+$$;
+
+-- RPC: Block list with the details BlockedUsersScreen displays.
+-- SECURITY DEFINER: a blocked user's users row is not readable by the caller.
+CREATE OR REPLACE FUNCTION public.get_blocked_users()
+RETURNS TABLE (
+  id uuid,
+  pseudo text,
+  age int,
+  sexe text,
+  blocked_at timestamptz
+)
+LANGUAGE sql STABLE SECURITY DEFINER
+SET search_path = public AS $$
+  select u.id, u.pseudo, u.age, u.sexe, b.created_at as blocked_at
+  from blocks b
+  left join users u on u.id = b.blocked_id
+  where b.blocker_id = auth.uid()
+  order by b.created_at desc;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.is_blocked TO authenticated;
+GRANT EXECUTE ON FUNCTION public.block_user TO authenticated;
+GRANT EXECUTE ON FUNCTION public.unblock_user TO authenticated;
+GRANT EXECUTE ON FUNCTION public.get_blocked_users TO authenticated;
+
+-- Add comments for documentation
+COMMENT ON TABLE blocks IS 'User block list, enforced on messages inserts, conversations and push notifications';
+COMMENT ON COLUMN blocks.blocker_id IS 'User who created the block';
+COMMENT ON COLUMN blocks.blocked_id IS 'User who can no longer message or notify the blocker';
@@ -0,0 +1,300 @@
+-- Group conversations
+--
+-- A group capture is fanned out into one `messages` row per recipient member,
+-- all sharing the same `group_message_id`. This keeps seen/viewed state (and
+-- therefore one-time and NSFW viewing) per recipient, exactly like 1:1 messages.
+-- Run after create_blocks_table.sql; sql_patches.sql relies on messages.conversation_id.
+
+CREATE TABLE IF NOT EXISTS conversations (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  name TEXT NOT NULL CHECK (char_length(name) BETWEEN 1 AND 50),
+  created_by UUID REFERENCES users(id) ON DELETE SET NULL,
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  updated_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE TABLE IF NOT EXISTS conversation_members (
+  conversation_id UUID NOT NULL REFERENCES conversations(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  role TEXT NOT NULL CHECK (role IN ('owner', 'member')) DEFAULT 'member',
+  joined_at TIMESTAMPTZ DEFAULT NOW(),
+
+  PRIMARY KEY (conversation_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_conversation_members_user_id ON conversation_members(user_id);
+
+-- Messages belonging to a group
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS conversation_id UUID REFERENCES conversations(id) ON DELETE CASCADE;
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS group_message_id UUID;
+
+CREATE INDEX IF NOT EXISTS idx_messages_conversation_time ON messages(conversation_id, created_at DESC)
+  WHERE conversation_id IS NOT NULL;
+CREATE INDEX IF NOT EXISTS idx_messages_group_message_id ON messages(group_message_id)
+  WHERE group_message_id IS NOT NULL;
+
+-- Add trigger to update updated_at timestamp
+CREATE OR REPLACE FUNCTION update_conversations_updated_at()
+RETURNS TRIGGER AS $$
+BEGIN
+  NEW.updated_at = NOW();
+  RETURN NEW;
+END;
+$$ LANGUAGE plpgsql;
+
+DROP TRIGGER IF EXISTS trigger_conversations_updated_at ON conversations;
+CREATE TRIGGER trigger_conversations_updated_at
+  BEFORE UPDATE ON conversations
+  FOR EACH ROW
+  EXECUTE FUNCTION update_conversations_updated_at();
+
+-- Membership helper. SECURITY DEFINER so policies on conversation_members
+-- can use it without recursing into themselves.
+CREATE OR REPLACE FUNCTION public.is_conversation_member(_conversation uuid, _user uuid)
+RETURNS boolean
+LANGUAGE sql STABLE SECURITY DEFINER
+SET search_path = public AS $$
+  select exists (
+    select 1 from conversation_members
+    where conversation_id = _conversation and user_id = _user
+  );
+$$;
+
+-- Add RLS (Row Level Security) policies
+ALTER TABLE conversations ENABLE ROW LEVEL SECURITY;
+ALTER TABLE conversation_members ENABLE ROW LEVEL SECURITY;
+
+-- Policy: Members can see their groups
+CREATE POLICY "Members can view their conversations" ON conversations
+  FOR SELECT USING (public.is_conversation_member(id, auth.uid()));
+
+-- Policy: Owners can rename their groups
+CREATE POLICY "Owners can update their conversations" ON conversations
+  FOR UPDATE USING (created_by = auth.uid());
+
+-- Policy: Members can see the other members of their groups
+CREATE POLICY "Members can view conversation members" ON conversation_members
+  FOR SELECT USING (public.is_conversation_member(conversation_id, auth.uid()));
+
+-- Policy: Members can leave a group
+CREATE POLICY "Members can leave conversations" ON conversation_members
+  FOR DELETE USING (user_id = auth.uid());
+
+-- Policy: Group messages may only be exchanged between members of that group
+DROP POLICY IF EXISTS "Group messages require membership" ON messages;
+CREATE POLICY "Group messages require membership" ON messages
+  AS RESTRICTIVE
+  FOR INSERT WITH CHECK (
+    conversation_id IS NULL OR (
+      public.is_conversation_member(conversation_id, sender_id)
+      AND public.is_conversation_member(conversation_id, receiver_id)
+    )
+  );
+
+-- RPC: Create a group with the caller as owner
+CREATE OR REPLACE FUNCTION public.create_group_conversation(_name text, _member_ids uuid[])
+RETURNS uuid
+LANGUAGE plpgsql SECURITY DEFINER
+SET search_path = public AS $$
+DECLARE
+  me uuid := auth.uid();
+  new_id uuid;
+BEGIN
+  IF me IS NULL THEN
+    RAISE EXCEPTION 'Not authenticated' USING ERRCODE = '42501';
+  END IF;
+
+  IF coalesce(array_length(_member_ids, 1), 0) < 1 OR array_length(_member_ids, 1) > 31 THEN
+    RAISE EXCEPTION 'A group needs between 1 and 31 other members' USING ERRCODE = '22023';
+  END IF;
+
+  INSERT INTO conversations (name, created_by)
+  VALUES (trim(_name), me)
+  RETURNING id INTO new_id;
+
+  INSERT INTO conversation_members (conversation_id, user_id, role)
+  VALUES (new_id, me, 'owner');
+
+  -- Skip unknown ids, duplicates, the caller and users who blocked the caller
+  INSERT INTO conversation_members (conversation_id, user_id, role)
+  SELECT DISTINCT new_id, u.id, 'member'
+  FROM users u
+  WHERE u.id = ANY(_member_ids)
+    AND u.id <> me
+    AND NOT public.is_blocked(u.id, me)
+  ON CONFLICT DO NOTHING;
+
+  RETURN new_id;
+END;
+$$;
+
+-- RPC: Fan a capture out to every other member (one row per recipient)
+CREATE OR REPLACE FUNCTION public.send_group_message(
+  _conversation uuid,
+  _media_url text,
+  _media_type text,
+  _caption text DEFAULT NULL,
+  _view_once boolean DEFAULT false,
+  _is_nsfw boolean DEFAULT false,
+  _thumbnail_url text DEFAULT NULL,
+  _is_muted boolean DEFAULT false
+)
+RETURNS TABLE (
+  id uuid,
+  receiver_id uuid,
+  created_at timestamptz,
+  group_message_id uuid
+)
+LANGUAGE plpgsql SECURITY INVOKER AS $$
+DECLARE
+  me uuid := auth.uid();
+  batch_id uuid := gen_random_uuid();
+BEGIN
+  IF NOT public.is_conversation_member(_conversation, me) THEN
+    RAISE EXCEPTION 'Not a member of this conversation' USING ERRCODE = '42501';
+  END IF;
+
+  RETURN QUERY
+  INSERT INTO messages AS m (
+    sender_id, receiver_id, conversation_id, group_message_id,
+    media_url, media_type, caption, view_once, is_nsfw, thumbnail_url, is_muted
+  )
+  SELECT
+    me, cm.user_id, _conversation, batch_id,
+    _media_url, _media_type, _caption, _view_once, _is_nsfw, _thumbnail_url, _is_muted
+  FROM conversation_members cm
+  WHERE cm.conversation_id = _conversation
+    AND cm.user_id <> me
+    AND NOT public.is_blocked(cm.user_id, me)
+  RETURNING m.id, m.receiver_id, m.created_at, m.group_message_id;
+END;
+$$;
+
+-- RPC: Group list for HomeScreen, same shape as get_conversations where possible.
+-- The caller's own fan-out rows are collapsed into a single last message with
+-- recipient/seen counts for per-member read receipts.
+CREATE OR REPLACE FUNCTION public.get_group_conversations(_user uuid)
+RETURNS TABLE (
+  conversation_id uuid,
+  name text,
+  members jsonb,
+  last_message_id uuid,
+  last_group_message_id uuid,
+  last_created_at timestamptz,
+  last_media_type text,
+  last_media_url text,
+  last_thumbnail_url text,
+  last_is_nsfw boolean,
+  last_sender_id uuid,
+  last_receiver_id uuid,
+  last_view_once boolean,
+  last_caption text,
+  last_seen boolean,
+  last_seen_at timestamptz,
+  last_recipient_count int,
+  last_seen_count int,
+  unread_count int
+)
+LANGUAGE sql STABLE AS $$
+with my_groups as (
+  select c.id, c.name, c.created_at
+  from conversations c
+  join conversation_members cm on cm.conversation_id = c.id
+  where cm.user_id = _user
+),
+msgs as (
+  select
+    m.*,
+    row_number() over (
+      partition by m.conversation_id
+      order by
+        case when m.is_nsfw and m.viewed_at is not null then 1 else 0 end asc,
+        m.created_at desc
+    ) as rn
+  from messages m
+  where m.conversation_id in (select id from my_groups)
+    and (m.receiver_id = _user or m.sender_id = _user)
+),
+last_msgs as (
+  select * from msgs where rn = 1
+),
+receipts as (
+  select
+    r.group_message_id,
+    count(*)::int as recipient_count,
+    count(*) filter (where r.seen)::int as seen_count,
+    max(r.seen_at) as seen_at
+  from messages r
+  where r.group_message_id in (select group_message_id from last_msgs where sender_id = _user)
+  group by r.group_message_id
+),
+unread as (
+  select conversation_id, count(*)::int as unread_count
+  from messages
+  where receiver_id = _user
+    and conversation_id in (select id from my_groups)
+    and seen = false
+    and not (is_nsfw = true and viewed_at is not null)
+  group by conversation_id
+)
+select
+  g.id as conversation_id,
+  g.name,
+  (
+    select jsonb_agg(jsonb_build_object('id', u.id, 'pseudo', u.pseudo, 'role', cm.role) order by cm.joined_at)
+    from conversation_members cm
+    join users u on u.id = cm.user_id
+    where cm.conversation_id = g.id
+  ) as members,
+  m.id as last_message_id,
+  m.group_message_id as last_group_message_id,
+  coalesce(m.created_at, g.created_at) as last_created_at,
+  m.media_type as last_media_type,
+  m.media_url as last_media_url,
+  m.thumbnail_url as last_thumbnail_url,
+  m.is_nsfw as last_is_nsfw,
+  m.sender_id as last_sender_id,
+  m.receiver_id as last_receiver_id,
+  m.view_once as last_view_once,
+  m.caption as last_caption,
+  case when m.sender_id = _user then r.seen_count = r.recipient_count else m.seen end as last_seen,
+  case when m.sender_id = _user then r.seen_at else m.seen_at end as last_seen_at,
+  r.recipient_count as last_recipient_count,
+  r.seen_count as last_seen_count,
+  coalesce(un.unread_count, 0) as unread_count
+from my_groups g
+left join last_msgs m on m.conversation_id = g.id
+left join receipts r on r.group_message_id = m.group_message_id
+left join unread un on un.conversation_id = g.id
+order by coalesce(m.created_at, g.created_at) desc;
+$$;
+
+-- RPC: Mark the caller's rows of a group as read up to a timestamp
+CREATE OR REPLACE FUNCTION public.mark_group_messages_read(_conversation uuid, _before timestamptz)
+RETURNS TABLE (updated_id uuid)
+LANGUAGE sql SECURITY DEFINER
+SET search_path = public AS $$
+  update messages m
+     set seen = true,
+         seen_at = now()
+   where m.conversation_id = _conversation
+     and m.receiver_id = auth.uid()
+     and m.created_at <= _before
+     and coalesce(m.seen, false) = false
+     -- One-time and NSFW rows are marked individually once actually viewed
+     and coalesce(m.view_once, false) = false
+     and coalesce(m.is_nsfw, false) = false
+  returning m.id;
+$$;
+
+GRANT EXECUTE ON FUNCTION public.is_conversation_member TO authenticated;
+GRANT EXECUTE ON FUNCTION public.create_group_conversation TO authenticated;
+GRANT EXECUTE ON FUNCTION public.send_group_message TO authenticated;
+GRANT EXECUTE ON FUNCTION public.get_group_conversations TO authenticated;
+GRANT EXECUTE ON FUNCTION public.mark_group_messages_read TO authenticated;
+
+-- Add comments for documentation
+COMMENT ON TABLE conversations IS 'Group threads; 1:1 conversations stay implicit (sender/receiver pair)';
+COMMENT ON TABLE conversation_members IS 'Members of a group conversation';
+COMMENT ON COLUMN messages.conversation_id IS 'Group this message belongs to (NULL for 1:1 messages)';
+COMMENT ON COLUMN messages.group_message_id IS 'Shared by the per-recipient rows of one group capture';
@@ -0,0 +1,76 @@
+-- Screenshot / screen recording events on one-time and NSFW messages
+--
+-- The receiver's app records an event when a capture is detected while such a message
+-- is on screen. The first event also stamps messages.screenshot_at so the sender's
+-- copy shows a marker through the usual realtime UPDATE.
+
+ALTER TABLE messages ADD COLUMN IF NOT EXISTS screenshot_at TIMESTAMPTZ;
+
+CREATE TABLE IF NOT EXISTS message_events (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  message_id UUID NOT NULL REFERENCES messages(id) ON DELETE CASCADE,
+  actor_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  event_type TEXT NOT NULL CHECK (event_type IN ('screenshot', 'screen_recording')),
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_message_events_message_id ON message_events(message_id);
+CREATE INDEX IF NOT EXISTS idx_message_events_actor_id ON message_events(actor_id);
+
+-- Add RLS (Row Level Security) policies
+ALTER TABLE message_events ENABLE ROW LEVEL SECURITY;
+
+-- Policy: Users see the events they triggered and the events on messages they sent.
+-- Inserts only go through record_message_event.
+CREATE POLICY "Users can view events on their messages" ON message_events
+  FOR SELECT USING (
+    actor_id = auth.uid()
+    OR EXISTS (
+      SELECT 1 FROM messages m
+      WHERE m.id = message_events.message_id
+        AND m.sender_id = auth.uid()
+    )
+  );
+
+-- RPC: Record a capture of a received one-time/NSFW message.
+-- Returns the sender to notify, or NULL when the message does not qualify.
+CREATE OR REPLACE FUNCTION public.record_message_event(
+  _message uuid,
+  _event_type text DEFAULT 'screenshot'
+)
+RETURNS uuid
+LANGUAGE plpgsql SECURITY DEFINER
+SET search_path = public AS $$
+DECLARE
+  me uuid := auth.uid();
+  msg_sender uuid;
+BEGIN
+  SELECT m.sender_id INTO msg_sender
+  FROM messages m
+  WHERE m.id = _message
+    AND m.receiver_id = me
+    AND (m.view_once OR m.is_nsfw);
+
+  IF msg_sender IS NULL THEN
+    RETURN NULL;
+  END IF;
+
+  INSERT INTO message_events (message_id, actor_id, event_type)
+  VALUES (_message, me, _event_type);
+
+  UPDATE messages
+     SET screenshot_at = NOW()
+   WHERE id = _message
+     AND screenshot_at IS NULL;
+
+  RETURN msg_sender;
+END;
+$$;
+
+GRANT SELECT ON message_events TO authenticated;
+GRANT EXECUTE ON FUNCTION public.record_message_event TO authenticated;
+
+-- Add comments for documentation
+COMMENT ON TABLE message_events IS 'Screenshots and screen recordings of one-time/NSFW messages';
+COMMENT ON COLUMN message_events.actor_id IS 'Receiver who took the capture';
+COMMENT ON COLUMN messages.screenshot_at IS 'First capture of this message by its receiver, shown to the sender';
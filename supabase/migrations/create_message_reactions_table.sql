@@ -0,0 +1,97 @@
+-- Reactions on photos and videos
+--
+-- The receiver of a message can answer it with a reaction instead of a new capture.
+-- One reaction per message and user, replaced when another one is picked. The
+-- message's sender (and group) are copied on each row so the sender's realtime
+-- channel can filter on them (see productionRealtimeService.createUserChannel).
+-- Filtered subscriptions never receive DELETE events, so removing a reaction
+-- clears its emoji (an UPDATE) instead of deleting the row.
+-- Run after create_recovery_codes.sql.
+
+CREATE TABLE IF NOT EXISTS message_reactions (
+  id UUID DEFAULT gen_random_uuid() PRIMARY KEY,
+  message_id UUID NOT NULL REFERENCES messages(id) ON DELETE CASCADE,
+  user_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  message_sender_id UUID NOT NULL REFERENCES users(id) ON DELETE CASCADE,
+  conversation_id UUID REFERENCES conversations(id) ON DELETE CASCADE,
+  group_message_id UUID,
+  emoji TEXT CHECK (emoji IN ('🔥', '😍', '❤️', '😂', '😮', '👏', '🍑', '💦')), -- NULL once removed
+  created_at TIMESTAMPTZ DEFAULT NOW(),
+  UNIQUE (message_id, user_id)
+);
+
+CREATE INDEX IF NOT EXISTS idx_message_reactions_message_id ON message_reactions(message_id);
+CREATE INDEX IF NOT EXISTS idx_message_reactions_sender ON message_reactions(message_sender_id, created_at DESC);
+
+-- Realtime: deliver reactions and their removal to the sender's user channel
+DO $$
+BEGIN
+  IF NOT EXISTS (
+    SELECT 1 FROM pg_publication_tables
+    WHERE pubname = 'supabase_realtime' AND schemaname = 'public' AND tablename = 'message_reactions'
+  ) THEN
+    ALTER PUBLICATION supabase_realtime ADD TABLE message_reactions;
+  END IF;
+END $$;
+
+-- Add RLS (Row Level Security) policies
+ALTER TABLE message_reactions ENABLE ROW LEVEL SECURITY;
+
+-- Policy: Users see their own reactions and the reactions to messages they sent.
+-- Writes only go through set_message_reaction.
+CREATE POLICY "Users can view reactions to their messages" ON message_reactions
+  FOR SELECT USING (
+    user_id = auth.uid()
+    OR message_sender_id = auth.uid()
+  );
+
+-- RPC: React to a received message, or remove the reaction when _emoji is NULL.
+-- Returns the sender to notify, or NULL when the message is not the caller's.
+CREATE OR REPLACE FUNCTION public.set_message_reaction(
+  _message uuid,
+  _emoji text DEFAULT NULL
+)
+RETURNS uuid
+LANGUAGE plpgsql SECURITY DEFINER
+SET search_path = public AS $$
+DECLARE
+  me uuid := auth.uid();
+  msg messages%ROWTYPE;
+BEGIN
+  SELECT * INTO msg
+  FROM messages m
+  WHERE m.id = _message
+    AND m.receiver_id = me;
+
+  IF NOT FOUND THEN
+    RETURN NULL;
+  END IF;
+
+  IF _emoji IS NULL THEN
+    UPDATE message_reactions
+       SET emoji = NULL,
+           created_at = NOW()
+     WHERE message_id = _message
+       AND user_id = me
+       AND emoji IS NOT NULL;
+    RETURN msg.sender_id;
+  END IF;
+
+  INSERT INTO message_reactions (message_id, user_id, message_sender_id, conversation_id, group_message_id, emoji)
+  VALUES (_message, me, msg.sender_id, msg.conversation_id, msg.group_message_id, _emoji)
+  ON CONFLICT (message_id, user_id) DO UPDATE
+    SET emoji = EXCLUDED.emoji,
+        created_at = NOW();
+
+  RETURN msg.sender_id;
+END;
+$$;
+
+GRANT SELECT ON message_reactions TO authenticated;
+GRANT EXECUTE ON FUNCTION public.set_message_reaction TO authenticated;
+
+-- Add comments for documentation
+COMMENT ON TABLE message_reactions IS 'Emoji reactions of receivers to photos and videos';
+COMMENT ON COLUMN message_reactions.emoji IS 'NULL when the reaction was removed, so the sender''s filtered subscription sees an UPDATE';
+COMMENT ON COLUMN message_reactions.message_sender_id IS 'Copy of messages.sender_id, used by realtime filters and RLS';
+COMMENT ON COLUMN message_reactions.group_message_id IS 'Copy of messages.group_message_id, matches the sender''s collapsed group message';
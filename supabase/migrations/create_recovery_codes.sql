@@ -0,0 +1,139 @@
+-- Account recovery codes
+--
+-- Accounts are bound to a device_id, so changing phones used to lose the account.
+-- Each user now holds a one-time recovery code, shown once after registration and
+-- re-generatable from the profile. Only its SHA-256 hash is stored. The
+-- recover-account Edge Function checks it, moves the account to the new device and
+-- only then redeems it, so a failure halfway leaves the code usable for a retry.
+-- Run after add_media_encryption_keys.sql.
+
+CREATE EXTENSION IF NOT EXISTS pgcrypto WITH SCHEMA extensions;
+
+CREATE TABLE IF NOT EXISTS recovery_codes (
+  user_id UUID PRIMARY KEY REFERENCES users(id) ON DELETE CASCADE,
+  code_hash TEXT NOT NULL,
+  failed_attempts INTEGER NOT NULL DEFAULT 0,
+  locked_until TIMESTAMPTZ,
+  created_at TIMESTAMPTZ DEFAULT NOW()
+);
+
+-- Add RLS (Row Level Security) policies
+-- No policy: the table is only reachable through the functions below
+ALTER TABLE recovery_codes ENABLE ROW LEVEL SECURITY;
+
+-- Codes are typed by hand: ignore dashes/spaces and case
+CREATE OR REPLACE FUNCTION public.hash_recovery_code(_code text)
+RETURNS text
+LANGUAGE sql IMMUTABLE
+SET search_path = public AS $$
+  SELECT encode(extensions.digest(upper(regexp_replace(coalesce(_code, ''), '[^A-Za-z0-9]', '', 'g')), 'sha256'), 'hex');
+$$;
+
+-- RPC (service role only): replace a user's code and return the new one in clear.
+-- 16 characters from a 32-symbol alphabet without 0/O/1/I (80 bits), as XXXX-XXXX-XXXX-XXXX.
+CREATE OR REPLACE FUNCTION public.issue_recovery_code(_user uuid)
+RETURNS text
+LANGUAGE plpgsql SECURITY DEFINER
+SET search_path = public AS $$
+DECLARE
+  alphabet text := 'ABCDEFGHJKLMNPQRSTUVWXYZ23456789';
+  bytes bytea := extensions.gen_random_bytes(16);
+  code text := '';
+BEGIN
+  FOR i IN 0..15 LOOP
+    code := code || substr(alphabet, (get_byte(bytes, i) % 32) + 1, 1);
+    IF i IN (3, 7, 11) THEN
+      code := code || '-';
+    END IF;
+  END LOOP;
+
+  INSERT INTO recovery_codes (user_id, code_hash)
+  VALUES (_user, public.hash_recovery_code(code))
+  ON CONFLICT (user_id) DO UPDATE
+    SET code_hash = EXCLUDED.code_hash,
+        failed_attempts = 0,
+        locked_until = NULL,
+        created_at = NOW();
+
+  RETURN code;
+END;
+$$;
+
+-- RPC: Replace the current user's code (profile screen)
+CREATE OR REPLACE FUNCTION public.regenerate_recovery_code()
+RETURNS text
+LANGUAGE plpgsql SECURITY DEFINER
+SET search_path = public AS $$
+BEGIN
+  IF auth.uid() IS NULL THEN
+    RAISE EXCEPTION 'Not authenticated' USING ERRCODE = '42501';
+  END IF;
+
+  RETURN public.issue_recovery_code(auth.uid());
+END;
+$$;
+
+-- RPC (service role only): check a code without using it up.
+-- Returns 'ok', 'invalid' or 'locked' (5 wrong codes lock the account for 15 minutes).
+CREATE OR REPLACE FUNCTION public.check_recovery_code(_user uuid, _code text)
+RETURNS text
+LANGUAGE plpgsql SECURITY DEFINER
+SET search_path = public AS $$
+DECLARE
+  rc recovery_codes%ROWTYPE;
+BEGIN
+  SELECT * INTO rc FROM recovery_codes WHERE user_id = _user FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RETURN 'invalid';
+  END IF;
+
+  IF rc.locked_until IS NOT NULL AND rc.locked_until > NOW() THEN
+    RETURN 'locked';
+  END IF;
+
+  IF rc.code_hash <> public.hash_recovery_code(_code) THEN
+    UPDATE recovery_codes
+       SET failed_attempts = CASE WHEN rc.failed_attempts + 1 >= 5 THEN 0 ELSE rc.failed_attempts + 1 END,
+           locked_until = CASE WHEN rc.failed_attempts + 1 >= 5 THEN NOW() + INTERVAL '15 minutes' ELSE NULL END
+     WHERE user_id = _user;
+    RETURN 'invalid';
+  END IF;
+
+  RETURN 'ok';
+END;
+$$;
+
+-- RPC (service role only): last step of a recovery, swap the checked code for a new one.
+-- Returns the new code, or NULL when the code was already redeemed or replaced meanwhile.
+CREATE OR REPLACE FUNCTION public.redeem_recovery_code(_user uuid, _code text)
+RETURNS text
+LANGUAGE plpgsql SECURITY DEFINER
+SET search_path = public AS $$
+BEGIN
+  PERFORM 1 FROM recovery_codes
+   WHERE user_id = _user
+     AND code_hash = public.hash_recovery_code(_code)
+   FOR UPDATE;
+
+  IF NOT FOUND THEN
+    RETURN NULL;
+  END IF;
+
+  RETURN public.issue_recovery_code(_user);
+END;
+$$;
+
+DROP FUNCTION IF EXISTS public.consume_recovery_code(uuid, text);
+
+REVOKE EXECUTE ON FUNCTION public.issue_recovery_code FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public.check_recovery_code FROM PUBLIC, anon, authenticated;
+REVOKE EXECUTE ON FUNCTION public.redeem_recovery_code FROM PUBLIC, anon, authenticated;
+GRANT EXECUTE ON FUNCTION public.issue_recovery_code TO service_role;
+GRANT EXECUTE ON FUNCTION public.check_recovery_code TO service_role;
+GRANT EXECUTE ON FUNCTION public.redeem_recovery_code TO service_role;
+GRANT EXECUTE ON FUNCTION public.regenerate_recovery_code TO authenticated;
+
+-- Add comments for documentation
+COMMENT ON TABLE recovery_codes IS 'Hashed one-time codes letting a user move their account to a new device';
+COMMENT ON COLUMN recovery_codes.locked_until IS 'Set after 5 wrong codes, recovery is refused until then';
@@ -20,6 +20,7 @@ returns table (
   last_caption text,
   last_seen boolean,  -- ADD: Include seen status for read receipts
   last_seen_at timestamptz,  -- ADD: Include seen timestamp
+  last_state text,  -- sent/delivered/opened/expired (see migrations/add_message_delivery_state.sql)
   unread_count int
 )
 language sql stable as $$
@@ -33,6 +34,7 @@ with msgs as (
     media_type, media_url, thumbnail_url, is_nsfw, view_once, caption,
     seen,  -- ADD: Include seen status
     seen_at,  -- ADD: Include seen timestamp
+    state,
     -- Skip NSFW messages that have been viewed (viewed_at is not null)
     -- This makes viewed NSFW messages "disappear" from conversation previews
     case when is_nsfw and viewed_at is not null then false else true end as should_show,
@@ -43,7 +45,22 @@ with msgs as (
         created_at desc
     ) as rn
   from messages
-  where sender_id = _user or receiver_id = _user
+  where (sender_id = _user or receiver_id = _user)
+    -- Group messages are listed by get_group_conversations (see migrations/create_group_conversations.sql)
+    and conversation_id is null
+    -- Skip peers the user has blocked (see migrations/create_blocks_table.sql)
+    and not exists (
+      select 1 from blocks b
+      where b.blocker_id = _user
+        and b.blocked_id = case when sender_id = _user then receiver_id else sender_id end
+    )
+    -- First contacts not accepted yet stay in the requests inbox (see migrations/add_message_requests.sql)
+    and not exists (
+      select 1 from message_requests r
+      where r.receiver_id = _user
+        and r.sender_id = case when sender_id = _user then receiver_id else sender_id end
+        and r.status <> 'accepted'
+    )
 ),
 filtered_msgs as (
   select *
@@ -54,8 +71,14 @@ unread as (
   select sender_id as peer_id, count(*)::int as unread_count
   from messages
   where receiver_id = _user and seen = false
+    and conversation_id is null
     -- Don't count viewed NSFW messages as unread
     and not (is_nsfw = true and viewed_at is not null)
+    and not exists (select 1 from blocks b where b.blocker_id = _user and b.blocked_id = sender_id)
+    and not exists (
+      select 1 from message_requests r
+      where r.receiver_id = _user and r.sender_id = messages.sender_id and r.status <> 'accepted'
+    )
   group by sender_id
 )
 select
@@ -73,6 +96,7 @@ select
   m.caption as last_caption,
   m.seen as last_seen,  -- ADD: Return seen status
   m.seen_at as last_seen_at,  -- ADD: Return seen timestamp
+  m.state as last_state,
   coalesce(u2.unread_count, 0) as unread_count
 from filtered_msgs m
 left join users u on u.id = m.peer_id  -- P3 FIX: Join with users to get pseudo
@@ -0,0 +1,69 @@
+/**
+ * On-device face detection for the anonymise option
+ * Uses ML Kit (CPU only, no network). The native module is optional: in Expo Go or a build
+ * without it, no face is detected and the user places the blur regions by hand.
+ */
+
+import { Image, NativeModules } from 'react-native'
+
+// Safely import the ML Kit detector with Expo Go fallback. Without its native module the
+// package still loads but throws on first use, so check the module itself.
+let FaceDetection = null
+try {
+  if (NativeModules.FaceDetection) {
+    FaceDetection = require('@react-native-ml-kit/face-detection').default
+  }
+} catch {
+  FaceDetection = null
+}
+if (!FaceDetection) {
+  console.warn('📱 [FACE_DETECTION] @react-native-ml-kit/face-detection not available, manual regions only')
+}
+
+// Extra margin around a detected face so hair and ears are covered too
+const FACE_PADDING = 0.35
+
+export const isFaceDetectionAvailable = () => !!FaceDetection
+
+const getImageSize = (uri) => new Promise((resolve, reject) => {
+  Image.getSize(uri, (width, height) => resolve({ width, height }), reject)
+})
+
+/**
+ * Detect faces on a photo and return them as blur regions of the full-screen preview
+ * @param {string} uri - Photo URI
+ * @param {{ width: number, height: number }} frame - Preview frame, the photo is shown with a cover fit
+ * @param {object} options - { mirrored: preview shown flipped (front camera) }
+ * @returns {Promise<Array>} overlay items { type: 'blurRegion', x, y, w, h, auto: true }, normalized
+ */
+export const detectFaceRegions = async (uri, frame, { mirrored = false } = {}) => {
+  if (!FaceDetection || !uri || !frame) return []
+
+  const [faces, size] = await Promise.all([
+    FaceDetection.detect(uri, { performanceMode: 'accurate' }),
+    getImageSize(uri)
+  ])
+  console.log(`🙈 [FACE_DETECTION] ${faces?.length || 0} face(s) detected`)
+
+  // Cover fit: the photo is scaled to fill the frame and centered, overflow is cropped
+  const scale = Math.max(frame.width / size.width, frame.height / size.height)
+  const offsetX = (size.width * scale - frame.width) / 2
+  const offsetY = (size.height * scale - frame.height) / 2
+
+  return (faces || [])
+    .map(({ frame: box }) => {
+      const centerX = ((box.left + box.width / 2) * scale - offsetX) / frame.width
+      const centerY = ((box.top + box.height / 2) * scale - offsetY) / frame.height
+      return {
+        type: 'blurRegion',
+        x: mirrored ? 1 - centerX : centerX,
+        y: centerY,
+        w: box.width * (1 + FACE_PADDING) * scale / frame.width,
+        h: box.height * (1 + FACE_PADDING) * scale / frame.height,
+        auto: true
+      }
+    })
+    // Faces cropped out of the preview are not sent either
+    .filter(region => region.x + region.w / 2 > 0 && region.x - region.w / 2 < 1 &&
+      region.y + region.h / 2 > 0 && region.y - region.h / 2 < 1)
+}
@@ -121,6 +121,26 @@ export const optimizeImageForUpload = async (uri, mediaType = 'photo') => {
   }
 }
 
+/**
+ * Re-encode an image so none of its EXIF data (GPS position, device, date) is kept
+ * Used for gallery imports: unlike optimizeImageForUpload it never falls back to the original
+ * @param {string} uri - Original image URI
+ * @returns {string} - URI of a metadata-free JPEG
+ */
+export const stripImageMetadata = async (uri) => {
+  const result = await ImageManipulator.manipulateAsync(
+    uri,
+    [], // Decoding and re-encoding drops the EXIF block
+    {
+      compress: 0.95,
+      format: ImageManipulator.SaveFormat.JPEG,
+      base64: false
+    }
+  )
+  console.log('🧹 Image metadata stripped')
+  return result.uri
+}
+
 /**
  * Quick image info utility
  * @param {string} uri - Image URI
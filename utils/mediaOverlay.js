@@ -0,0 +1,65 @@
+/**
+ * Media overlay utilities
+ * Drawings, stickers, text and blur strokes added on a capture before sending.
+ * Coordinates are normalized (0-1) to the full-screen media frame and sizes to its width,
+ * so an overlay renders the same on any screen. Photos get the overlay flattened into the
+ * JPEG; videos keep it as `messages.media_overlay`, drawn on top during playback.
+ */
+
+export const OVERLAY_VERSION = 1
+
+export const DRAW_COLORS = ['#FFFFFF', '#000000', '#FF4444', '#FFC107', '#4CAF50', '#007AFF', '#E040FB']
+
+export const STICKER_EMOJIS = ['🔥', '😍', '😂', '😈', '💋', '🍑', '🍆', '💦', '👀', '🙈', '❤️', '⭐️', '👑', '😎', '🥵', '💯']
+
+export const DRAW_STROKE_WIDTH = 0.012
+export const BLUR_STROKE_WIDTH = 0.09
+export const STICKER_SIZE = 0.16
+export const TEXT_SIZE = 0.07
+export const REGION_SIZE = 0.3 // Width of a blur region placed by hand
+
+// Minimum distance between two recorded points, keeps strokes small once serialized
+const MIN_POINT_DISTANCE = 0.004
+
+const round = (value) => Math.round(value * 10000) / 10000
+
+/**
+ * Parse an overlay coming from the database or a route param
+ * @returns {object|null} { version, items } or null when there is nothing to draw
+ */
+export const parseOverlay = (overlay) => {
+  if (!overlay) return null
+  try {
+    const parsed = typeof overlay === 'string' ? JSON.parse(overlay) : overlay
+    return Array.isArray(parsed?.items) && parsed.items.length > 0 ? parsed : null
+  } catch (error) {
+    console.warn('⚠️ [OVERLAY] Invalid media overlay:', error)
+    return null
+  }
+}
+
+export const createOverlay = (items) => ({ version: OVERLAY_VERSION, items })
+
+/**
+ * Append a point to a stroke unless it is too close to the previous one
+ * @param {Array<[number, number]>} points - normalized points
+ */
+export const appendStrokePoint = (points, x, y) => {
+  const last = points[points.length - 1]
+  if (last && Math.hypot(last[0] - x, last[1] - y) < MIN_POINT_DISTANCE) return points
+  return [...points, [round(x), round(y)]]
+}
+
+/**
+ * SVG path for a normalized stroke drawn in a frame of the given size
+ */
+export const strokeToPath = (points, width, height) => {
+  if (!points?.length) return ''
+  const [first, ...rest] = points
+  // A single tap still leaves a dot
+  if (rest.length === 0) {
+    return `M ${first[0] * width} ${first[1] * height} l 0.1 0`
+  }
+  return `M ${first[0] * width} ${first[1] * height} ` +
+    rest.map(([x, y]) => `L ${x * width} ${y * height}`).join(' ')
+}
@@ -0,0 +1,38 @@
+/**
+ * Message delivery state
+ * sent → delivered → opened → expired, stored in `messages.state` and only moving forward
+ * (see supabase/migrations/add_message_delivery_state.sql).
+ */
+
+export const MESSAGE_STATES = ['sent', 'delivered', 'opened', 'expired']
+
+export const stateRank = (state) => MESSAGE_STATES.indexOf(state)
+
+export const isStateAhead = (next, current) => stateRank(next) > stateRank(current)
+
+// Take the most advanced of two states, a late realtime event must not move a message back
+export const mergeMessageState = (current, next) =>
+  isStateAhead(next, current) ? next : current
+
+/**
+ * State of a message as the sender sees it
+ * A group capture collapsed with per-member `receipts` is as far as its slowest recipient.
+ * Rows cached before the state column existed fall back to seen/viewed_at.
+ * @returns {'sent'|'delivered'|'opened'|'expired'|null}
+ */
+export const getMessageState = (message) => {
+  if (!message) return null
+
+  if (Array.isArray(message.receipts) && message.receipts.length > 0) {
+    return message.receipts
+      .map(getMessageState)
+      .reduce((slowest, state) => (stateRank(state) < stateRank(slowest) ? state : slowest))
+  }
+
+  // Read receipts can reach the cache before the state column does
+  let legacyState = 'sent'
+  if ((message.view_once || message.is_nsfw) && message.viewed_at) legacyState = 'expired'
+  else if (message.seen || message.seen_at || message.viewed_at) legacyState = 'opened'
+
+  return mergeMessageState(MESSAGE_STATES.includes(message.state) ? message.state : 'sent', legacyState)
+}
@@ -4,9 +4,13 @@ import * as SecureStore from 'expo-secure-store'
 const DEVICE_ID_KEY = 'notext_device_id'
 const USER_DATA_KEY = 'notext_user_data'
 const CAMERA_TYPE_KEY = 'notext_camera_type'
+const FLASH_MODE_KEY = 'notext_flash_mode'
+const ANONYMISE_DEFAULT_KEY = 'notext_anonymise_default' // Suffixed with the user id
 const PREVIOUS_USER_KEY = 'notext_previous_user'
 const AUTH_STATE_KEY = 'notext_auth_state'
 const DEVICE_MIGRATION_KEY = 'notext_device_migration'
+const DEVICE_KEYPAIR_KEY = 'notext_device_keypair'
+const MEDIA_CACHE_KEY = 'notext_media_cache_key'
 
 // Génère un device ID unique
 const generateDeviceId = () => {
@@ -43,6 +47,17 @@ export const getOrCreateDeviceId = async () => {
   }
 }
 
+// New device ID that is only kept once saved (account recovery saves it on success)
+export const createDeviceId = () => generateDeviceId()
+
+export const saveDeviceId = async (deviceId) => {
+  try {
+    await SecureStore.setItemAsync(DEVICE_ID_KEY, deviceId)
+  } catch (error) {
+    console.error('Failed to save device ID:', error)
+  }
+}
+
 export const saveUserData = async (userData) => {
   try {
     await SecureStore.setItemAsync(USER_DATA_KEY, JSON.stringify(userData))
@@ -76,6 +91,21 @@ export const clearAllAppData = async () => {
     await SecureStore.deleteItemAsync(USER_DATA_KEY)
     await SecureStore.deleteItemAsync(DEVICE_ID_KEY)
     await SecureStore.deleteItemAsync(CAMERA_TYPE_KEY)
+    await SecureStore.deleteItemAsync(FLASH_MODE_KEY)
+    await SecureStore.deleteItemAsync(DEVICE_KEYPAIR_KEY)
+    await SecureStore.deleteItemAsync(MEDIA_CACHE_KEY)
+
+    // Cached media could no longer be decrypted, remove the files
+    try {
+      const { unifiedMediaService } = await import('../services/unifiedMediaService')
+      await unifiedMediaService.clearDiskCache()
+    } catch (mediaError) {
+      console.error('❌ [SECURE_STORE] Error clearing media cache:', mediaError)
+    }
+
+    // Offline messages, conversations and pending sends of the wiped account
+    const { localDatabase } = await import('../data/localDatabase')
+    await localDatabase.clear()
     
     // Clear AsyncStorage items that might contain old data
     const AsyncStorage = (await import('@react-native-async-storage/async-storage')).default
@@ -171,6 +201,45 @@ export const getCameraType = async () => {
   }
 }
 
+// Flash preference, one per camera: { back: 'off'|'on'|'auto'|'torch', front: 'off'|'on' }
+const DEFAULT_FLASH_MODES = { back: 'off', front: 'off' }
+
+export const saveFlashModes = async (flashModes) => {
+  try {
+    await SecureStore.setItemAsync(FLASH_MODE_KEY, JSON.stringify(flashModes))
+  } catch (error) {
+    console.error('Failed to save flash mode:', error)
+  }
+}
+
+export const getFlashModes = async () => {
+  try {
+    const flashModes = await SecureStore.getItemAsync(FLASH_MODE_KEY)
+    return flashModes ? { ...DEFAULT_FLASH_MODES, ...JSON.parse(flashModes) } : DEFAULT_FLASH_MODES
+  } catch (error) {
+    console.error('Failed to get flash mode:', error)
+    return DEFAULT_FLASH_MODES
+  }
+}
+
+// Face anonymisation default of the camera preview, per user
+export const saveAnonymiseDefault = async (userId, enabled) => {
+  try {
+    await SecureStore.setItemAsync(`${ANONYMISE_DEFAULT_KEY}_${userId}`, enabled ? 'true' : 'false')
+  } catch (error) {
+    console.error('Failed to save anonymise default:', error)
+  }
+}
+
+export const getAnonymiseDefault = async (userId) => {
+  try {
+    return (await SecureStore.getItemAsync(`${ANONYMISE_DEFAULT_KEY}_${userId}`)) === 'true'
+  } catch (error) {
+    console.error('Failed to get anonymise default:', error)
+    return false
+  }
+}
+
 // Auth state persistence for robust authentication
 export const saveAuthState = async (authState) => {
   try {
@@ -354,3 +423,40 @@ export const canAutoMigrateUser = async (userData) => {
     return false
   }
 }
+
+// Media encryption keypair of this device (base64 publicKey/secretKey)
+export const saveDeviceKeyPair = async (keyPair) => {
+  try {
+    await SecureStore.setItemAsync(DEVICE_KEYPAIR_KEY, JSON.stringify(keyPair))
+  } catch (error) {
+    console.error('Failed to save device keypair:', error)
+  }
+}
+
+export const getDeviceKeyPair = async () => {
+  try {
+    const data = await SecureStore.getItemAsync(DEVICE_KEYPAIR_KEY)
+    return data ? JSON.parse(data) : null
+  } catch (error) {
+    console.error('Failed to get device keypair:', error)
+    return null
+  }
+}
+
+// Key of the encrypted on-disk media cache (base64)
+export const saveMediaCacheKey = async (key) => {
+  try {
+    await SecureStore.setItemAsync(MEDIA_CACHE_KEY, key)
+  } catch (error) {
+    console.error('Failed to save media cache key:', error)
+  }
+}
+
+export const getMediaCacheKey = async () => {
+  try {
+    return await SecureStore.getItemAsync(MEDIA_CACHE_KEY)
+  } catch (error) {
+    console.error('Failed to get media cache key:', error)
+    return null
+  }
+}
@@ -40,6 +40,19 @@ export const formatRelativeTime = (dateString) => {
   }
 }
 
+/**
+ * Format a contact's presence for headers and lists ("En ligne", "Actif il y a 5m")
+ * @param {{ online: boolean, lastActiveAt: string|null }} presence - From presenceService
+ * @returns {string} Formatted presence, empty when unknown or hidden
+ */
+export const formatPresence = (presence) => {
+  if (presence?.online) return 'En ligne'
+
+  const relative = formatRelativeTime(presence?.lastActiveAt)
+  if (!relative) return ''
+  return relative === 'À l\'instant' ? 'Actif à l\'instant' : `Actif il y a ${relative}`
+}
+
 /**
  * Format time as absolute time with proper timezone handling
  * @param {string|Date} dateString - The date to format